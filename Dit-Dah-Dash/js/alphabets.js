@@ -0,0 +1,349 @@
+/* Dit-Dah-Dash/js/alphabets.js */
+/* In file: js/alphabets.js */
+/**
+ * js/alphabets.js
+ * ---------------
+ * Selectable Morse alphabet tables: the default Latin (English) table, accented Latin,
+ * Cyrillic, Greek, Hebrew, Arabic and Japanese Wabun. Each alphabet lists its letter
+ * sequences, how typed text is folded onto those letters (locale-aware upper-casing,
+ * diacritic stripping, final forms / variants mapped to their base letter), its writing
+ * direction and its own level pack. Digits and punctuation are shared from MORSE_MAP
+ * wherever they don't clash with a letter of the alphabet.
+ * Must be loaded after config.js.
+ */
+
+const DEFAULT_ALPHABET_ID = 'latin';
+
+// Digits and punctuation from the international table, shared by every alphabet
+const SHARED_MORSE_MAP = Object.fromEntries(
+    Object.entries(MorseConfig.MORSE_MAP).filter(([, char]) => !/[A-Z]/.test(char))
+);
+const DIGITS_MORSE_MAP = Object.fromEntries(
+    Object.entries(MorseConfig.MORSE_MAP).filter(([, char]) => /[0-9]/.test(char))
+);
+
+/** @returns {string} Text with combining diacritics removed (e.g. "ά" -> "α"). */
+const stripDiacritics = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+/**
+ * Folds Japanese text onto the Wabun table: hiragana become katakana, and voiced or
+ * semi-voiced kana are split into the base kana followed by the dakuten / handakuten sign
+ * (ガ -> カ゛), which Wabun sends as a separate character.
+ * @param {string} text - Text to fold.
+ * @returns {string} Folded text.
+ */
+const foldWabunText = (text) => text
+    .replace(/[\u3041-\u3096]/g, char => String.fromCharCode(char.charCodeAt(0) + 0x60))
+    .normalize('NFD')
+    .replace(/\u3099/g, '\u309B')
+    .replace(/\u309A/g, '\u309C');
+
+const MORSE_ALPHABETS = {
+    latin: {
+        id: 'latin',
+        name: "Latin (English)",
+        locale: 'en',
+        direction: 'ltr',
+        map: MorseConfig.MORSE_MAP,
+        levels: MorseConfig.LEVELS_DATA
+    },
+
+    latin_extended: {
+        id: 'latin_extended',
+        name: "Latin with accents (Ä É Ñ Ü)",
+        locale: 'de',
+        direction: 'ltr',
+        map: {
+            ...MorseConfig.MORSE_MAP,
+            '.-.-': 'Ä', '---.': 'Ö', '..--': 'Ü', '.--.-': 'À', '-.-..': 'Ç',
+            '..-..': 'É', '.-..-': 'È', '--.--': 'Ñ'
+        },
+        levels: [
+            {
+                id: 1,
+                name: "Intro: Ä Ö Ü",
+                sentences: ["Ä Ä Ä", "Ö Ö Ö", "Ü Ü Ü", "ÄRGER", "SCHÖN", "ÜBER"],
+                unlock_criteria: { min_wpm: 0, min_accuracy: 0 }
+            },
+            {
+                id: 2,
+                name: "Intro: É È À Ç",
+                sentences: ["É É É", "È È È", "À À À", "Ç Ç Ç", "CAFÉ", "TRÈS", "VOILÀ", "FRANÇAIS"],
+                unlock_criteria: { min_wpm: 5, min_accuracy: 90 }
+            },
+            {
+                id: 3,
+                name: "Intro: Ñ",
+                sentences: ["Ñ Ñ Ñ", "ESPAÑA", "MAÑANA", "NIÑO"],
+                unlock_criteria: { min_wpm: 5, min_accuracy: 90 }
+            },
+            {
+                id: 4,
+                name: "Practice: Accents",
+                sentences: ["GRÜSSE AUS MÜNCHEN", "ÇA VA TRÈS BIEN", "UN NIÑO PEQUEÑO", "SCHÖNE GRÜSSE"],
+                unlock_criteria: { min_wpm: 8, min_accuracy: 92 }
+            }
+        ]
+    },
+
+    cyrillic: {
+        id: 'cyrillic',
+        name: "Cyrillic (Russian)",
+        locale: 'ru',
+        direction: 'ltr',
+        map: {
+            ...SHARED_MORSE_MAP,
+            '.-': 'А', '-...': 'Б', '.--': 'В', '--.': 'Г', '-..': 'Д', '.': 'Е',
+            '...-': 'Ж', '--..': 'З', '..': 'И', '.---': 'Й', '-.-': 'К', '.-..': 'Л',
+            '--': 'М', '-.': 'Н', '---': 'О', '.--.': 'П', '.-.': 'Р', '...': 'С',
+            '-': 'Т', '..-': 'У', '..-.': 'Ф', '....': 'Х', '-.-.': 'Ц', '---.': 'Ч',
+            '----': 'Ш', '--.-': 'Щ', '--.--': 'Ъ', '-.--': 'Ы', '-..-': 'Ь',
+            '..-..': 'Э', '..--': 'Ю', '.-.-': 'Я'
+        },
+        aliases: { 'Ё': 'Е' }, // Ё is sent as Е
+        levels: [
+            {
+                id: 1,
+                name: "Intro: Е Т И А Н М",
+                sentences: ["Е Е Е", "Т Т Т", "И А Н М", "ТАМ", "НЕТ", "МАМА"],
+                unlock_criteria: { min_wpm: 0, min_accuracy: 0 }
+            },
+            {
+                id: 2,
+                name: "Intro: С О Р В Л Д К",
+                sentences: ["С О Р", "В Л Д К", "ДОМ", "СОК", "ВОДА", "КОТ", "ЛЕС"],
+                unlock_criteria: { min_wpm: 5, min_accuracy: 90 }
+            },
+            {
+                id: 3,
+                name: "Intro: П У Г Б З Ж Я Ы",
+                sentences: ["П У Г Б", "З Ж Я Ы", "ГОРОД", "БУКВА", "ЗИМА", "ЖУК", "ЯБЛОКО", "МЫ"],
+                unlock_criteria: { min_wpm: 5, min_accuracy: 90 }
+            },
+            {
+                id: 4,
+                name: "Intro: Х Ц Ч Ш Щ Ъ Ь Э Ю Й Ф",
+                sentences: ["Х Ц Ч Ш", "Щ Ъ Ь Э", "Ю Й Ф", "ХЛЕБ", "ЧАЙ", "ШКОЛА", "ЩИ", "ЭТО", "ЮГ", "ФОТО"],
+                unlock_criteria: { min_wpm: 6, min_accuracy: 90 }
+            },
+            {
+                id: 5,
+                name: "Practice: Russian Sentences",
+                sentences: ["ПРИВЕТ МИР", "КАК ДЕЛА", "ХОРОШО СПАСИБО", "МОЯ АНТЕННА НА КРЫШЕ", "ДО СВИДАНИЯ 73"],
+                unlock_criteria: { min_wpm: 8, min_accuracy: 92 }
+            }
+        ]
+    },
+
+    greek: {
+        id: 'greek',
+        name: "Greek",
+        locale: 'el',
+        direction: 'ltr',
+        stripDiacritics: true, // Tonos and dialytika are not sent
+        map: {
+            ...SHARED_MORSE_MAP,
+            '.-': 'Α', '-...': 'Β', '--.': 'Γ', '-..': 'Δ', '.': 'Ε', '--..': 'Ζ',
+            '....': 'Η', '-.-.': 'Θ', '..': 'Ι', '-.-': 'Κ', '.-..': 'Λ', '--': 'Μ',
+            '-.': 'Ν', '-..-': 'Ξ', '---': 'Ο', '.--.': 'Π', '.-.': 'Ρ', '...': 'Σ',
+            '-': 'Τ', '-.--': 'Υ', '..-.': 'Φ', '----': 'Χ', '--.-': 'Ψ', '.--': 'Ω'
+        },
+        levels: [
+            {
+                id: 1,
+                name: "Intro: Ε Τ Ι Α Ν Μ",
+                sentences: ["Ε Τ Ι", "Α Ν Μ", "ΝΑΙ", "ΜΑΤΙ", "ΝΕΑ"],
+                unlock_criteria: { min_wpm: 0, min_accuracy: 0 }
+            },
+            {
+                id: 2,
+                name: "Intro: Σ Ο Ρ Κ Λ Δ Π Η",
+                sentences: ["Σ Ο Ρ Κ", "Λ Δ Π Η", "ΣΠΙΤΙ", "ΝΕΡΟ", "ΗΛΙΟΣ", "ΔΡΟΜΟΣ"],
+                unlock_criteria: { min_wpm: 5, min_accuracy: 90 }
+            },
+            {
+                id: 3,
+                name: "Intro: Β Γ Ζ Θ Ξ Υ Φ Χ Ψ Ω",
+                sentences: ["Β Γ Ζ Θ", "Ξ Υ Φ Χ", "Ψ Ω", "ΓΕΙΑ", "ΘΑΛΑΣΣΑ", "ΦΩΣ", "ΨΑΡΙ", "ΞΥΛΟ", "ΖΩΗ", "ΒΙΒΛΙΟ"],
+                unlock_criteria: { min_wpm: 6, min_accuracy: 90 }
+            },
+            {
+                id: 4,
+                name: "Practice: Greek Sentences",
+                sentences: ["ΓΕΙΑ ΣΟΥ ΚΟΣΜΕ", "ΚΑΛΗΜΕΡΑ ΦΙΛΕ", "ΤΟ ΟΝΟΜΑ ΜΟΥ ΕΙΝΑΙ ΝΙΚΟΣ", "ΕΥΧΑΡΙΣΤΩ 73"],
+                unlock_criteria: { min_wpm: 8, min_accuracy: 92 }
+            }
+        ]
+    },
+
+    hebrew: {
+        id: 'hebrew',
+        name: "Hebrew",
+        locale: 'he',
+        direction: 'rtl',
+        map: {
+            ...SHARED_MORSE_MAP,
+            '.-': 'א', '-...': 'ב', '--.': 'ג', '-..': 'ד', '---': 'ה', '.': 'ו',
+            '--..': 'ז', '....': 'ח', '..-': 'ט', '..': 'י', '-.-': 'כ', '.-..': 'ל',
+            '--': 'מ', '-.': 'נ', '-.-.': 'ס', '.---': 'ע', '.--.': 'פ', '.--': 'צ',
+            '--.-': 'ק', '.-.': 'ר', '...': 'ש', '-': 'ת'
+        },
+        aliases: { 'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ' }, // Final forms
+        levels: [
+            {
+                id: 1,
+                name: "Intro: ו ת י א נ מ",
+                sentences: ["ו ת י", "א נ מ", "אמא", "מים", "אני"],
+                unlock_criteria: { min_wpm: 0, min_accuracy: 0 }
+            },
+            {
+                id: 2,
+                name: "Intro: ש ה ר ד כ ל ב ג",
+                sentences: ["ש ה ר ד", "כ ל ב ג", "שלום", "ילד", "בית", "גדול"],
+                unlock_criteria: { min_wpm: 5, min_accuracy: 90 }
+            },
+            {
+                id: 3,
+                name: "Intro: ז ח ט ס ע פ צ ק",
+                sentences: ["ז ח ט ס", "ע פ צ ק", "חבר", "ספר", "עץ", "קפה", "טוב", "צבע"],
+                unlock_criteria: { min_wpm: 6, min_accuracy: 90 }
+            },
+            {
+                id: 4,
+                name: "Practice: Hebrew Sentences",
+                sentences: ["שלום עולם", "מה שלומך", "תודה רבה", "בוקר טוב חבר"],
+                unlock_criteria: { min_wpm: 8, min_accuracy: 92 }
+            }
+        ]
+    },
+
+    arabic: {
+        id: 'arabic',
+        name: "Arabic",
+        locale: 'ar',
+        direction: 'rtl',
+        map: {
+            ...SHARED_MORSE_MAP,
+            '.-': 'ا', '-...': 'ب', '-': 'ت', '-.-.': 'ث', '.---': 'ج', '....': 'ح',
+            '---': 'خ', '-..': 'د', '--..': 'ذ', '.-.': 'ر', '---.': 'ز', '...': 'س',
+            '----': 'ش', '-..-': 'ص', '...-': 'ض', '..-': 'ط', '-.--': 'ظ', '.-.-': 'ع',
+            '--.': 'غ', '..-.': 'ف', '--.-': 'ق', '-.-': 'ك', '.-..': 'ل', '--': 'م',
+            '-.': 'ن', '..-..': 'ه', '.--': 'و', '..': 'ي', '.': 'ء'
+        },
+        aliases: { 'أ': 'ا', 'إ': 'ا', 'آ': 'ا', 'ة': 'ه', 'ى': 'ي' }, // Hamza carriers, taa marbuta, alif maqsura
+        levels: [
+            {
+                id: 1,
+                name: "Intro: ء ت ي ا ن م",
+                sentences: ["ا ت ي", "ن م ء", "من", "نام", "تين", "يمين"],
+                unlock_criteria: { min_wpm: 0, min_accuracy: 0 }
+            },
+            {
+                id: 2,
+                name: "Intro: س ر د ك ل ب ه و",
+                sentences: ["س ر د ك", "ل ب ه و", "كتاب", "ولد", "بيت", "سلام", "درس"],
+                unlock_criteria: { min_wpm: 5, min_accuracy: 90 }
+            },
+            {
+                id: 3,
+                name: "Intro: ث ج ح خ ذ ز ش ص ض ط ظ ع غ ف ق",
+                sentences: ["ث ج ح خ", "ذ ز ش ص", "ض ط ظ ع", "غ ف ق", "شمس", "قمر", "صباح", "خبز", "عربي"],
+                unlock_criteria: { min_wpm: 6, min_accuracy: 90 }
+            },
+            {
+                id: 4,
+                name: "Practice: Arabic Sentences",
+                sentences: ["السلام عليكم", "صباح الخير", "شكرا جزيلا", "مع السلامة"],
+                unlock_criteria: { min_wpm: 8, min_accuracy: 92 }
+            }
+        ]
+    },
+
+    wabun: {
+        id: 'wabun',
+        name: "Japanese (Wabun)",
+        locale: 'ja',
+        direction: 'ltr',
+        foldText: foldWabunText,
+        aliases: { 'ァ': 'ア', 'ィ': 'イ', 'ゥ': 'ウ', 'ェ': 'エ', 'ォ': 'オ', 'ッ': 'ツ', 'ャ': 'ヤ', 'ュ': 'ユ', 'ョ': 'ヨ', 'ヮ': 'ワ' }, // Small kana
+        // Wabun replaces most punctuation with kana, so only digits are shared
+        map: {
+            ...DIGITS_MORSE_MAP,
+            '.-': 'イ', '.-.-': 'ロ', '-...': 'ハ', '-.-.': 'ニ', '-..': 'ホ', '.': 'ヘ',
+            '..-..': 'ト', '..-.': 'チ', '--.': 'リ', '....': 'ヌ', '-.--.': 'ル', '.---': 'ヲ',
+            '-.-': 'ワ', '.-..': 'カ', '--': 'ヨ', '-.': 'タ', '---': 'レ', '---.': 'ソ',
+            '.--.': 'ツ', '--.-': 'ネ', '.-.': 'ナ', '...': 'ラ', '-': 'ム', '..-': 'ウ',
+            '.-..-': 'ヰ', '..--': 'ノ', '.-...': 'オ', '...-': 'ク', '.--': 'ヤ', '-..-': 'マ',
+            '-.--': 'ケ', '--..': 'フ', '----': 'コ', '-.---': 'エ', '.-.--': 'テ', '--.--': 'ア',
+            '-.-.-': 'サ', '-.-..': 'キ', '-..--': 'ユ', '-...-': 'メ', '..-.-': 'ミ', '--.-.': 'シ',
+            '.--..': 'ヱ', '--..-': 'ヒ', '-..-.': 'モ', '.---.': 'セ', '---.-': 'ス', '.-.-.': 'ン',
+            '..': '゛', '..--.': '゜', '.--.-': 'ー', '.-.-.-': '、', '.-.-..': '」',
+            '-.--.-': '（', '.-..-.': '）'
+        },
+        levels: [
+            {
+                id: 1,
+                name: "Intro: イ ロ ハ ニ ホ ヘ ト",
+                sentences: ["イ ロ ハ", "ニ ホ ヘ ト", "イロハ", "ハト"],
+                unlock_criteria: { min_wpm: 0, min_accuracy: 0 }
+            },
+            {
+                id: 2,
+                name: "Intro: チ リ ヌ ル ヲ ワ カ ヨ タ レ ソ",
+                sentences: ["チ リ ヌ ル", "ヲ ワ カ ヨ", "タ レ ソ", "イロハニホヘト", "チリヌルヲ", "ワカヨタレソ"],
+                unlock_criteria: { min_wpm: 5, min_accuracy: 90 }
+            },
+            {
+                id: 3,
+                name: "Intro: ツ ネ ナ ラ ム ウ ヰ ノ オ ク ヤ マ",
+                sentences: ["ツ ネ ナ ラ", "ム ウ ヰ ノ", "オ ク ヤ マ", "ツネナラム", "ウヰノオクヤマ"],
+                unlock_criteria: { min_wpm: 5, min_accuracy: 90 }
+            },
+            {
+                id: 4,
+                name: "Intro: ケ フ コ エ テ ア サ キ ユ メ ミ シ ヱ ヒ モ セ ス ン",
+                sentences: ["ケ フ コ エ", "テ ア サ キ", "ユ メ ミ シ", "ヱ ヒ モ セ ス ン", "ケフコエテ", "アサキユメミシ", "ヱヒモセス"],
+                unlock_criteria: { min_wpm: 6, min_accuracy: 90 }
+            },
+            {
+                id: 5,
+                name: "Practice: Wabun Words",
+                sentences: ["サクラ", "ヤマ カワ", "ネコ イヌ", "コンニチハ", "サヨナラ"],
+                unlock_criteria: { min_wpm: 8, min_accuracy: 92 }
+            }
+        ]
+    }
+};
+
+/**
+ * Looks up an alphabet by id, falling back to the default Latin table.
+ * @param {string} alphabetId - One of the keys of MORSE_ALPHABETS.
+ * @returns {object} The alphabet definition.
+ */
+const getMorseAlphabet = (alphabetId) => MORSE_ALPHABETS[alphabetId] || MORSE_ALPHABETS[DEFAULT_ALPHABET_ID];
+
+/**
+ * Folds text onto an alphabet's letters: locale-aware upper-casing, then the alphabet's
+ * own rules (diacritic stripping, kana folding) and letter aliases. Prosign tokens are
+ * upper-cased and otherwise left alone.
+ * @param {string} text - Text to fold.
+ * @param {object} alphabet - Alphabet definition from MORSE_ALPHABETS.
+ * @returns {string} Folded text (may be longer than the input, e.g. Wabun voiced kana).
+ */
+const foldTextForAlphabet = (text, alphabet) => {
+    if (!text) return '';
+    return MorseConfig.tokenizeMorseText(text).map(({ token }) => {
+        if (token.length > 1) return token; // Prosign
+        let folded = token.toLocaleUpperCase(alphabet.locale);
+        if (alphabet.stripDiacritics) folded = stripDiacritics(folded);
+        if (alphabet.foldText) folded = alphabet.foldText(folded);
+        return [...folded].map(char => alphabet.aliases?.[char] ?? char).join('');
+    }).join('');
+};
+
+window.MorseAlphabets = {
+    DEFAULT_ALPHABET_ID,
+    ALPHABETS: MORSE_ALPHABETS,
+    getAlphabet: getMorseAlphabet,
+    foldText: foldTextForAlphabet
+};
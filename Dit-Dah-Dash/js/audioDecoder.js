@@ -0,0 +1,268 @@
+/* Dit-Dah-Dash/js/audioDecoder.js */
+/* In file: js/audioDecoder.js */
+/**
+ * js/audioDecoder.js
+ * ------------------
+ * Decodes Morse from recorded audio (WAV/OGG or anything the browser can decode).
+ * The tone pitch is found with a Goertzel scan across the tone frequency range, the
+ * signal envelope at that pitch is measured in short blocks and thresholded into
+ * key-down/key-up runs, and the dit length (hence WPM) is estimated by clustering the
+ * run lengths. Runs are then classified as dits, dahs and gaps, and each character is
+ * decoded through MorseDecoder.decodeSequence.
+ * The sample-level pipeline (decodeSamples) has no browser dependencies; a WAV from
+ * WavExporter decodes back to the sentence it was rendered from.
+ */
+
+class AudioDecoder {
+    /**
+     * @constructor
+     * @param {MorseDecoder} [decoder] - Decoder used to turn sequences into characters. Defaults to the global instance.
+     */
+    constructor(decoder = null) {
+        this.decoder = decoder || window.morseDecoder;
+    }
+
+    /**
+     * Decodes an audio file chosen by the user.
+     * @param {File | Blob} file - The audio file.
+     * @returns {Promise<{text: string, wpm: number, frequency: number}>} Resolves with the decoded result.
+     */
+    decodeFile(file) {
+        return file.arrayBuffer()
+            .then(arrayBuffer => this._decodeAudioData(arrayBuffer))
+            .then(audioBuffer => this.decodeSamples(this._mixToMono(audioBuffer), audioBuffer.sampleRate));
+    }
+
+    /**
+     * Decodes compressed or PCM audio into an AudioBuffer with an offline context
+     * (no playback, no user gesture needed).
+     * @param {ArrayBuffer} arrayBuffer - File contents.
+     * @returns {Promise<AudioBuffer>}
+     * @private
+     */
+    _decodeAudioData(arrayBuffer) {
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!OfflineContext) return Promise.reject(new Error("Web Audio API not supported."));
+        const context = new OfflineContext(1, 1, MorseConfig.WAV_SAMPLE_RATE);
+        // Callback form works in older Safari as well as the promise-based browsers
+        return new Promise((resolve, reject) => context.decodeAudioData(arrayBuffer, resolve, reject));
+    }
+
+    /**
+     * Averages all channels of an AudioBuffer into one.
+     * @param {AudioBuffer} audioBuffer - Decoded audio.
+     * @returns {Float32Array} Mono samples.
+     * @private
+     */
+    _mixToMono(audioBuffer) {
+        const mono = new Float32Array(audioBuffer.length);
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            const data = audioBuffer.getChannelData(channel);
+            for (let i = 0; i < data.length; i++) mono[i] += data[i] / audioBuffer.numberOfChannels;
+        }
+        return mono;
+    }
+
+    /**
+     * Decodes Morse from raw samples.
+     * @param {Float32Array} samples - Mono samples in [-1, 1].
+     * @param {number} sampleRate - Sample rate in Hz.
+     * @returns {{text: string, wpm: number, frequency: number}} Decoded text (unknown sequences become
+     * MorseConfig.AUDIO_DECODE_UNKNOWN_CHAR), estimated character speed and detected pitch. Text is empty
+     * if no tone was found.
+     */
+    decodeSamples(samples, sampleRate) {
+        const frequency = this.detectPitch(samples, sampleRate);
+        const blockMs = MorseConfig.AUDIO_DECODE_BLOCK_MS;
+        const envelope = this.measureEnvelope(samples, sampleRate, frequency, blockMs);
+        const runs = this._toRuns(envelope, blockMs);
+        if (!runs.some(run => run.on)) return { text: '', wpm: 0, frequency };
+
+        const timing = this._estimateTiming(runs);
+        const text = this._runsToText(runs, timing);
+        const wpm = Math.round(1200 / timing.unitMs);
+        console.log(`Audio decoded at ~${frequency} Hz, ~${wpm} WPM: "${text}"`);
+        return { text, wpm, frequency };
+    }
+
+    /**
+     * Finds the strongest tone between the minimum and maximum tone frequency.
+     * Only the first AUDIO_DECODE_PITCH_SCAN_SECONDS are scanned.
+     * @param {Float32Array} samples - Mono samples.
+     * @param {number} sampleRate - Sample rate in Hz.
+     * @returns {number} Detected pitch in Hz.
+     */
+    detectPitch(samples, sampleRate) {
+        const length = Math.min(samples.length, Math.round(MorseConfig.AUDIO_DECODE_PITCH_SCAN_SECONDS * sampleRate));
+        let bestFrequency = MorseConfig.AUDIO_DEFAULT_TONE_FREQUENCY;
+        let bestPower = -1;
+        for (let f = MorseConfig.AUDIO_MIN_FREQUENCY; f <= MorseConfig.AUDIO_MAX_FREQUENCY; f += MorseConfig.AUDIO_DECODE_PITCH_STEP_HZ) {
+            const power = this._goertzelPower(samples, 0, length, f, sampleRate);
+            if (power > bestPower) {
+                bestPower = power;
+                bestFrequency = f;
+            }
+        }
+        return bestFrequency;
+    }
+
+    /**
+     * Measures the tone magnitude at one frequency in consecutive blocks.
+     * @param {Float32Array} samples - Mono samples.
+     * @param {number} sampleRate - Sample rate in Hz.
+     * @param {number} frequency - Tone frequency in Hz.
+     * @param {number} blockMs - Block length in milliseconds.
+     * @returns {Float32Array} Magnitude per block.
+     */
+    measureEnvelope(samples, sampleRate, frequency, blockMs) {
+        const blockSize = Math.max(1, Math.round(sampleRate * blockMs / 1000));
+        const envelope = new Float32Array(Math.floor(samples.length / blockSize));
+        for (let b = 0; b < envelope.length; b++) {
+            envelope[b] = Math.sqrt(this._goertzelPower(samples, b * blockSize, blockSize, frequency, sampleRate)) / blockSize;
+        }
+        return envelope;
+    }
+
+    /**
+     * Goertzel algorithm: signal power at a single frequency over a range of samples.
+     * @private
+     */
+    _goertzelPower(samples, start, length, frequency, sampleRate) {
+        const coefficient = 2 * Math.cos(2 * Math.PI * frequency / sampleRate);
+        let previous = 0;
+        let beforePrevious = 0;
+        const end = Math.min(samples.length, start + length);
+        for (let i = start; i < end; i++) {
+            const current = samples[i] + coefficient * previous - beforePrevious;
+            beforePrevious = previous;
+            previous = current;
+        }
+        return previous * previous + beforePrevious * beforePrevious - coefficient * previous * beforePrevious;
+    }
+
+    /**
+     * Thresholds the envelope halfway between the noise floor and the tone level and
+     * collapses it into alternating key-down/key-up runs. Single-block blips are merged
+     * into their neighbours, and silence before the first and after the last tone is dropped.
+     * @param {Float32Array} envelope - Magnitude per block.
+     * @param {number} blockMs - Block length in milliseconds.
+     * @returns {Array<{on: boolean, ms: number}>}
+     * @private
+     */
+    _toRuns(envelope, blockMs) {
+        if (envelope.length === 0) return [];
+        const sorted = Array.from(envelope).sort((a, b) => a - b);
+        const noise = sorted[Math.floor(sorted.length * 0.2)];
+        const peak = sorted[Math.floor((sorted.length - 1) * 0.99)];
+        if (peak <= noise * MorseConfig.AUDIO_DECODE_MIN_SNR) return [];
+        const threshold = noise + (peak - noise) * MorseConfig.AUDIO_DECODE_THRESHOLD;
+
+        let runs = [];
+        envelope.forEach(value => {
+            const on = value >= threshold;
+            const last = runs[runs.length - 1];
+            if (last && last.on === on) last.blocks++;
+            else runs.push({ on, blocks: 1 });
+        });
+
+        // Merge blips: a one-block run between two runs of the other state joins them
+        for (let i = 1; i < runs.length - 1; i++) {
+            if (runs[i].blocks === 1) {
+                runs[i - 1].blocks += 1 + runs[i + 1].blocks;
+                runs.splice(i, 2);
+                i--;
+            }
+        }
+
+        while (runs.length && !runs[0].on) runs.shift();
+        while (runs.length && !runs[runs.length - 1].on) runs.pop();
+        return runs.map(run => ({ on: run.on, ms: run.blocks * blockMs }));
+    }
+
+    /**
+     * Splits values into a low and a high cluster (1-D two-means).
+     * @param {number[]} values - Non-empty list of durations.
+     * @returns {{low: number, high: number, threshold: number}} Cluster centres and the midpoint between them.
+     * @private
+     */
+    _twoMeans(values) {
+        let low = Math.min(...values);
+        let high = Math.max(...values);
+        for (let iteration = 0; iteration < 10; iteration++) {
+            const threshold = (low + high) / 2;
+            const lows = values.filter(v => v <= threshold);
+            const highs = values.filter(v => v > threshold);
+            if (lows.length === 0 || highs.length === 0) break;
+            low = lows.reduce((sum, v) => sum + v, 0) / lows.length;
+            high = highs.reduce((sum, v) => sum + v, 0) / highs.length;
+        }
+        return { low, high, threshold: (low + high) / 2 };
+    }
+
+    /**
+     * Estimates the dit length and the thresholds separating dits from dahs and
+     * element gaps from character and word gaps.
+     * @param {Array<{on: boolean, ms: number}>} runs - Key-down/key-up runs.
+     * @returns {{unitMs: number, dahThresholdMs: number, charGapThresholdMs: number, wordGapThresholdMs: number}}
+     * @private
+     */
+    _estimateTiming(runs) {
+        const marks = runs.filter(run => run.on).map(run => run.ms);
+        const spaces = runs.filter(run => !run.on).map(run => run.ms);
+
+        // Dits and dahs: two clear clusters give the dit directly; otherwise fall back to the shortest gap
+        const markClusters = this._twoMeans(marks);
+        let ditMs = markClusters.low;
+        if (markClusters.high / markClusters.low < 2 && spaces.length > 0) {
+            ditMs = Math.min(markClusters.low, Math.min(...spaces));
+        }
+        const dahThresholdMs = ditMs * 2;
+
+        // Element gaps are about one unit; averaging with the dit cancels keying weight
+        const elementGaps = spaces.filter(ms => ms < dahThresholdMs);
+        const unitMs = elementGaps.length > 0
+            ? (ditMs + elementGaps.reduce((sum, ms) => sum + ms, 0) / elementGaps.length) / 2
+            : ditMs;
+        const charGapThresholdMs = unitMs * 2;
+
+        // Character vs word gaps: Farnsworth stretches both, so cluster them when both are present
+        const longGaps = spaces.filter(ms => ms >= charGapThresholdMs);
+        let wordGapThresholdMs = unitMs * 5;
+        if (longGaps.length > 0) {
+            const gapClusters = this._twoMeans(longGaps);
+            if (gapClusters.high / gapClusters.low >= 1.6) {
+                wordGapThresholdMs = Math.sqrt(gapClusters.low * gapClusters.high);
+            }
+        }
+        return { unitMs, dahThresholdMs, charGapThresholdMs, wordGapThresholdMs };
+    }
+
+    /**
+     * Turns classified runs into text.
+     * @private
+     */
+    _runsToText(runs, timing) {
+        let text = '';
+        let sequence = '';
+        const flush = () => {
+            if (!sequence) return;
+            text += this.decoder.decodeSequence(sequence) ?? MorseConfig.AUDIO_DECODE_UNKNOWN_CHAR;
+            sequence = '';
+        };
+        runs.forEach(run => {
+            if (run.on) {
+                sequence += run.ms >= timing.dahThresholdMs ? '-' : '.';
+            } else if (run.ms >= timing.wordGapThresholdMs) {
+                flush();
+                text += ' ';
+            } else if (run.ms >= timing.charGapThresholdMs) {
+                flush();
+            }
+        });
+        flush();
+        return text;
+    }
+}
+
+// Create a single instance for the game
+window.morseAudioDecoder = new AudioDecoder();
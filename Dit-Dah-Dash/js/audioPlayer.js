@@ -11,24 +11,43 @@
  * Ensures onended callback is reliably called after tone completes naturally.
  * Improves audio context initialization reliability, especially on mobile.
  * Added master gain node for volume control.
+ * Supports Farnsworth timing: gaps between characters and words follow the effective WPM.
+ * Tone schedules for a Morse string can be built without playing them (used for WAV export).
+ * Sequence playback can run under simulated band conditions (noise, static, fading, QRM,
+ * key clicks, chirp) from BandConditions; input sidetones and feedback sounds stay clean.
+ * Any tone schedule can be played (e.g. the user's own recorded keying on the results screen).
+ * Tone schedules also list when each character sounds, and can be cut to start part-way
+ * through (PlaybackTransport uses both for pause, seek and the character highlight).
+ * Tones are scheduled on the AudioContext clock; the end of a sequence (PLAYBACK_ENDED and
+ * onComplete) is timed with the injectable clock from clock.js.
+ * Playback start and end are published on the event bus (PLAYBACK_STARTED/PLAYBACK_ENDED);
+ * the player does not touch the game state itself.
  */
 
 class AudioPlayer {
     /**
      * @constructor
      * Initializes audio properties.
+     * @param {object} [clock] - Scheduler { now(), setTimeout(fn, ms), clearTimeout(id) } for playback completion
+     * and for disconnecting stopped nodes.
+     * Defaults to window.morseClock.
+     * @param {EventBus} [eventBus] - Receives the playback events. Defaults to window.morseEventBus.
      */
-    constructor() {
+    constructor(clock = null, eventBus = null) {
+        this.clock = clock || window.morseClock;
+        this.eventBus = eventBus || window.morseEventBus;
         this.audioContext = null;
         this.masterGainNode = null; // For overall volume control
         this.currentVolume = MorseConfig.AUDIO_DEFAULT_VOLUME;
         this.isSoundEnabled = true; // Sound toggle state
-        this.wpm = MorseConfig.DEFAULT_WPM;
+        this.wpm = MorseConfig.DEFAULT_WPM; // Character speed
+        this.effectiveWpm = MorseConfig.DEFAULT_EFFECTIVE_WPM; // Farnsworth effective speed
+        this.keying = { weighting: MorseConfig.DEFAULT_WEIGHTING, dahRatio: MorseConfig.DEFAULT_DAH_RATIO };
         this.toneFrequency = MorseConfig.AUDIO_DEFAULT_TONE_FREQUENCY;
         this.rampTime = MorseConfig.AUDIO_RAMP_TIME;
         this.isInitialized = false; // Flag to track initialization status
 
-        // Timing (derived from WPM)
+        // Timing (derived from character and effective WPM)
         this.ditDurationSec = 0;
         this.dahDurationSec = 0;
         this.intraCharGapSec = 0;
@@ -41,8 +60,14 @@ class AudioPlayer {
         this.inputToneNode = null; // Stores { osc, gain, type: 'dit'|'dah' } for the *currently playing* input paddle tone
         this.playbackCompletionTimeoutId = null;
         this.isCurrentlyPlayingBack = false;
+        this.playbackKind = null; // 'sequence' | 'schedule' while playing (see PLAYBACK_STARTED)
         this.onToneEndCallback = null; // Callback when an input tone finishes
 
+        // Band conditions for sequence playback
+        this.bandConditionsId = MorseConfig.DEFAULT_BAND_CONDITIONS;
+        this.bandSnrDb = MorseConfig.DEFAULT_BAND_SNR_DB;
+        this.activeConditions = null; // Handle from BandConditions.start while a sequence plays
+
         this._calculateTimings(); // Initial calculation based on default WPM
     }
 
@@ -56,17 +81,17 @@ class AudioPlayer {
 
 
     /**
-     * Calculates Morse element durations based on the current WPM.
+     * Calculates Morse element durations based on the current character/effective WPM and keying weights.
      * @private
      */
     _calculateTimings() {
         if (this.wpm <= 0) return;
-        const ditMs = 1200 / this.wpm;
-        this.ditDurationSec = ditMs / 1000;
-        this.dahDurationSec = (ditMs * MorseConfig.DAH_DURATION_UNITS) / 1000;
-        this.intraCharGapSec = (ditMs * MorseConfig.INTRA_CHARACTER_GAP_UNITS) / 1000; // Gap *between* elements
-        this.interCharGapSec = (ditMs * MorseConfig.INTER_CHARACTER_GAP_UNITS) / 1000;
-        this.wordGapSec = (ditMs * MorseConfig.WORD_GAP_UNITS) / 1000;
+        const timings = MorseConfig.calculateTimings(this.wpm, this.effectiveWpm, this.keying);
+        this.ditDurationSec = timings.ditMs / 1000;
+        this.dahDurationSec = timings.dahMs / 1000;
+        this.intraCharGapSec = timings.intraCharGapMs / 1000; // Gap *between* elements
+        this.interCharGapSec = timings.interCharGapMs / 1000; // Stretched when Farnsworth is active
+        this.wordGapSec = timings.wordGapMs / 1000;
     }
 
     /**
@@ -152,6 +177,27 @@ class AudioPlayer {
         }
     }
 
+    /**
+     * Updates the Farnsworth effective speed and recalculates the gap timings.
+     * Values above the character WPM are treated as standard (non-Farnsworth) timing.
+     * @param {number} effectiveWpm - The new effective WPM value.
+     */
+    updateEffectiveWpm(effectiveWpm) {
+        if (effectiveWpm > 0 && this.effectiveWpm !== effectiveWpm) {
+            this.effectiveWpm = effectiveWpm;
+            this._calculateTimings();
+        }
+    }
+
+    /**
+     * Updates the keying weighting and dah ratio used for input tones and sequence playback.
+     * @param {{weighting: number, dahRatio: number}} keying - New keying weights.
+     */
+    updateKeyingWeights(keying) {
+        this.keying = { ...this.keying, ...keying };
+        this._calculateTimings();
+    }
+
     /**
      * Updates the base frequency for the Morse tones.
      * @param {number} frequency - The new frequency in Hz.
@@ -272,8 +318,48 @@ class AudioPlayer {
     }
 
 
+    /**
+     * Starts an input tone that keeps sounding until stopInputTone() is called.
+     * Used by straight-key input, where the tone must last exactly as long as the key is held.
+     * @returns {boolean} True if the tone was started, false otherwise.
+     */
+    startSustainedTone() {
+        if (!this.isSoundEnabled || !this.initializeAudioContext() || !this.masterGainNode) {
+            return false;
+        }
+        if (this.inputToneNode) {
+            this.stopInputTone();
+        }
+
+        let osc = null, gain = null;
+        try {
+            const now = this.audioContext.currentTime;
+            osc = this.audioContext.createOscillator();
+            gain = this.audioContext.createGain();
+            osc.connect(gain);
+            gain.connect(this.masterGainNode);
+
+            osc.type = 'sine';
+            osc.frequency.setValueAtTime(this.toneFrequency, now);
+
+            const INDIVIDUAL_GAIN = 0.9; // Same level as scheduled tones
+            gain.gain.setValueAtTime(0, now);
+            gain.gain.linearRampToValueAtTime(INDIVIDUAL_GAIN, now + this.rampTime);
+
+            osc.start(now); // No stop time: stopInputTone() ramps down and stops it
+            this.inputToneNode = { osc, gain, type: 'sustained' };
+            return true;
+        } catch (error) {
+            console.error("AudioPlayer: Error starting sustained tone:", error);
+            try { osc?.disconnect(); gain?.disconnect(); } catch(e){}
+            this.inputToneNode = null;
+            return false;
+        }
+    }
+
     /**
      * Stops the currently playing input tone immediately.
+     * Also ends a sustained (straight-key) tone.
      */
     stopInputTone() {
         if (this.inputToneNode && this.audioContext && this.audioContext.state === 'running') {
@@ -299,7 +385,7 @@ class AudioPlayer {
                 if (osc) {
                     osc.stop(now + this.rampTime + 0.01); // Stop slightly after ramp
                     // Ensure disconnect happens *after* stop time
-                    setTimeout(() => {
+                    this.clock.setTimeout(() => {
                         try {
                             if (osc) osc.disconnect();
                             if (gain) gain.disconnect();
@@ -319,9 +405,35 @@ class AudioPlayer {
     }
 
 
+    /**
+     * Sets the band conditions applied to sequence playback. Takes effect from the next sequence.
+     * @param {string} presetId - Key of MorseConfig.BAND_CONDITION_PRESETS.
+     * @param {number} snrDb - Signal-to-noise ratio of the noise floor in dB.
+     */
+    setBandConditions(presetId, snrDb) {
+        this.bandConditionsId = MorseConfig.BAND_CONDITION_PRESETS[presetId] ? presetId : MorseConfig.DEFAULT_BAND_CONDITIONS;
+        const snr = parseFloat(snrDb);
+        this.bandSnrDb = isNaN(snr)
+            ? MorseConfig.DEFAULT_BAND_SNR_DB
+            : Math.max(MorseConfig.MIN_BAND_SNR_DB, Math.min(MorseConfig.MAX_BAND_SNR_DB, snr));
+        console.log(`AudioPlayer band conditions: ${this.bandConditionsId} at ${this.bandSnrDb} dB SNR`);
+    }
+
+    /**
+     * Stops the band conditions of the current sequence, if any.
+     * @private
+     */
+    _stopBandConditions() {
+        if (this.activeConditions) {
+            this.activeConditions.stop();
+            this.activeConditions = null;
+        }
+    }
+
     /**
      * Internal helper to schedule a single oscillator tone.
-     * Assumes audio context is valid and running. Connects to masterGainNode.
+     * Assumes audio context is valid and running. Connects to masterGainNode, or for sequence
+     * playback under band conditions, to the conditions' signal input (with their ramp time and chirp).
      * @param {number} startTime - The audioContext time when the tone should start.
      * @param {number} duration - The duration of the tone in seconds.
      * @param {number} frequency - The frequency of the tone in Hz.
@@ -341,28 +453,35 @@ class AudioPlayer {
              return null;
         }
 
+        const conditions = isSequencePlayback ? this.activeConditions : null;
+        const rampTime = conditions ? conditions.rampTime : this.rampTime;
+
         try {
             const osc = this.audioContext.createOscillator();
             const gain = this.audioContext.createGain(); // Individual gain for ramp
             osc.connect(gain);
-            gain.connect(this.masterGainNode); // Connect individual gain to MASTER gain
+            gain.connect(conditions ? conditions.signalInput : this.masterGainNode); // Connect individual gain to MASTER gain
 
             osc.type = 'sine';
-            osc.frequency.setValueAtTime(frequency, startTime);
+            if (conditions && conditions.chirp) {
+                window.morseBandConditions.applyChirp(osc, conditions.chirp, frequency, startTime);
+            } else {
+                osc.frequency.setValueAtTime(frequency, startTime);
+            }
 
             // Gain scheduling (ramp up, hold, ramp down) for the *individual* gain node
-            const INDIVIDUAL_GAIN = 0.9; // Don't use full 1.0 to avoid clipping if master is 1.0
+            const INDIVIDUAL_GAIN = MorseConfig.AUDIO_TONE_PEAK_GAIN; // Don't use full 1.0 to avoid clipping if master is 1.0
             gain.gain.setValueAtTime(0, startTime);
-            gain.gain.linearRampToValueAtTime(INDIVIDUAL_GAIN, startTime + this.rampTime);
+            gain.gain.linearRampToValueAtTime(INDIVIDUAL_GAIN, startTime + rampTime);
             // Ensure hold phase exists if duration is longer than ramp times
-            if (duration > this.rampTime * 2) {
-                 gain.gain.setValueAtTime(INDIVIDUAL_GAIN, startTime + duration - this.rampTime);
+            if (duration > rampTime * 2) {
+                 gain.gain.setValueAtTime(INDIVIDUAL_GAIN, startTime + duration - rampTime);
             }
             gain.gain.linearRampToValueAtTime(0, startTime + duration);
 
             osc.start(startTime);
             // Calculate stop time slightly after gain ramp completes
-            const stopTime = startTime + duration + this.rampTime; // Add small buffer
+            const stopTime = startTime + duration + rampTime; // Add small buffer
             osc.stop(stopTime);
 
              const nodeRef = { osc, gain, type };
@@ -397,28 +516,21 @@ class AudioPlayer {
     }
 
     /**
-     * Plays a full Morse sequence based on a formatted string.
+     * Converts a formatted Morse string into tone start times and durations using the
+     * current character/effective WPM and keying weights.
      * Assumes the string contains '.', '-', ' ', '/', '|' markers generated by MorseDecoder.
-     * Ensures audio context is ready before starting playback.
      * @param {string} morseString - The formatted Morse sequence (e.g., ". - . / - ---").
-     * @param {function} [onComplete] - Optional callback function executed when playback finishes naturally.
+     * @returns {{tones: Array<{offset: number, duration: number}>, totalDuration: number,
+     * characters: Array<{start: number, end: number}>}} Tone offsets and durations in seconds from the start,
+     * the total length including the trailing gap, and when each character (run of elements between
+     * '/' or '|' markers) starts and stops sounding, in order.
      */
-    playMorseSequence(morseString, onComplete) {
-        // Ensure context is initialized and ready FIRST.
-        if (!this.isSoundEnabled || !this.initializeAudioContext() || !morseString) {
-            console.warn("playMorseSequence skipped: Sound disabled, context not ready, or empty string.");
-            if (onComplete) onComplete();
-            return;
-        }
-
-        this.stopPlayback(); // Stop any previous sequence first
-        this.stopInputTone(); // Ensure input tone doesn't interfere
-        this.isCurrentlyPlayingBack = true;
-        console.log("Starting Morse sequence playback...");
-        if (window.morseGameState) window.morseGameState.status = GameStatus.PLAYING_BACK;
-
-        let scheduledTime = this.audioContext.currentTime;
-        const elements = morseString.split(/(\s+|\/|\|)/); // Split including delimiters
+    buildToneSchedule(morseString) {
+        const tones = [];
+        const characters = [];
+        let inCharacter = false; // An element of the current character was already scheduled
+        let scheduledTime = 0;
+        const elements = (morseString || '').split(/(\s+|\/|\|)/); // Split including delimiters
 
         elements.forEach(element => {
             if (!element) return; // Skip empty strings from split
@@ -426,23 +538,24 @@ class AudioPlayer {
             let currentDuration = 0;
             let gapDuration = 0; // Use 0 gap by default unless specified
 
-            if (element === '.') {
-                currentDuration = this.ditDurationSec;
-                this._scheduleTone(scheduledTime, currentDuration, this.toneFrequency, true);
-                gapDuration = this.intraCharGapSec; // Gap AFTER dit
-            } else if (element === '-') {
-                currentDuration = this.dahDurationSec;
-                this._scheduleTone(scheduledTime, currentDuration, this.toneFrequency, true);
-                gapDuration = this.intraCharGapSec; // Gap AFTER dah
+            if (element === '.' || element === '-') {
+                currentDuration = element === '.' ? this.ditDurationSec : this.dahDurationSec;
+                tones.push({ offset: scheduledTime, duration: currentDuration });
+                if (!inCharacter) characters.push({ start: scheduledTime, end: 0 });
+                characters[characters.length - 1].end = scheduledTime + currentDuration;
+                inCharacter = true;
+                gapDuration = this.intraCharGapSec; // Gap AFTER dit/dah
             } else if (element === '/') {
                  // Inter-character gap is TOTAL gap. We already added intra-char gap implicitly
                  // after the previous element, so only add the *difference*.
                  gapDuration = this.interCharGapSec - this.intraCharGapSec;
                  currentDuration = 0; // No sound duration for gap markers
+                 inCharacter = false;
             } else if (element === '|') {
                  // Word gap is TOTAL gap. Subtract the implicit intra-char gap.
                  gapDuration = this.wordGapSec - this.intraCharGapSec;
                  currentDuration = 0; // No sound duration for gap markers
+                 inCharacter = false;
              }
              // Ignore ' ' (space) delimiters explicitly now handled by split regex
 
@@ -452,24 +565,152 @@ class AudioPlayer {
              scheduledTime += currentDuration + gapDuration;
         });
 
-        // Calculate total duration from the start time to the final scheduled time
-        const totalDurationMs = (scheduledTime - this.audioContext.currentTime) * 1000;
+        return { tones, totalDuration: scheduledTime, characters };
+    }
+
+    /**
+     * Converts recorded key-down periods (GameState.keyTimeline) into a tone schedule with the
+     * user's real timing. Only pauses longer than AUDIO_REPLAY_MAX_GAP_SECONDS are shortened.
+     * @param {Array<{down: number, up: number}>} timeline - Key-down periods in ms.
+     * @returns {{tones: Array<{offset: number, duration: number}>, totalDuration: number}}
+     */
+    buildRecordedSchedule(timeline) {
+        const tones = [];
+        let offset = 0;
+        (timeline || []).forEach((entry, i) => {
+            if (i > 0) {
+                const gapSec = Math.max(0, entry.down - timeline[i - 1].up) / 1000;
+                offset += Math.min(gapSec, MorseConfig.AUDIO_REPLAY_MAX_GAP_SECONDS);
+            }
+            const duration = Math.max(0, entry.up - entry.down) / 1000;
+            tones.push({ offset, duration });
+            offset += duration;
+        });
+        return { tones, totalDuration: offset + this.intraCharGapSec };
+    }
+
+    /**
+     * Joins tone schedules end to end with a pause between them.
+     * @param {Array<{tones: Array<{offset: number, duration: number}>, totalDuration: number}>} schedules
+     * @param {number} gapSec - Pause inserted after each schedule, in seconds.
+     * @returns {{tones: Array<{offset: number, duration: number}>, totalDuration: number}}
+     */
+    joinSchedules(schedules, gapSec) {
+        const tones = [];
+        let offset = 0;
+        schedules.forEach(schedule => {
+            schedule.tones.forEach(tone => tones.push({ offset: offset + tone.offset, duration: tone.duration }));
+            offset += schedule.totalDuration + gapSec;
+        });
+        return { tones, totalDuration: offset };
+    }
+
+    /**
+     * Cuts the start off a tone schedule, e.g. to resume playback part-way through a sentence.
+     * Tones starting before the cut are dropped; the rest move forward so the cut is at 0.
+     * @param {{tones: Array<{offset: number, duration: number}>, totalDuration: number}} schedule
+     * @param {number} fromSec - Where the new schedule starts, in seconds.
+     * @returns {{tones: Array<{offset: number, duration: number}>, totalDuration: number}}
+     */
+    sliceSchedule(schedule, fromSec) {
+        const tones = schedule.tones
+            .filter(tone => tone.offset >= fromSec)
+            .map(tone => ({ offset: tone.offset - fromSec, duration: tone.duration }));
+        return { tones, totalDuration: Math.max(0, schedule.totalDuration - fromSec) };
+    }
+
+    /**
+     * Plays a full Morse sequence based on a formatted string.
+     * Assumes the string contains '.', '-', ' ', '/', '|' markers generated by MorseDecoder.
+     * Ensures audio context is ready before starting playback.
+     * @param {string} morseString - The formatted Morse sequence (e.g., ". - . / - ---").
+     * @param {function} [onComplete] - Optional callback function executed when playback finishes naturally.
+     */
+    playMorseSequence(morseString, onComplete) {
+        // Ensure context is initialized and ready FIRST.
+        if (!this.isSoundEnabled || !this.initializeAudioContext() || !morseString) {
+            console.warn("playMorseSequence skipped: Sound disabled, context not ready, or empty string.");
+            if (onComplete) onComplete();
+            return;
+        }
+
+        const schedule = this.buildToneSchedule(morseString);
+        if (schedule.tones.length === 0) {
+            if (onComplete) onComplete();
+            return;
+        }
+
+        console.log("Starting Morse sequence playback...");
+        this.playToneSchedule(schedule, onComplete, true, 'sequence');
+    }
+
+    /**
+     * Plays a tone schedule at the current frequency and volume, replacing any sequence that is playing.
+     * Published as a 'schedule' playback unless told otherwise, so listeners can tell it from played text
+     * (the game status only follows 'sequence' playback, so this can be used on the results screen).
+     * @param {{tones: Array<{offset: number, duration: number}>, totalDuration: number}} schedule - Tone offsets
+     * and durations in seconds (see buildToneSchedule).
+     * @param {function} [onComplete] - Called when playback finishes naturally.
+     * @param {boolean} [useBandConditions=false] - Play under the band conditions setting.
+     * @param {'sequence'|'schedule'} [kind='schedule'] - Reported in PLAYBACK_STARTED/PLAYBACK_ENDED.
+     */
+    playToneSchedule(schedule, onComplete, useBandConditions = false, kind = 'schedule') {
+        if (!this.isSoundEnabled || !this.initializeAudioContext() || schedule.tones.length === 0) {
+            if (onComplete) onComplete();
+            return;
+        }
+
+        this.stopPlayback(); // Stop any previous sequence first
+        this.stopInputTone(); // Ensure input tone doesn't interfere
+        this.isCurrentlyPlayingBack = true;
+        this.playbackKind = kind;
+
+        const startTime = this.audioContext.currentTime;
+        if (useBandConditions && this.bandConditionsId !== MorseConfig.DEFAULT_BAND_CONDITIONS && window.morseBandConditions) {
+            this.activeConditions = window.morseBandConditions.start(this.audioContext, this.masterGainNode, {
+                presetId: this.bandConditionsId,
+                snrDb: this.bandSnrDb,
+                frequency: this.toneFrequency,
+                peakGain: MorseConfig.AUDIO_TONE_PEAK_GAIN,
+                rampTime: this.rampTime,
+                startTime,
+                duration: schedule.totalDuration
+            });
+        }
+        schedule.tones.forEach(tone => {
+            this._scheduleTone(startTime + tone.offset, tone.duration, this.toneFrequency, true);
+        });
+
+        // Total duration from the start time to the final scheduled time
+        const totalDurationMs = schedule.totalDuration * 1000;
 
         // Schedule the completion callback
-        this.playbackCompletionTimeoutId = setTimeout(() => {
+        this.playbackCompletionTimeoutId = this.clock.setTimeout(() => {
             this.isCurrentlyPlayingBack = false;
             this.playbackNodes = []; // Clear node references
             this.playbackCompletionTimeoutId = null;
-            console.log("Morse sequence playback finished naturally.");
-            if (window.morseGameState && window.morseGameState.status === GameStatus.PLAYING_BACK) {
-                 // Revert state based on where playback was initiated
-                 if(window.morseGameState.currentMode === AppMode.PLAYBACK) {
-                     window.morseGameState.status = GameStatus.PLAYBACK_INPUT;
-                 }
-                 // Could add logic here if playback occurs in other modes
-             }
+            this._stopBandConditions();
+            console.log("Tone playback finished naturally.");
+            this._publishPlaybackEnded(true);
             if (onComplete) onComplete();
         }, Math.max(0, totalDurationMs) + 150); // Add buffer to ensure all sounds finished
+        this._publish(AppEvent.PLAYBACK_STARTED, { kind, durationMs: totalDurationMs });
+    }
+
+    /**
+     * Publishes the end of the current playback.
+     * @param {boolean} completed - False when it was stopped early.
+     * @private
+     */
+    _publishPlaybackEnded(completed) {
+        const kind = this.playbackKind;
+        this.playbackKind = null;
+        this._publish(AppEvent.PLAYBACK_ENDED, { kind, completed });
+    }
+
+    /** Publishes an event on the bus if there is one. @private */
+    _publish(event, payload) {
+        if (this.eventBus) this.eventBus.emit(event, payload);
     }
 
     /**
@@ -478,7 +719,7 @@ class AudioPlayer {
      */
     stopPlayback() {
         if (this.playbackCompletionTimeoutId) {
-            clearTimeout(this.playbackCompletionTimeoutId);
+            this.clock.clearTimeout(this.playbackCompletionTimeoutId);
             this.playbackCompletionTimeoutId = null;
         }
 
@@ -499,7 +740,7 @@ class AudioPlayer {
                         osc.onended = null; // Remove default handler
                         osc.stop(now + this.rampTime + 0.01);
                         // Disconnect slightly later
-                         setTimeout(() => {
+                         this.clock.setTimeout(() => {
                              try {
                                 if (osc) osc.disconnect();
                                 if (gain) gain.disconnect();
@@ -515,16 +756,13 @@ class AudioPlayer {
         } else {
              this.playbackNodes = []; // Ensure array is clear even if context wasn't running
         }
+        this._stopBandConditions();
 
-         // Update game state if playback was active
+         // Announce the end if playback was active
          if (this.isCurrentlyPlayingBack) {
              this.isCurrentlyPlayingBack = false;
-             if (window.morseGameState && window.morseGameState.status === GameStatus.PLAYING_BACK) {
-                 if(window.morseGameState.currentMode === AppMode.PLAYBACK) {
-                     window.morseGameState.status = GameStatus.PLAYBACK_INPUT;
-                 }
-             }
              console.log("Playback stopped manually.");
+             this._publishPlaybackEnded(false);
          }
     }
 
@@ -544,7 +782,7 @@ class AudioPlayer {
                      if (osc) {
                          osc.onended = null;
                          osc.stop(now + this.rampTime + 0.01);
-                          setTimeout(() => {
+                          this.clock.setTimeout(() => {
                               try {
                                  if (osc) osc.disconnect();
                                  if (gain) gain.disconnect();
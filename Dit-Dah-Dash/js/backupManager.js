@@ -0,0 +1,349 @@
+/* Dit-Dah-Dash/js/backupManager.js */
+/* In file: js/backupManager.js */
+/**
+ * js/backupManager.js
+ * -------------------
+ * Exports the active profile to a versioned JSON backup and imports one back, e.g. to
+ * move progress to another browser. A backup holds everything the profile stores in
+ * localStorage (high scores, unlocked levels, settings and key mappings, paddle
+ * textures, Koch progress, character stats and user-made level packs) plus its session
+ * history:
+ *   { format, version, exportedAt, profileName, storage: { name: rawValue }, sessions: [...] }
+ * Storage names are the MorseConfig.STORAGE_KEY_* keys without the key prefix (level
+ * keys may carry an alphabet suffix). Imports are validated first (every entry's contents,
+ * level packs as the level editor would) and can be previewed.
+ * Replace overwrites the profile with the backup; merge keeps the better high score per
+ * level, unions unlocked levels, keeps the furthest Koch lesson and the character stats
+ * with the most attempts, adds level packs that aren't there yet (same id), keeps current
+ * settings (filling in missing ones) and adds sessions that aren't already in the history.
+ */
+
+class BackupManager {
+    /**
+     * @constructor
+     * @param {ProfileManager} [profileManager] - The active profile. Defaults to the global instance.
+     * @param {SessionHistory} [sessionHistory] - Session log. Defaults to the global instance.
+     * @param {StorageManager} [storage] - Storage access (in the active profile). Defaults to the global instance.
+     * @param {LevelPackManager} [levelPackManager] - Validates imported level packs. Defaults to the global instance.
+     */
+    constructor(profileManager = null, sessionHistory = null, storage = null, levelPackManager = null) {
+        this.profileManager = profileManager || window.morseProfileManager;
+        this.sessionHistory = sessionHistory || window.morseSessionHistory;
+        this.storage = storage || window.morseStorage;
+        this.levelPackManager = levelPackManager || window.morseLevelPackManager;
+        // What can be in a backup, by storage key, with the shape its value must have and how it is merged
+        this.categories = [
+            { label: "High scores", keys: ['STORAGE_KEY_HIGH_SCORES', 'STORAGE_KEY_RECEIVE_HIGH_SCORES'], schema: 'highScores', merge: 'highScores' },
+            { label: "Unlocked levels", keys: ['STORAGE_KEY_UNLOCKED_LEVELS', 'STORAGE_KEY_RECEIVE_UNLOCKED_LEVELS'], schema: 'levelIds', merge: 'union' },
+            { label: "Koch progress", keys: ['STORAGE_KEY_KOCH_PROGRESS'], schema: 'koch', merge: 'koch' },
+            { label: "Character stats", keys: ['STORAGE_KEY_CHARACTER_STATS'], schema: 'characterStats', merge: 'characterStats' },
+            { label: "Paddle textures", keys: ['STORAGE_KEY_PADDLE_TEXTURES'], schema: 'paddleTextures', merge: 'keepCurrent' },
+            { label: "Level packs", keys: ['STORAGE_KEY_LEVEL_PACKS'], schema: 'levelPacks', merge: 'levelPacks' },
+            { label: "Settings & key mappings", keys: Object.keys(MorseConfig).filter(k => k.startsWith('STORAGE_KEY_SETTINGS_')), schema: 'setting', merge: 'keepCurrent' }
+        ].map(category => ({
+            ...category,
+            names: category.keys.map(k => MorseConfig[k].slice(MorseConfig.STORAGE_KEY_PREFIX.length))
+        }));
+    }
+
+    /**
+     * Finds the category of a storage name ('highScores_cyrillic' belongs with 'highScores').
+     * @param {string} name - Storage name without the key prefix.
+     * @returns {object|null}
+     * @private
+     */
+    _categoryOf(name) {
+        return this.categories.find(category =>
+            category.names.some(base => name === base || name.startsWith(`${base}_`))) || null;
+    }
+
+    /**
+     * Collects the active profile's data.
+     * @returns {Promise<object>} The backup object.
+     */
+    createBackup() {
+        const storage = {};
+        this.profileManager.listKeys()
+            .filter(name => this._categoryOf(name))
+            .forEach(name => { storage[name] = this.storage.getItem(MorseConfig.STORAGE_KEY_PREFIX + name); });
+        const profileId = this.profileManager.getActiveProfile().id;
+        return this.sessionHistory.getSessions().then(sessions => ({
+            format: MorseConfig.BACKUP_FORMAT,
+            version: MorseConfig.BACKUP_VERSION,
+            exportedAt: new Date().toISOString(),
+            profileName: this.profileManager.getActiveProfile().name,
+            storage,
+            sessions: sessions
+                .filter(session => this.sessionHistory.sessionProfileId(session) === profileId)
+                .map(({ id, profileId: _profileId, ...session }) => session) // Ids are per device
+        }));
+    }
+
+    /**
+     * Offers the active profile's backup as a download.
+     * @returns {Promise<void>}
+     */
+    exportBackup() {
+        return this.createBackup().then(backup => {
+            const slug = backup.profileName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'profile';
+            window.downloadFile(JSON.stringify(backup, null, 2), `dit-dah-dash-${slug}-${backup.exportedAt.slice(0, 10)}.json`, 'application/json');
+            console.log(`Backup exported: ${Object.keys(backup.storage).length} entries, ${backup.sessions.length} sessions.`);
+        });
+    }
+
+    /**
+     * Parses and validates a backup file's text.
+     * @param {string} text - File contents.
+     * @returns {object} The backup.
+     * @throws {Error} With a user-facing message if the file isn't a usable backup.
+     */
+    parseBackup(text) {
+        let backup;
+        try {
+            backup = JSON.parse(text);
+        } catch (e) {
+            throw new Error("This file isn't valid JSON.");
+        }
+        this.validateBackup(backup);
+        return backup;
+    }
+
+    /**
+     * Checks a parsed backup: its envelope, the shape of every storage entry and the sessions.
+     * @param {object} backup - The parsed file.
+     * @throws {Error} With a user-facing message if the backup isn't usable.
+     */
+    validateBackup(backup) {
+        if (!backup || typeof backup !== 'object' || backup.format !== MorseConfig.BACKUP_FORMAT) {
+            throw new Error("This file isn't a Dit-Dah-Dash backup.");
+        }
+        if (!Number.isInteger(backup.version) || backup.version < 1) {
+            throw new Error("The backup has no valid version.");
+        }
+        if (backup.version > MorseConfig.BACKUP_VERSION) {
+            throw new Error("This backup was made by a newer version of Dit-Dah-Dash. Please update first.");
+        }
+        if (!backup.storage || typeof backup.storage !== 'object' || Array.isArray(backup.storage)) {
+            throw new Error("The backup has no stored data.");
+        }
+        Object.entries(backup.storage).forEach(([name, value]) => {
+            const category = this._categoryOf(name);
+            if (!category) throw new Error(`The backup contains an unknown entry "${name}".`);
+            if (typeof value !== 'string') throw new Error(`The backup entry "${name}" is not text.`);
+            const problem = this._checkValue(category.schema, name, value);
+            if (problem) throw new Error(`The backup entry "${name}" is damaged: ${problem}`);
+        });
+        if (!Array.isArray(backup.sessions)) {
+            throw new Error("The backup has no session history list.");
+        }
+        backup.sessions.forEach(session => {
+            if (!session || typeof session !== 'object' || typeof session.timestamp !== 'number') {
+                throw new Error("The backup's session history is damaged.");
+            }
+        });
+    }
+
+    /**
+     * Checks that a stored value has the shape the modules that read it expect.
+     * @param {string} schema - The category's schema (see the constructor).
+     * @param {string} name - Storage name (picks the setting's type for 'setting').
+     * @param {string} text - The raw stored value.
+     * @returns {string|null} What is wrong with it, or null if it is fine.
+     * @private
+     */
+    _checkValue(schema, name, text) {
+        if (schema === 'setting') return this._checkSetting(name, text);
+        let value;
+        try {
+            value = JSON.parse(text);
+        } catch (e) {
+            return "not valid JSON.";
+        }
+        const isObject = (item) => item !== null && typeof item === 'object' && !Array.isArray(item);
+        const isCount = (item) => Number.isFinite(item) && item >= 0;
+
+        if (schema === 'highScores') {
+            if (!isObject(value) || !Object.values(value).every(score => isObject(score) &&
+                Number.isFinite(score.score) && Number.isFinite(score.accuracy) && Number.isFinite(score.time))) {
+                return "expected a score, accuracy and time for each level.";
+            }
+        } else if (schema === 'levelIds') {
+            if (!Array.isArray(value) || !value.every(Number.isInteger)) return "expected a list of level numbers.";
+        } else if (schema === 'koch') {
+            if (!isObject(value) || !Number.isInteger(value.currentLesson) || !Number.isInteger(value.highestLesson)
+                || value.currentLesson < 1 || value.highestLesson < 1) {
+                return "expected the current and highest lesson numbers.";
+            }
+        } else if (schema === 'characterStats') {
+            if (!isObject(value) || !Object.values(value).every(entry => isObject(entry) && isCount(entry.attempts) && isCount(entry.misses))) {
+                return "expected attempts and misses for each character.";
+            }
+        } else if (schema === 'paddleTextures') {
+            if (!isObject(value) || !['dit', 'dah'].every(side => value[side] == null || typeof value[side] === 'string')) {
+                return "expected an image for the dit and dah paddles.";
+            }
+        } else if (schema === 'levelPacks') {
+            if (!Array.isArray(value)) return "expected a list of level packs.";
+            for (const pack of value) {
+                if (!isObject(pack) || typeof pack.id !== 'string' || typeof pack.name !== 'string' || !Array.isArray(pack.levels)) {
+                    return "a level pack has no id, name or levels.";
+                }
+                const errors = this.levelPackManager.validateLevels(pack.levels);
+                if (errors.length > 0) return `level pack "${pack.name}": ${errors[0]}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Checks a raw setting value against the values the settings screen can save.
+     * Key mappings and the selected level pack may be any text.
+     * @returns {string|null} What is wrong with it, or null if it is fine.
+     * @private
+     */
+    _checkSetting(name, text) {
+        const key = MorseConfig.STORAGE_KEY_PREFIX + name;
+        const numbers = ['WPM', 'EFFECTIVE_WPM', 'FREQUENCY', 'VOLUME', 'WEIGHTING', 'DAH_RATIO', 'BAND_SNR'];
+        const booleans = ['SOUND', 'DARK_MODE', 'HINT_VISIBLE', 'DIT_MEMORY', 'DAH_MEMORY'];
+        const choices = {
+            INPUT_MODE: Object.values(MorseConfig.INPUT_MODES),
+            KEYER_MODE: Object.values(KeyerMode),
+            ALPHABET: Object.keys(MorseAlphabets.ALPHABETS),
+            BAND_CONDITIONS: Object.keys(MorseConfig.BAND_CONDITION_PRESETS)
+        };
+        const isSetting = (suffix) => key === MorseConfig[`STORAGE_KEY_SETTINGS_${suffix}`];
+
+        if (numbers.some(isSetting) && (text.trim() === '' || !Number.isFinite(Number(text)))) return "expected a number.";
+        if (booleans.some(isSetting) && text !== 'true' && text !== 'false') return "expected true or false.";
+        const choice = Object.keys(choices).find(isSetting);
+        if (choice && !choices[choice].includes(text)) return `"${text}" is not one of the options.`;
+        return null;
+    }
+
+    /**
+     * Describes what importing a backup would change, per category.
+     * @param {object} backup - From parseBackup.
+     * @returns {Promise<Array<{label: string, added: number, changed: number, unchanged: number}>>}
+     * Counts of storage entries (sessions for the session history) that are new, different or the same.
+     */
+    previewImport(backup) {
+        const rows = this.categories.map(category => ({ label: category.label, added: 0, changed: 0, unchanged: 0 }));
+        Object.entries(backup.storage).forEach(([name, value]) => {
+            const row = rows[this.categories.indexOf(this._categoryOf(name))];
+            const current = this.storage.getItem(MorseConfig.STORAGE_KEY_PREFIX + name);
+            if (current === null) row.added++;
+            else if (current === value) row.unchanged++;
+            else row.changed++;
+        });
+        return this._getProfileSessions().then(sessions => {
+            const known = new Set(sessions.map(session => this._sessionKey(session)));
+            const added = backup.sessions.filter(session => !known.has(this._sessionKey(session))).length;
+            rows.push({ label: "Session history", added, changed: 0, unchanged: backup.sessions.length - added });
+            return rows.filter(row => row.added + row.changed + row.unchanged > 0);
+        });
+    }
+
+    /**
+     * Imports a backup into the active profile. Modules only load their data at startup,
+     * so the page should be reloaded afterwards.
+     * The backup is validated again and every value is worked out before the first one is
+     * written, so a bad backup leaves the profile untouched. Errors reject the promise.
+     * @param {object} backup - From parseBackup.
+     * @param {'merge'|'replace'} mode - See the file header.
+     * @returns {Promise<void>}
+     */
+    importBackup(backup, mode) {
+        const profileId = this.profileManager.getActiveProfile().id;
+        const ownSession = (session) => this.sessionHistory.sessionProfileId(session) === profileId;
+
+        return new Promise(resolve => {
+            if (mode !== 'merge' && mode !== 'replace') throw new Error(`Unknown import mode "${mode}".`);
+            this.validateBackup(backup);
+            const values = Object.entries(backup.storage).map(([name, value]) => {
+                const key = MorseConfig.STORAGE_KEY_PREFIX + name;
+                const current = mode === 'merge' ? this.storage.getItem(key) : null;
+                return [key, current === null ? value : this._mergeValue(this._categoryOf(name), name, current, value)];
+            });
+
+            if (mode === 'replace') {
+                this.profileManager.listKeys()
+                    .filter(name => this._categoryOf(name))
+                    .forEach(name => this.storage.removeItem(MorseConfig.STORAGE_KEY_PREFIX + name));
+            }
+            values.forEach(([key, value]) => this.storage.setItem(key, value));
+            resolve(mode === 'replace' ? this.sessionHistory.clear(ownSession) : undefined);
+        })
+            .then(() => this._getProfileSessions())
+            .then(sessions => {
+                const known = new Set(sessions.map(session => this._sessionKey(session)));
+                const added = backup.sessions.filter(session => !known.has(this._sessionKey(session)));
+                // One at a time keeps the history in timestamp order
+                return added.reduce((chain, { id, ...session }) =>
+                    chain.then(() => this.sessionHistory.record({ ...session, profileId })), Promise.resolve())
+                    .then(() => added.length);
+            })
+            .then(addedSessions => console.log(`Backup imported (${mode}): ${Object.keys(backup.storage).length} entries, ${addedSessions} new sessions.`));
+    }
+
+    /**
+     * Merges one stored value with the backup's (already validated). A current value that
+     * doesn't have the expected shape is replaced by the backup's.
+     * @param {object} category - The entry's category.
+     * @param {string} name - Storage name.
+     * @param {string} currentText - The stored value.
+     * @param {string} importedText - The backup's value.
+     * @returns {string} The value to store.
+     * @private
+     */
+    _mergeValue(category, name, currentText, importedText) {
+        const strategy = category.merge;
+        if (this._checkValue(category.schema, name, currentText)) {
+            console.warn(`Backup merge: the stored ${name} is damaged, using the backup's.`);
+            return importedText;
+        }
+        if (strategy === 'keepCurrent') return currentText;
+        const current = JSON.parse(currentText);
+        const imported = JSON.parse(importedText);
+        let merged = current;
+        if (strategy === 'highScores') {
+            merged = { ...current };
+            Object.entries(imported).forEach(([levelId, score]) => {
+                const mine = merged[levelId];
+                if (!mine || score.score > mine.score || (score.score === mine.score && score.accuracy > mine.accuracy)) {
+                    merged[levelId] = score;
+                }
+            });
+        } else if (strategy === 'union') {
+            merged = Array.from(new Set([...current, ...imported]));
+        } else if (strategy === 'koch') {
+            merged = {
+                currentLesson: current.currentLesson,
+                highestLesson: Math.max(current.highestLesson, imported.highestLesson)
+            };
+        } else if (strategy === 'characterStats') {
+            merged = { ...current };
+            Object.entries(imported).forEach(([char, entry]) => {
+                if (!merged[char] || entry.attempts > merged[char].attempts) merged[char] = entry;
+            });
+        } else if (strategy === 'levelPacks') {
+            const knownIds = new Set(current.map(pack => pack.id));
+            merged = [...current, ...imported.filter(pack => !knownIds.has(pack.id))];
+        }
+        return JSON.stringify(merged);
+    }
+
+    /** @private */
+    _getProfileSessions() {
+        const profileId = this.profileManager.getActiveProfile().id;
+        return this.sessionHistory.getSessions()
+            .then(sessions => sessions.filter(session => this.sessionHistory.sessionProfileId(session) === profileId));
+    }
+
+    /** Identifies a session across devices (database ids differ). @private */
+    _sessionKey(session) {
+        return `${session.timestamp}|${session.mode}|${session.sentence}`;
+    }
+}
+
+// Create a single instance for the game
+window.morseBackupManager = new BackupManager();
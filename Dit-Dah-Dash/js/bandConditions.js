@@ -0,0 +1,261 @@
+/* Dit-Dah-Dash/js/bandConditions.js */
+/* In file: js/bandConditions.js */
+/**
+ * js/bandConditions.js
+ * --------------------
+ * Simulated band conditions for sequence playback (Playback, Receive and Koch).
+ * A preset (MorseConfig.BAND_CONDITION_PRESETS) combines any of:
+ * - noise: a white or pink noise floor in the receiver passband at a chosen SNR
+ * - crashes: random static crashes (QRN)
+ * - qsb: slow sinusoidal fading of the wanted signal
+ * - qrm: other stations sending random characters at nearby pitches
+ * - clicks: hard keying (near-zero rise/fall time)
+ * - chirp: tone frequency that settles after each key-down
+ * AudioPlayer starts a preset for the length of a sequence and routes its tones through
+ * the returned handle; input sidetones are never affected.
+ */
+
+class BandConditions {
+    /**
+     * @constructor
+     * @param {function(): number} [random] - Random source in [0, 1). Defaults to Math.random.
+     */
+    constructor(random = null) {
+        this.random = random || Math.random;
+        this.noiseBuffers = new Map(); // `${sampleRate}:${color}` -> AudioBuffer
+    }
+
+    /**
+     * Lists the presets for the settings UI.
+     * @returns {Array<{id: string, name: string}>}
+     */
+    getPresets() {
+        return Object.entries(MorseConfig.BAND_CONDITION_PRESETS).map(([id, preset]) => ({ id, name: preset.name }));
+    }
+
+    /**
+     * @param {string} presetId - Preset id.
+     * @returns {object} The preset, or the clean preset if unknown.
+     */
+    getPreset(presetId) {
+        return MorseConfig.BAND_CONDITION_PRESETS[presetId] || MorseConfig.BAND_CONDITION_PRESETS[MorseConfig.DEFAULT_BAND_CONDITIONS];
+    }
+
+    /**
+     * Starts a preset for one sequence.
+     * @param {AudioContext} context - The audio context.
+     * @param {AudioNode} destination - Where everything ends up (AudioPlayer's master gain).
+     * @param {object} options
+     * @param {string} options.presetId - Preset id.
+     * @param {number} options.snrDb - Signal-to-noise ratio for the noise floor, in dB.
+     * @param {number} options.frequency - Wanted signal pitch in Hz.
+     * @param {number} options.peakGain - Peak gain of the wanted signal's tones.
+     * @param {number} options.rampTime - Normal tone rise/fall time in seconds.
+     * @param {number} options.startTime - Context time the sequence starts.
+     * @param {number} options.duration - Sequence length in seconds.
+     * @returns {{signalInput: AudioNode, rampTime: number, chirp: object | null, stop: function(): void}}
+     * Connect the wanted signal's tones to signalInput, use rampTime for their envelopes and apply chirp
+     * (see applyChirp). Call stop() when playback ends or is cancelled.
+     */
+    start(context, destination, { presetId, snrDb, frequency, peakGain, rampTime, startTime, duration }) {
+        const preset = this.getPreset(presetId);
+        const sources = []; // Scheduled source nodes, stopped together
+        const nodes = [];   // Every node to disconnect on stop
+
+        const signalInput = context.createGain();
+        signalInput.connect(destination);
+        nodes.push(signalInput);
+        const endTime = startTime + duration;
+
+        if (preset.qsb) this._startQsb(context, signalInput, preset.qsb, startTime, endTime, sources, nodes);
+        if (preset.noise) this._startNoise(context, destination, preset.noise, snrDb, frequency, peakGain, startTime, endTime, sources, nodes);
+        if (preset.crashes) this._scheduleCrashes(context, destination, preset.crashes, frequency, peakGain, startTime, endTime, sources, nodes);
+        if (preset.qrm) this._scheduleQrm(context, destination, preset.qrm, frequency, peakGain, rampTime, startTime, endTime, sources, nodes);
+
+        return {
+            signalInput,
+            rampTime: preset.clicks ? preset.clicks.rampTime : rampTime,
+            chirp: preset.chirp || null,
+            stop: () => {
+                sources.forEach(source => { try { source.stop(); } catch (e) { /* Already stopped */ } });
+                nodes.forEach(node => { try { node.disconnect(); } catch (e) { /* Already disconnected */ } });
+            }
+        };
+    }
+
+    /**
+     * Applies chirp to a tone: it starts off-pitch and settles to the wanted frequency.
+     * @param {OscillatorNode} osc - The tone's oscillator.
+     * @param {{hz: number, timeConstant: number}} chirp - From the preset.
+     * @param {number} frequency - Wanted frequency in Hz.
+     * @param {number} startTime - Key-down time.
+     */
+    applyChirp(osc, chirp, frequency, startTime) {
+        osc.frequency.setValueAtTime(frequency + chirp.hz, startTime);
+        osc.frequency.setTargetAtTime(frequency, startTime, chirp.timeConstant);
+    }
+
+    /**
+     * Gets a looped noise buffer (2 s), normalised to an RMS of 1.
+     * Pink noise uses Paul Kellet's economy filter.
+     * @private
+     */
+    _getNoiseBuffer(context, color) {
+        const key = `${context.sampleRate}:${color}`;
+        if (this.noiseBuffers.has(key)) return this.noiseBuffers.get(key);
+
+        const length = context.sampleRate * 2;
+        const buffer = context.createBuffer(1, length, context.sampleRate);
+        const data = buffer.getChannelData(0);
+        let b0 = 0, b1 = 0, b2 = 0;
+        let sumSquares = 0;
+        for (let i = 0; i < length; i++) {
+            const white = this.random() * 2 - 1;
+            if (color === 'pink') {
+                b0 = 0.99765 * b0 + white * 0.0990460;
+                b1 = 0.96300 * b1 + white * 0.2965164;
+                b2 = 0.57000 * b2 + white * 1.0526913;
+                data[i] = b0 + b1 + b2 + white * 0.1848;
+            } else {
+                data[i] = white;
+            }
+            sumSquares += data[i] * data[i];
+        }
+        const rms = Math.sqrt(sumSquares / length) || 1;
+        for (let i = 0; i < length; i++) data[i] /= rms;
+
+        this.noiseBuffers.set(key, buffer);
+        return buffer;
+    }
+
+    /**
+     * Noise floor through a receiver-like band-pass centred on the signal.
+     * SNR compares the tone's RMS with the noise RMS after the filter (roughly).
+     * @private
+     */
+    _startNoise(context, destination, noise, snrDb, frequency, peakGain, startTime, endTime, sources, nodes) {
+        const source = context.createBufferSource();
+        source.buffer = this._getNoiseBuffer(context, noise.color);
+        source.loop = true;
+
+        const filter = context.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.frequency.value = frequency;
+        filter.Q.value = MorseConfig.BAND_RECEIVER_FILTER_Q;
+
+        const toneRms = peakGain / Math.SQRT2;
+        const gain = context.createGain();
+        gain.gain.value = toneRms / Math.pow(10, snrDb / 20);
+
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(destination);
+        source.start(startTime);
+        source.stop(endTime);
+        sources.push(source);
+        nodes.push(source, filter, gain);
+    }
+
+    /**
+     * Static crashes: short bursts of broadband noise at random times (Poisson arrivals),
+     * with a fast attack and an exponential decay.
+     * @private
+     */
+    _scheduleCrashes(context, destination, crashes, frequency, peakGain, startTime, endTime, sources, nodes) {
+        const buffer = this._getNoiseBuffer(context, 'white');
+        const filter = context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = frequency * 3;
+        filter.connect(destination);
+        nodes.push(filter);
+
+        const meanGap = 60 / crashes.perMinute;
+        let time = startTime - Math.log(1 - this.random()) * meanGap;
+        while (time < endTime) {
+            const decay = crashes.minDecay + this.random() * (crashes.maxDecay - crashes.minDecay);
+            const level = peakGain * crashes.level * (0.5 + this.random() * 0.5);
+            const source = context.createBufferSource();
+            source.buffer = buffer;
+            source.loop = true;
+            const gain = context.createGain();
+            gain.gain.setValueAtTime(0, time);
+            gain.gain.linearRampToValueAtTime(level, time + 0.005);
+            gain.gain.setTargetAtTime(0, time + 0.005, decay / 3);
+            source.connect(gain);
+            gain.connect(filter);
+            source.start(time, this.random() * buffer.duration);
+            source.stop(time + decay + 0.01);
+            sources.push(source);
+            nodes.push(source, gain);
+            time += -Math.log(1 - this.random()) * meanGap;
+        }
+    }
+
+    /**
+     * Fading: a low-frequency oscillator swings the wanted signal's gain between
+     * (1 - depth) and 1, starting at a random phase.
+     * @private
+     */
+    _startQsb(context, signalInput, qsb, startTime, endTime, sources, nodes) {
+        signalInput.gain.value = 1 - qsb.depth / 2;
+        const lfo = context.createOscillator();
+        lfo.type = 'sine';
+        lfo.frequency.value = 1 / qsb.periodSec;
+        const depth = context.createGain();
+        depth.gain.value = qsb.depth / 2;
+        lfo.connect(depth);
+        depth.connect(signalInput.gain);
+        lfo.start(startTime - this.random() * qsb.periodSec); // Random phase
+        lfo.stop(endTime);
+        sources.push(lfo);
+        nodes.push(lfo, depth);
+    }
+
+    /**
+     * Interfering stations: each sends random characters at its own speed, pitch offset and level.
+     * @private
+     */
+    _scheduleQrm(context, destination, qrm, frequency, peakGain, rampTime, startTime, endTime, sources, nodes) {
+        const sequences = Object.keys(MorseConfig.MORSE_MAP);
+        for (let station = 0; station < qrm.stations; station++) {
+            const side = this.random() < 0.5 ? -1 : 1;
+            const offset = qrm.minOffsetHz + this.random() * (qrm.maxOffsetHz - qrm.minOffsetHz);
+            const pitch = Math.max(MorseConfig.AUDIO_MIN_FREQUENCY / 2, frequency + side * offset);
+            const wpm = qrm.minWpm + this.random() * (qrm.maxWpm - qrm.minWpm);
+            const timings = MorseConfig.calculateTimings(wpm);
+            const level = peakGain * qrm.level * (0.5 + this.random() * 0.5);
+
+            let time = startTime + this.random() * timings.wordGapMs / 1000;
+            while (time < endTime) {
+                const sequence = sequences[Math.floor(this.random() * sequences.length)];
+                for (const element of sequence) {
+                    const length = (element === '.' ? timings.ditMs : timings.dahMs) / 1000;
+                    if (time + length > endTime) break;
+                    this._scheduleQrmTone(context, destination, pitch, level, rampTime, time, length, sources, nodes);
+                    time += length + timings.intraCharGapMs / 1000;
+                }
+                time += (this.random() < 0.2 ? timings.wordGapMs : timings.interCharGapMs) / 1000;
+            }
+        }
+    }
+
+    /** @private */
+    _scheduleQrmTone(context, destination, pitch, level, rampTime, time, length, sources, nodes) {
+        const osc = context.createOscillator();
+        const gain = context.createGain();
+        osc.frequency.value = pitch;
+        gain.gain.setValueAtTime(0, time);
+        gain.gain.linearRampToValueAtTime(level, time + rampTime);
+        gain.gain.setValueAtTime(level, time + Math.max(rampTime, length - rampTime));
+        gain.gain.linearRampToValueAtTime(0, time + length);
+        osc.connect(gain);
+        gain.connect(destination);
+        osc.start(time);
+        osc.stop(time + length + rampTime);
+        sources.push(osc);
+        nodes.push(osc, gain);
+    }
+}
+
+// Create a single instance for the game
+window.morseBandConditions = new BandConditions();
@@ -0,0 +1,230 @@
+/* Dit-Dah-Dash/js/characterStats.js */
+/* In file: js/characterStats.js */
+/**
+ * js/characterStats.js
+ * --------------------
+ * Tracks per-character sending statistics across sessions: attempts, misses,
+ * what each character was confused with, and time to key. Each character also
+ * carries a spaced-repetition schedule (simplified SM-2) updated once per session,
+ * which together with the miss rate and keying speed decides which characters
+ * the "Weak characters" drill concentrates on.
+ * Uses localStorage for persistence, in the active profile's namespace.
+ */
+
+const SRS_DAY_MS = 24 * 60 * 60 * 1000;
+
+class CharacterStats {
+    /**
+     * @constructor
+     * @param {function(): number} [random] - Random source in [0, 1). Defaults to Math.random.
+     */
+    constructor(random = null) {
+        this.random = random || Math.random;
+        this.stats = this._loadStats(); // { char: { attempts, misses, confusions, keyTimeTotalMs, keyTimeCount, srs } }
+        this.session = {};              // { char: { attempts, misses } } for the sentence in progress
+    }
+
+    /**
+     * Loads statistics from localStorage.
+     * @returns {object} Stats keyed by character.
+     */
+    _loadStats() {
+        const stored = window.morseStorage.getJSON(MorseConfig.STORAGE_KEY_CHARACTER_STATS, {});
+        return stored && typeof stored === 'object' ? stored : {};
+    }
+
+    /** Saves statistics to localStorage. */
+    _saveStats() {
+        window.morseStorage.setJSON(MorseConfig.STORAGE_KEY_CHARACTER_STATS, this.stats);
+    }
+
+    /** @returns {object} The stats entry for a character, created if missing. */
+    _getEntry(char) {
+        if (!this.stats[char]) {
+            this.stats[char] = {
+                attempts: 0,
+                misses: 0,
+                confusions: {},     // { decodedCharOrSequence: count }
+                keyTimeTotalMs: 0,
+                keyTimeCount: 0,
+                srs: { ease: MorseConfig.SRS_INITIAL_EASE, intervalDays: 0, reps: 0, due: 0 }
+            };
+        }
+        return this.stats[char];
+    }
+
+    /** Starts tracking a new sentence; the spaced-repetition update happens in finishSession. */
+    startSession() {
+        this.session = {};
+    }
+
+    /**
+     * Records one decode attempt for a target character.
+     * @param {string} targetChar - The character that should have been keyed.
+     * @param {string | null} decodedChar - What the keyed sequence decoded to (null if unknown).
+     * @param {string} sequence - The keyed sequence (e.g. ".-.").
+     */
+    recordAttempt(targetChar, decodedChar, sequence) {
+        if (!targetChar || targetChar === ' ') return;
+        const entry = this._getEntry(targetChar);
+        const sessionEntry = this.session[targetChar] || (this.session[targetChar] = { attempts: 0, misses: 0 });
+        entry.attempts++;
+        sessionEntry.attempts++;
+
+        if (decodedChar !== targetChar) {
+            entry.misses++;
+            sessionEntry.misses++;
+            const confusedWith = decodedChar || sequence; // Unknown sequences are kept as keyed
+            entry.confusions[confusedWith] = (entry.confusions[confusedWith] || 0) + 1;
+        }
+        this._saveStats();
+    }
+
+    /**
+     * Records how long a character took to key, from becoming the target to being decoded correctly.
+     * @param {string} targetChar - The character.
+     * @param {number} keyTimeMs - Time to key in milliseconds.
+     */
+    recordKeyTime(targetChar, keyTimeMs) {
+        if (!targetChar || targetChar === ' ' || !(keyTimeMs > 0)) return;
+        const entry = this._getEntry(targetChar);
+        entry.keyTimeTotalMs += keyTimeMs;
+        entry.keyTimeCount++;
+        this._saveStats();
+    }
+
+    /**
+     * Applies the spaced-repetition update for every character keyed in the session:
+     * a clean character is scheduled further out, one with misses is due again now.
+     * @param {number} [now=Date.now()] - Current time (ms since epoch).
+     */
+    finishSession(now = Date.now()) {
+        Object.entries(this.session).forEach(([char, result]) => {
+            const srs = this._getEntry(char).srs;
+            if (result.misses === 0) {
+                srs.reps++;
+                if (srs.reps === 1) srs.intervalDays = MorseConfig.SRS_FIRST_INTERVAL_DAYS;
+                else if (srs.reps === 2) srs.intervalDays = MorseConfig.SRS_SECOND_INTERVAL_DAYS;
+                else srs.intervalDays = Math.round(srs.intervalDays * srs.ease);
+                srs.ease = Math.min(MorseConfig.SRS_MAX_EASE, srs.ease + 0.1);
+            } else {
+                srs.reps = 0;
+                srs.intervalDays = 0;
+                srs.ease = Math.max(MorseConfig.SRS_MIN_EASE, srs.ease - 0.2);
+            }
+            srs.due = now + srs.intervalDays * SRS_DAY_MS;
+        });
+        this.session = {};
+        this._saveStats();
+    }
+
+    /**
+     * Gets a character's stats with derived values.
+     * @param {string} char - The character.
+     * @returns {object | null} { attempts, misses, missRate, averageKeyTimeMs, confusions, due } or null if never keyed.
+     */
+    getCharacterStats(char) {
+        const entry = this.stats[char];
+        if (!entry) return null;
+        return {
+            attempts: entry.attempts,
+            misses: entry.misses,
+            missRate: entry.attempts > 0 ? entry.misses / entry.attempts : 0,
+            averageKeyTimeMs: entry.keyTimeCount > 0 ? entry.keyTimeTotalMs / entry.keyTimeCount : null,
+            confusions: { ...entry.confusions },
+            due: entry.srs.due
+        };
+    }
+
+    /**
+     * Scores how much a character needs practice. Combines a smoothed miss rate, keying speed
+     * relative to the average character, and whether its review is due.
+     * @param {string} char - The character.
+     * @param {number} [now=Date.now()] - Current time (ms since epoch).
+     * @returns {number} Higher means weaker.
+     */
+    getWeakness(char, now = Date.now()) {
+        const entry = this.stats[char];
+        if (!entry) return 0;
+        const missRate = (entry.misses + 1) / (entry.attempts + 2); // Smoothed so a single miss isn't 100%
+
+        const averageKeyTime = this._getAverageKeyTime();
+        const keyTime = entry.keyTimeCount > 0 ? entry.keyTimeTotalMs / entry.keyTimeCount : averageKeyTime;
+        const slowness = averageKeyTime > 0 && keyTime > 0 ? keyTime / averageKeyTime : 1;
+
+        const overdueDays = (now - entry.srs.due) / SRS_DAY_MS;
+        const dueFactor = overdueDays >= 0 ? 1 + Math.min(overdueDays, 7) / 7 : 0.5;
+
+        return missRate * slowness * dueFactor;
+    }
+
+    /** @returns {number} Average time to key across all characters (ms), or 0 if unknown. */
+    _getAverageKeyTime() {
+        let total = 0;
+        let count = 0;
+        Object.values(this.stats).forEach(entry => {
+            total += entry.keyTimeTotalMs;
+            count += entry.keyTimeCount;
+        });
+        return count > 0 ? total / count : 0;
+    }
+
+    /**
+     * Lists the characters most in need of practice.
+     * @param {number} [count] - How many to return.
+     * @param {number} [now=Date.now()] - Current time (ms since epoch).
+     * @param {function(string): boolean} [isAvailable] - Limits the result to characters that can be keyed
+     * (e.g. in the current alphabet). All characters when omitted.
+     * @returns {Array<{char: string, weakness: number}>} Weakest first.
+     */
+    getWeakestCharacters(count = MorseConfig.DRILL_FOCUS_CHARACTERS, now = Date.now(), isAvailable = null) {
+        return Object.keys(this.stats)
+            .filter(char => this.stats[char].attempts > 0 && (!isAvailable || isAvailable(char)))
+            .map(char => ({ char, weakness: this.getWeakness(char, now) }))
+            .sort((a, b) => b.weakness - a.weakness)
+            .slice(0, count);
+    }
+
+    /**
+     * Builds a practice sentence of random words drawn from the weakest characters,
+     * each picked in proportion to its weakness.
+     * @param {number} [now=Date.now()] - Current time (ms since epoch).
+     * @param {function(string): boolean} [isAvailable] - Limits the drill to characters that can be keyed.
+     * @returns {{sentence: string, focus: string[]} | null} The sentence and its focus characters, or null without stats.
+     */
+    buildDrillSentence(now = Date.now(), isAvailable = null) {
+        const weakest = this.getWeakestCharacters(MorseConfig.DRILL_FOCUS_CHARACTERS, now, isAvailable);
+        if (weakest.length === 0) return null;
+
+        const totalWeight = weakest.reduce((sum, item) => sum + item.weakness, 0);
+        const pick = () => {
+            let roll = this.random() * totalWeight;
+            for (const item of weakest) {
+                roll -= item.weakness;
+                if (roll < 0) return item.char;
+            }
+            return weakest[weakest.length - 1].char;
+        };
+
+        const words = [];
+        const lengthRange = MorseConfig.DRILL_MAX_WORD_LENGTH - MorseConfig.DRILL_MIN_WORD_LENGTH + 1;
+        for (let w = 0; w < MorseConfig.DRILL_WORD_COUNT; w++) {
+            const length = MorseConfig.DRILL_MIN_WORD_LENGTH + Math.floor(this.random() * lengthRange);
+            let word = '';
+            for (let c = 0; c < length; c++) word += pick();
+            words.push(word);
+        }
+        return { sentence: words.join(' '), focus: weakest.map(item => item.char) };
+    }
+
+    /** Clears all character statistics. */
+    resetStats() {
+        this.stats = {};
+        this.session = {};
+        this._saveStats();
+        console.log("Character stats reset.");
+    }
+}
+
+// Create a single instance for the game
+window.morseCharacterStats = new CharacterStats();
@@ -0,0 +1,131 @@
+/* Dit-Dah-Dash/js/clock.js */
+/* In file: js/clock.js */
+/**
+ * js/clock.js
+ * -----------
+ * Time source and scheduler shared by the timing-sensitive modules (GameState,
+ * Keyer, GameEngine, AudioPlayer, PlaybackTransport, UIManager, KeyingTimeline).
+ * They only ever use the clock interface:
+ *   now()                 - current time in ms
+ *   setTimeout(fn, ms)    - run fn after ms, returns an id
+ *   clearTimeout(id)      - cancel a pending timer
+ * SystemClock is the browser clock (performance.now and the window timers).
+ * VirtualClock only moves when told to (advance/runAll), running due timers in time
+ * order, so keying, decode timeouts and WPM scoring can be reproduced to the millisecond.
+ * Audio is still scheduled on the AudioContext clock; only the playback bookkeeping
+ * (when a sequence counts as finished, when stopped nodes are disconnected) goes through this clock.
+ * Animation frames (requestAnimationFrame) are the browser's, but what they draw is timed with now().
+ */
+
+class SystemClock {
+    /** @returns {number} The current time in ms (performance.now). */
+    now() {
+        return performance.now();
+    }
+
+    /**
+     * Runs a function after a delay.
+     * @param {function} fn - The function to run.
+     * @param {number} ms - Delay in ms.
+     * @returns {number} Timer id for clearTimeout.
+     */
+    setTimeout(fn, ms) {
+        return setTimeout(fn, ms);
+    }
+
+    /** Cancels a timer from setTimeout. @param {number} id - The timer id. */
+    clearTimeout(id) {
+        clearTimeout(id);
+    }
+}
+
+class VirtualClock {
+    /**
+     * @constructor
+     * @param {number} [startMs=1000] - Initial time. Not 0: GameState treats a start time of 0 as "timer not started".
+     */
+    constructor(startMs = 1000) {
+        this.time = startMs;
+        this.timers = []; // Pending { id, due, fn }, kept sorted by due time then id
+        this.nextId = 1;
+    }
+
+    /** @returns {number} The current virtual time in ms. */
+    now() {
+        return this.time;
+    }
+
+    /**
+     * Schedules a function at now() + ms (negative or missing delays count as 0, like the browser).
+     * @param {function} fn - The function to run.
+     * @param {number} ms - Delay in ms.
+     * @returns {number} Timer id for clearTimeout.
+     */
+    setTimeout(fn, ms) {
+        const id = this.nextId++;
+        const due = this.time + Math.max(0, Number(ms) || 0);
+        const index = this.timers.findIndex(timer => timer.due > due);
+        const timer = { id, due, fn };
+        if (index === -1) this.timers.push(timer);
+        else this.timers.splice(index, 0, timer);
+        return id;
+    }
+
+    /** Cancels a pending timer. @param {number} id - The timer id. */
+    clearTimeout(id) {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+    }
+
+    /** @returns {number} How many timers are waiting to run. */
+    getPendingCount() {
+        return this.timers.length;
+    }
+
+    /**
+     * Moves time forward, running every timer that falls due on the way (including timers
+     * those timers schedule) with now() set to each timer's due time.
+     * @param {number} ms - How far to move (ms, >= 0).
+     * @returns {number} The new time.
+     */
+    advance(ms) {
+        const target = this.time + Math.max(0, ms);
+        while (this.timers.length > 0 && this.timers[0].due <= target) {
+            this._runNext();
+        }
+        this.time = target;
+        return this.time;
+    }
+
+    /**
+     * Runs pending timers in order until none are left, moving time to each one.
+     * @param {number} [maxTimers=10000] - Safety limit for timers that keep rescheduling themselves.
+     * @returns {number} How many timers ran.
+     */
+    runAll(maxTimers = 10000) {
+        let count = 0;
+        while (this.timers.length > 0 && count < maxTimers) {
+            this._runNext();
+            count++;
+        }
+        if (this.timers.length > 0) console.warn(`VirtualClock: stopped after ${maxTimers} timers; ${this.timers.length} still pending.`);
+        return count;
+    }
+
+    /** Removes the earliest timer, moves time to its due time and runs it. @private */
+    _runNext() {
+        const timer = this.timers.shift();
+        this.time = timer.due;
+        try {
+            timer.fn();
+        } catch (e) {
+            console.error("VirtualClock: timer callback failed:", e);
+        }
+    }
+}
+
+// Expose the classes (tests create their own VirtualClock)
+window.SystemClock = SystemClock;
+window.VirtualClock = VirtualClock;
+
+// Create a single instance for the game
+window.morseClock = new SystemClock();
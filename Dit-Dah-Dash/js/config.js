@@ -3,7 +3,7 @@
  * js/config.js
  * --------------
  * Global configuration settings for the Dit-Dah-Dash game.
- * Includes Morse code mappings, level data, timing defaults, audio defaults, storage keys, and UI settings.
+ * Includes Morse code mappings (characters and prosigns), level data, timing defaults, audio defaults, storage keys, and UI settings.
  * Removed hardcoded default keybindings; these will be managed dynamically via settings.
  */
 
@@ -23,8 +23,46 @@ const MORSE_MAP = {
     '.-..-.': '"', '...-..-': '$', '.--.-.': '@'
 };
 
+// --- Prosigns ---
+// Procedural signals sent as one run of elements with no inter-character gaps.
+// Written in text as bracketed tokens, e.g. "QTH NYC <AR>". Some share a sequence with a
+// punctuation mark (AR = '+', BT = '=', KN = '('); the decoder picks whichever is expected.
+const PROSIGN_MAP = {
+    '.-.-.': '<AR>',      // End of message
+    '...-.-': '<SK>',     // End of contact
+    '-...-': '<BT>',      // Break / new paragraph
+    '-.--.': '<KN>',      // Go ahead, named station only
+    '...---...': '<SOS>', // Distress
+    '........': '<HH>'    // Error
+};
+const PROSIGN_TOKEN_REGEX = new RegExp(Object.values(PROSIGN_MAP).join('|'), 'iy'); // Sticky: matches at lastIndex only
+
+/**
+ * Splits text into Morse tokens: each prosign (e.g. "<AR>") is one token, every other character is its own token.
+ * @param {string} text - Text to split.
+ * @returns {Array<{token: string, index: number}>} Tokens (prosigns upper-cased) with their start index in the text.
+ */
+const tokenizeMorseText = (text) => {
+    const tokens = [];
+    if (!text) return tokens;
+    let index = 0;
+    while (index < text.length) {
+        PROSIGN_TOKEN_REGEX.lastIndex = index;
+        const prosign = text[index] === '<' ? PROSIGN_TOKEN_REGEX.exec(text) : null;
+        if (prosign) {
+            tokens.push({ token: prosign[0].toUpperCase(), index });
+            index += prosign[0].length;
+        } else {
+            tokens.push({ token: text[index], index });
+            index++;
+        }
+    }
+    return tokens;
+};
+
 // --- Timing Configuration ---
 const DEFAULT_WPM = 20;
+const DEFAULT_EFFECTIVE_WPM = 20; // Farnsworth effective speed; equal to DEFAULT_WPM means standard timing
 const PARIS_STANDARD_WORD_LENGTH = 5;
 const DIT_DURATION_UNITS = 1;
 const DAH_DURATION_UNITS = 3;
@@ -34,6 +72,71 @@ const WORD_GAP_UNITS = 7;
 const INTRA_CHAR_GAP_MULTIPLIER = 0.8; // Affects how long decoder waits
 const CHARACTER_INPUT_TIMEOUT_MULTIPLIER = 0.8; // Affects how long decoder waits
 
+// --- Keying Weights ---
+const DEFAULT_WEIGHTING = 50;   // Percent; 50 = standard 1:1 element/space ratio
+const MIN_WEIGHTING = 25;
+const MAX_WEIGHTING = 75;
+const DEFAULT_DAH_RATIO = DAH_DURATION_UNITS; // Dah:dit ratio
+const MIN_DAH_RATIO = 3.0;
+const MAX_DAH_RATIO = 4.5;
+const DEFAULT_DIT_MEMORY = true;
+const DEFAULT_DAH_MEMORY = true;
+
+const FARNSWORTH_GAP_UNITS_PER_WORD = 19; // 4 inter-character gaps (3 units each) + 1 word gap (7 units) in PARIS
+
+/**
+ * Calculates element and gap durations (in ms) for a character speed and an effective speed.
+ * When the effective speed is lower than the character speed, Farnsworth timing is used:
+ * dits, dahs and intra-character gaps keep their character-speed length, and only the
+ * inter-character and word gaps are stretched so the overall speed matches the effective WPM.
+ * @param {number} characterWpm - Speed at which individual characters are sent.
+ * @param {number} [effectiveWpm=characterWpm] - Overall speed including the stretched gaps.
+ * @param {object} [keying] - Keyer weights.
+ * @param {number} [keying.weighting=DEFAULT_WEIGHTING] - Element/space weighting in percent (50 = standard).
+ *        Whatever is added to each element is taken from the space after it, so overall speed is kept.
+ * @param {number} [keying.dahRatio=DEFAULT_DAH_RATIO] - Dah length in dits.
+ * @returns {{ditMs: number, dahMs: number, intraCharGapMs: number, interCharGapMs: number, wordGapMs: number}}
+ */
+const calculateTimings = (characterWpm, effectiveWpm = characterWpm, keying = {}) => {
+    const unitMs = 1200 / characterWpm;
+    const weighting = keying.weighting ?? DEFAULT_WEIGHTING;
+    const dahRatio = keying.dahRatio ?? DEFAULT_DAH_RATIO;
+    const weightMs = unitMs * (weighting - 50) / 50; // +/- half a unit at the 25/75 extremes
+    let interCharGapMs = unitMs * INTER_CHARACTER_GAP_UNITS;
+    let wordGapMs = unitMs * WORD_GAP_UNITS;
+
+    if (effectiveWpm > 0 && effectiveWpm < characterWpm) {
+        // ARRL formula: total delay per PARIS word, spread evenly over the gap units of that word
+        const totalDelayMs = ((60 * characterWpm - 37.2 * effectiveWpm) / (characterWpm * effectiveWpm)) * 1000;
+        const farnsworthUnitMs = totalDelayMs / FARNSWORTH_GAP_UNITS_PER_WORD;
+        interCharGapMs = farnsworthUnitMs * INTER_CHARACTER_GAP_UNITS;
+        wordGapMs = farnsworthUnitMs * WORD_GAP_UNITS;
+    }
+
+    return {
+        ditMs: unitMs + weightMs,
+        dahMs: unitMs * dahRatio + weightMs,
+        intraCharGapMs: unitMs * INTRA_CHARACTER_GAP_UNITS - weightMs,
+        interCharGapMs: interCharGapMs - weightMs,
+        wordGapMs: wordGapMs - weightMs
+    };
+};
+
+// --- Input Modes ---
+const INPUT_MODES = {
+    PADDLES: 'paddles',           // Dit/Dah paddles with automatic element generation
+    STRAIGHT_KEY: 'straight_key'  // Single key; element length follows how long the key is held
+};
+const DEFAULT_INPUT_MODE = INPUT_MODES.PADDLES;
+const DEFAULT_KEYER_MODE = 'iambic_b'; // See KeyerMode in keyer.js
+// Straight-key classification (all thresholds in units of the adaptive dit estimate)
+const STRAIGHT_KEY_DAH_THRESHOLD_UNITS = 2;        // Press at least this long is a dah
+const STRAIGHT_KEY_CHAR_GAP_THRESHOLD_UNITS = 2;   // Gap at least this long ends the character
+const STRAIGHT_KEY_WORD_GAP_THRESHOLD_UNITS = 5;   // Gap at least this long is a word break
+const STRAIGHT_KEY_ADAPT_RATE = 0.3;               // Weight of each new measurement in the dit estimate
+const STRAIGHT_KEY_MIN_DIT_FACTOR = 0.5;           // Dit estimate is kept within these factors
+const STRAIGHT_KEY_MAX_DIT_FACTOR = 2.0;           // of the dit length at the configured WPM
+
 // --- Level Data ---
 const LEVELS_DATA = [
     // --- Phase 1: E, T ---
@@ -296,15 +399,145 @@ const LEVELS_DATA = [
             "FINAL LEVEL COMPLETE . WELL DONE , OPERATOR ?"
         ],
         unlock_criteria: { min_wpm: 16, min_accuracy: 95 } // Final level goal
+    },
+
+    // --- Phase 11: Prosigns ---
+    {
+        id: 22,
+        name: "Intro: Prosigns AR SK",
+        sentences: ["<AR> <AR> <AR>", "<SK> <SK> <SK>", "<AR> <SK>", "73 <SK>", "QSL <AR>"],
+        unlock_criteria: { min_wpm: 10, min_accuracy: 95 }
+    },
+    {
+        id: 23,
+        name: "Intro: Prosigns BT KN",
+        sentences: ["<BT> <BT> <BT>", "<KN> <KN> <KN>", "OK <BT> NAME IS JO", "BK TO YOU <KN>", "RST 599 <BT> QTH PARIS <KN>"],
+        unlock_criteria: { min_wpm: 8, min_accuracy: 95 }
+    },
+    {
+        id: 24,
+        name: "Intro: SOS & Error",
+        sentences: ["<SOS> <SOS>", "<HH> <HH>", "SEMD <HH> SEND", "<SOS> <SOS> DE SHIP", "QTH LONDNO <HH> LONDON"],
+        unlock_criteria: { min_wpm: 8, min_accuracy: 95 }
+    },
+    {
+        id: 25,
+        name: "Practice: Prosigns in a QSO",
+        sentences: [
+            "CQ CQ DE W1AW <KN>",
+            "GM OM <BT> UR RST 579 <BT> NAME BOB <AR> <KN>",
+            "TNX FER QSO <BT> 73 <AR> <SK>",
+            "QTH BOSTON <BT> WX SUNNY <KN>",
+            "RIG 100 W <HH> 50 W <BT> ANT DIPOLE <KN>",
+            "<SOS> <SOS> <SOS> DE KXYZ <AR>"
+        ],
+        unlock_criteria: { min_wpm: 12, min_accuracy: 93 }
     }
 ];
 
+// --- Level Tracks ---
+// Sending (keying) and receiving (copying) progress are tracked separately per level.
+// Levels may set their own `receive_unlock_criteria`; otherwise the default below applies.
+const LEVEL_TRACKS = {
+    SEND: 'send',
+    RECEIVE: 'receive'
+};
+const RECEIVE_UNLOCK_CRITERIA_DEFAULT = { min_wpm: 5, min_accuracy: 90 };
+
+// --- Koch Method Trainer ---
+// Characters are introduced one at a time in this order, always sent at the full character speed.
+const KOCH_CHARACTER_ORDER = "KMURESNAPTLWI.JZ=FOY,VG5/Q92H38B?47C1D60X";
+const KOCH_START_CHARACTERS = 2;     // Lesson 1 uses the first two characters
+const KOCH_GROUP_SIZE = 5;           // Characters per random group
+const KOCH_GROUPS_PER_SESSION = 5;   // Groups played per session
+const KOCH_ADVANCE_ACCURACY = 90;    // Session accuracy (%) that must be exceeded to add the next character
+
+// --- Character Statistics & Weak-Character Drill ---
+// Each character keeps a spaced-repetition schedule (simplified SM-2): a clean session
+// lengthens its review interval, a session with misses makes it due again immediately.
+const SRS_INITIAL_EASE = 2.5;
+const SRS_MIN_EASE = 1.3;
+const SRS_MAX_EASE = 3.0;
+const SRS_FIRST_INTERVAL_DAYS = 1;
+const SRS_SECOND_INTERVAL_DAYS = 3;
+const DRILL_FOCUS_CHARACTERS = 5;    // Weakest characters a drill concentrates on
+const DRILL_WORD_COUNT = 6;          // Words per drill sentence
+const DRILL_MIN_WORD_LENGTH = 3;
+const DRILL_MAX_WORD_LENGTH = 5;
+
+// --- Session History & Stats ---
+// Every completed sentence is logged in IndexedDB for the stats screen.
+const SESSION_HISTORY_DB_NAME = 'ditDahDash';
+const SESSION_HISTORY_DB_VERSION = 1;
+const SESSION_HISTORY_STORE = 'sessions';
+const STATS_TREND_SESSIONS = 50;  // Most recent sentences in the WPM and accuracy charts
+const STATS_PRACTICE_DAYS = 30;   // Days in the time-practiced chart
+
 // --- Audio Configuration ---
 const AUDIO_DEFAULT_TONE_FREQUENCY = 400; // Default frequency in Hz
 const AUDIO_RAMP_TIME = 0.005; // Fade in/out time for tones (seconds)
 const AUDIO_MIN_FREQUENCY = 200; // Minimum adjustable frequency
 const AUDIO_MAX_FREQUENCY = 1000; // Maximum adjustable frequency
 const AUDIO_DEFAULT_VOLUME = 1.0; // Default volume (0.0 to 1.0)
+const AUDIO_TONE_PEAK_GAIN = 0.9; // Peak of each tone's envelope, below 1.0 to avoid clipping at full volume
+const AUDIO_REPLAY_MAX_GAP_SECONDS = 2; // Longer pauses in a replay of the user's keying are shortened to this
+
+// --- WAV Export ---
+const WAV_SAMPLE_RATE = 44100;     // Hz
+const WAV_PADDING_SECONDS = 0.5;   // Silence before and after the Morse
+
+// --- Audio Decoding (uploaded recordings) ---
+const AUDIO_DECODE_BLOCK_MS = 5;             // Envelope resolution
+const AUDIO_DECODE_PITCH_STEP_HZ = 10;       // Pitch search step between the min and max tone frequency
+const AUDIO_DECODE_PITCH_SCAN_SECONDS = 10;  // Audio scanned to find the pitch
+const AUDIO_DECODE_THRESHOLD = 0.5;          // Key-down level, as a fraction from noise floor to tone level
+const AUDIO_DECODE_MIN_SNR = 2;              // Tone level must be this many times the noise floor
+const AUDIO_DECODE_UNKNOWN_CHAR = '*';       // Shown for sequences that don't decode
+
+// --- Band Conditions (simulated receive conditions) ---
+// Presets combine: noise (noise floor at the SNR setting), crashes (QRN), qsb (fading),
+// qrm (interfering stations), clicks (hard keying) and chirp (pitch settling after key-down).
+const BAND_CONDITION_PRESETS = {
+    clean: { name: "Clean" },
+    quiet_band: {
+        name: "Quiet Band",
+        noise: { color: 'pink' }
+    },
+    summer_qrn: {
+        name: "Summer Static (QRN)",
+        noise: { color: 'pink' },
+        crashes: { perMinute: 20, level: 1.5, minDecay: 0.08, maxDecay: 0.4 }
+    },
+    dx_fading: {
+        name: "DX Fading (QSB)",
+        noise: { color: 'pink' },
+        qsb: { depth: 0.9, periodSec: 6 }
+    },
+    contest_qrm: {
+        name: "Contest Pile-up (QRM)",
+        noise: { color: 'white' },
+        qrm: { stations: 3, minOffsetHz: 80, maxOffsetHz: 400, level: 0.6, minWpm: 18, maxWpm: 32 }
+    },
+    vintage_rig: {
+        name: "Vintage Rig (Clicks & Chirp)",
+        noise: { color: 'pink' },
+        clicks: { rampTime: 0.0005 },
+        chirp: { hz: 40, timeConstant: 0.015 }
+    },
+    field_day: {
+        name: "Everything At Once",
+        noise: { color: 'white' },
+        crashes: { perMinute: 12, level: 1.2, minDecay: 0.08, maxDecay: 0.3 },
+        qsb: { depth: 0.7, periodSec: 8 },
+        qrm: { stations: 2, minOffsetHz: 120, maxOffsetHz: 350, level: 0.5, minWpm: 15, maxWpm: 28 },
+        chirp: { hz: 25, timeConstant: 0.02 }
+    }
+};
+const DEFAULT_BAND_CONDITIONS = 'clean';
+const DEFAULT_BAND_SNR_DB = 15;
+const MIN_BAND_SNR_DB = 0;
+const MAX_BAND_SNR_DB = 30;
+const BAND_RECEIVER_FILTER_Q = 4; // Band-pass around the tone, like a CW filter (~100 Hz wide at 400 Hz)
 
 // --- Scoring ---
 const INCORRECT_ATTEMPT_PENALTY = 0.1;
@@ -334,7 +567,12 @@ const getKeyDisplay = (key) => {
 const STORAGE_KEY_PREFIX = 'ditDahDash_';
 const STORAGE_KEY_HIGH_SCORES = `${STORAGE_KEY_PREFIX}highScores`;
 const STORAGE_KEY_UNLOCKED_LEVELS = `${STORAGE_KEY_PREFIX}unlockedLevels`;
+const STORAGE_KEY_RECEIVE_HIGH_SCORES = `${STORAGE_KEY_PREFIX}receiveHighScores`;
+const STORAGE_KEY_RECEIVE_UNLOCKED_LEVELS = `${STORAGE_KEY_PREFIX}receiveUnlockedLevels`;
+const STORAGE_KEY_KOCH_PROGRESS = `${STORAGE_KEY_PREFIX}kochProgress`;
+const STORAGE_KEY_CHARACTER_STATS = `${STORAGE_KEY_PREFIX}characterStats`;
 const STORAGE_KEY_SETTINGS_WPM = `${STORAGE_KEY_PREFIX}settingsWpm`;
+const STORAGE_KEY_SETTINGS_EFFECTIVE_WPM = `${STORAGE_KEY_PREFIX}settingsEffectiveWpm`;
 const STORAGE_KEY_SETTINGS_SOUND = `${STORAGE_KEY_PREFIX}settingsSound`;
 const STORAGE_KEY_SETTINGS_DARK_MODE = `${STORAGE_KEY_PREFIX}settingsDarkMode`;
 const STORAGE_KEY_SETTINGS_FREQUENCY = `${STORAGE_KEY_PREFIX}settingsFrequency`;
@@ -342,32 +580,116 @@ const STORAGE_KEY_SETTINGS_VOLUME = `${STORAGE_KEY_PREFIX}settingsVolume`;
 const STORAGE_KEY_SETTINGS_DIT_KEY = `${STORAGE_KEY_PREFIX}settingsDitKey`; // New key for Dit binding
 const STORAGE_KEY_SETTINGS_DAH_KEY = `${STORAGE_KEY_PREFIX}settingsDahKey`; // New key for Dah binding
 const STORAGE_KEY_SETTINGS_HINT_VISIBLE = `${STORAGE_KEY_PREFIX}settingsHintVisible`;
+const STORAGE_KEY_SETTINGS_INPUT_MODE = `${STORAGE_KEY_PREFIX}settingsInputMode`;
+const STORAGE_KEY_SETTINGS_KEYER_MODE = `${STORAGE_KEY_PREFIX}settingsKeyerMode`;
+const STORAGE_KEY_SETTINGS_WEIGHTING = `${STORAGE_KEY_PREFIX}settingsWeighting`;
+const STORAGE_KEY_SETTINGS_DAH_RATIO = `${STORAGE_KEY_PREFIX}settingsDahRatio`;
+const STORAGE_KEY_SETTINGS_DIT_MEMORY = `${STORAGE_KEY_PREFIX}settingsDitMemory`;
+const STORAGE_KEY_SETTINGS_DAH_MEMORY = `${STORAGE_KEY_PREFIX}settingsDahMemory`;
+const STORAGE_KEY_SETTINGS_ALPHABET = `${STORAGE_KEY_PREFIX}settingsAlphabet`;
+const STORAGE_KEY_SETTINGS_BAND_CONDITIONS = `${STORAGE_KEY_PREFIX}settingsBandConditions`;
+const STORAGE_KEY_SETTINGS_BAND_SNR = `${STORAGE_KEY_PREFIX}settingsBandSnr`;
 const STORAGE_KEY_PADDLE_TEXTURES = `${STORAGE_KEY_PREFIX}paddleTextures`;
+const STORAGE_KEY_LEVEL_PACKS = `${STORAGE_KEY_PREFIX}levelPacks`;                 // User-made level packs
+const STORAGE_KEY_SETTINGS_LEVEL_PACK = `${STORAGE_KEY_PREFIX}settingsLevelPack`; // Selected user pack ('' = built-in)
+// Global (not per profile): the storage schema version, the profile list and which profile is active
+const STORAGE_KEY_SCHEMA_VERSION = `${STORAGE_KEY_PREFIX}schemaVersion`;
+const STORAGE_KEY_PROFILES = `${STORAGE_KEY_PREFIX}profiles`;
+const STORAGE_KEY_ACTIVE_PROFILE = `${STORAGE_KEY_PREFIX}activeProfile`;
+// Prefixes of earlier releases (newest first), imported by the storage migrations:
+// the project started as Morse Master, and its rename briefly produced 'Dit-Dah-Dash_' keys
+const STORAGE_LEGACY_KEY_PREFIXES = ['Dit-Dah-Dash_', 'morse_master_'];
+
+// --- Profiles ---
+const DEFAULT_PROFILE_ID = 'default'; // Uses the original (un-namespaced) storage keys
+const DEFAULT_PROFILE_NAME = 'Default';
+const PROFILE_NAME_MAX_LENGTH = 24;
+
+// --- Level Packs (user-made, see levelPackManager.js) ---
+const LEVEL_PACK_FORMAT = 'dit-dah-dash-level-pack'; // Identifies level pack files
+const LEVEL_PACK_VERSION = 1;
+const LEVEL_PACK_NAME_MAX_LENGTH = 40;
+const LEVEL_NAME_MAX_LENGTH = 40;
+const LEVEL_SENTENCE_MAX_LENGTH = 120;
+const LEVEL_MAX_UNLOCK_WPM = 60;
+const LEVEL_EDITOR_DEFAULT_UNLOCK_CRITERIA = { min_wpm: 5, min_accuracy: 90 }; // Pre-filled for new levels
+
+// --- Backup ---
+const BACKUP_FORMAT = 'dit-dah-dash-backup'; // Identifies backup files
+const BACKUP_VERSION = 1;                    // Bump when the backup layout changes (older versions must still import)
 
 
 // --- UI ---
+const KEYING_TIMELINE_WINDOW_UNITS = 40;         // Visible span of the keying timeline, in dits
+const KEYING_TIMELINE_PLAYHEAD_POSITION = 0.75;  // Playhead position as a fraction of the width
+const KEYING_TIMELINE_SHORT_GAP_RATIO = 0.5;     // Gaps below this fraction of their ideal are too short
+const KEYING_TIMELINE_LONG_GAP_RATIO = 1.5;      // Gaps above this multiple of their ideal are too long
 const INCORRECT_FLASH_DURATION = 300; // ms for incorrect feedback flash
 const HINT_DEFAULT_VISIBLE = true; // Hint is visible by default for new users
 
+// --- Debug ---
+const STATE_HISTORY_LIMIT = 50;          // Game status transitions kept (shown in the state debug overlay)
+const STATE_DEBUG_QUERY_PARAM = 'debug'; // "?debug" in the page URL opens the state debug overlay on load
+const STATE_DEBUG_TOGGLE_KEY = 'KeyD';   // Ctrl+Shift+D toggles the overlay
+
 // --- Make config globally accessible ---
 // Grouping related constants for clarity
 window.MorseConfig = {
     // Morse Mapping
     MORSE_MAP,
+    PROSIGN_MAP, tokenizeMorseText,
 
     // Timing
-    DEFAULT_WPM, PARIS_STANDARD_WORD_LENGTH,
+    DEFAULT_WPM, DEFAULT_EFFECTIVE_WPM, PARIS_STANDARD_WORD_LENGTH,
     INTRA_CHAR_GAP_MULTIPLIER, CHARACTER_INPUT_TIMEOUT_MULTIPLIER,
     DIT_DURATION_UNITS, DAH_DURATION_UNITS, INTRA_CHARACTER_GAP_UNITS,
     INTER_CHARACTER_GAP_UNITS, WORD_GAP_UNITS,
+    calculateTimings,
+
+    // Keying Weights
+    DEFAULT_WEIGHTING, MIN_WEIGHTING, MAX_WEIGHTING,
+    DEFAULT_DAH_RATIO, MIN_DAH_RATIO, MAX_DAH_RATIO,
+    DEFAULT_DIT_MEMORY, DEFAULT_DAH_MEMORY,
+
+    // Input Modes
+    INPUT_MODES, DEFAULT_INPUT_MODE, DEFAULT_KEYER_MODE,
+    STRAIGHT_KEY_DAH_THRESHOLD_UNITS, STRAIGHT_KEY_CHAR_GAP_THRESHOLD_UNITS,
+    STRAIGHT_KEY_WORD_GAP_THRESHOLD_UNITS, STRAIGHT_KEY_ADAPT_RATE,
+    STRAIGHT_KEY_MIN_DIT_FACTOR, STRAIGHT_KEY_MAX_DIT_FACTOR,
 
     // Levels
     LEVELS_DATA,
+    LEVEL_TRACKS, RECEIVE_UNLOCK_CRITERIA_DEFAULT,
+
+    // Koch Trainer
+    KOCH_CHARACTER_ORDER, KOCH_START_CHARACTERS, KOCH_GROUP_SIZE,
+    KOCH_GROUPS_PER_SESSION, KOCH_ADVANCE_ACCURACY,
+
+    // Character Statistics & Drill
+    SRS_INITIAL_EASE, SRS_MIN_EASE, SRS_MAX_EASE,
+    SRS_FIRST_INTERVAL_DAYS, SRS_SECOND_INTERVAL_DAYS,
+    DRILL_FOCUS_CHARACTERS, DRILL_WORD_COUNT,
+    DRILL_MIN_WORD_LENGTH, DRILL_MAX_WORD_LENGTH,
+
+    // Session History & Stats
+    SESSION_HISTORY_DB_NAME, SESSION_HISTORY_DB_VERSION, SESSION_HISTORY_STORE,
+    STATS_TREND_SESSIONS, STATS_PRACTICE_DAYS,
 
     // Audio
     AUDIO_DEFAULT_TONE_FREQUENCY, AUDIO_RAMP_TIME,
     AUDIO_MIN_FREQUENCY, AUDIO_MAX_FREQUENCY,
-    AUDIO_DEFAULT_VOLUME,
+    AUDIO_DEFAULT_VOLUME, AUDIO_TONE_PEAK_GAIN, AUDIO_REPLAY_MAX_GAP_SECONDS,
+
+    // WAV Export
+    WAV_SAMPLE_RATE, WAV_PADDING_SECONDS,
+
+    // Audio Decoding
+    AUDIO_DECODE_BLOCK_MS, AUDIO_DECODE_PITCH_STEP_HZ, AUDIO_DECODE_PITCH_SCAN_SECONDS,
+    AUDIO_DECODE_THRESHOLD, AUDIO_DECODE_MIN_SNR, AUDIO_DECODE_UNKNOWN_CHAR,
+
+    // Band Conditions
+    BAND_CONDITION_PRESETS, DEFAULT_BAND_CONDITIONS,
+    DEFAULT_BAND_SNR_DB, MIN_BAND_SNR_DB, MAX_BAND_SNR_DB, BAND_RECEIVER_FILTER_Q,
 
     // Scoring
     INCORRECT_ATTEMPT_PENALTY,
@@ -380,30 +702,50 @@ window.MorseConfig = {
     // Storage Keys
     STORAGE_KEY_PREFIX, // Export prefix for potential other uses
     STORAGE_KEY_HIGH_SCORES, STORAGE_KEY_UNLOCKED_LEVELS,
-    STORAGE_KEY_SETTINGS_WPM, STORAGE_KEY_SETTINGS_SOUND,
+    STORAGE_KEY_RECEIVE_HIGH_SCORES, STORAGE_KEY_RECEIVE_UNLOCKED_LEVELS,
+    STORAGE_KEY_KOCH_PROGRESS, STORAGE_KEY_CHARACTER_STATS,
+    STORAGE_KEY_SETTINGS_WPM, STORAGE_KEY_SETTINGS_EFFECTIVE_WPM, STORAGE_KEY_SETTINGS_SOUND,
     STORAGE_KEY_SETTINGS_DARK_MODE, STORAGE_KEY_SETTINGS_FREQUENCY,
     STORAGE_KEY_SETTINGS_VOLUME,
     STORAGE_KEY_SETTINGS_DIT_KEY, STORAGE_KEY_SETTINGS_DAH_KEY,
     STORAGE_KEY_SETTINGS_HINT_VISIBLE,
+    STORAGE_KEY_SETTINGS_INPUT_MODE,
+    STORAGE_KEY_SETTINGS_KEYER_MODE,
+    STORAGE_KEY_SETTINGS_WEIGHTING, STORAGE_KEY_SETTINGS_DAH_RATIO,
+    STORAGE_KEY_SETTINGS_DIT_MEMORY, STORAGE_KEY_SETTINGS_DAH_MEMORY,
+    STORAGE_KEY_SETTINGS_ALPHABET,
+    STORAGE_KEY_SETTINGS_BAND_CONDITIONS, STORAGE_KEY_SETTINGS_BAND_SNR,
     STORAGE_KEY_PADDLE_TEXTURES,
+    STORAGE_KEY_LEVEL_PACKS, STORAGE_KEY_SETTINGS_LEVEL_PACK,
+    STORAGE_KEY_SCHEMA_VERSION, STORAGE_KEY_PROFILES, STORAGE_KEY_ACTIVE_PROFILE,
+    STORAGE_LEGACY_KEY_PREFIXES,
+
+    // Profiles
+    DEFAULT_PROFILE_ID, DEFAULT_PROFILE_NAME, PROFILE_NAME_MAX_LENGTH,
+
+    // Level Packs
+    LEVEL_PACK_FORMAT, LEVEL_PACK_VERSION,
+    LEVEL_PACK_NAME_MAX_LENGTH, LEVEL_NAME_MAX_LENGTH, LEVEL_SENTENCE_MAX_LENGTH, LEVEL_MAX_UNLOCK_WPM,
+    LEVEL_EDITOR_DEFAULT_UNLOCK_CRITERIA,
+
+    // Backup
+    BACKUP_FORMAT, BACKUP_VERSION,
 
     // UI Feedback & Defaults
     INCORRECT_FLASH_DURATION,
+    KEYING_TIMELINE_WINDOW_UNITS, KEYING_TIMELINE_PLAYHEAD_POSITION,
+    KEYING_TIMELINE_SHORT_GAP_RATIO, KEYING_TIMELINE_LONG_GAP_RATIO,
     HINT_DEFAULT_VISIBLE,
+
+    // Debug
+    STATE_HISTORY_LIMIT, STATE_DEBUG_QUERY_PARAM, STATE_DEBUG_TOGGLE_KEY,
 };
 
-// Function to get the current keybindings, checking localStorage or using defaults
+// Function to get the current keybindings, checking localStorage (active profile) or using defaults
 window.getCurrentKeybindings = () => {
-    let ditKey = localStorage.getItem(window.MorseConfig.STORAGE_KEY_SETTINGS_DIT_KEY);
-    let dahKey = localStorage.getItem(window.MorseConfig.STORAGE_KEY_SETTINGS_DAH_KEY);
-
-    // Use defaults if localStorage values are null, empty, or invalid (e.g., space)
-    if (!ditKey || ditKey.trim() === '') {
-        ditKey = window.MorseConfig.KEYBINDING_DEFAULTS.dit;
-    }
-    if (!dahKey || dahKey.trim() === '') {
-        dahKey = window.MorseConfig.KEYBINDING_DEFAULTS.dah;
-    }
-
-    return { dit: ditKey, dah: dahKey };
+    // Defaults are used if the stored values are missing, empty, or invalid (e.g., space)
+    return {
+        dit: window.morseStorage.getString(window.MorseConfig.STORAGE_KEY_SETTINGS_DIT_KEY, window.MorseConfig.KEYBINDING_DEFAULTS.dit),
+        dah: window.morseStorage.getString(window.MorseConfig.STORAGE_KEY_SETTINGS_DAH_KEY, window.MorseConfig.KEYBINDING_DEFAULTS.dah)
+    };
 };
\ No newline at end of file
@@ -0,0 +1,112 @@
+/* Dit-Dah-Dash/js/eventBus.js */
+/* In file: js/eventBus.js */
+/**
+ * js/eventBus.js
+ * --------------
+ * Application-wide publish/subscribe bus. Modules announce what happened (an element
+ * was keyed, a character decoded, playback started, a setting changed) instead of
+ * reaching into each other through window globals, and new features subscribe to the
+ * events they need without changes to the modules that emit them.
+ * Only the event names in AppEvent are accepted; each one's payload is listed below.
+ * A failing subscriber is logged and does not stop the others.
+ */
+
+/**
+ * Event names and their payloads.
+ * - ELEMENT_KEYED     { element: '.'|'-', type: 'dit'|'dah', down, up, automatic, sequence, gap } - gap is the
+ *                     straight-key gap before the element ('element'|'character'|'word', null otherwise).
+ * - CHAR_DECODED      { charIndex, target, decoded, sequence, correct, keyTimeMs }
+ * - CHAR_CORRECT      Same payload as CHAR_DECODED, only for correct characters.
+ * - CHAR_INCORRECT    Same payload as CHAR_DECODED, only for incorrect characters.
+ * - SENTENCE_FINISHED { mode: AppMode value, scores } - sent (GameEngine) or copied (Receive/Koch).
+ * - PLAYBACK_STARTED  { kind: 'sequence'|'schedule', durationMs } - 'sequence' is played text
+ *                     (Playback, Receive, Koch), 'schedule' any other tone schedule.
+ * - PLAYBACK_ENDED    { kind, completed } - completed is false when playback was stopped early.
+ * - SETTINGS_CHANGED  { key, value } - key is the setting's name (e.g. 'wpm', 'keyerMode').
+ */
+const AppEvent = {
+    ELEMENT_KEYED: 'element-keyed',
+    CHAR_DECODED: 'char-decoded',
+    CHAR_CORRECT: 'char-correct',
+    CHAR_INCORRECT: 'char-incorrect',
+    SENTENCE_FINISHED: 'sentence-finished',
+    PLAYBACK_STARTED: 'playback-started',
+    PLAYBACK_ENDED: 'playback-ended',
+    SETTINGS_CHANGED: 'settings-changed'
+};
+
+const APP_EVENT_NAMES = new Set(Object.values(AppEvent));
+
+class EventBus {
+    constructor() {
+        this.handlers = new Map(); // Event name -> Set of handlers
+    }
+
+    /**
+     * Subscribes to an event.
+     * @param {string} event - An AppEvent value.
+     * @param {function(object)} handler - Called with the event's payload.
+     * @returns {function} Unsubscribes the handler.
+     */
+    on(event, handler) {
+        if (!this._isKnownEvent(event) || typeof handler !== 'function') return () => {};
+        if (!this.handlers.has(event)) this.handlers.set(event, new Set());
+        this.handlers.get(event).add(handler);
+        return () => this.off(event, handler);
+    }
+
+    /**
+     * Subscribes to the next occurrence of an event only.
+     * @param {string} event - An AppEvent value.
+     * @param {function(object)} handler - Called with the event's payload.
+     * @returns {function} Unsubscribes the handler (if it has not run yet).
+     */
+    once(event, handler) {
+        const unsubscribe = this.on(event, (payload) => {
+            unsubscribe();
+            handler(payload);
+        });
+        return unsubscribe;
+    }
+
+    /**
+     * Removes a handler added with on().
+     * @param {string} event - An AppEvent value.
+     * @param {function} handler - The handler to remove.
+     */
+    off(event, handler) {
+        this.handlers.get(event)?.delete(handler);
+    }
+
+    /**
+     * Publishes an event to every current subscriber, in subscription order.
+     * @param {string} event - An AppEvent value.
+     * @param {object} [payload={}] - The event's data (see AppEvent).
+     */
+    emit(event, payload = {}) {
+        if (!this._isKnownEvent(event)) return;
+        const handlers = this.handlers.get(event);
+        if (!handlers) return;
+        [...handlers].forEach(handler => { // Copy: handlers may unsubscribe while running
+            try {
+                handler(payload);
+            } catch (e) {
+                console.error(`EventBus: '${event}' handler failed:`, e);
+            }
+        });
+    }
+
+    /** Checks an event name against AppEvent, warning about unknown names. @private */
+    _isKnownEvent(event) {
+        if (APP_EVENT_NAMES.has(event)) return true;
+        console.warn(`EventBus: unknown event '${event}'.`);
+        return false;
+    }
+}
+
+// Expose the event names and the class (tests create their own bus)
+window.AppEvent = AppEvent;
+window.EventBus = EventBus;
+
+// Create a single instance for the game
+window.morseEventBus = new EventBus();
@@ -0,0 +1,25 @@
+/* Dit-Dah-Dash/js/fileDownload.js */
+/* In file: js/fileDownload.js */
+/**
+ * js/fileDownload.js
+ * ------------------
+ * Offers generated data to the user as a file download (WAV export, JSON backup, level pack
+ * export) through a temporary blob link.
+ */
+
+/**
+ * Offers data as a file download.
+ * @param {BlobPart} data - File contents (e.g. an ArrayBuffer or a string).
+ * @param {string} filename - Suggested file name.
+ * @param {string} mimeType - The file's MIME type (e.g. 'audio/wav').
+ */
+window.downloadFile = (data, filename, mimeType) => {
+    const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.morseClock.setTimeout(() => URL.revokeObjectURL(url), 1000); // Give the download time to start
+};
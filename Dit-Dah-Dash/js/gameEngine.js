@@ -0,0 +1,512 @@
+/* Dit-Dah-Dash/js/gameEngine.js */
+/* In file: js/gameEngine.js */
+/**
+ * js/gameEngine.js
+ * ----------------
+ * Core of sending a sentence (Game, Sandbox and Drill): takes paddle presses and
+ * releases, turns them into elements (Keyer, or straight-key timing), decodes each
+ * character after the inter-character gap, checks it against the target, advances
+ * through the sentence and scores it at the end.
+ * Has no DOM or audio dependencies: InputHandler feeds it paddle events and main.js
+ * reacts to its callbacks (tones, pattern display, highlighting, results).
+ * Keyed elements, decoded characters and finished sentences are also published on the
+ * event bus (see eventBus.js) for anything else that wants to follow the sending.
+ * All timing goes through an injectable clock (see clock.js), the same one passed to
+ * GameState, so a whole sentence can be keyed deterministically under Node: set
+ * `globalThis.window = globalThis`, run config.js, clock.js, eventBus.js, stateMachine.js,
+ * alphabets.js, morseDecoder.js, keyer.js, gameState.js, scoreCalculator.js, timingAnalyzer.js and
+ * this file in order (e.g. vm.runInThisContext), then create a VirtualClock, a
+ * GameState and a GameEngine sharing it, and move time with clock.advance(ms)
+ * (tests/gameEngine.test.js does this).
+ */
+
+class GameEngine {
+    /**
+     * @constructor
+     * @param {object} callbacks - Engine output events.
+     * @param {function} [callbacks.onStart] - The first element of the sentence was keyed (timer started).
+     * @param {function(object)} [callbacks.onElement] - An element was added: { element: '.'|'-', type: 'dit'|'dah',
+     * down, up, automatic, sequence, gap }. Automatic (keyer) elements still need their tone played. `gap` is how
+     * the straight-key gap before the element was classified ('element'|'character'|'word'; null for the first
+     * element and for paddles).
+     * @param {function} [callbacks.onToneStart] - A hand-keyed contact closed (straight key, bug dahs); sound until onToneStop.
+     * @param {function} [callbacks.onToneStop] - The hand-keyed contact opened.
+     * @param {function(object)} [callbacks.onDecode] - A character was decoded: { charIndex, target, decoded, sequence,
+     * correct, keyTimeMs } (keyTimeMs: how long the target was active).
+     * @param {function(object)} [callbacks.onProgress] - Moved on to the next character: { charIndex, target, correctChars, totalChars }.
+     * @param {function(object)} [callbacks.onFinish] - The sentence is over, with its scores (ScoreCalculator, plus `timing`).
+     * @param {object} [options] - Collaborators; each defaults to the global instance.
+     * @param {GameState} [options.gameState] - Sentence and progress state.
+     * @param {MorseDecoder} [options.decoder] - Decodes sequences and folds targets onto the alphabet.
+     * @param {ScoreCalculator} [options.scoreCalculator] - Scores the finished sentence.
+     * @param {TimingAnalyzer|null} [options.timingAnalyzer] - Rates the keying timing (skipped if null).
+     * @param {object} [options.clock] - Time source { now(), setTimeout(fn, ms), clearTimeout(id) }. Defaults to window.morseClock.
+     * @param {EventBus} [options.eventBus] - Receives ELEMENT_KEYED, CHAR_DECODED, CHAR_CORRECT/INCORRECT and SENTENCE_FINISHED.
+     */
+    constructor(callbacks = {}, options = {}) {
+        this.callbacks = callbacks;
+        this.gameState = options.gameState || window.morseGameState;
+        this.decoder = options.decoder || window.morseDecoder;
+        this.scoreCalculator = options.scoreCalculator || window.morseScoreCalculator;
+        this.timingAnalyzer = options.timingAnalyzer !== undefined ? options.timingAnalyzer : window.morseTimingAnalyzer;
+        this.clock = options.clock || window.morseClock;
+        this.eventBus = options.eventBus || window.morseEventBus;
+
+        // Input mode ('paddles' or 'straight_key', see MorseConfig.INPUT_MODES)
+        this.inputMode = MorseConfig.DEFAULT_INPUT_MODE;
+        this.paddles = { dit: false, dah: false }; // Paddles held (either one is the key in straight-key mode)
+        this.decodeTimerId = null;
+        this.isToneOn = false; // A hand-keyed tone is sounding (onToneStart without onToneStop yet)
+
+        // Straight-key State
+        this.straightKeyDown = false;
+        this.straightKeyPressTime = 0;
+        this.straightKeyReleaseTime = 0;
+        this.straightKeyDitEstimate = 0;  // ms, adapts to the user's actual keying speed
+        this.lastStraightKeyGap = null;   // 'element' | 'character' | 'word' | null: the gap before the key went down
+
+        // Timing
+        this.wpm = MorseConfig.DEFAULT_WPM;
+        this.keying = { weighting: MorseConfig.DEFAULT_WEIGHTING, dahRatio: MorseConfig.DEFAULT_DAH_RATIO };
+        this.unitDuration = 0; // Unweighted dit length at the current WPM
+        this.ditDuration = 0;
+        this.dahDuration = 0;
+        this.intraCharGap = 0;
+
+        // Keyer (paddle mode): generates timed elements from paddle state
+        this.keyer = new Keyer({
+            onElement: (type) => this._handleKeyerElement(type),
+            onManualStart: () => this._handleKeyerManualStart(),
+            onManualEnd: (durationMs) => this._handleKeyerManualEnd(durationMs),
+            onIdle: () => this._handleKeyerIdle()
+        }, this.clock);
+
+        this.updateWpm(this.wpm);
+    }
+
+    // --- Settings ---
+
+    /** Updates the character speed and recalculates element timings. */
+    updateWpm(wpm) {
+        if (wpm <= 0) return;
+        this.wpm = wpm;
+        this._calculateTimings();
+        this.straightKeyDitEstimate = this.unitDuration;
+    }
+
+    /**
+     * Updates the keying weighting and dah ratio of generated elements.
+     * @param {{weighting: number, dahRatio: number}} keying - New keying weights.
+     */
+    updateKeyingWeights(keying) {
+        this.keying = { ...this.keying, ...keying };
+        this._calculateTimings();
+    }
+
+    /**
+     * Enables or disables dit and dah paddle memory in the keyer.
+     * @param {boolean} ditMemory - Remember a dit tapped during a dah.
+     * @param {boolean} dahMemory - Remember a dah tapped during a dit.
+     */
+    setPaddleMemory(ditMemory, dahMemory) {
+        this.keyer.setMemory(ditMemory, dahMemory);
+    }
+
+    /**
+     * Switches between paddle and straight-key input.
+     * @param {string} mode - One of MorseConfig.INPUT_MODES.
+     * @returns {boolean} True if the mode changed.
+     */
+    setInputMode(mode) {
+        if (!Object.values(MorseConfig.INPUT_MODES).includes(mode)) {
+            console.warn("GameEngine: Invalid input mode ignored.", mode);
+            return false;
+        }
+        if (this.inputMode === mode) return false;
+
+        this.inputMode = mode;
+        this.reset();
+        this.straightKeyDitEstimate = this.unitDuration;
+        return true;
+    }
+
+    /**
+     * Sets how the keyer handles squeezes and paddle memory (paddle input only).
+     * @param {string} mode - One of KeyerMode.
+     * @returns {boolean} True if the mode is valid.
+     */
+    setKeyerMode(mode) {
+        return this.keyer.setMode(mode);
+    }
+
+    /** @returns {boolean} True if straight-key input is active. */
+    isStraightKeyMode() {
+        return this.inputMode === MorseConfig.INPUT_MODES.STRAIGHT_KEY;
+    }
+
+    /** @returns {number|null} When the straight key went down if it is still held, otherwise null. */
+    getHeldKeyDownTime() {
+        return this.straightKeyDown ? this.straightKeyPressTime : null;
+    }
+
+    /** Ideal sending timings: standard (non-Farnsworth) spacing at the character speed, with the keying weights. */
+    getSendingTimings() {
+        return MorseConfig.calculateTimings(this.wpm, this.wpm, this.keying);
+    }
+
+    /** Recalculates element timings (character speed, keying weights) and passes them to the keyer. @private */
+    _calculateTimings() {
+        const timings = this.getSendingTimings();
+        this.unitDuration = 1200 / this.wpm;
+        this.ditDuration = timings.ditMs;
+        this.dahDuration = timings.dahMs;
+        this.intraCharGap = timings.intraCharGapMs;
+        this.keyer.setTimings(this.ditDuration, this.dahDuration, this.intraCharGap);
+    }
+
+    // --- Input ---
+
+    /** @returns {boolean} True if a sentence is being sent and paddle input counts. */
+    isAcceptingInput() {
+        return this.gameState.isSendingMode() &&
+               (this.gameState.status === GameStatus.READY || this.gameState.isPlaying());
+    }
+
+    /**
+     * A paddle went down. In straight-key mode either paddle is the key.
+     * @param {'dit'|'dah'} paddle
+     */
+    press(paddle) {
+        if (!this.isAcceptingInput() || this.paddles[paddle]) return;
+        const wasKeyDown = this.paddles.dit || this.paddles.dah;
+        this.paddles[paddle] = true;
+
+        if (this.isStraightKeyMode()) {
+            if (!wasKeyDown) this._straightKeyDown();
+            return;
+        }
+        this._cancelDecode();
+        if (this.gameState.status === GameStatus.DECODING) {
+            this.gameState.setStatus(GameStatus.TYPING);
+        }
+        this.keyer.paddleDown(paddle);
+    }
+
+    /**
+     * A paddle came up.
+     * @param {'dit'|'dah'} paddle
+     */
+    release(paddle) {
+        if (!this.paddles[paddle]) return;
+        this.paddles[paddle] = false;
+        if (!this.isAcceptingInput()) {
+            // Left the sentence while keying; don't leave the keyer running or a tone sounding
+            this.reset();
+            return;
+        }
+
+        if (this.isStraightKeyMode()) {
+            if (!this.paddles.dit && !this.paddles.dah && this.straightKeyDown) this._straightKeyUp();
+            return;
+        }
+        this.keyer.paddleUp(paddle);
+    }
+
+    /** Stops keying: cancels the pending decode, resets the keyer and ends a sounding tone. */
+    reset() {
+        this._cancelDecode();
+        this.keyer.reset();
+        this.paddles = { dit: false, dah: false };
+        this.straightKeyReleaseTime = 0;
+        this.lastStraightKeyGap = null;
+        this.straightKeyDown = false;
+        this._setTone(false);
+    }
+
+    /** Starts or stops the hand-keyed tone (once per change). @private */
+    _setTone(isOn) {
+        if (this.isToneOn === isOn) return;
+        this.isToneOn = isOn;
+        this._emit(isOn ? 'onToneStart' : 'onToneStop');
+    }
+
+    // --- Straight Key ---
+
+    /**
+     * Handles the straight key going down: segments the preceding gap and starts the tone.
+     * The gap is classified even when the decode timer has already ended the character, so a
+     * word break is told from a letter break however long the decoder waits (Farnsworth).
+     * @private
+     */
+    _straightKeyDown() {
+        const now = this.clock.now();
+        this._cancelDecode();
+
+        this.lastStraightKeyGap = this.straightKeyReleaseTime > 0 ? this._classifyStraightKeyGap(now - this.straightKeyReleaseTime) : null;
+        if (this.gameState.currentInputSequence) {
+            if (this.lastStraightKeyGap === 'element') {
+                // Intra-character gaps are one unit long, so they refine the estimate too
+                this._adaptStraightKeyDitEstimate(now - this.straightKeyReleaseTime);
+            } else if (this.lastStraightKeyGap !== null) {
+                // The pause already ended the character; decode it before starting the next one
+                this.gameState.setStatus(GameStatus.DECODING);
+                this._decodeCharacter();
+            }
+        }
+        if (!this.isAcceptingInput()) {
+            return; // That decode finished the sentence
+        }
+
+        if (this.gameState.status === GameStatus.LISTENING || this.gameState.status === GameStatus.DECODING) {
+            this.gameState.setStatus(GameStatus.TYPING);
+        }
+
+        this.straightKeyDown = true;
+        this.straightKeyPressTime = now;
+        this._setTone(true);
+    }
+
+    /**
+     * Handles the straight key going up: classifies the element and waits for the character gap.
+     * The wait is the decoder's (Farnsworth-stretched) one, scaled to the sender's own speed.
+     * @private
+     */
+    _straightKeyUp() {
+        const now = this.clock.now();
+        const durationMs = now - this.straightKeyPressTime;
+        this.straightKeyDown = false;
+        this.straightKeyReleaseTime = now;
+        this._setTone(false);
+
+        const type = this._classifyStraightKeyPress(durationMs);
+        this._addElement(type, { down: this.straightKeyPressTime, up: now }, false, this.lastStraightKeyGap);
+
+        if (this.gameState.status === GameStatus.LISTENING) {
+            this.gameState.setStatus(GameStatus.TYPING);
+        }
+        const speedScale = this.straightKeyDitEstimate / this.unitDuration;
+        this._scheduleDecode(this.decoder.interCharGapThreshold * speedScale, this.decoder.farnsworthWait * speedScale);
+    }
+
+    /**
+     * Classifies a key press as a dit or dah and feeds it into the adaptive dit estimate.
+     * Also used for the manual side of a bug, which is keyed by hand the same way.
+     * @param {number} durationMs - How long the key was held.
+     * @returns {'dit'|'dah'}
+     * @private
+     */
+    _classifyStraightKeyPress(durationMs) {
+        const thresholdMs = this.straightKeyDitEstimate * MorseConfig.STRAIGHT_KEY_DAH_THRESHOLD_UNITS;
+        const type = durationMs < thresholdMs ? 'dit' : 'dah';
+        const measuredDitMs = (type === 'dit') ? durationMs : durationMs / this.keying.dahRatio;
+        this._adaptStraightKeyDitEstimate(measuredDitMs);
+        return type;
+    }
+
+    /**
+     * Classifies the gap between two key presses.
+     * @param {number} gapMs - Time from key up to the next key down.
+     * @returns {'element'|'character'|'word'}
+     * @private
+     */
+    _classifyStraightKeyGap(gapMs) {
+        const units = gapMs / this.straightKeyDitEstimate;
+        if (units < MorseConfig.STRAIGHT_KEY_CHAR_GAP_THRESHOLD_UNITS) return 'element';
+        if (units < MorseConfig.STRAIGHT_KEY_WORD_GAP_THRESHOLD_UNITS) return 'character';
+        return 'word';
+    }
+
+    /** Moves the dit estimate towards a new one-unit measurement, bounded around the configured WPM. @private */
+    _adaptStraightKeyDitEstimate(measuredDitMs) {
+        const rate = MorseConfig.STRAIGHT_KEY_ADAPT_RATE;
+        const next = this.straightKeyDitEstimate * (1 - rate) + measuredDitMs * rate;
+        const minMs = this.unitDuration * MorseConfig.STRAIGHT_KEY_MIN_DIT_FACTOR;
+        const maxMs = this.unitDuration * MorseConfig.STRAIGHT_KEY_MAX_DIT_FACTOR;
+        this.straightKeyDitEstimate = Math.min(maxMs, Math.max(minMs, next));
+    }
+
+    // --- Keyer Callbacks ---
+
+    /**
+     * An automatic element from the keyer starts: record it.
+     * @returns {boolean} False to stop the keyer (the sentence ended or was left).
+     * @private
+     */
+    _handleKeyerElement(type) {
+        if (!this.isAcceptingInput()) return false;
+        const now = this.clock.now();
+        this._addElement(type, { down: now, up: now + (type === 'dit' ? this.ditDuration : this.dahDuration) }, true);
+        return true;
+    }
+
+    /** Bug mode: the manual (dah) contact closed; sound until it opens. @private */
+    _handleKeyerManualStart() {
+        if (!this.isAcceptingInput()) return;
+        if (this.gameState.status === GameStatus.LISTENING || this.gameState.status === GameStatus.DECODING) {
+            this.gameState.setStatus(GameStatus.TYPING);
+        }
+        this._setTone(true);
+    }
+
+    /** Bug mode: the manual contact opened; its length decides dit or dah like a straight key. @private */
+    _handleKeyerManualEnd(durationMs) {
+        this._setTone(false);
+        if (!this.isAcceptingInput()) return;
+        const now = this.clock.now();
+        this._addElement(this._classifyStraightKeyPress(durationMs), { down: now - durationMs, up: now }, false);
+    }
+
+    /** The keyer finished its last element and gap with no paddle held: wait for the character gap. @private */
+    _handleKeyerIdle() {
+        if (this.gameState.status === GameStatus.TYPING && this.gameState.currentInputSequence) {
+            // One element gap has already elapsed inside the keyer
+            this._scheduleDecode(Math.max(0, this.decoder.interCharGapThreshold - this.intraCharGap), this.decoder.farnsworthWait);
+        } else if (this.gameState.status === GameStatus.TYPING) {
+            this.gameState.setStatus(GameStatus.LISTENING);
+        }
+    }
+
+    // --- Sentence Flow ---
+
+    /**
+     * Adds an element to the character being keyed (starting the timer on the first one).
+     * @param {'dit'|'dah'} type - The element.
+     * @param {{down: number, up: number}} keyTimes - When its key went down and up (clock ms).
+     * @param {boolean} automatic - Generated by the keyer (its tone hasn't been played yet).
+     * @param {string|null} [gap=null] - Straight key: how the gap before it was classified.
+     * @private
+     */
+    _addElement(type, keyTimes, automatic, gap = null) {
+        if (!this.isAcceptingInput()) return;
+        const element = (type === 'dit') ? '.' : '-';
+        const isFirst = this.gameState.status === GameStatus.READY;
+
+        this.gameState.addInput(element, keyTimes);
+        if (isFirst) this._emit('onStart');
+        const event = { element, type, down: keyTimes.down, up: keyTimes.up, automatic, sequence: this.gameState.currentInputSequence, gap };
+        this._publish(AppEvent.ELEMENT_KEYED, event);
+        this._emit('onElement', event);
+    }
+
+    /**
+     * Decodes the current sequence after a pause of the given length.
+     * If the pause runs out, its Farnsworth part is added to GameState.farnsworthWaitTime (the
+     * scorer takes it out of the elapsed time); a character ended by the next key-down waited none.
+     * @param {number} delayMs - Character gap to wait for.
+     * @param {number} [farnsworthMs=0] - Part of delayMs added by Farnsworth spacing.
+     * @private
+     */
+    _scheduleDecode(delayMs, farnsworthMs = 0) {
+        this._cancelDecode();
+
+        const canSchedule = this.gameState.currentInputSequence && this.gameState.isSendingMode() &&
+            (this.gameState.status === GameStatus.TYPING || this.gameState.status === GameStatus.LISTENING);
+        if (!canSchedule) {
+            if (this.gameState.status === GameStatus.TYPING && !this.gameState.currentInputSequence) {
+                this.gameState.setStatus(GameStatus.LISTENING);
+            }
+            return;
+        }
+
+        this.gameState.setStatus(GameStatus.DECODING);
+        this.decodeTimerId = this.clock.setTimeout(() => {
+            this.decodeTimerId = null;
+            this.gameState.farnsworthWaitTime += farnsworthMs;
+            this._decodeCharacter();
+        }, delayMs);
+    }
+
+    /** Cancels the pending character decode. @private */
+    _cancelDecode() {
+        if (this.decodeTimerId !== null) {
+            this.clock.clearTimeout(this.decodeTimerId);
+            this.decodeTimerId = null;
+        }
+    }
+
+    /** Decodes the keyed sequence, checks it against the target and moves on if it matches. @private */
+    _decodeCharacter() {
+        const gameState = this.gameState;
+        if (gameState.status !== GameStatus.DECODING || !gameState.isSendingMode()) {
+            if (gameState.status === GameStatus.DECODING) gameState.setStatus(GameStatus.LISTENING);
+            return;
+        }
+
+        const sequence = gameState.currentInputSequence;
+        const rawTargetChar = gameState.getTargetCharacter();
+        const targetChar = rawTargetChar === null ? null : this.decoder.foldText(rawTargetChar); // e.g. Hebrew final forms
+        gameState.currentInputSequence = "";
+        gameState.inputTimestamps = [];
+        if (!sequence) {
+            gameState.setStatus(GameStatus.LISTENING);
+            return;
+        }
+
+        const decodedChar = this.decoder.decodeSequence(sequence, targetChar);
+        const correct = decodedChar !== null && targetChar !== null && decodedChar === targetChar;
+        const charIndex = gameState.currentCharIndex;
+        const keyTimeMs = gameState.getTargetElapsedTime();
+        gameState.recordKeyedCharacter(targetChar, decodedChar);
+
+        let moreChars = true;
+        if (correct) {
+            moreChars = gameState.moveToNextCharacter(); // Advances index, sets state
+        } else {
+            gameState.registerIncorrectAttempt();
+            gameState.setStatus(GameStatus.LISTENING);
+        }
+        const event = { charIndex, target: targetChar, decoded: decodedChar, sequence, correct, keyTimeMs };
+        this._publish(AppEvent.CHAR_DECODED, event);
+        this._publish(correct ? AppEvent.CHAR_CORRECT : AppEvent.CHAR_INCORRECT, event);
+        this._emit('onDecode', event);
+
+        if (!correct) return;
+        if (moreChars) {
+            this._emit('onProgress', {
+                charIndex: gameState.currentCharIndex,
+                target: gameState.getTargetCharacterRaw(),
+                correctChars: gameState.correctChars,
+                totalChars: gameState.totalCharsInSentence
+            });
+        } else {
+            this.finish();
+        }
+    }
+
+    /**
+     * Ends the sentence (also one that was never started, e.g. only spaces) and scores it.
+     * @returns {object|null} The scores, or null if the sentence had already ended.
+     */
+    finish() {
+        const gameState = this.gameState;
+        if (gameState.status === GameStatus.SHOWING_RESULTS || gameState.status === GameStatus.MENU) return null;
+
+        this.reset();
+        gameState.stopTimer(); // Sets status to FINISHED
+        if (gameState.status !== GameStatus.FINISHED) {
+            gameState.setStatus(GameStatus.FINISHED);
+        }
+
+        const scores = this.scoreCalculator.calculateScores(gameState);
+        if (this.timingAnalyzer) {
+            scores.timing = this.timingAnalyzer.analyze(gameState.keyTimeline, gameState.keyedCharacters, gameState.currentSentence, this.getSendingTimings());
+        }
+        console.log(`GameEngine: Sentence finished (${scores.netWpm} WPM, ${scores.accuracy}%).`);
+        this._publish(AppEvent.SENTENCE_FINISHED, { mode: gameState.currentMode, scores });
+        this._emit('onFinish', scores);
+        return scores;
+    }
+
+    /** Calls an output callback if it is set. @private */
+    _emit(name, payload) {
+        if (this.callbacks[name]) this.callbacks[name](payload);
+    }
+
+    /** Publishes an event on the bus (before the matching callback, so observers see it first). @private */
+    _publish(event, payload) {
+        if (this.eventBus) this.eventBus.emit(event, payload);
+    }
+}
+
+// Expose the class (main.js creates the instance)
+window.GameEngine = GameEngine;
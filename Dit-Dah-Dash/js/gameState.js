@@ -3,8 +3,13 @@
  * js/gameState.js
  * ---------------
  * Manages the state of the application, including game progress, playback state,
- * timing, current input, and mode (Game, Sandbox, Playback, Menu, Settings).
+ * timing, current input, and mode (Game, Sandbox, Drill, Receive, Koch, Playback, Menu, Settings).
  * Includes logging for input sequence updates.
+ * Keeps the full press/release timeline of each keyed sentence for timing analysis.
+ * Has no DOM dependencies and reads time from an injectable clock, so GameEngine can
+ * drive it outside the browser. The character decode timer lives in GameEngine.
+ * The status is a state machine (stateMachine.js): change it with setStatus(), which
+ * accepts only the transitions in GAME_STATUS_TRANSITIONS and logs the rest.
  */
 
 // Defines the possible states of the application (focusing on activity)
@@ -22,32 +27,98 @@ const GameStatus = {
     PLAYBACK_INPUT: 'playback_input', // Playback screen is shown, waiting for input/play
     PLAYING_BACK: 'playing_back',     // Audio playback is active (playback)
     SANDBOX_INPUT: 'sandbox_input', // Sandbox setup screen is active
+    RECEIVE_INPUT: 'receive_input', // Receive sentence played (or waiting to play), user typing the copy
     PAUSED: 'paused'                // (Optional) Game paused state
 };
 
+// Statuses of a sentence being keyed (Game, Sandbox, Drill)
+const SENDING_STATUSES = [GameStatus.READY, GameStatus.LISTENING, GameStatus.TYPING, GameStatus.DECODING];
+
+/**
+ * Allowed status transitions (from -> targets). IDLE (reset) and SETTINGS (the modal opens
+ * over any screen) can be entered from every status. Screens reached from the main menu go
+ * through reset() first, so they are entered from IDLE. There is no pause yet, so PAUSED
+ * has no transitions and can't be entered.
+ */
+const GAME_STATUS_TRANSITIONS = {
+    [GameStatus.IDLE]: [GameStatus.MENU, GameStatus.LEVEL_SELECT, GameStatus.SANDBOX_INPUT, GameStatus.PLAYBACK_INPUT,
+        GameStatus.READY, GameStatus.RECEIVE_INPUT],
+    [GameStatus.MENU]: [GameStatus.READY, GameStatus.RECEIVE_INPUT], // Drill and Koch start from the menu
+    [GameStatus.SETTINGS]: [],                                       // Closing settings resets to the menu
+    [GameStatus.LEVEL_SELECT]: [GameStatus.READY, GameStatus.RECEIVE_INPUT],
+    [GameStatus.READY]: [GameStatus.LISTENING, GameStatus.FINISHED, GameStatus.LEVEL_SELECT],
+    [GameStatus.LISTENING]: [GameStatus.TYPING, GameStatus.DECODING, GameStatus.FINISHED, GameStatus.LEVEL_SELECT],
+    [GameStatus.TYPING]: [GameStatus.LISTENING, GameStatus.DECODING, GameStatus.FINISHED, GameStatus.LEVEL_SELECT],
+    [GameStatus.DECODING]: [GameStatus.LISTENING, GameStatus.TYPING, GameStatus.FINISHED, GameStatus.LEVEL_SELECT],
+    [GameStatus.FINISHED]: [GameStatus.SHOWING_RESULTS, GameStatus.LEVEL_SELECT],
+    [GameStatus.SHOWING_RESULTS]: [GameStatus.READY, GameStatus.RECEIVE_INPUT, GameStatus.LEVEL_SELECT],
+    [GameStatus.PLAYBACK_INPUT]: [GameStatus.PLAYING_BACK],
+    [GameStatus.PLAYING_BACK]: [GameStatus.PLAYBACK_INPUT, GameStatus.RECEIVE_INPUT],
+    [GameStatus.SANDBOX_INPUT]: [GameStatus.READY],
+    [GameStatus.RECEIVE_INPUT]: [GameStatus.PLAYING_BACK, GameStatus.FINISHED, GameStatus.LEVEL_SELECT]
+};
+
 // Defines the current operational mode
 const AppMode = {
     MENU: 'menu',
     SETTINGS: 'settings',   // Indicates the settings modal is the focus
     GAME: 'game',           // Standard level progression
     SANDBOX: 'sandbox',     // Custom sentence practice
-    PLAYBACK: 'playback'    // Sentence audio playback tool
+    DRILL: 'drill',         // Weak-character drill (generated sentence, sent like sandbox)
+    RECEIVE: 'receive',     // Copy training: listen to a level sentence and type it
+    KOCH: 'koch',           // Koch method: copy random groups of the current lesson's characters
+    PLAYBACK: 'playback',   // Sentence audio playback tool
+    DECODE_AUDIO: 'decode_audio', // Decode Morse from an uploaded recording
+    STATS: 'stats',         // Progress stats screen
+    LEVEL_EDITOR: 'level_editor' // Create and edit user level packs
 };
 
 
 class GameState {
     /**
      * Initializes the GameState object.
+     * @param {object} [clock] - Time source { now() } (see clock.js). Defaults to window.morseClock.
      */
-    constructor() {
+    constructor(clock = null) {
+        this.clock = clock || window.morseClock;
+        this.machine = new StateMachine({
+            name: 'GameState',
+            initial: GameStatus.IDLE,
+            transitions: GAME_STATUS_TRANSITIONS,
+            anyStateTargets: [GameStatus.IDLE, GameStatus.SETTINGS],
+            guards: {
+                // Keying statuses need a sentence to send; copy and playback statuses need their mode
+                [GameStatus.READY]: () => this.isSendingMode(),
+                [GameStatus.LISTENING]: () => this.isSendingMode(),
+                [GameStatus.TYPING]: () => this.isSendingMode(),
+                [GameStatus.DECODING]: () => this.isSendingMode() && this.currentInputSequence.length > 0,
+                [GameStatus.RECEIVE_INPUT]: () => this.isReceiveMode(),
+                [GameStatus.PLAYING_BACK]: () => this.currentMode === AppMode.PLAYBACK || this.isReceiveMode()
+            },
+            now: () => this.clock.now()
+        });
         this.reset(); // Initial state setup
     }
 
+    /** The current GameStatus (read-only; change it with setStatus). */
+    get status() {
+        return this.machine.state;
+    }
+
+    /**
+     * Moves to another status if GAME_STATUS_TRANSITIONS and its guard allow it.
+     * @param {string} status - A GameStatus value.
+     * @returns {boolean} True if the status is now the requested one (rejected transitions are logged).
+     */
+    setStatus(status) {
+        return this.machine.transition(status);
+    }
+
     /**
      * Resets the application state, typically called on startup or returning to menu.
      */
      reset() {
-        this.status = GameStatus.IDLE; // Start as idle, main.js will set to MENU
+        this.setStatus(GameStatus.IDLE); // Start as idle, main.js will set to MENU
         this.currentMode = AppMode.MENU; // Track the mode
         // Game/Sandbox-specific state
         this.currentLevelId = null;     // null in sandbox mode
@@ -58,18 +129,20 @@ class GameState {
         this.startTime = 0;
         this.endTime = 0;
         this.elapsedTime = 0;
+        this.farnsworthWaitTime = 0; // Part of elapsedTime spent waiting out stretched (Farnsworth) character gaps
         this.correctChars = 0;
         this.incorrectAttempts = 0;
         this.totalInputs = 0; // Game/Sandbox inputs
+        this.receivePlayCount = 0; // Times the receive sentence was played
 
         // Input tracking state
         this.currentInputSequence = ""; // Morse sequence during gameplay (.,-)
         this.resultsInputSequence = ""; // Morse sequence on results screen (.,-) - REMOVED FUNCTIONALITY
         this.inputTimestamps = [];
+        this.keyTimeline = [];     // Every key-down period of the sentence: { element, down, up, charIndex }
+        this.keyedCharacters = []; // Decoded groups of keyTimeline: { charIndex, target, decoded, start, end }
         this.lastInputTime = 0;
-        this.characterTimeoutId = null; // For game decoding timer
-        this.isIambicHandling = false;
-        this.iambicState = null; // 'dit' or 'dah'
+        this.targetStartTime = 0; // When the current target character became active (time to key)
 
         console.log("Application state reset.");
     }
@@ -83,45 +156,116 @@ class GameState {
      * @param {string} sentenceText - The text of the sentence.
      */
     startLevelSentence(levelId, sentenceIndex, sentenceText) {
+        this.setStatus(GameStatus.IDLE); // Always enter the status below afresh: its entry actions set up the screen
         // Reset only game-specific counters/tracking
         this.currentMode = AppMode.GAME;
         this.currentLevelId = levelId;
         this.currentSentenceIndex = sentenceIndex;
         this.currentSentence = sentenceText;
-        this.totalCharsInSentence = sentenceText.split('').filter(char => char !== ' ').length;
+        this.totalCharsInSentence = this._countTokens(sentenceText);
         this.currentCharIndex = 0;
-        this.startTime = 0; this.endTime = 0; this.elapsedTime = 0;
+        this.startTime = 0; this.endTime = 0; this.elapsedTime = 0; this.farnsworthWaitTime = 0;
         this.correctChars = 0; this.incorrectAttempts = 0; this.totalInputs = 0;
         this.currentInputSequence = ""; this.resultsInputSequence = "";
-        this.inputTimestamps = []; this.lastInputTime = 0; this.characterTimeoutId = null;
-        this.isIambicHandling = false; this.iambicState = null;
+        this.inputTimestamps = []; this.lastInputTime = 0; this.targetStartTime = 0;
+        this.keyTimeline = []; this.keyedCharacters = [];
 
         this._skipLeadingSpaces();
-        this.status = GameStatus.READY; // Set state after setup
+        this.setStatus(GameStatus.READY); // Set state after setup
         console.log(`Starting Level ${levelId}, Sentence ${sentenceIndex + 1}. Mode: ${this.currentMode}, Status: ${this.status}`);
     }
 
     /**
      * Sets up the game state for a custom sentence (SANDBOX context).
      * @param {string} sentenceText - The custom sentence text.
+     * @param {string} [mode=AppMode.SANDBOX] - The mode set before entering READY (status actions read it).
      */
-    startSandboxSentence(sentenceText) {
+    startSandboxSentence(sentenceText, mode = AppMode.SANDBOX) {
+        this.setStatus(GameStatus.IDLE); // Always enter the status below afresh: its entry actions set up the screen
         // Reset only game-specific counters/tracking
-        this.currentMode = AppMode.SANDBOX;
+        this.currentMode = mode;
         this.currentLevelId = null; // No level ID in sandbox
         this.currentSentenceIndex = 0; // Only one sentence
         this.currentSentence = sentenceText;
-        this.totalCharsInSentence = sentenceText.split('').filter(char => char !== ' ').length;
+        this.totalCharsInSentence = this._countTokens(sentenceText);
         this.currentCharIndex = 0;
-        this.startTime = 0; this.endTime = 0; this.elapsedTime = 0;
+        this.startTime = 0; this.endTime = 0; this.elapsedTime = 0; this.farnsworthWaitTime = 0;
         this.correctChars = 0; this.incorrectAttempts = 0; this.totalInputs = 0;
         this.currentInputSequence = ""; this.resultsInputSequence = "";
-        this.inputTimestamps = []; this.lastInputTime = 0; this.characterTimeoutId = null;
-        this.isIambicHandling = false; this.iambicState = null;
+        this.inputTimestamps = []; this.lastInputTime = 0; this.targetStartTime = 0;
+        this.keyTimeline = []; this.keyedCharacters = [];
 
         this._skipLeadingSpaces();
-        this.status = GameStatus.READY; // Set state after setup
-        console.log(`Starting Sandbox. Mode: ${this.currentMode}, Status: ${this.status}`);
+        this.setStatus(GameStatus.READY); // Set state after setup
+        console.log(`Starting ${this.currentMode}. Status: ${this.status}`);
+    }
+
+    /**
+     * Sets up the game state for a generated weak-character drill (DRILL context).
+     * Plays exactly like a sandbox sentence.
+     * @param {string} sentenceText - The drill sentence.
+     */
+    startDrillSentence(sentenceText) {
+        this.startSandboxSentence(sentenceText, AppMode.DRILL);
+    }
+
+    /**
+     * Sets up the state for copying a level sentence by ear (RECEIVE context).
+     * The timer starts when the sentence is first played (see startReceiveTimer).
+     * @param {number} levelId - The ID of the level being practised.
+     * @param {number} sentenceIndex - The index of the sentence within the level.
+     * @param {string} sentenceText - The text that will be played.
+     * @param {string} [mode=AppMode.RECEIVE] - The mode set before entering RECEIVE_INPUT (status actions read it).
+     */
+    startReceiveSentence(levelId, sentenceIndex, sentenceText, mode = AppMode.RECEIVE) {
+        this.setStatus(GameStatus.IDLE); // Always enter the status below afresh: its entry actions set up the screen
+        this.currentMode = mode;
+        this.currentLevelId = levelId;
+        this.currentSentenceIndex = sentenceIndex;
+        this.currentSentence = sentenceText;
+        this.totalCharsInSentence = this._countTokens(sentenceText);
+        this.currentCharIndex = 0;
+        this.startTime = 0; this.endTime = 0; this.elapsedTime = 0; this.farnsworthWaitTime = 0;
+        this.correctChars = 0; this.incorrectAttempts = 0; this.totalInputs = 0;
+        this.currentInputSequence = ""; this.resultsInputSequence = "";
+        this.inputTimestamps = []; this.lastInputTime = 0; this.targetStartTime = 0;
+        this.keyTimeline = []; this.keyedCharacters = [];
+        this.receivePlayCount = 0;
+
+        this.setStatus(GameStatus.RECEIVE_INPUT);
+        console.log(`Starting Receive: Level ${levelId}, Sentence ${sentenceIndex + 1}. Status: ${this.status}`);
+    }
+
+    /**
+     * Sets up a Koch session: random groups copied by ear with the receive UI.
+     * @param {string} sessionText - The generated groups.
+     */
+    startKochSession(sessionText) {
+        this.startReceiveSentence(null, 0, sessionText, AppMode.KOCH);
+    }
+
+    /** Checks if the current mode copies played text (Receive or Koch). */
+    isReceiveMode() {
+        return this.currentMode === AppMode.RECEIVE || this.currentMode === AppMode.KOCH;
+    }
+
+    /** Starts the receive timer on the first playback of the sentence. */
+    startReceiveTimer() {
+        this.receivePlayCount++;
+        if (this.isReceiveMode() && this.startTime === 0) {
+            this.startTime = this.clock.now();
+            console.log("Receive timer started.");
+        }
+    }
+
+    /** Stops the receive timer when the copy is submitted and sets status to FINISHED. */
+    finishReceive() {
+        if (!this.isReceiveMode()) return false;
+        this.endTime = this.clock.now();
+        this.elapsedTime = this.startTime > 0 ? this.endTime - this.startTime : 0;
+        this.setStatus(GameStatus.FINISHED);
+        console.log(`Receive finished. Elapsed: ${this.elapsedTime.toFixed(0)}ms, plays: ${this.receivePlayCount}`);
+        return true;
     }
 
     /** Skips leading spaces in the current sentence. */
@@ -134,9 +278,10 @@ class GameState {
      /** Starts the game/sandbox timer if status is READY. */
      startTimer() {
         if (this.status === GameStatus.READY) {
-            this.startTime = performance.now();
-            this.status = GameStatus.LISTENING;
+            this.startTime = this.clock.now();
+            this.setStatus(GameStatus.LISTENING);
             this.lastInputTime = this.startTime;
+            this.targetStartTime = this.startTime;
             console.log("Timer started.");
             return true;
         }
@@ -146,38 +291,44 @@ class GameState {
     /** Stops the game/sandbox timer and sets status to FINISHED. */
     stopTimer() {
         if (this.startTime > 0 && this.status !== GameStatus.FINISHED && this.status !== GameStatus.SHOWING_RESULTS) {
-            this.endTime = performance.now();
+            this.endTime = this.clock.now();
             this.elapsedTime = this.endTime - this.startTime;
-            this.status = GameStatus.FINISHED;
+            this.setStatus(GameStatus.FINISHED);
             console.log(`Timer stopped. Elapsed: ${this.elapsedTime.toFixed(0)}ms`);
             return true;
         }
          // Prevent stopping multiple times or if never started
          if (this.status === GameStatus.FINISHED || this.status === GameStatus.SHOWING_RESULTS) return false;
-         if (this.startTime === 0) { this.status = GameStatus.FINISHED; return false; } // Mark finished if stop requested without start
+         if (this.startTime === 0) { this.setStatus(GameStatus.FINISHED); return false; } // Mark finished if stop requested without start
         return false;
     }
 
-    /** Updates the game/sandbox input sequence. */
-    addInput(input) {
-        const now = performance.now();
+    /**
+     * Updates the game/sandbox input sequence.
+     * @param {string} input - '.' or '-'.
+     * @param {{down: number, up: number}} [keyTimes] - When the element's key went down and up
+     * (clock ms); recorded in the sentence's key timeline.
+     */
+    addInput(input, keyTimes = null) {
+        const now = this.clock.now();
         // Only count inputs if actually in a playing state
         if (this.isPlaying() || this.status === GameStatus.READY) {
             this.totalInputs++; // Track game/sandbox inputs
+            if (keyTimes) {
+                this.keyTimeline.push({ element: input, down: keyTimes.down, up: keyTimes.up, charIndex: this.currentCharIndex });
+            }
         }
         this.inputTimestamps.push({ input, time: now });
         this.lastInputTime = now;
 
         if (this.status === GameStatus.READY) {
             this.startTimer(); // Starts timer and sets status to LISTENING
-            this.status = GameStatus.TYPING; // Immediately switch to TYPING on first input
+            this.setStatus(GameStatus.TYPING); // Immediately switch to TYPING on first input
             this.currentInputSequence += input;
-            this.clearCharacterTimeout(); // Clear any nascent timeout
             console.log(`GameState: Added input '${input}'. Sequence: '${this.currentInputSequence}'. Status: ${this.status}`); // Log
         } else if (this.status === GameStatus.LISTENING || this.status === GameStatus.TYPING || this.status === GameStatus.DECODING) {
-            if (this.status === GameStatus.LISTENING || this.status === GameStatus.DECODING) this.status = GameStatus.TYPING; // Ensure TYPING state
+            if (this.status === GameStatus.LISTENING || this.status === GameStatus.DECODING) this.setStatus(GameStatus.TYPING); // Ensure TYPING state
             this.currentInputSequence += input;
-            this.clearCharacterTimeout(); // Reset timeout on each input while typing
             console.log(`GameState: Added input '${input}'. Sequence: '${this.currentInputSequence}'. Status: ${this.status}`); // Log
         } else if (this.status === GameStatus.SHOWING_RESULTS) {
              // Input on results screen is now ignored (removed '..' shortcut)
@@ -190,35 +341,40 @@ class GameState {
         // console.log(`Clearing input sequence. Was: '${this.currentInputSequence}'`); // Debug
         this.currentInputSequence = "";
         this.inputTimestamps = [];
-        this.clearCharacterTimeout();
-        if (window.morseUIManager) { // Update UI accordingly
-             window.morseUIManager.updateUserPatternDisplay("");
-             window.morseUIManager.setPatternDisplayState('default');
-        }
         // Reset to listening state only if actively playing game/sandbox characters
         if (this.isPlaying()) {
             // console.log("Setting status to LISTENING after clearing input."); // Debug
-            this.status = GameStatus.LISTENING;
+            this.setStatus(GameStatus.LISTENING);
+        }
+    }
+
+    /**
+     * Closes the elements keyed since the last decode into one character group of the timeline.
+     * Call before moving to the next character.
+     * @param {string|null} target - The character that was asked for.
+     * @param {string|null} decoded - What the elements decoded to.
+     */
+    recordKeyedCharacter(target, decoded) {
+        const last = this.keyedCharacters[this.keyedCharacters.length - 1];
+        const start = last ? last.end : 0;
+        const end = this.keyTimeline.length;
+        if (end > start) {
+            this.keyedCharacters.push({ charIndex: this.currentCharIndex, target, decoded, start, end });
         }
     }
 
      /** Clears the input sequence used on the results screen (redundant now). */
     clearResultsInput() { this.resultsInputSequence = ""; }
 
-    /** Stores the ID for the character decode timeout. */
-    setCharacterTimeout(timeoutId) { this.clearCharacterTimeout(); this.characterTimeoutId = timeoutId; }
-
-    /** Clears the pending character decode timeout. */
-    clearCharacterTimeout() { if (this.characterTimeoutId) { clearTimeout(this.characterTimeoutId); this.characterTimeoutId = null; } }
-
     /** Advances to the next game/sandbox character. Returns true if more chars exist, false if sentence complete. */
     moveToNextCharacter() {
         this.correctChars++;
-        this.currentCharIndex++;
+        this.currentCharIndex += this._tokenLengthAt(this.currentCharIndex); // Prosigns span several characters
+        this.targetStartTime = this.clock.now();
         while (this.currentCharIndex < this.currentSentence.length && this.currentSentence[this.currentCharIndex] === ' ') {
             this.currentCharIndex++;
         }
-        this.clearCurrentInput(); // Clears sequence, updates UI, sets state to LISTENING if playing
+        this.clearCurrentInput(); // Clears sequence, sets state to LISTENING if playing
 
         if (this.currentCharIndex >= this.currentSentence.length) {
             this.stopTimer(); // Sets status to FINISHED
@@ -238,25 +394,52 @@ class GameState {
         console.log("Incorrect attempt registered. Total:", this.incorrectAttempts);
     }
 
+    /** Checks if the current mode is keyed with the paddles (Game, Sandbox or Drill). */
+    isSendingMode() {
+        return this.currentMode === AppMode.GAME || this.currentMode === AppMode.SANDBOX || this.currentMode === AppMode.DRILL;
+    }
+
+    /** Gets how long the current target character has been active (ms), or 0 before the timer starts. */
+    getTargetElapsedTime() {
+        return this.targetStartTime > 0 ? this.clock.now() - this.targetStartTime : 0;
+    }
+
     /** Checks if the game is in an active playing state (input matters for game/sandbox). */
     isPlaying() {
-        return (this.currentMode === AppMode.GAME || this.currentMode === AppMode.SANDBOX) &&
+        return this.isSendingMode() &&
                (this.status === GameStatus.LISTENING ||
                this.status === GameStatus.TYPING ||
                this.status === GameStatus.DECODING);
     }
 
+    /** Marks played text as sounding (Playback, Receive and Koch); called when sequence playback starts. */
+    startPlayback() {
+        if (this.machine.can(GameStatus.PLAYING_BACK)) {
+            this.setStatus(GameStatus.PLAYING_BACK);
+        }
+    }
+
+    /** Reverts PLAYING_BACK to the waiting state of the mode that started playback. */
+    finishPlayback() {
+        if (this.status !== GameStatus.PLAYING_BACK) return;
+        if (this.currentMode === AppMode.PLAYBACK) {
+            this.setStatus(GameStatus.PLAYBACK_INPUT);
+        } else if (this.isReceiveMode()) {
+            this.setStatus(GameStatus.RECEIVE_INPUT);
+        }
+    }
+
      /** Checks if audio playback is active. */
      isAudioPlayingBack() {
-         return this.currentMode === AppMode.PLAYBACK && this.status === GameStatus.PLAYING_BACK;
+         return (this.currentMode === AppMode.PLAYBACK || this.isReceiveMode()) && this.status === GameStatus.PLAYING_BACK;
      }
 
     /** Gets the target game/sandbox character (uppercase or space). */
     getTargetCharacter() {
         const targetStates = [GameStatus.READY, GameStatus.LISTENING, GameStatus.TYPING, GameStatus.DECODING];
-        if ((this.currentMode === AppMode.GAME || this.currentMode === AppMode.SANDBOX) &&
+        if (this.isSendingMode() &&
             targetStates.includes(this.status) && this.currentCharIndex < this.currentSentence.length) {
-             const char = this.currentSentence[this.currentCharIndex];
+             const char = this._tokenAt(this.currentCharIndex);
              return char === ' ' ? ' ' : char.toUpperCase();
         } return null;
     }
@@ -264,20 +447,38 @@ class GameState {
      /** Gets the target game/sandbox character (raw case). */
      getTargetCharacterRaw() {
          const targetStates = [GameStatus.READY, GameStatus.LISTENING, GameStatus.TYPING, GameStatus.DECODING];
-          if ((this.currentMode === AppMode.GAME || this.currentMode === AppMode.SANDBOX) &&
+          if (this.isSendingMode() &&
               targetStates.includes(this.status) && this.currentCharIndex < this.currentSentence.length) {
-             return this.currentSentence[this.currentCharIndex];
+             return this._tokenAt(this.currentCharIndex);
          } return null;
      }
 
+    /** Gets the token (single character or prosign such as "<AR>") starting at an index of the sentence. */
+    _tokenAt(index) {
+        const first = this.currentSentence[index];
+        if (first !== '<') return first;
+        const tokens = MorseConfig.tokenizeMorseText(this.currentSentence.slice(index));
+        return tokens.length > 0 ? this.currentSentence.slice(index, index + tokens[0].token.length) : first;
+    }
+
+    /** Gets the length in the sentence text of the token starting at an index. */
+    _tokenLengthAt(index) {
+        return this._tokenAt(index)?.length || 1;
+    }
+
+    /** Counts the non-space tokens (characters and prosigns) in a text. */
+    _countTokens(text) {
+        return MorseConfig.tokenizeMorseText(text).filter(({ token }) => token !== ' ').length;
+    }
+
     /** Gets the current calculated elapsed game/sandbox time. */
     getCurrentElapsedTime() {
         if (this.startTime === 0) return 0;
         if (this.status === GameStatus.FINISHED || this.status === GameStatus.SHOWING_RESULTS) {
-             if (this.status === GameStatus.FINISHED && this.endTime === 0) return performance.now() - this.startTime;
+             if (this.status === GameStatus.FINISHED && this.endTime === 0) return this.clock.now() - this.startTime;
             return this.elapsedTime;
         }
-        if (this.status === GameStatus.READY || this.isPlaying()) return performance.now() - this.startTime;
+        if (this.status === GameStatus.READY || this.isPlaying()) return this.clock.now() - this.startTime;
 
         return 0; // Return 0 if not actively timing
     }
@@ -286,4 +487,5 @@ class GameState {
 // Create global instance & expose status/mode enums
 window.morseGameState = new GameState();
 window.GameStatus = GameStatus; // Make enum accessible globally
-window.AppMode = AppMode;       // Make enum accessible globally
\ No newline at end of file
+window.AppMode = AppMode;       // Make enum accessible globally
+window.SENDING_STATUSES = SENDING_STATUSES;
\ No newline at end of file
@@ -4,8 +4,8 @@
  * js/inputHandler.js
  * ------------------
  * Handles user input from main Dit/Dah paddles (touch/mouse/keyboard).
- * Implements automatic repetition and Iambic B keying for game/sandbox.
- * Triggers discrete audio tones for each generated Morse element.
+ * While a sentence is sent, paddle presses and releases are passed to the GameEngine
+ * (js/gameEngine.js), which does the keying, timing and decoding.
  * Handles separate input logic for RESULTS mode using the same paddles.
  * Uses dynamically configurable keybindings.
  * **v3 Changes:**
@@ -13,27 +13,38 @@
  * **v4 Changes:**
  * - Updated key handling to use dynamic key mappings from settings.
  * - Added updateKeyMappings method.
+ * **v5 Changes:**
+ * - Added straight-key input mode: either paddle (or key) acts as a single key, element type is
+ *   classified from press duration against an adaptive dit estimate, and gaps are segmented into
+ *   element, character and word breaks.
+ * **v6 Changes:**
+ * - Replaced the hard-coded Iambic B repeat/queue logic with the Keyer class and a
+ *   selectable keyer mode (Iambic A/B, Ultimatic, Bug, single lever).
+ * **v7 Changes:**
+ * - Every element is passed to GameState with its key-down and key-up times (the sentence's key timeline).
+ * - Exposes the start of a straight-key press that is still held (for the live keying timeline).
+ * **v8 Changes:**
+ * - Moved the keyer, straight-key timing and character decoding into GameEngine; this class
+ *   now only turns DOM events into paddle presses and releases.
  */
 
 class InputHandler {
     /**
      * @constructor
      * @param {GameState} gameState - Central game state manager.
-     * @param {MorseDecoder} decoder - Handles Morse decoding/timing.
+     * @param {GameEngine} engine - Keys, decodes and scores the sentence being sent.
      * @param {AudioPlayer} audioPlayer - Handles audio generation.
      * @param {UIManager} uiManager - Handles DOM updates and button feedback.
      * @param {object} callbacks - Functions for input events.
-     * @param {function} callbacks.onInput - Callback for dit/dah during gameplay/sandbox.
-     * @param {function} callbacks.onCharacterDecode - Callback for character decode attempt in gameplay/sandbox.
      * @param {function} callbacks.onResultsInput - Callback for dit/dah on results screen.
      * @param {object} initialKeyMappings - Initial keybindings { dit: 'key', dah: 'key' }
      */
-    constructor(gameState, decoder, audioPlayer, uiManager, callbacks, initialKeyMappings) {
+    constructor(gameState, engine, audioPlayer, uiManager, callbacks, initialKeyMappings) {
         this.gameState = gameState;
-        this.decoder = decoder;
+        this.engine = engine;
         this.audioPlayer = audioPlayer;
         this.uiManager = uiManager;
-        this.callbacks = callbacks; // { onInput, onCharacterDecode, onResultsInput }
+        this.callbacks = callbacks; // { onResultsInput }
 
         // DOM Elements
         this.ditButton = document.getElementById('dit-button');
@@ -56,29 +67,11 @@ class InputHandler {
         this.ditKeyPressed = false;   // Keyboard state for dit (using current mapping)
         this.dahKeyPressed = false;   // Keyboard state for dah (using current mapping)
 
-        this.pressStartTime = { dit: 0, dah: 0 };
-        this.lastInputTypeGenerated = null;
-        this.lastEmitTime = 0;
-        this.queuedInput = null;
-
         // Track active touch identifiers
         this.activeTouchIds = { dit: null, dah: null };
 
-        // Timing
-        this.wpm = MorseConfig.DEFAULT_WPM;
-        this.ditDuration = 0;
-        this.dahDuration = 0;
-        this.intraCharGap = 0;
-
-        // Timers
-        this.repeatOrIambicTimerId = null;
-
         // Bind event listeners
         this._bindEvents();
-        this.updateWpm(uiManager.getInitialWpm());
-
-        // Set the audio player callback
-        this.audioPlayer.setOnToneEndCallback(this.handleToneEnd.bind(this));
         console.log("InputHandler Initialized with keys:", this.keyMappings);
     }
 
@@ -100,113 +93,76 @@ class InputHandler {
         }
     }
 
-    /** Updates WPM and recalculates timing values. */
-    updateWpm(newWpm) {
-        if (newWpm <= 0) return;
-        this.wpm = newWpm;
-        const baseDit = 1200 / this.wpm;
-        this.ditDuration = baseDit;
-        this.dahDuration = baseDit * MorseConfig.DAH_DURATION_UNITS;
-        this.intraCharGap = baseDit * MorseConfig.INTRA_CHARACTER_GAP_UNITS;
-        this.audioPlayer.updateWpm(newWpm);
-        this.decoder.updateWpm(newWpm);
-    }
-
     /** Central handler for press events (touch, mouse, key). */
     _press(type, method) {
-        const isGameInputContext = (this.gameState.currentMode === AppMode.GAME || this.gameState.currentMode === AppMode.SANDBOX) &&
-                                   (this.gameState.status === GameStatus.READY || this.gameState.isPlaying());
+        const isGameInputContext = this.engine.isAcceptingInput();
         const isResultsContext = this.gameState.status === GameStatus.SHOWING_RESULTS;
-
-        if (isGameInputContext || isResultsContext) {
-             this.audioPlayer.initializeAudioContext();
-        }
-
-        // --- Queueing Check (Game Context Only) ---
-        if (isGameInputContext && this.audioPlayer.inputToneNode) {
-            if (this.queuedInput === null) {
-                this.queuedInput = type;
-                // console.log(`Audio busy on press, queued: ${type}`);
-                const wasDitActive = this.ditPressed || this.ditKeyPressed;
-                const wasDahActive = this.dahPressed || this.dahKeyPressed;
-                 if (type === 'dit' && !wasDitActive) this.uiManager.setButtonActive('dit', true);
-                 if (type === 'dah' && !wasDahActive) this.uiManager.setButtonActive('dah', true);
-                 if (type === 'dit') { if (method === 'key') this.ditKeyPressed = true; else this.ditPressed = true; }
-                 else { if (method === 'key') this.dahKeyPressed = true; else this.dahPressed = true; }
-                return;
-            } else {
-                 // console.log(`Audio busy on press, queue full. Ignored: ${type}`);
-                 if (type === 'dit') { if (method === 'key') this.ditKeyPressed = true; else this.ditPressed = true; }
-                 else { if (method === 'key') this.dahKeyPressed = true; else this.dahPressed = true; }
-                 return;
-            }
-        }
-
-        // --- Standard Press Processing ---
         if (!isGameInputContext && !isResultsContext) return;
 
-        const now = performance.now();
-        let stateChanged = false;
-        let pressStartTimeKey = (type === 'dit') ? 'dit' : 'dah';
-
-        if (type === 'dit') {
-            if ((method === 'touch' || method === 'mouse') && !this.ditPressed) { this.ditPressed = true; stateChanged = true; }
-            else if (method === 'key' && !this.ditKeyPressed) { this.ditKeyPressed = true; stateChanged = true; }
-        } else { // dah
-            if ((method === 'touch' || method === 'mouse') && !this.dahPressed) { this.dahPressed = true; stateChanged = true; }
-            else if (method === 'key' && !this.dahKeyPressed) { this.dahKeyPressed = true; stateChanged = true; }
-        }
-
-        if (stateChanged) {
-            this.pressStartTime[pressStartTimeKey] = now;
-            const isCurrentlyActive = (type === 'dit') ? (this.ditPressed || this.ditKeyPressed) : (this.dahPressed || this.dahKeyPressed);
-            this.uiManager.setButtonActive(type, isCurrentlyActive);
+        this.audioPlayer.initializeAudioContext();
 
-            if (isResultsContext) {
-                console.log(`Results Action Triggered by: ${type}`);
-                this.audioPlayer.playInputTone(type);
-                if (this.callbacks.onResultsInput) this.callbacks.onResultsInput(type);
+        const wasActive = this._isPaddleActive(type);
+        if (!this._setInputFlag(type, method, true)) return;
+        // The dit button is the key in straight-key mode
+        this.uiManager.setButtonActive(isGameInputContext && this.engine.isStraightKeyMode() ? 'dit' : type, true);
+        if (wasActive) return; // Same paddle already held through another input method
 
-            } else if (isGameInputContext) {
-                 this.decoder.cancelScheduledDecode();
-                 this._processInputStateChange();
-            }
+        if (isResultsContext) {
+            console.log(`Results Action Triggered by: ${type}`);
+            this.audioPlayer.playInputTone(type);
+            if (this.callbacks.onResultsInput) this.callbacks.onResultsInput(type);
+        } else {
+            this.engine.press(type);
         }
     }
 
     /** Central handler for release events (touch, mouse, key). */
     _release(type, method) {
-        const isGameContext = (this.gameState.currentMode === AppMode.GAME || this.gameState.currentMode === AppMode.SANDBOX) &&
-                              (this.gameState.status === GameStatus.READY || this.gameState.isPlaying() || this.gameState.status === GameStatus.DECODING);
+        const isGameContext = this.engine.isAcceptingInput();
         const isResultsContext = this.gameState.status === GameStatus.SHOWING_RESULTS;
 
-        if (!isGameContext && !isResultsContext) return;
+        if (!isGameContext) {
+            this.engine.reset(); // Left the game while keying; stops the keyer and any tone
+        }
 
-        let stateChanged = false;
+        if (!isGameContext && !isResultsContext) return;
 
-        if (type === 'dit') {
-            if ((method === 'touch' || method === 'mouse') && this.ditPressed) { this.ditPressed = false; stateChanged = true; }
-            else if (method === 'key' && this.ditKeyPressed) { this.ditKeyPressed = false; stateChanged = true; }
-        } else { // dah
-            if ((method === 'touch' || method === 'mouse') && this.dahPressed) { this.dahPressed = false; stateChanged = true; }
-            else if (method === 'key' && this.dahKeyPressed) { this.dahKeyPressed = false; stateChanged = true; }
+        const wasActive = this._isPaddleActive(type);
+        if (!this._setInputFlag(type, method, false)) return;
+        const isStillActive = this._isPaddleActive(type);
+        if (isGameContext && this.engine.isStraightKeyMode()) {
+            if (!this._isAnyInputActive()) this.uiManager.setButtonActive('dit', false);
+        } else {
+            this.uiManager.setButtonActive(type, isStillActive);
         }
 
-        if (stateChanged) {
-            const isStillActive = (type === 'dit') ? (this.ditPressed || this.ditKeyPressed) : (this.dahPressed || this.dahKeyPressed);
-            this.uiManager.setButtonActive(type, isStillActive);
+        if (isGameContext && wasActive && !isStillActive) {
+            this.engine.release(type);
+        }
+    }
 
-            if (isGameContext && this.queuedInput !== null && !this.audioPlayer.inputToneNode) {
-                // console.log("Release detected queue processing opportunity.");
-                this.handleToneEnd();
-            }
+    /**
+     * Sets the pressed flag for a paddle/input method.
+     * @returns {boolean} True if the flag changed.
+     */
+    _setInputFlag(type, method, isPressed) {
+        const flag = (type === 'dit')
+            ? (method === 'key' ? 'ditKeyPressed' : 'ditPressed')
+            : (method === 'key' ? 'dahKeyPressed' : 'dahPressed');
+        if (this[flag] === isPressed) return false;
+        this[flag] = isPressed;
+        return true;
+    }
 
-            if (isGameContext) {
-                 this._processInputStateChange();
-            }
-        }
+    /** @returns {boolean} True if the given paddle is held by any input method. */
+    _isPaddleActive(type) {
+        return (type === 'dit') ? (this.ditPressed || this.ditKeyPressed) : (this.dahPressed || this.dahKeyPressed);
     }
 
+    /** @returns {boolean} True if any paddle is held by any input method. */
+    _isAnyInputActive() {
+        return this.ditPressed || this.ditKeyPressed || this.dahPressed || this.dahKeyPressed;
+    }
 
     /** Binds touch, mouse and keyboard event listeners. */
     _bindEvents() {
@@ -252,7 +208,7 @@ class InputHandler {
             return;
         }
 
-        const isGameContext = (this.gameState.currentMode === AppMode.GAME || this.gameState.currentMode === AppMode.SANDBOX) && (this.gameState.status === GameStatus.READY || this.gameState.isPlaying());
+        const isGameContext = this.engine.isAcceptingInput();
         const isResultsContext = this.gameState.status === GameStatus.SHOWING_RESULTS;
 
         // Check against current key mappings (case-insensitive compare might be safer)
@@ -349,228 +305,4 @@ class InputHandler {
             }
         }
     }
-
-
-    /** Central logic to determine input mode (gameplay/sandbox only) and manage timers/state. */
-    _processInputStateChange() {
-         const isGameInputContext = (this.gameState.currentMode === AppMode.GAME || this.gameState.currentMode === AppMode.SANDBOX) &&
-                                    (this.gameState.status === GameStatus.READY || this.gameState.isPlaying() || this.gameState.status === GameStatus.DECODING);
-
-         if (!isGameInputContext) {
-            this._clearRepeatOrIambicTimer();
-            this.lastEmitTime = 0;
-            this.queuedInput = null;
-            this.gameState.isIambicHandling = false;
-            this.gameState.iambicState = null;
-            return;
-         }
-
-        const isDitActive = this.ditPressed || this.ditKeyPressed;
-        const isDahActive = this.dahPressed || this.dahKeyPressed;
-
-        this._clearRepeatOrIambicTimer();
-
-         if ((isDitActive || isDahActive) && this.gameState.status === GameStatus.DECODING) {
-             this.decoder.cancelScheduledDecode();
-             this.gameState.status = GameStatus.TYPING;
-         }
-
-        if (isDitActive && isDahActive) {
-            this.gameState.isIambicHandling = true;
-            if (this.gameState.iambicState === null) {
-                const pressTimeDit = this.pressStartTime.dit || 0;
-                const pressTimeDah = this.pressStartTime.dah || 0;
-                this.gameState.iambicState = (pressTimeDah > pressTimeDit) ? 'dah' : 'dit';
-            }
-            this._triggerRepeatOrIambicOutput();
-
-        } else if (isDitActive) {
-            this.gameState.isIambicHandling = false;
-            this.gameState.iambicState = 'dit';
-            this._triggerRepeatOrIambicOutput();
-
-        } else if (isDahActive) {
-            this.gameState.isIambicHandling = false;
-            this.gameState.iambicState = 'dah';
-            this._triggerRepeatOrIambicOutput();
-
-        } else {
-            this.gameState.isIambicHandling = false;
-            this.gameState.iambicState = null;
-             if (this.gameState.currentInputSequence && this.gameState.status === GameStatus.TYPING) {
-                if (this.queuedInput === null && !this.audioPlayer.inputToneNode) {
-                    this._scheduleDecodeAfterDelay();
-                }
-             } else if (this.gameState.status === GameStatus.TYPING && !this.gameState.currentInputSequence) {
-                 this.gameState.status = GameStatus.LISTENING;
-             }
-        }
-    }
-
-    /** Handles adding a Morse element ('.' or '-') to the game state sequence. */
-    _emitInputToSequence(type) {
-        const morseChar = (type === 'dit') ? '.' : '-';
-
-        if (!(this.gameState.isPlaying() || this.gameState.status === GameStatus.READY)) {
-            return morseChar;
-        }
-
-        this.gameState.addInput(morseChar);
-        this.uiManager.updateUserPatternDisplay(this.gameState.currentInputSequence);
-        if (this.callbacks.onInput) this.callbacks.onInput(morseChar);
-
-        return morseChar;
-    }
-
-
-    /** Triggers the next output in an Auto-Repeat or Iambic sequence. */
-    _triggerRepeatOrIambicOutput() {
-        this._clearRepeatOrIambicTimer();
-
-        const isDitActive = this.ditPressed || this.ditKeyPressed;
-        const isDahActive = this.dahPressed || this.dahKeyPressed;
-        const elementToSend = this.gameState.iambicState;
-
-        if (!(this.gameState.isPlaying() || this.gameState.status === GameStatus.READY)) {
-             this.lastEmitTime = 0; return;
-        }
-        if (!elementToSend) { return; }
-
-        if (this.gameState.isIambicHandling && (!isDitActive || !isDahActive)) { this._processInputStateChange(); return; }
-        if (!this.gameState.isIambicHandling && elementToSend === 'dit' && !isDitActive) { this._processInputStateChange(); return; }
-        if (!this.gameState.isIambicHandling && elementToSend === 'dah' && !isDahActive) { this._processInputStateChange(); return; }
-
-        const now = performance.now();
-        const timeSinceLastEmit = now - this.lastEmitTime;
-        const lastElementDurationMs = (this.lastInputTypeGenerated === 'dit' ? this.ditDuration : (this.lastInputTypeGenerated === 'dah' ? this.dahDuration : 0));
-        const requiredTimeMs = lastElementDurationMs + this.intraCharGap;
-
-        if (this.lastEmitTime > 0 && timeSinceLastEmit < requiredTimeMs) {
-            const remainingTimeMs = requiredTimeMs - timeSinceLastEmit;
-            this.repeatOrIambicTimerId = setTimeout(() => this._triggerRepeatOrIambicOutput(), Math.max(5, remainingTimeMs));
-            return;
-        }
-
-        if (this.audioPlayer.inputToneNode) {
-             if (this.queuedInput === null) {
-                 this.queuedInput = elementToSend;
-                 // console.log(`Audio busy, queued: ${elementToSend}`);
-             } // else { console.log(`Audio busy, queue full. Dropped: ${elementToSend}`); }
-             return;
-         }
-
-         this._emitInputToSequence(elementToSend);
-         this.audioPlayer.playInputTone(elementToSend);
-         this.lastInputTypeGenerated = elementToSend;
-         this.lastEmitTime = performance.now();
-
-         const currentElementDurationMs = (elementToSend === 'dit' ? this.ditDuration : this.dahDuration);
-         const delayForNextMs = currentElementDurationMs + this.intraCharGap;
-
-         if (this.gameState.isIambicHandling) {
-             this.gameState.iambicState = (elementToSend === 'dit') ? 'dah' : 'dit';
-         }
-
-         const stillDitActive = this.ditPressed || this.ditKeyPressed;
-         const stillDahActive = this.dahPressed || this.dahKeyPressed;
-         const shouldContinue =
-               (this.gameState.isIambicHandling && stillDitActive && stillDahActive) ||
-               (!this.gameState.isIambicHandling && this.gameState.iambicState === 'dit' && stillDitActive) ||
-               (!this.gameState.isIambicHandling && this.gameState.iambicState === 'dah' && stillDahActive);
-
-         if (shouldContinue) {
-            this.repeatOrIambicTimerId = setTimeout(() => this._triggerRepeatOrIambicOutput(), Math.max(5, delayForNextMs));
-         } else {
-             this._processInputStateChange();
-         }
-    }
-
-    /** Callback function triggered by AudioPlayer when an input tone finishes playing naturally. */
-    handleToneEnd() {
-         let processedQueueItem = false;
-         let emittedType = null;
-
-         if (this.queuedInput !== null) {
-             const typeToProcess = this.queuedInput;
-             this.queuedInput = null;
-             // console.log(`Processing queued input: ${typeToProcess}`);
-
-             this._emitInputToSequence(typeToProcess);
-             this.audioPlayer.playInputTone(typeToProcess);
-             processedQueueItem = true;
-             emittedType = typeToProcess;
-
-             if (this.gameState.status !== GameStatus.FINISHED && this.gameState.status !== GameStatus.SHOWING_RESULTS) {
-                 this.gameState.status = GameStatus.TYPING;
-             }
-             this.lastInputTypeGenerated = emittedType;
-             this.lastEmitTime = performance.now();
-         }
-
-         setTimeout(() => {
-             const isDitActive = this.ditPressed || this.ditKeyPressed;
-             const isDahActive = this.dahPressed || this.dahKeyPressed;
-
-             if (isDitActive || isDahActive) {
-                  this._processInputStateChange();
-             } else {
-                 if (!processedQueueItem && this.gameState.status === GameStatus.TYPING && this.gameState.currentInputSequence) {
-                     this._scheduleDecodeAfterDelay();
-                 } else if (!processedQueueItem && this.gameState.status === GameStatus.TYPING && !this.gameState.currentInputSequence) {
-                     this.gameState.status = GameStatus.LISTENING;
-                 }
-                  else if (processedQueueItem && this.gameState.status === GameStatus.TYPING && this.gameState.currentInputSequence) {
-                       this._scheduleDecodeAfterDelay();
-                  }
-             }
-         }, 1);
-     }
-
-
-    /** Schedules the character decode function after the inter-character gap timeout. */
-     _scheduleDecodeAfterDelay() {
-        this.decoder.cancelScheduledDecode();
-
-         const canSchedule = (
-             this.gameState.currentInputSequence &&
-             (this.gameState.status === GameStatus.TYPING || this.gameState.status === GameStatus.LISTENING) &&
-             (this.gameState.currentMode === AppMode.GAME || this.gameState.currentMode === AppMode.SANDBOX)
-         );
-
-         if (!canSchedule) {
-             if (this.gameState.status === GameStatus.TYPING && !this.gameState.currentInputSequence) {
-                  this.gameState.status = GameStatus.LISTENING;
-             }
-             return;
-         }
-
-         // console.log(`Scheduling decode for sequence: '${this.gameState.currentInputSequence}'`);
-         this.gameState.status = GameStatus.DECODING;
-
-         this.decoder.scheduleDecode(() => {
-             if (this.gameState.status === GameStatus.DECODING &&
-                 (this.gameState.currentMode === AppMode.GAME || this.gameState.currentMode === AppMode.SANDBOX))
-             {
-                 if (this.callbacks.onCharacterDecode) {
-                     this.callbacks.onCharacterDecode();
-                 } else {
-                      console.error("onCharacterDecode callback is missing!");
-                      if(this.gameState.status === GameStatus.DECODING) this.gameState.status = GameStatus.LISTENING;
-                 }
-             } else {
-                 // console.log(`Decode callback skipped. Status: ${this.gameState.status}, Mode: ${this.gameState.currentMode}`);
-                 if(this.gameState.status === GameStatus.DECODING) this.gameState.status = GameStatus.LISTENING;
-             }
-             this.gameState.isIambicHandling = false;
-             this.gameState.iambicState = null;
-         });
-     }
-
-    /** Clears the single iambic/repeat generation timer. */
-    _clearRepeatOrIambicTimer() {
-        if (this.repeatOrIambicTimerId) {
-            clearTimeout(this.repeatOrIambicTimerId);
-            this.repeatOrIambicTimerId = null;
-        }
-    }
-}
\ No newline at end of file
+}
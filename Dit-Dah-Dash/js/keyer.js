@@ -0,0 +1,268 @@
+/* Dit-Dah-Dash/js/keyer.js */
+/* In file: js/keyer.js */
+/**
+ * js/keyer.js
+ * -----------
+ * Electronic keyer logic: turns paddle presses and releases into a stream of
+ * timed dit/dah elements. Has no DOM or audio dependencies; InputHandler feeds it
+ * paddle events and reacts to its callbacks (play tone, append to sequence, decode).
+ * All timing goes through an injectable clock ({ now, setTimeout, clearTimeout }, see clock.js),
+ * so the keyer can be driven deterministically outside the browser.
+ *
+ * Supported modes:
+ * - Iambic A: squeeze alternates; releasing both stops after the current element.
+ *   Tapping the opposite paddle during an element is remembered.
+ * - Iambic B: like A, but releasing a squeeze sends one extra opposite element.
+ * - Ultimatic: on a squeeze the last-pressed paddle wins and repeats.
+ * - Bug: dit paddle sends automatic dits, dah paddle is a manual key (length follows the hand).
+ * - Single lever: on a squeeze the first-pressed paddle keeps control.
+ */
+
+// Defines the available keyer modes
+const KeyerMode = {
+    IAMBIC_A: 'iambic_a',
+    IAMBIC_B: 'iambic_b',
+    ULTIMATIC: 'ultimatic',
+    BUG: 'bug',
+    SINGLE_LEVER: 'single_lever'
+};
+
+class Keyer {
+    /**
+     * @constructor
+     * @param {object} callbacks - Keyer output events.
+     * @param {function(string): (boolean|void)} callbacks.onElement - An automatic element ('dit'|'dah') starts. Return false to stop the keyer.
+     * @param {function} [callbacks.onManualStart] - Bug mode: the manual (dah) contact closed.
+     * @param {function(number)} [callbacks.onManualEnd] - Bug mode: the manual contact opened, with how long it was held (ms).
+     * @param {function} [callbacks.onIdle] - The keyer finished its last element (and trailing gap) with no paddle held.
+     * @param {object} [clock] - Time source { now(), setTimeout(fn, ms), clearTimeout(id) }. Defaults to window.morseClock.
+     */
+    constructor(callbacks = {}, clock = null) {
+        this.callbacks = callbacks;
+        this.clock = clock || window.morseClock;
+
+        this.mode = MorseConfig.DEFAULT_KEYER_MODE;
+        this.memoryEnabled = { dit: MorseConfig.DEFAULT_DIT_MEMORY, dah: MorseConfig.DEFAULT_DAH_MEMORY };
+        this.ditMs = 0;
+        this.dahMs = 0;
+        this.gapMs = 0;
+        this.timerId = null;
+        this.reset();
+    }
+
+    /** Stops any element in progress and forgets paddle state and memory. */
+    reset() {
+        if (this.timerId !== null) {
+            this.clock.clearTimeout(this.timerId);
+            this.timerId = null;
+        }
+        this.paddles = { dit: false, dah: false };
+        this.pressTime = { dit: 0, dah: 0 };
+        this.memory = { dit: false, dah: false };
+        this.currentElement = null;   // 'dit' | 'dah' | 'manual' while an element or its trailing gap runs
+        this.lastElement = null;      // Last automatic element, for iambic alternation
+        this.manualStartTime = null;  // Bug: time the manual contact closed
+        this.manualPending = false;   // Bug: manual press waiting for the current dit to finish
+        this.manualReleasedMs = null; // Bug: ...and how long it was held if already released
+    }
+
+    /**
+     * Sets the keyer mode. Memory is cleared; held paddles are kept.
+     * @param {string} mode - One of KeyerMode.
+     * @returns {boolean} True if the mode was valid.
+     */
+    setMode(mode) {
+        if (!Object.values(KeyerMode).includes(mode)) {
+            console.warn("Keyer: Invalid mode ignored.", mode);
+            return false;
+        }
+        this.mode = mode;
+        this.memory = { dit: false, dah: false };
+        return true;
+    }
+
+    /**
+     * Enables or disables paddle memory per paddle. Iambic B's squeeze-release element is part
+     * of the mode itself and is not affected.
+     * @param {boolean} ditMemory - Remember a dit paddle tapped during a dah.
+     * @param {boolean} dahMemory - Remember a dah paddle tapped during a dit.
+     */
+    setMemory(ditMemory, dahMemory) {
+        this.memoryEnabled = { dit: !!ditMemory, dah: !!dahMemory };
+        if (!this.memoryEnabled.dit) this.memory.dit = false;
+        if (!this.memoryEnabled.dah) this.memory.dah = false;
+    }
+
+    /**
+     * Sets element timings.
+     * @param {number} ditMs - Dit length.
+     * @param {number} dahMs - Dah length.
+     * @param {number} gapMs - Gap after each element.
+     */
+    setTimings(ditMs, dahMs, gapMs) {
+        if (ditMs <= 0 || dahMs <= 0 || gapMs < 0) return;
+        this.ditMs = ditMs;
+        this.dahMs = dahMs;
+        this.gapMs = gapMs;
+    }
+
+    /** @returns {boolean} True while an element, its gap or a manual element is in progress. */
+    isBusy() {
+        return this.currentElement !== null || this.manualStartTime !== null || this.manualPending;
+    }
+
+    /** @param {'dit'|'dah'} type - Paddle that closed. */
+    paddleDown(type) {
+        if (this.paddles[type]) return;
+        this.paddles[type] = true;
+        this.pressTime[type] = this.clock.now();
+
+        if (this.mode === KeyerMode.BUG && type === 'dah') {
+            this._manualDown();
+            return;
+        }
+        if (this.currentElement !== null) {
+            // Paddle memory: an opposite press during an element is sent after it.
+            // A single lever can't close both sides, so it only remembers once the other side is released.
+            const otherHeld = this.paddles[this._opposite(type)];
+            const canRemember = this.memoryEnabled[type] && this.mode !== KeyerMode.BUG &&
+                                !(this.mode === KeyerMode.SINGLE_LEVER && otherHeld);
+            if (canRemember && type !== this.currentElement) {
+                this.memory[type] = true;
+            }
+            return;
+        }
+        if (this.manualStartTime !== null || this.manualPending) return; // Bug: dits resume after the manual element
+        this._next();
+    }
+
+    /** @param {'dit'|'dah'} type - Paddle that opened. */
+    paddleUp(type) {
+        if (!this.paddles[type]) return;
+        this.paddles[type] = false;
+
+        if (this.mode === KeyerMode.BUG && type === 'dah') {
+            this._manualUp();
+        }
+        // Automatic elements always finish; the element timer decides what comes next
+    }
+
+    // --- Internal ---
+
+    /** Picks and starts the next element, or goes idle. */
+    _next() {
+        this.timerId = null;
+        this.currentElement = null;
+
+        if (this.manualPending) {
+            this._startManual();
+            return;
+        }
+
+        const element = this._chooseElement();
+        if (!element) {
+            this.lastElement = null;
+            if (this.callbacks.onIdle) this.callbacks.onIdle();
+            return;
+        }
+        this._startElement(element);
+    }
+
+    /** @returns {'dit'|'dah'|null} The element to send next, per the current mode. */
+    _chooseElement() {
+        // Remembered presses come first
+        if (this.memory.dit && this.memory.dah) return this._opposite(this.lastElement) || 'dit';
+        if (this.memory.dit) return 'dit';
+        if (this.memory.dah) return 'dah';
+
+        const dit = this.paddles.dit;
+        const dah = this.paddles.dah && this.mode !== KeyerMode.BUG; // Bug dahs are never automatic
+        if (dit && dah) {
+            const firstPressed = this.pressTime.dah < this.pressTime.dit ? 'dah' : 'dit';
+            switch (this.mode) {
+                case KeyerMode.ULTIMATIC:
+                    return this._opposite(firstPressed);
+                case KeyerMode.SINGLE_LEVER:
+                    return firstPressed;
+                default: // Iambic A/B
+                    return this._opposite(this.lastElement) || firstPressed;
+            }
+        }
+        if (dit) return 'dit';
+        if (dah) return 'dah';
+        return null;
+    }
+
+    /** Starts an automatic element and schedules the next decision after it and its gap. */
+    _startElement(element) {
+        const opposite = this._opposite(element);
+        this.memory[element] = false;
+        this.currentElement = element;
+        this.lastElement = element;
+
+        // Iambic B: a squeeze held at the start of an element earns one extra opposite element
+        if (this.mode === KeyerMode.IAMBIC_B && this.paddles[opposite]) {
+            this.memory[opposite] = true;
+        }
+
+        if (this.callbacks.onElement && this.callbacks.onElement(element) === false) {
+            this.reset();
+            return;
+        }
+
+        const durationMs = element === 'dit' ? this.ditMs : this.dahMs;
+        this.timerId = this.clock.setTimeout(() => this._next(), durationMs + this.gapMs);
+    }
+
+    /** Bug: manual contact closed. Waits for a running dit to finish first. */
+    _manualDown() {
+        if (this.currentElement !== null) {
+            this.manualPending = true;
+            this.manualReleasedMs = null;
+            return;
+        }
+        this._startManual();
+    }
+
+    /** Bug: manual contact opened. */
+    _manualUp() {
+        if (this.manualPending) {
+            // Released before it could start: replay it with the length it was held
+            this.manualReleasedMs = this.clock.now() - this.pressTime.dah;
+            return;
+        }
+        if (this.manualStartTime !== null) this._endManual();
+    }
+
+    _startManual() {
+        this.manualPending = false;
+        this.manualStartTime = this.clock.now();
+        if (this.callbacks.onManualStart) this.callbacks.onManualStart();
+
+        if (this.manualReleasedMs !== null) {
+            const heldMs = this.manualReleasedMs;
+            this.manualReleasedMs = null;
+            this.timerId = this.clock.setTimeout(() => this._endManual(), heldMs);
+        }
+    }
+
+    /** Ends the manual element, then waits one element gap before dits may resume. */
+    _endManual() {
+        const durationMs = this.clock.now() - this.manualStartTime;
+        this.manualStartTime = null;
+        if (this.callbacks.onManualEnd) this.callbacks.onManualEnd(durationMs);
+
+        this.currentElement = 'manual';
+        this.timerId = this.clock.setTimeout(() => this._next(), this.gapMs);
+    }
+
+    _opposite(element) {
+        if (element === 'dit') return 'dah';
+        if (element === 'dah') return 'dit';
+        return null;
+    }
+}
+
+// Expose mode enum and class (InputHandler creates its own Keyer instance)
+window.KeyerMode = KeyerMode; // Make enum accessible globally
+window.Keyer = Keyer;
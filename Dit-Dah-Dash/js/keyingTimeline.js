@@ -0,0 +1,230 @@
+/* Dit-Dah-Dash/js/keyingTimeline.js */
+/* In file: js/keyingTimeline.js */
+/**
+ * js/keyingTimeline.js
+ * --------------------
+ * Draws the user's keying on a scrolling canvas: key-down periods as bars, with the ideal
+ * template of each target character (at the current WPM) drawn above them and every gap
+ * marked as too short, about right or too long for its kind (element, letter or word gap).
+ * Runs live while sending (fed from GameState.keyTimeline every animation frame) and as a
+ * real-time replay of the recorded timeline on the results screen (timed with the injectable
+ * clock, see clock.js).
+ * Colours come from the --timeline-* CSS variables, so dark mode applies.
+ */
+
+class KeyingTimeline {
+    /**
+     * @constructor
+     * @param {HTMLCanvasElement|null} canvas - The canvas to draw on (drawing is skipped without one).
+     * @param {object} [clock] - Time source { now() } for replays. Defaults to window.morseClock.
+     */
+    constructor(canvas, clock = null) {
+        this.canvas = canvas;
+        this.clock = clock || window.morseClock;
+        this.context = canvas ? canvas.getContext('2d') : null;
+        this.frameId = null;
+        this.replayData = null; // Last replayed data, so a click can replay it again
+
+        this.canvas?.addEventListener('click', () => {
+            if (this.replayData) this.replay(this.replayData);
+        });
+    }
+
+    /**
+     * Draws live every animation frame until stop() is called.
+     * @param {function(): object} getData - Returns the data to draw (see draw); called each frame.
+     */
+    startLive(getData) {
+        this.stop();
+        this.replayData = null;
+        const frame = () => {
+            this.draw(getData());
+            this.frameId = requestAnimationFrame(frame);
+        };
+        this.frameId = requestAnimationFrame(frame);
+    }
+
+    /**
+     * Replays a recorded sentence in real time, scrolling from its first key-down to its last key-up.
+     * Clicking the canvas replays it again.
+     * @param {object} data - As for draw, without `now`.
+     */
+    replay(data) {
+        this.stop();
+        this.replayData = data;
+        if (!data.timeline || data.timeline.length === 0) {
+            this.draw({ ...data, now: 0 });
+            return;
+        }
+        const lead = data.timings.ditMs * 4;
+        const firstMs = data.timeline[0].down - lead;
+        const lastMs = data.timeline[data.timeline.length - 1].up + lead;
+        const startedAt = this.clock.now();
+        const frame = () => {
+            const now = Math.min(lastMs, firstMs + this.clock.now() - startedAt);
+            this.draw({ ...data, now });
+            this.frameId = now < lastMs ? requestAnimationFrame(frame) : null;
+        };
+        this.frameId = requestAnimationFrame(frame);
+    }
+
+    /** Stops the live or replay animation (the last frame stays on the canvas). */
+    stop() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    /**
+     * Draws one frame.
+     * @param {object} data
+     * @param {Array<{element: string, down: number, up: number, charIndex: number}>} data.timeline - Key-down periods (ms).
+     * @param {Array<{charIndex: number, target: string|null, decoded: string|null, start: number, end: number}>} data.groups - Decoded characters.
+     * @param {string} data.sentence - The sentence being keyed.
+     * @param {{ditMs: number, dahMs: number, intraCharGapMs: number, interCharGapMs: number, wordGapMs: number}} data.timings - Ideal lengths.
+     * @param {function(string): (string|null)} data.encode - Character to Morse sequence.
+     * @param {string|null} [data.target] - Character currently asked for (live only).
+     * @param {number|null} [data.keyDownSince] - Start of a key-down that hasn't been released yet (straight key).
+     * @param {number} data.now - Time at the playhead (ms, same clock as the timeline).
+     */
+    draw(data) {
+        if (!this.context) return;
+        const { width, height } = this._resize();
+        const ctx = this.context;
+        const colors = this._readColors();
+        const windowMs = data.timings.ditMs * MorseConfig.KEYING_TIMELINE_WINDOW_UNITS;
+        const nowX = width * MorseConfig.KEYING_TIMELINE_PLAYHEAD_POSITION;
+        const pxPerMs = width / windowMs;
+        const toX = (ms) => nowX + (ms - data.now) * pxPerMs;
+        const idealY = height * 0.1, idealHeight = height * 0.2;
+        const keyY = height * 0.4, keyHeight = height * 0.35;
+        const gapY = height * 0.82, gapHeight = height * 0.12;
+
+        ctx.clearRect(0, 0, width, height);
+        const visible = (startMs, endMs) => toX(endMs) >= 0 && toX(startMs) <= width;
+        const bar = (startMs, endMs, y, h) => {
+            if (!visible(startMs, endMs)) return;
+            ctx.fillRect(toX(startMs), y, Math.max(1, (endMs - startMs) * pxPerMs), h);
+        };
+
+        // Ideal templates: decoded characters from their first key-down, the open character from
+        // its first key-down, or from the playhead if it hasn't been started yet
+        ctx.fillStyle = colors.ideal;
+        const groups = data.groups || [];
+        groups.forEach(group => {
+            this._idealBars(data.encode(group.target), data.timeline[group.start].down, data.timings)
+                .forEach(([start, end]) => bar(start, end, idealY, idealHeight));
+        });
+        const openStart = groups.length > 0 ? groups[groups.length - 1].end : 0;
+        if (data.target) {
+            const anchor = openStart < data.timeline.length ? data.timeline[openStart].down : (data.keyDownSince ?? data.now);
+            this._idealBars(data.encode(data.target), anchor, data.timings)
+                .forEach(([start, end]) => bar(start, end, idealY, idealHeight));
+        }
+
+        // Key-down bars (an element still sounding is cut at the playhead)
+        ctx.fillStyle = colors.key;
+        data.timeline.forEach(e => {
+            if (e.down <= data.now) bar(e.down, Math.min(e.up, data.now), keyY, keyHeight);
+        });
+        if (data.keyDownSince !== null && data.keyDownSince !== undefined) {
+            bar(data.keyDownSince, data.now, keyY, keyHeight);
+        }
+
+        // Gaps, once the next key-down has happened
+        const groupOf = this._groupIndexByElement(data.timeline.length, groups);
+        for (let i = 1; i < data.timeline.length; i++) {
+            const previous = data.timeline[i - 1];
+            const next = data.timeline[i];
+            if (next.down > data.now || !visible(previous.up, next.down)) continue;
+            const verdict = this.classifyGap(previous, next, groupOf[i - 1], groupOf[i], groups, data.sentence, data.timings);
+            if (!verdict) continue;
+            ctx.fillStyle = colors[verdict];
+            bar(previous.up, next.down, gapY, gapHeight);
+        }
+
+        // Playhead
+        ctx.fillStyle = colors.now;
+        ctx.fillRect(nowX, 0, 1, height);
+    }
+
+    /**
+     * Judges one gap between two key-down periods.
+     * @param {object} previous - Timeline entry before the gap.
+     * @param {object} next - Timeline entry after the gap.
+     * @param {number} previousGroup - Index in groups of `previous` (groups.length while the character is open).
+     * @param {number} nextGroup - Index in groups of `next`.
+     * @param {Array<object>} groups - Decoded characters.
+     * @param {string} sentence - The sentence being keyed.
+     * @param {object} timings - Ideal lengths.
+     * @returns {'short'|'ok'|'long'|null} Null for a gap that isn't judged (a retry after a miss).
+     */
+    classifyGap(previous, next, previousGroup, nextGroup, groups, sentence, timings) {
+        let idealMs;
+        if (previousGroup === nextGroup) {
+            idealMs = timings.intraCharGapMs;
+        } else {
+            const group = groups[previousGroup];
+            if (!group || group.decoded !== group.target || next.charIndex <= previous.charIndex) return null;
+            idealMs = /\s/.test(sentence.slice(previous.charIndex, next.charIndex)) ? timings.wordGapMs : timings.interCharGapMs;
+        }
+        const ratio = (next.down - previous.up) / idealMs;
+        if (ratio < MorseConfig.KEYING_TIMELINE_SHORT_GAP_RATIO) return 'short';
+        if (ratio > MorseConfig.KEYING_TIMELINE_LONG_GAP_RATIO) return 'long';
+        return 'ok';
+    }
+
+    /**
+     * Ideal key-down periods of a character starting at a given time.
+     * @returns {Array<[number, number]>} [start, end] pairs in ms.
+     * @private
+     */
+    _idealBars(sequence, startMs, timings) {
+        const bars = [];
+        let time = startMs;
+        for (const element of sequence || '') {
+            if (element !== '.' && element !== '-') continue;
+            const length = element === '.' ? timings.ditMs : timings.dahMs;
+            bars.push([time, time + length]);
+            time += length + timings.intraCharGapMs;
+        }
+        return bars;
+    }
+
+    /** Maps each timeline index to its group index (elements after the last group get groups.length). @private */
+    _groupIndexByElement(length, groups) {
+        const groupOf = new Array(length).fill(groups.length);
+        groups.forEach((group, g) => {
+            for (let i = group.start; i < group.end; i++) groupOf[i] = g;
+        });
+        return groupOf;
+    }
+
+    /** Matches the canvas resolution to its displayed size. @private */
+    _resize() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (this.canvas.width !== Math.round(width * ratio) || this.canvas.height !== Math.round(height * ratio)) {
+            this.canvas.width = Math.round(width * ratio);
+            this.canvas.height = Math.round(height * ratio);
+        }
+        this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        return { width, height };
+    }
+
+    /** @private */
+    _readColors() {
+        const style = getComputedStyle(this.canvas);
+        const read = (name) => style.getPropertyValue(name).trim();
+        return {
+            key: read('--timeline-key-color'),
+            ideal: read('--timeline-ideal-color'),
+            short: read('--timeline-gap-short-color'),
+            ok: read('--timeline-gap-ok-color'),
+            long: read('--timeline-gap-long-color'),
+            now: read('--timeline-playhead-color')
+        };
+    }
+}
@@ -0,0 +1,156 @@
+/* Dit-Dah-Dash/js/kochTrainer.js */
+/* In file: js/kochTrainer.js */
+/**
+ * js/kochTrainer.js
+ * -----------------
+ * Koch method trainer. Lesson 1 uses the first two characters of the Koch order;
+ * each later lesson adds the next character. Sessions are random 5-character groups
+ * drawn from the lesson's characters, played at full character speed and copied by ear
+ * (the receive UI). A session above the advance accuracy moves on to the next lesson.
+ * Progress (current and highest lesson reached) persists in localStorage per profile, and any
+ * lesson up to the highest reached can be picked again.
+ */
+
+class KochTrainer {
+    /**
+     * @constructor
+     * @param {function(): number} [random] - Random source in [0, 1). Defaults to Math.random.
+     */
+    constructor(random = null) {
+        this.order = MorseConfig.KOCH_CHARACTER_ORDER.split('');
+        this.random = random || Math.random;
+        this.maxLessonCount = this.order.length - MorseConfig.KOCH_START_CHARACTERS + 1;
+
+        const progress = this._loadProgress();
+        this.highestLesson = progress.highestLesson;
+        this.currentLesson = progress.currentLesson;
+    }
+
+    /**
+     * Loads lesson progress from localStorage.
+     * @returns {{currentLesson: number, highestLesson: number}}
+     */
+    _loadProgress() {
+        const stored = window.morseStorage.getJSON(MorseConfig.STORAGE_KEY_KOCH_PROGRESS, null);
+        if (stored && typeof stored === 'object') {
+            const highestLesson = this._clampLesson(stored.highestLesson, this.maxLessonCount);
+            return {
+                highestLesson,
+                currentLesson: this._clampLesson(stored.currentLesson, highestLesson)
+            };
+        }
+        return { currentLesson: 1, highestLesson: 1 };
+    }
+
+    /** Saves lesson progress to localStorage. */
+    _saveProgress() {
+        window.morseStorage.setJSON(MorseConfig.STORAGE_KEY_KOCH_PROGRESS, {
+            currentLesson: this.currentLesson,
+            highestLesson: this.highestLesson
+        });
+    }
+
+    /** @returns {number} A lesson number between 1 and max (1 if invalid). */
+    _clampLesson(lesson, max) {
+        const value = parseInt(lesson, 10);
+        if (isNaN(value)) return 1;
+        return Math.max(1, Math.min(max, value));
+    }
+
+    /**
+     * Gets the characters taught up to and including a lesson.
+     * @param {number} [lesson=this.currentLesson] - Lesson number (1-based).
+     * @returns {string[]} The characters in Koch order.
+     */
+    getCharacters(lesson = this.currentLesson) {
+        return this.order.slice(0, lesson + MorseConfig.KOCH_START_CHARACTERS - 1);
+    }
+
+    /**
+     * Gets the character a lesson introduces.
+     * @param {number} [lesson=this.currentLesson] - Lesson number (1-based).
+     * @returns {string} The newest character of that lesson.
+     */
+    getNewCharacter(lesson = this.currentLesson) {
+        const characters = this.getCharacters(lesson);
+        return characters[characters.length - 1];
+    }
+
+    /**
+     * Lists the lessons that can be picked (1 to the highest reached).
+     * @returns {Array<{lesson: number, newCharacter: string, characters: string[]}>}
+     */
+    getAvailableLessons() {
+        const lessons = [];
+        for (let lesson = 1; lesson <= this.highestLesson; lesson++) {
+            lessons.push({ lesson, newCharacter: this.getNewCharacter(lesson), characters: this.getCharacters(lesson) });
+        }
+        return lessons;
+    }
+
+    /**
+     * Jumps to a lesson already reached.
+     * @param {number} lesson - Lesson number (1-based).
+     * @returns {boolean} True if the lesson was changed.
+     */
+    setLesson(lesson) {
+        const value = parseInt(lesson, 10);
+        if (isNaN(value) || value < 1 || value > this.highestLesson) {
+            console.warn(`KochTrainer: Lesson ${lesson} is not available.`);
+            return false;
+        }
+        this.currentLesson = value;
+        this._saveProgress();
+        console.log(`Koch lesson set to ${value} (${this.getCharacters().join(' ')})`);
+        return true;
+    }
+
+    /**
+     * Generates a session of random groups from the current lesson's characters.
+     * @param {number} [groupCount] - Number of groups.
+     * @param {number} [groupSize] - Characters per group.
+     * @returns {string} Space-separated groups, e.g. "KMMKM MKKMK".
+     */
+    generateSession(groupCount = MorseConfig.KOCH_GROUPS_PER_SESSION, groupSize = MorseConfig.KOCH_GROUP_SIZE) {
+        const characters = this.getCharacters();
+        const groups = [];
+        for (let g = 0; g < groupCount; g++) {
+            let group = '';
+            for (let c = 0; c < groupSize; c++) {
+                group += characters[Math.floor(this.random() * characters.length)];
+            }
+            groups.push(group);
+        }
+        return groups.join(' ');
+    }
+
+    /**
+     * Records a finished session and advances to the next lesson if accuracy was high enough.
+     * @param {number} accuracy - Session accuracy in percent.
+     * @returns {{advanced: boolean, lesson: number, newCharacter: string | null}} The lesson now current,
+     * and the character just added if the session advanced.
+     */
+    recordSession(accuracy) {
+        const canAdvance = this.currentLesson < this.maxLessonCount;
+        if (accuracy > MorseConfig.KOCH_ADVANCE_ACCURACY && canAdvance) {
+            this.currentLesson++;
+            this.highestLesson = Math.max(this.highestLesson, this.currentLesson);
+            this._saveProgress();
+            const newCharacter = this.getNewCharacter();
+            console.log(`Koch: ${accuracy}% - advanced to lesson ${this.currentLesson}, new character "${newCharacter}"`);
+            return { advanced: true, lesson: this.currentLesson, newCharacter };
+        }
+        return { advanced: false, lesson: this.currentLesson, newCharacter: null };
+    }
+
+    /** Resets Koch progress to lesson 1. */
+    resetProgress() {
+        this.currentLesson = 1;
+        this.highestLesson = 1;
+        this._saveProgress();
+        console.log("Koch progress reset.");
+    }
+}
+
+// Create a single instance for the game
+window.morseKochTrainer = new KochTrainer();
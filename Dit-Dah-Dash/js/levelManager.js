@@ -2,74 +2,190 @@
  * js/levelManager.js
  * ------------------
  * Manages game levels, sentences, high scores, and unlocking progression.
- * Uses localStorage for persistence.
+ * Progress is kept per track (sending and receiving) with separate unlocks.
+ * Each alphabet (see alphabets.js) ships its own level pack with its own progress.
+ * Instead of the built-in pack, a user-made pack (see LevelPackManager) can be played;
+ * each user pack also has its own progress. The choice is stored as a setting.
+ * Uses localStorage for persistence, in the active profile's namespace (see ProfileManager).
  */
 
 class LevelManager {
     constructor() {
-        this.levels = MorseConfig.LEVELS_DATA;
-        this.highScores = this._loadHighScores();      // { levelId: { score, accuracy, time }, ... }
-        this.unlockedLevels = this._loadUnlockedLevels(); // Set of unlocked level IDs
+        this.userPackId = window.morseStorage.getString(MorseConfig.STORAGE_KEY_SETTINGS_LEVEL_PACK, '') || null;
+        this.setLevelPack(MorseAlphabets.DEFAULT_ALPHABET_ID);
+    }
+
+    /**
+     * Builds the storage keys of a level pack. The Latin pack keeps the original keys;
+     * other packs add their key as a suffix.
+     * @param {string} packKey - An alphabet id (built-in packs) or 'pack_<id>' (user packs).
+     * @returns {object} { [track]: { highScores, unlockedLevels } }
+     * @private
+     */
+    _getStorageKeys(packKey) {
+        const keySuffix = packKey === MorseAlphabets.DEFAULT_ALPHABET_ID ? '' : `_${packKey}`;
+        // Sending and receiving progress are kept separately, each with its own storage keys
+        return {
+            [MorseConfig.LEVEL_TRACKS.SEND]: {
+                highScores: MorseConfig.STORAGE_KEY_HIGH_SCORES + keySuffix,
+                unlockedLevels: MorseConfig.STORAGE_KEY_UNLOCKED_LEVELS + keySuffix
+            },
+            [MorseConfig.LEVEL_TRACKS.RECEIVE]: {
+                highScores: MorseConfig.STORAGE_KEY_RECEIVE_HIGH_SCORES + keySuffix,
+                unlockedLevels: MorseConfig.STORAGE_KEY_RECEIVE_UNLOCKED_LEVELS + keySuffix
+            }
+        };
+    }
 
-        // Ensure level 1 is always unlocked
-        this.unlockedLevels.add(this.levels[0].id);
-        this._saveUnlockedLevels(); // Save immediately if it wasn't present
+    /**
+     * Switches to an alphabet's level pack and loads that pack's progress.
+     * While a user pack is selected, it stays in play instead.
+     * @param {string} alphabetId - One of the ids in MorseAlphabets.ALPHABETS.
+     */
+    setLevelPack(alphabetId) {
+        this.alphabetId = MorseAlphabets.getAlphabet(alphabetId).id;
+        this._loadLevels();
+    }
+
+    /**
+     * Plays a user pack, or the alphabet's built-in pack.
+     * @param {string|null} packId - User pack id, or null for the built-in pack.
+     */
+    selectUserPack(packId) {
+        this.userPackId = packId || null;
+        window.morseStorage.setItem(MorseConfig.STORAGE_KEY_SETTINGS_LEVEL_PACK, this.userPackId || '');
+        this._loadLevels();
+    }
+
+    /** @returns {string|null} The selected user pack's id, or null when playing the built-in pack. */
+    getUserPackId() {
+        return this.userPackId && this.levelPackId === `pack_${this.userPackId}` ? this.userPackId : null;
+    }
+
+    /**
+     * Lists the packs that can be played: the built-in pack first, then every user pack with levels.
+     * @returns {Array<{id: string|null, name: string}>} id is null for the built-in pack.
+     */
+    getAvailablePacks() {
+        const builtIn = { id: null, name: `Built-in (${MorseAlphabets.getAlphabet(this.alphabetId).name})` };
+        return [builtIn, ...window.morseLevelPackManager.getPacks()
+            .filter(pack => pack.levels.length > 0)
+            .map(pack => ({ id: pack.id, name: pack.name }))];
+    }
+
+    /**
+     * Reloads the levels after a user pack was edited (only matters if it is in play).
+     * @param {string} packId - The edited pack.
+     */
+    refreshUserPack(packId) {
+        if (packId === this.userPackId) this._loadLevels();
+    }
+
+    /**
+     * Removes a deleted user pack's progress, switching back to the built-in pack if it was in play.
+     * @param {string} packId - The deleted pack.
+     */
+    forgetUserPack(packId) {
+        Object.values(this._getStorageKeys(`pack_${packId}`)).forEach(keys => {
+            window.morseStorage.removeItem(keys.highScores);
+            window.morseStorage.removeItem(keys.unlockedLevels);
+        });
+        if (packId === this.userPackId) this.selectUserPack(null);
+    }
+
+    /**
+     * Loads the levels in play (the selected user pack, or the alphabet's pack when none is
+     * selected or it no longer exists or has no levels) and their progress.
+     * @private
+     */
+    _loadLevels() {
+        const userPack = this.userPackId ? window.morseLevelPackManager.getPack(this.userPackId) : null;
+        let packName;
+        if (userPack && userPack.levels.length > 0) {
+            this.levelPackId = `pack_${userPack.id}`;
+            this.levels = userPack.levels;
+            packName = userPack.name;
+        } else {
+            const alphabet = MorseAlphabets.getAlphabet(this.alphabetId);
+            this.levelPackId = alphabet.id;
+            this.levels = alphabet.levels;
+            packName = alphabet.name;
+        }
+        this.storageKeys = this._getStorageKeys(this.levelPackId);
+        this.tracks = {};
+        Object.keys(this.storageKeys).forEach(track => {
+            this.tracks[track] = {
+                highScores: this._loadHighScores(track),         // { levelId: { score, accuracy, time }, ... }
+                unlockedLevels: this._loadUnlockedLevels(track)  // Set of unlocked level IDs
+            };
+            // Ensure level 1 is always unlocked
+            this.tracks[track].unlockedLevels.add(this.levels[0].id);
+            this._saveUnlockedLevels(track); // Save immediately if it wasn't present
+        });
+        console.log(`Level pack set to ${packName} (${this.levels.length} levels)`);
+    }
+
+    /**
+     * Returns the progress record for a track, falling back to the sending track.
+     * @param {string} track - One of MorseConfig.LEVEL_TRACKS.
+     * @returns {{highScores: object, unlockedLevels: Set<number>}}
+     * @private
+     */
+    _getTrack(track) {
+        return this.tracks[track] || this.tracks[MorseConfig.LEVEL_TRACKS.SEND];
     }
 
     /**
      * Loads high scores from localStorage.
+     * @param {string} track - One of MorseConfig.LEVEL_TRACKS.
      * @returns {object} The high scores object.
      */
-    _loadHighScores() {
-        try {
-            const storedScores = localStorage.getItem(MorseConfig.STORAGE_KEY_HIGH_SCORES);
-            return storedScores ? JSON.parse(storedScores) : {};
-        } catch (e) {
-            console.error("Error loading high scores from localStorage:", e);
-            return {};
-        }
+    _loadHighScores(track) {
+        const storedScores = window.morseStorage.getJSON(this.storageKeys[track].highScores, {});
+        return storedScores && typeof storedScores === 'object' ? storedScores : {};
     }
 
     /**
      * Saves high scores to localStorage.
+     * @param {string} track - One of MorseConfig.LEVEL_TRACKS.
      */
-    _saveHighScores() {
-        try {
-            localStorage.setItem(MorseConfig.STORAGE_KEY_HIGH_SCORES, JSON.stringify(this.highScores));
-        } catch (e) {
-            console.error("Error saving high scores to localStorage:", e);
-        }
+    _saveHighScores(track) {
+        window.morseStorage.setJSON(this.storageKeys[track].highScores, this.tracks[track].highScores);
     }
 
     /**
      * Loads the set of unlocked level IDs from localStorage.
+     * @param {string} track - One of MorseConfig.LEVEL_TRACKS.
      * @returns {Set<number>} A Set containing the IDs of unlocked levels.
      */
-    _loadUnlockedLevels() {
-        try {
-            const storedLevels = localStorage.getItem(MorseConfig.STORAGE_KEY_UNLOCKED_LEVELS);
-            if (storedLevels) {
-                return new Set(JSON.parse(storedLevels));
-            } else {
-                // Default: Only level 1 is unlocked
-                return new Set([this.levels[0].id]);
-            }
-        } catch (e) {
-            console.error("Error loading unlocked levels from localStorage:", e);
-            // Default on error
-            return new Set([this.levels[0].id]);
+    _loadUnlockedLevels(track) {
+        const storedLevels = window.morseStorage.getJSON(this.storageKeys[track].unlockedLevels, null);
+        if (Array.isArray(storedLevels)) {
+            return new Set(storedLevels);
         }
+        // Default (also when missing or unreadable): Only level 1 is unlocked
+        return new Set([this.levels[0].id]);
     }
 
     /**
      * Saves the set of unlocked level IDs to localStorage.
+     * @param {string} track - One of MorseConfig.LEVEL_TRACKS.
+     */
+    _saveUnlockedLevels(track) {
+        window.morseStorage.setJSON(this.storageKeys[track].unlockedLevels, [...this.tracks[track].unlockedLevels]);
+    }
+
+    /**
+     * Gets the criteria a level must meet to be unlocked on the given track.
+     * @param {object} level - The level data object.
+     * @param {string} [track='send'] - One of MorseConfig.LEVEL_TRACKS.
+     * @returns {{min_wpm: number, min_accuracy: number}}
      */
-    _saveUnlockedLevels() {
-        try {
-            localStorage.setItem(MorseConfig.STORAGE_KEY_UNLOCKED_LEVELS, JSON.stringify([...this.unlockedLevels]));
-        } catch (e) {
-            console.error("Error saving unlocked levels to localStorage:", e);
+    getUnlockCriteria(level, track = MorseConfig.LEVEL_TRACKS.SEND) {
+        if (track === MorseConfig.LEVEL_TRACKS.RECEIVE) {
+            return level.receive_unlock_criteria || MorseConfig.RECEIVE_UNLOCK_CRITERIA_DEFAULT;
         }
+        return level.unlock_criteria;
     }
 
     /**
@@ -84,9 +200,10 @@ class LevelManager {
     /**
      * Gets the next sentence for the current level or moves to the next level.
      * @param {GameState} gameState - The current game state.
+     * @param {string} [track='send'] - Track whose unlocks decide if the next level is available.
      * @returns {{levelId: number, sentenceIndex: number, sentenceText: string} | null} Info for the next sentence or null if no more levels/sentences.
      */
-    getNextSentence(gameState) {
+    getNextSentence(gameState, track = MorseConfig.LEVEL_TRACKS.SEND) {
         const currentLevelData = this.getLevelData(gameState.currentLevelId);
         if (!currentLevelData) return null; // Should not happen
 
@@ -102,7 +219,7 @@ class LevelManager {
         } else {
             // End of current level's sentences, try to find the next unlocked level
             const nextLevel = this.findNextLevel(gameState.currentLevelId);
-            if (nextLevel && this.isLevelUnlocked(nextLevel.id)) {
+            if (nextLevel && this.isLevelUnlocked(nextLevel.id, track)) {
                  return {
                     levelId: nextLevel.id,
                     sentenceIndex: 0, // Start from the first sentence of the next level
@@ -147,13 +264,15 @@ class LevelManager {
      * Also checks if the next level should be unlocked.
      * @param {number} levelId - The ID of the completed level.
      * @param {object} scores - The calculated scores object { netWpm, accuracy, elapsedTimeSeconds }.
+     * @param {string} [track='send'] - One of MorseConfig.LEVEL_TRACKS.
      * @returns {{isNewHighScore: boolean, unlockedNextLevelId: number | null}} Information about the result.
      */
-    recordScoreAndCheckUnlocks(levelId, scores) {
+    recordScoreAndCheckUnlocks(levelId, scores, track = MorseConfig.LEVEL_TRACKS.SEND) {
         let isNewHighScore = false;
         let unlockedNextLevelId = null;
 
-        const currentHighScore = this.highScores[levelId];
+        const progress = this._getTrack(track);
+        const currentHighScore = progress.highScores[levelId];
 
         // Check for new high score (prioritize higher Net WPM, then better accuracy, then faster time)
         if (!currentHighScore ||
@@ -161,25 +280,25 @@ class LevelManager {
             (scores.netWpm === currentHighScore.score && scores.accuracy > currentHighScore.accuracy) ||
             (scores.netWpm === currentHighScore.score && scores.accuracy === currentHighScore.accuracy && scores.elapsedTimeSeconds < currentHighScore.time))
         {
-            this.highScores[levelId] = {
+            progress.highScores[levelId] = {
                 score: scores.netWpm,
                 accuracy: scores.accuracy,
                 time: scores.elapsedTimeSeconds
             };
-            this._saveHighScores();
+            this._saveHighScores(track);
             isNewHighScore = true;
-            console.log(`New high score recorded for Level ${levelId}: WPM=${scores.netWpm}, Acc=${scores.accuracy}%`);
+            console.log(`New ${track} high score recorded for Level ${levelId}: WPM=${scores.netWpm}, Acc=${scores.accuracy}%`);
         }
 
         // Check if the performance meets the criteria to unlock the next level
         const nextLevel = this.findNextLevel(levelId);
-        if (nextLevel && !this.isLevelUnlocked(nextLevel.id)) {
-            const criteria = nextLevel.unlock_criteria;
+        if (nextLevel && !this.isLevelUnlocked(nextLevel.id, track)) {
+            const criteria = this.getUnlockCriteria(nextLevel, track);
             if (scores.netWpm >= criteria.min_wpm && scores.accuracy >= criteria.min_accuracy) {
-                this.unlockedLevels.add(nextLevel.id);
-                this._saveUnlockedLevels();
+                progress.unlockedLevels.add(nextLevel.id);
+                this._saveUnlockedLevels(track);
                 unlockedNextLevelId = nextLevel.id;
-                console.log(`Level ${nextLevel.id} unlocked!`);
+                console.log(`Level ${nextLevel.id} unlocked (${track})!`);
             }
         }
 
@@ -189,42 +308,58 @@ class LevelManager {
     /**
      * Checks if a specific level is unlocked.
      * @param {number} levelId - The ID of the level to check.
+     * @param {string} [track='send'] - One of MorseConfig.LEVEL_TRACKS.
      * @returns {boolean} True if the level is unlocked, false otherwise.
      */
-    isLevelUnlocked(levelId) {
-        return this.unlockedLevels.has(levelId);
+    isLevelUnlocked(levelId, track = MorseConfig.LEVEL_TRACKS.SEND) {
+        return this._getTrack(track).unlockedLevels.has(levelId);
     }
 
     /**
      * Gets the high score for a specific level.
      * @param {number} levelId - The ID of the level.
+     * @param {string} [track='send'] - One of MorseConfig.LEVEL_TRACKS.
      * @returns {object | null} The high score object { score, accuracy, time } or null if none exists.
      */
-    getHighScore(levelId) {
-        return this.highScores[levelId] || null;
+    getHighScore(levelId, track = MorseConfig.LEVEL_TRACKS.SEND) {
+        return this._getTrack(track).highScores[levelId] || null;
     }
 
     /**
      * Gets all levels data along with their unlock status and high scores.
      * Useful for building the level selection screen.
+     * @param {string} [track='send'] - One of MorseConfig.LEVEL_TRACKS.
      * @returns {Array<object>} Array of level objects with added status info.
      */
-    getAllLevelsWithStatus() {
+    getAllLevelsWithStatus(track = MorseConfig.LEVEL_TRACKS.SEND) {
         return this.levels.map(level => ({
             ...level,
-            isUnlocked: this.isLevelUnlocked(level.id),
-            highScore: this.getHighScore(level.id)
+            isUnlocked: this.isLevelUnlocked(level.id, track),
+            highScore: this.getHighScore(level.id, track),
+            unlockCriteria: this.getUnlockCriteria(level, track)
         }));
     }
 
     /**
-     * Resets all high scores and unlocked levels (except level 1).
+     * Resets all high scores and unlocked levels (except level 1) on every track of every level pack,
+     * built-in and user-made.
      */
     resetProgress() {
-        this.highScores = {};
-        this.unlockedLevels = new Set([this.levels[0].id]); // Reset to only level 1 unlocked
-        this._saveHighScores();
-        this._saveUnlockedLevels();
+        const userPackKeys = window.morseLevelPackManager.getPacks().map(pack => `pack_${pack.id}`);
+        [...Object.keys(MorseAlphabets.ALPHABETS), ...userPackKeys]
+            .filter(packKey => packKey !== this.levelPackId)
+            .forEach(packKey => {
+                Object.values(this._getStorageKeys(packKey)).forEach(keys => {
+                    window.morseStorage.removeItem(keys.highScores);
+                    window.morseStorage.removeItem(keys.unlockedLevels);
+                });
+            });
+        Object.keys(this.tracks).forEach(track => {
+            this.tracks[track].highScores = {};
+            this.tracks[track].unlockedLevels = new Set([this.levels[0].id]); // Reset to only level 1 unlocked
+            this._saveHighScores(track);
+            this._saveUnlockedLevels(track);
+        });
         console.log("Game progress reset.");
     }
 }
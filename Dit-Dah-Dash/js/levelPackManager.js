@@ -0,0 +1,281 @@
+/* Dit-Dah-Dash/js/levelPackManager.js */
+/* In file: js/levelPackManager.js */
+/**
+ * js/levelPackManager.js
+ * ----------------------
+ * User-made level packs, so instructors can build their own curricula next to the
+ * built-in levels. Packs are stored per profile:
+ *   [{ id, name, levels: [{ id, name, sentences: [...], unlock_criteria: { min_wpm, min_accuracy } }] }]
+ * Level ids are always 1..n in play order (they are renumbered when levels are saved, so
+ * reordering a pack moves its high scores with the positions). A level's unlock criteria
+ * must be met on the level before it; the first level is always unlocked.
+ * Levels are validated before they are saved or imported: every character must be
+ * encodable in the current alphabet (MorseDecoder.encodeCharacter).
+ * Packs import and export as JSON files:
+ *   { format, version, name, levels: [...] }
+ * LevelManager plays the packs, each with its own progress.
+ */
+
+class LevelPackManager {
+    /**
+     * @constructor
+     * @param {StorageManager} [storage] - Storage access. Defaults to the global instance.
+     */
+    constructor(storage = null) {
+        this.storage = storage || window.morseStorage;
+        const stored = this.storage.getJSON(MorseConfig.STORAGE_KEY_LEVEL_PACKS, []);
+        this.packs = Array.isArray(stored)
+            ? stored.filter(pack => pack && typeof pack.id === 'string' && typeof pack.name === 'string' && Array.isArray(pack.levels))
+            : [];
+    }
+
+    /** @returns {boolean} True if saved. @private */
+    _save() {
+        return this.storage.setJSON(MorseConfig.STORAGE_KEY_LEVEL_PACKS, this.packs);
+    }
+
+    /** @returns {Array<object>} Copies of all user packs. */
+    getPacks() {
+        return this.packs.map(pack => this._copy(pack));
+    }
+
+    /**
+     * @param {string} id - Pack id.
+     * @returns {object|null} A copy of the pack, or null if there is none with that id.
+     */
+    getPack(id) {
+        const pack = this.packs.find(p => p.id === id);
+        return pack ? this._copy(pack) : null;
+    }
+
+    /** @private */
+    _copy(pack) {
+        return JSON.parse(JSON.stringify(pack));
+    }
+
+    /**
+     * Checks a pack name.
+     * @param {string} name - Proposed name.
+     * @param {string|null} [exceptId] - Pack being renamed (may keep its own name).
+     * @returns {string|null} Why the name can't be used, or null if it can.
+     */
+    validateName(name, exceptId = null) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) return "Please enter a name for the level pack.";
+        if (trimmed.length > MorseConfig.LEVEL_PACK_NAME_MAX_LENGTH) return `Level pack names can be at most ${MorseConfig.LEVEL_PACK_NAME_MAX_LENGTH} characters.`;
+        if (this.packs.some(p => p.id !== exceptId && p.name.toLowerCase() === trimmed.toLowerCase())) {
+            return `A level pack called "${trimmed}" already exists.`;
+        }
+        return null;
+    }
+
+    /**
+     * Creates a pack.
+     * @param {string} name - Pack name (see validateName).
+     * @param {Array<object>} [levels] - Initial levels (e.g. a copy of the built-in ones).
+     * @returns {object|null} The new pack, or null if the name is invalid.
+     */
+    createPack(name, levels = []) {
+        if (this.validateName(name) !== null) return null;
+        let id;
+        do {
+            id = Date.now().toString(36) + Math.floor(Math.random() * 1296).toString(36);
+        } while (this.packs.some(p => p.id === id));
+        const pack = { id, name: name.trim(), levels: levels.map((level, index) => this._normalizeLevel(level, index)) };
+        this.packs.push(pack);
+        this._save();
+        console.log(`Level pack created: ${pack.name} (${pack.levels.length} levels)`);
+        return this._copy(pack);
+    }
+
+    /**
+     * @param {string} id - Pack id.
+     * @param {string} name - New name (see validateName).
+     * @returns {boolean} True if renamed.
+     */
+    renamePack(id, name) {
+        const pack = this.packs.find(p => p.id === id);
+        if (!pack || this.validateName(name, id) !== null) return false;
+        pack.name = name.trim();
+        this._save();
+        return true;
+    }
+
+    /**
+     * Deletes a pack (its progress is removed by LevelManager.forgetUserPack).
+     * @param {string} id - Pack id.
+     * @returns {boolean} True if deleted.
+     */
+    deletePack(id) {
+        if (!this.packs.some(p => p.id === id)) return false;
+        this.packs = this.packs.filter(p => p.id !== id);
+        this._save();
+        console.log(`Level pack deleted: ${id}`);
+        return true;
+    }
+
+    /**
+     * Replaces a pack's levels. Levels are renumbered 1..n in the given order.
+     * Validate them first (validateLevel).
+     * @param {string} id - Pack id.
+     * @param {Array<object>} levels - Levels in play order.
+     * @returns {boolean} True if saved (false if there is no such pack or storage is full).
+     */
+    saveLevels(id, levels) {
+        const pack = this.packs.find(p => p.id === id);
+        if (!pack) return false;
+        pack.levels = levels.map((level, index) => this._normalizeLevel(level, index));
+        return this._save();
+    }
+
+    /**
+     * Brings a level into the stored shape: trimmed name and sentences (empty ones dropped),
+     * numeric unlock criteria and the id of its position.
+     * @private
+     */
+    _normalizeLevel(level, index) {
+        const criteria = level.unlock_criteria || {};
+        const normalized = {
+            id: index + 1,
+            name: String(level.name || '').trim(),
+            sentences: (level.sentences || []).map(sentence => String(sentence).trim()).filter(sentence => sentence),
+            unlock_criteria: {
+                min_wpm: Number(criteria.min_wpm) || 0,
+                min_accuracy: Number(criteria.min_accuracy) || 0
+            }
+        };
+        if (level.receive_unlock_criteria) normalized.receive_unlock_criteria = { ...level.receive_unlock_criteria };
+        return normalized;
+    }
+
+    /**
+     * Checks one level.
+     * @param {object} level - { name, sentences, unlock_criteria }.
+     * @param {MorseDecoder} [decoder] - Decides which characters can be sent. Defaults to the global instance.
+     * @returns {string[]} Problems found (empty if the level is valid).
+     */
+    validateLevel(level, decoder = null) {
+        const morseDecoder = decoder || window.morseDecoder;
+        const errors = [];
+        const name = String(level.name || '').trim();
+        const sentences = (level.sentences || []).map(sentence => String(sentence).trim()).filter(sentence => sentence);
+        const criteria = level.unlock_criteria || {};
+
+        if (!name) errors.push("The level needs a name.");
+        if (name.length > MorseConfig.LEVEL_NAME_MAX_LENGTH) errors.push(`Level names can be at most ${MorseConfig.LEVEL_NAME_MAX_LENGTH} characters.`);
+        if (sentences.length === 0) errors.push("The level needs at least one sentence.");
+        sentences.forEach((sentence, index) => {
+            if (sentence.length > MorseConfig.LEVEL_SENTENCE_MAX_LENGTH) {
+                errors.push(`Sentence ${index + 1} is longer than ${MorseConfig.LEVEL_SENTENCE_MAX_LENGTH} characters.`);
+            }
+        });
+
+        const unsupported = new Set();
+        sentences.forEach(sentence => sentence.split(/\s+/).forEach(word => {
+            MorseConfig.tokenizeMorseText(word).forEach(({ token }) => {
+                if (morseDecoder.encodeCharacter(token) === null) unsupported.add(token);
+            });
+        }));
+        if (unsupported.size > 0) {
+            errors.push(`These characters can't be sent in the current alphabet: ${[...unsupported].join(' ')}`);
+        }
+
+        const minWpm = Number(criteria.min_wpm);
+        const minAccuracy = Number(criteria.min_accuracy);
+        if (!(minWpm >= 0 && minWpm <= MorseConfig.LEVEL_MAX_UNLOCK_WPM)) {
+            errors.push(`The unlock speed must be between 0 and ${MorseConfig.LEVEL_MAX_UNLOCK_WPM} WPM.`);
+        }
+        if (!(minAccuracy >= 0 && minAccuracy <= 100)) {
+            errors.push("The unlock accuracy must be between 0 and 100%.");
+        }
+        return errors;
+    }
+
+    /**
+     * Checks every level of a pack.
+     * @param {Array<object>} levels - The pack's levels.
+     * @param {MorseDecoder} [decoder] - See validateLevel.
+     * @returns {string[]} Problems found, prefixed with the level they belong to.
+     */
+    validateLevels(levels, decoder = null) {
+        if (levels.length === 0) return ["The pack has no levels."];
+        return levels.flatMap((level, index) =>
+            this.validateLevel(level, decoder).map(error => `Level ${index + 1} (${level.name || 'unnamed'}): ${error}`));
+    }
+
+    /**
+     * Offers a pack as a JSON download.
+     * @param {string} id - Pack id.
+     * @returns {boolean} False if there is no such pack.
+     */
+    exportPack(id) {
+        const pack = this.packs.find(p => p.id === id);
+        if (!pack) return false;
+        const file = {
+            format: MorseConfig.LEVEL_PACK_FORMAT,
+            version: MorseConfig.LEVEL_PACK_VERSION,
+            name: pack.name,
+            levels: pack.levels
+        };
+        const slug = pack.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'pack';
+        window.downloadFile(JSON.stringify(file, null, 2), `dit-dah-dash-levels-${slug}.json`, 'application/json');
+        console.log(`Level pack exported: ${pack.name}`);
+        return true;
+    }
+
+    /**
+     * Parses a level pack file. Also accepts a plain array of levels (the LEVELS_DATA layout).
+     * The characters are not checked here; use validateLevels before importing.
+     * @param {string} text - File contents.
+     * @returns {{name: string, levels: Array<object>}}
+     * @throws {Error} With a user-facing message if the file isn't a usable level pack.
+     */
+    parsePack(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error("This file isn't valid JSON.");
+        }
+        if (Array.isArray(data)) {
+            data = { format: MorseConfig.LEVEL_PACK_FORMAT, version: MorseConfig.LEVEL_PACK_VERSION, name: "Imported levels", levels: data };
+        }
+        if (!data || typeof data !== 'object' || data.format !== MorseConfig.LEVEL_PACK_FORMAT) {
+            throw new Error("This file isn't a Dit-Dah-Dash level pack.");
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            throw new Error("The level pack has no valid version.");
+        }
+        if (data.version > MorseConfig.LEVEL_PACK_VERSION) {
+            throw new Error("This level pack was made by a newer version of Dit-Dah-Dash. Please update first.");
+        }
+        if (!Array.isArray(data.levels) || data.levels.length === 0) {
+            throw new Error("The level pack has no levels.");
+        }
+        data.levels.forEach((level, index) => {
+            if (!level || typeof level !== 'object' || !Array.isArray(level.sentences)
+                || level.sentences.some(sentence => typeof sentence !== 'string')) {
+                throw new Error(`Level ${index + 1} of the pack is damaged.`);
+            }
+        });
+        const name = typeof data.name === 'string' && data.name.trim() ? data.name.trim().slice(0, MorseConfig.LEVEL_PACK_NAME_MAX_LENGTH) : "Imported levels";
+        return { name, levels: data.levels.map((level, index) => this._normalizeLevel(level, index)) };
+    }
+
+    /**
+     * Makes a pack name unique by adding a number ("Club (2)").
+     * @param {string} name - Wanted name.
+     * @returns {string}
+     */
+    uniqueName(name) {
+        let candidate = name;
+        for (let n = 2; this.validateName(candidate) !== null && n < 100; n++) {
+            const suffix = ` (${n})`;
+            candidate = name.slice(0, MorseConfig.LEVEL_PACK_NAME_MAX_LENGTH - suffix.length) + suffix;
+        }
+        return candidate;
+    }
+}
+
+// Create a single instance for the game
+window.morseLevelPackManager = new LevelPackManager();
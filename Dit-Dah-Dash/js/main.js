@@ -14,6 +14,37 @@
  * - Pass initial key mappings to InputHandler.
  * - Add callback and handler for key mapping changes from settings.
  * - Update reset progress logic to include resetting key mapping UI.
+ * **v4 Changes:**
+ * - Added receive (copy) training: level sentences are played and the typed copy is scored
+ *   on a separate progress track.
+ * - Added the Koch method trainer, which reuses the receive flow with generated groups.
+ * **v5 Changes:**
+ * - Record per-character stats on every decode and added the weak-character drill.
+ * **v6 Changes:**
+ * - Added the alphabet setting: switches the decoder's letter table and the level pack.
+ *   Targets and copied answers are folded onto the alphabet before comparing.
+ * - Added WAV export of the playback sentence.
+ * - Added the Decode Audio tool for uploaded recordings.
+ * - Added the band conditions setting for sequence playback (Playback, Receive and Koch).
+ * - Keyed sentences are scored for timing quality (fist) from their press/release timeline.
+ * - Added the keying timeline: drawn live while sending and replayed on the results screen.
+ * - Added "Hear My Sending": replays the user's keying with its real timing, optionally
+ *   alternating word by word with the ideal rendering.
+ * - Every completed sentence is logged to the session history; added the Progress (stats) screen.
+ * - Added user profiles (main menu): create, rename, delete and switch. Switching reloads the
+ *   page so every module loads the new profile's data.
+ * - Added backup export/import (settings modal): imports are previewed, then merged or replace the profile.
+ * - Added the Level Editor for user level packs (create, edit, reorder, import/export) and the pack
+ *   picker on the level selection screens.
+ * - Sending is run by GameEngine (keying, decoding, scoring); main.js reacts to its events
+ *   with sound and UI updates.
+ * - Added the app event bus: character stats, session history and the playback status follow
+ *   its events, and every applied setting is published as SETTINGS_CHANGED.
+ * - The game status is changed only through GameState.setStatus (a state machine with allowed
+ *   transitions). Entering a status shows its screen (entry actions); keying the first element
+ *   starts the live timer and leaving the sentence stops it. Added the state debug overlay.
+ * - Added playback transport controls (PlaybackTransport): pause/resume, replay of the last word,
+ *   seek by clicking a character and loop mode, with the sounding character highlighted.
  */
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -32,15 +63,52 @@ document.addEventListener('DOMContentLoaded', () => {
     const audioPlayer = window.morseAudioPlayer;
     const levelManager = window.morseLevelManager;
     const scoreCalculator = window.morseScoreCalculator;
+    const kochTrainer = window.morseKochTrainer;
+    const characterStats = window.morseCharacterStats;
+    const wavExporter = window.morseWavExporter;
+    const audioDecoder = window.morseAudioDecoder;
+    const sessionHistory = window.morseSessionHistory;
+    const profileManager = window.morseProfileManager;
+    const backupManager = window.morseBackupManager;
+    const levelPackManager = window.morseLevelPackManager;
+    const eventBus = window.morseEventBus;
+    const stateDebugOverlay = window.morseStateDebugOverlay;
+    const gameEngine = new GameEngine({
+        onElement: handleKeyedElement,
+        onToneStart: () => audioPlayer.startSustainedTone(),
+        onToneStop: () => audioPlayer.stopInputTone(),
+        onDecode: handleCharacterDecode,
+        onProgress: handleCharacterProgress,
+        onFinish: handleSentenceFinished
+    });
+    const playbackTransport = new PlaybackTransport({
+        onStateChange: updatePlaybackTransportUI,
+        onCharacterChange: (index) => uiManager.highlightPlaybackCharacter(index)
+    });
     let inputHandler = null; // Initialized after initial settings are known
     let settingsModal = null;
 
     let gameTimerIntervalId = null;
+    let drillFocusCharacters = []; // Characters the current weak-character drill targets
+    let results = null;            // What the results screen shows on entering SHOWING_RESULTS (see showResults)
+    let editorPackId = null;       // Level pack shown in the level editor
+    let editorLevelIndex = null;   // Level open in the editor form (null = adding a new level)
+    const publishedSettings = {};  // Setting key -> last value published as SETTINGS_CHANGED (JSON)
+
+    // Session history modes included by each Progress screen filter (null = all)
+    const STATS_FILTER_MODES = {
+        all: null,
+        send: [AppMode.GAME, AppMode.SANDBOX, AppMode.DRILL],
+        receive: [AppMode.RECEIVE, AppMode.KOCH]
+    };
 
     // --- Initialization ---
     function initializeApp() {
         audioPlayer.initializeAudioContext(); // Attempt early init
         initializeSettingsModal();
+        subscribeToAppEvents();
+        addStatusActions();
+        stateDebugOverlay.init();
 
         // Load settings via UIManager (happens in its constructor)
         // Get initial keys AFTER UIManager loads them
@@ -52,6 +120,7 @@ document.addEventListener('DOMContentLoaded', () => {
         initializeInputHandler(initialKeys); // Pass keys to InputHandler
         applyInitialSettings();   // Apply other settings
         setupEventListeners();
+        uiManager.updateProfileList(profileManager.getProfiles(), profileManager.getActiveProfile().id);
         showMainMenu(); // Show main menu initially
         console.log("Dit-Dah-Dash Initialized.");
     }
@@ -72,23 +141,109 @@ document.addEventListener('DOMContentLoaded', () => {
 
     function applyInitialSettings() {
         applyWpmSetting(uiManager.getInitialWpm());
+        applyEffectiveWpmSetting(uiManager.getInitialEffectiveWpm());
         applyFrequencySetting(uiManager.getInitialFrequency());
         applySoundSetting(uiManager.getInitialSoundState());
         applyVolumeSetting(uiManager.getInitialVolume());
+        applyInputModeSetting(uiManager.getInitialInputMode());
+        applyKeyerModeSetting(uiManager.getInitialKeyerMode());
+        applyKeyingWeightsSetting(uiManager.getKeyingWeights());
+        const paddleMemory = uiManager.getPaddleMemory();
+        applyPaddleMemorySetting(paddleMemory.dit, paddleMemory.dah);
+        applyAlphabetSetting(uiManager.getInitialAlphabet());
+        applyBandConditionsSetting(uiManager.getBandConditions());
         // Key mappings applied during InputHandler initialization
         // Dark mode & hint visibility applied by UIManager constructor
     }
 
+    /** Connects the modules that follow app events rather than being called directly. */
+    function subscribeToAppEvents() {
+        // Played text (Playback, Receive, Koch) drives the PLAYING_BACK status
+        eventBus.on(AppEvent.PLAYBACK_STARTED, (event) => {
+            if (event.kind === 'sequence') gameState.startPlayback();
+        });
+        eventBus.on(AppEvent.PLAYBACK_ENDED, () => gameState.finishPlayback());
+
+        // Per-character stats and the spaced-repetition update for sent sentences
+        eventBus.on(AppEvent.CHAR_DECODED, (event) => characterStats.recordAttempt(event.target, event.decoded, event.sequence));
+        eventBus.on(AppEvent.CHAR_CORRECT, (event) => characterStats.recordKeyTime(event.target, event.keyTimeMs));
+        eventBus.on(AppEvent.SENTENCE_FINISHED, (event) => {
+            if (STATS_FILTER_MODES.send.includes(event.mode)) characterStats.finishSession();
+        });
+
+        // Every finished sentence (sent or copied) goes to the session history
+        eventBus.on(AppEvent.SENTENCE_FINISHED, recordSessionHistory);
+    }
+
+    /**
+     * Entry/exit actions on the game status machine. Entering a status sets up its screen, so
+     * navigation only picks the mode and then the status. MENU is shared by the main menu and
+     * the tools opened from it, told apart by the mode. Playback ending returns to
+     * PLAYBACK_INPUT or RECEIVE_INPUT with the screen still up, so those skip the setup.
+     */
+    function addStatusActions() {
+        const machine = gameState.machine;
+        const menuScreens = {
+            [AppMode.DECODE_AUDIO]: () => uiManager.showDecodeAudioUI(),
+            [AppMode.STATS]: showStatsScreen,
+            [AppMode.LEVEL_EDITOR]: () => { uiManager.showLevelEditorUI(); refreshLevelEditor(); }
+        };
+        machine.onEnter(GameStatus.MENU, () => {
+            const showScreen = menuScreens[gameState.currentMode] || (() => uiManager.showMainMenu());
+            showScreen();
+        });
+        machine.onEnter(GameStatus.LEVEL_SELECT, () => {
+            const track = gameState.currentMode === AppMode.RECEIVE ? MorseConfig.LEVEL_TRACKS.RECEIVE : MorseConfig.LEVEL_TRACKS.SEND;
+            uiManager.showLevelSelectionScreen(levelManager.getAllLevelsWithStatus(track), track);
+            uiManager.updateLevelPackSelect(levelManager.getAvailablePacks(), levelManager.getUserPackId());
+        });
+        machine.onEnter(GameStatus.SANDBOX_INPUT, () => {
+            uiManager.showSandboxUI();
+            updateSandboxPreview();
+        });
+        machine.onEnter(GameStatus.PLAYBACK_INPUT, (from) => {
+            if (from === GameStatus.PLAYING_BACK) return;
+            uiManager.showPlaybackUI();
+            playbackTransport.setLoop(uiManager.isPlaybackLoopEnabled());
+            loadPlaybackText(); // The input was just cleared
+        });
+        machine.onEnter(GameStatus.READY, showSendingScreen);
+        machine.onEnter(GameStatus.RECEIVE_INPUT, (from) => {
+            if (from === GameStatus.PLAYING_BACK) return;
+            if (gameState.currentMode === AppMode.KOCH) {
+                uiManager.showKochUI(kochTrainer.getAvailableLessons(), kochTrainer.currentLesson, kochTrainer.getCharacters());
+            } else {
+                uiManager.showReceiveUI(levelManager.getLevelData(gameState.currentLevelId), gameState.currentSentenceIndex);
+            }
+        });
+        machine.onEnter(GameStatus.SHOWING_RESULTS, () => {
+            uiManager.showResultsScreen(results.scores, results.unlockedLevelId, results.hasNextLevelOption,
+                results.mode, results.progressMessage);
+            if (results.keyingReplay) uiManager.showKeyingReplay(results.keyingReplay);
+        });
+
+        // The first keyed element starts the sentence timer (READY -> LISTENING) and the live stats with it;
+        // leaving the sentence being keyed (finished, settings, navigation) stops them
+        machine.onEnter(GameStatus.LISTENING, (from) => {
+            if (from === GameStatus.READY) startGameUpdateTimer();
+        });
+        SENDING_STATUSES.forEach(status => machine.onExit(status, (from, to) => {
+            if (!SENDING_STATUSES.includes(to)) stopGameUpdateTimer();
+        }));
+        // Leaving the Playback screen drops a paused playback or a loop waiting to start over
+        machine.onExit(GameStatus.PLAYBACK_INPUT, (from, to) => {
+            if (to !== GameStatus.PLAYING_BACK) playbackTransport.stop();
+        });
+    }
+
     function initializeInputHandler(initialKeys) {
         if (inputHandler) return;
         inputHandler = new InputHandler(
             gameState,
-            decoder,
+            gameEngine,
             audioPlayer,
             uiManager,
             { // Callbacks object
-                onInput: handleInputHandlerInput,
-                onCharacterDecode: handleCharacterDecode,
                 onResultsInput: handleResultsInput
             },
             initialKeys // Pass initial keys
@@ -102,24 +257,65 @@ document.addEventListener('DOMContentLoaded', () => {
             onShowLevelSelect: handleShowLevelSelect,
             onShowSandbox: handleShowSandboxInput,
             onShowPlayback: handleShowPlayback,
+            onShowDecodeAudio: handleShowDecodeAudio,
+            onShowStats: handleShowStats,
+            onShowLevelEditor: handleShowLevelEditor,
+            onProfileSwitch: switchProfile,
+            onProfileCreate: createProfile,
+            onProfileRename: renameProfile,
+            onProfileDelete: deleteProfile,
+            onShowReceive: handleShowReceiveLevelSelect,
+            onShowKoch: startKochSession,
+            onStartDrill: startWeakCharacterDrill,
             onShowMainMenu: showMainMenu,
             // Settings Modal open/close handled by Modal instance
 
             // Actions
             onPlaySentence: playSentenceFromInput,
+            onExportWav: exportSentenceAsWav,
+            onPlaybackInputChange: loadPlaybackText,
+            onPlaybackPause: togglePlaybackPause,
+            onPlaybackReplayWord: replayPlaybackWord,
+            onPlaybackSeek: seekPlayback,
+            onPlaybackLoopChange: (enabled) => playbackTransport.setLoop(enabled),
+            onHearSending: hearMySending,
+            onDecodeAudioFile: decodeAudioFile,
             onStartSandbox: startSandboxPractice,
             onSandboxInputChange: updateSandboxPreview,
             onLevelSelect: selectLevel,
+            onLevelPackChange: selectLevelPack,
+            onLevelEditorPackSelect: selectEditorPack,
+            onLevelEditorPackCreate: createLevelPack,
+            onLevelEditorPackRename: renameLevelPack,
+            onLevelEditorPackDelete: deleteLevelPack,
+            onLevelEditorPackExport: exportLevelPack,
+            onLevelEditorPackImportFile: importLevelPack,
+            onLevelEditorLevelAction: handleLevelEditorAction,
+            onLevelEditorLevelAdd: addEditorLevel,
+            onLevelEditorLevelSave: saveEditorLevel,
+            onReceiveReplay: playReceiveSentence,
+            onReceiveSubmit: handleReceiveSubmit,
+            onKochLessonChange: selectKochLesson,
 
             // Settings Value Changes (from UIManager elements)
             onWpmChange: applyWpmSetting,
+            onEffectiveWpmChange: applyEffectiveWpmSetting,
             onFrequencyChange: applyFrequencySetting,
             onSoundToggle: applySoundSetting,
             onVolumeChange: applyVolumeSetting,
             onDarkModeToggle: applyDarkModeSetting,
             onHintToggle: applyHintSetting,
             onKeyMappingChange: handleKeyMappingChange, // Callback for key changes
+            onInputModeChange: applyInputModeSetting,
+            onKeyerModeChange: applyKeyerModeSetting,
+            onAlphabetChange: applyAlphabetSetting,
+            onBandConditionsChange: applyBandConditionsSetting,
+            onKeyingWeightsChange: applyKeyingWeightsSetting,
+            onPaddleMemoryChange: applyPaddleMemorySetting,
             onResetProgress: resetProgress,
+            onExportBackup: exportBackup,
+            onImportBackupFile: previewBackupImport,
+            onApplyBackupImport: applyBackupImport,
         });
 
         const primeAudioContext = () => {
@@ -133,54 +329,283 @@ document.addEventListener('DOMContentLoaded', () => {
     // --- UI View Transitions & State Management ---
     function showMainMenu() {
         console.log("Navigating to Main Menu...");
-        stopGameUpdateTimer();
         audioPlayer.stopPlayback();
         gameState.reset();
-        gameState.status = GameStatus.MENU;
         gameState.currentMode = AppMode.MENU;
-        uiManager.showMainMenu();
+        gameState.setStatus(GameStatus.MENU);
     }
 
     function handleShowLevelSelect() {
         console.log("Navigating to Level Select...");
-        stopGameUpdateTimer();
         audioPlayer.stopPlayback();
         if (gameState.currentMode !== AppMode.GAME && gameState.status !== GameStatus.SHOWING_RESULTS) {
             gameState.reset();
         }
-        gameState.status = GameStatus.LEVEL_SELECT;
         gameState.currentMode = AppMode.GAME;
-        const levels = levelManager.getAllLevelsWithStatus();
-        uiManager.showLevelSelectionScreen(levels);
+        gameState.setStatus(GameStatus.LEVEL_SELECT);
+    }
+
+    function handleShowReceiveLevelSelect() {
+        console.log("Navigating to Receive Level Select...");
+        audioPlayer.stopPlayback();
+        if (gameState.currentMode !== AppMode.RECEIVE && gameState.status !== GameStatus.SHOWING_RESULTS) {
+            gameState.reset();
+        }
+        gameState.currentMode = AppMode.RECEIVE;
+        gameState.setStatus(GameStatus.LEVEL_SELECT);
+    }
+
+    /**
+     * Plays another level pack and shows its levels on the same track.
+     * @param {string|null} packId - User pack id, or null for the built-in levels.
+     */
+    function selectLevelPack(packId) {
+        const isReceive = gameState.currentMode === AppMode.RECEIVE;
+        levelManager.selectUserPack(packId);
+        gameState.reset(); // The current level belongs to the previous pack
+        if (isReceive) handleShowReceiveLevelSelect();
+        else handleShowLevelSelect();
     }
 
     function handleShowSandboxInput() {
         console.log("Navigating to Sandbox Input...");
-        stopGameUpdateTimer();
         audioPlayer.stopPlayback();
         gameState.reset();
-        gameState.status = GameStatus.SANDBOX_INPUT;
         gameState.currentMode = AppMode.SANDBOX;
-        uiManager.showSandboxUI();
-        updateSandboxPreview();
+        gameState.setStatus(GameStatus.SANDBOX_INPUT);
     }
 
     function handleShowPlayback() {
         console.log("Navigating to Playback...");
-        stopGameUpdateTimer();
         audioPlayer.stopPlayback();
         gameState.reset();
-        gameState.status = GameStatus.PLAYBACK_INPUT;
         gameState.currentMode = AppMode.PLAYBACK;
-        uiManager.showPlaybackUI();
+        gameState.setStatus(GameStatus.PLAYBACK_INPUT);
+    }
+
+    function handleShowDecodeAudio() {
+        console.log("Navigating to Decode Audio...");
+        audioPlayer.stopPlayback();
+        gameState.reset();
+        gameState.currentMode = AppMode.DECODE_AUDIO;
+        gameState.setStatus(GameStatus.MENU);
+    }
+
+    /** Opens the Progress screen; also re-runs when its mode filter changes. */
+    function handleShowStats() {
+        console.log("Navigating to Stats...");
+        audioPlayer.stopPlayback();
+        gameState.reset();
+        gameState.currentMode = AppMode.STATS;
+        gameState.setStatus(GameStatus.MENU);
+    }
+
+    /** Shows the Progress screen and loads the filtered session history into it. */
+    function showStatsScreen() {
+        uiManager.showStatsUI();
+        const modes = STATS_FILTER_MODES[uiManager.getStatsFilter()];
+        const profileId = profileManager.getActiveProfile().id;
+        sessionHistory.getSessions().then(sessions => {
+            if (gameState.currentMode !== AppMode.STATS) return; // Left the screen while loading
+            const included = sessions.filter(session => sessionHistory.sessionProfileId(session) === profileId
+                && (!modes || modes.includes(session.mode)));
+            uiManager.updateStatsDisplay(sessionHistory.summarize(included));
+        });
+    }
+
+    // --- Level Editor ---
+
+    function handleShowLevelEditor() {
+        console.log("Navigating to Level Editor...");
+        audioPlayer.stopPlayback();
+        gameState.reset();
+        gameState.currentMode = AppMode.LEVEL_EDITOR;
+        gameState.setStatus(GameStatus.MENU);
+    }
+
+    /** Redraws the editor, keeping the edited pack (or picking the pack in play, or the first one). */
+    function refreshLevelEditor() {
+        const packs = levelPackManager.getPacks();
+        if (!packs.some(pack => pack.id === editorPackId)) {
+            const inPlay = packs.find(pack => pack.id === levelManager.getUserPackId());
+            editorPackId = (inPlay || packs[0] || { id: null }).id;
+        }
+        uiManager.updateLevelEditor(packs, packs.find(pack => pack.id === editorPackId) || null);
+    }
+
+    function selectEditorPack(packId) {
+        editorPackId = packId;
+        uiManager.hideLevelEditorForm();
+        refreshLevelEditor();
+    }
+
+    function createLevelPack() {
+        const name = prompt("Name for the new level pack:");
+        if (name === null) return;
+        const error = levelPackManager.validateName(name);
+        if (error) { alert(error); return; }
+        const copyBuiltIn = confirm(`Start with a copy of the built-in levels (${decoder.alphabet.name})? Cancel starts an empty pack.`);
+        editorPackId = levelPackManager.createPack(name, copyBuiltIn ? decoder.alphabet.levels : []).id;
+        uiManager.hideLevelEditorForm();
+        refreshLevelEditor();
+    }
+
+    function renameLevelPack() {
+        const pack = levelPackManager.getPack(editorPackId);
+        if (!pack) return;
+        const name = prompt("New name for this level pack:", pack.name);
+        if (name === null) return;
+        const error = levelPackManager.validateName(name, pack.id);
+        if (error) { alert(error); return; }
+        levelPackManager.renamePack(pack.id, name);
+        refreshLevelEditor();
+    }
+
+    function deleteLevelPack() {
+        const pack = levelPackManager.getPack(editorPackId);
+        if (!pack) return;
+        if (!confirm(`Delete the level pack "${pack.name}" and its high scores? This cannot be undone.`)) return;
+        levelPackManager.deletePack(pack.id);
+        levelManager.forgetUserPack(pack.id);
+        editorPackId = null;
+        uiManager.hideLevelEditorForm();
+        refreshLevelEditor();
+    }
+
+    function exportLevelPack() {
+        levelPackManager.exportPack(editorPackId);
+    }
+
+    /** Reads a level pack file and adds it as a new pack, if every level is valid for the current alphabet. */
+    function importLevelPack(file) {
+        file.text()
+            .then(text => {
+                const imported = levelPackManager.parsePack(text);
+                const errors = levelPackManager.validateLevels(imported.levels);
+                if (errors.length > 0) {
+                    const more = errors.length > 10 ? `\n...and ${errors.length - 10} more.` : '';
+                    throw new Error(`Some levels aren't valid:\n${errors.slice(0, 10).join('\n')}${more}`);
+                }
+                const pack = levelPackManager.createPack(levelPackManager.uniqueName(imported.name), imported.levels);
+                if (!pack) throw new Error("No free name for the pack. Rename or delete some packs first.");
+                editorPackId = pack.id;
+                uiManager.hideLevelEditorForm();
+                refreshLevelEditor();
+                alert(`Imported "${pack.name}" with ${pack.levels.length} levels.`);
+            })
+            .catch(e => {
+                console.error("Level pack import failed:", e);
+                alert(`Could not import the level pack: ${e.message}`);
+            });
+    }
+
+    /**
+     * Edits, moves or deletes a level of the edited pack.
+     * @param {'edit'|'up'|'down'|'delete'} action
+     * @param {number} index - Position of the level in the pack.
+     */
+    function handleLevelEditorAction(action, index) {
+        const pack = levelPackManager.getPack(editorPackId);
+        if (!pack || !pack.levels[index]) return;
+        if (action === 'edit') {
+            editorLevelIndex = index;
+            uiManager.showLevelEditorForm(pack.levels[index], false);
+            return;
+        }
+        const levels = pack.levels;
+        if (action === 'delete') {
+            if (!confirm(`Delete the level "${levels[index].name}"?`)) return;
+            levels.splice(index, 1);
+        } else {
+            const target = index + (action === 'up' ? -1 : 1);
+            if (target < 0 || target >= levels.length) return;
+            [levels[index], levels[target]] = [levels[target], levels[index]];
+        }
+        uiManager.hideLevelEditorForm(); // Positions changed
+        saveEditorLevels(levels);
+    }
+
+    function addEditorLevel() {
+        const pack = levelPackManager.getPack(editorPackId);
+        if (!pack) return;
+        editorLevelIndex = null;
+        uiManager.showLevelEditorForm({
+            name: `Level ${pack.levels.length + 1}`,
+            sentences: [],
+            unlock_criteria: { ...MorseConfig.LEVEL_EDITOR_DEFAULT_UNLOCK_CRITERIA }
+        }, true);
+    }
+
+    /** Validates the level form and saves it into the edited pack. */
+    function saveEditorLevel() {
+        const pack = levelPackManager.getPack(editorPackId);
+        if (!pack) return;
+        const level = uiManager.getLevelEditorFormValues();
+        const errors = levelPackManager.validateLevel(level);
+        if (errors.length > 0) {
+            uiManager.showLevelEditorErrors(errors);
+            return;
+        }
+        if (editorLevelIndex === null || !pack.levels[editorLevelIndex]) {
+            pack.levels.push(level);
+        } else {
+            pack.levels[editorLevelIndex] = { ...pack.levels[editorLevelIndex], ...level };
+        }
+        uiManager.hideLevelEditorForm();
+        saveEditorLevels(pack.levels);
+    }
+
+    /** Stores the edited pack's levels and reloads them if the pack is in play. */
+    function saveEditorLevels(levels) {
+        if (!levelPackManager.saveLevels(editorPackId, levels)) {
+            alert("Could not save the level pack (storage is full or unavailable).");
+        }
+        levelManager.refreshUserPack(editorPackId);
+        refreshLevelEditor();
+    }
+
+    // --- Profiles ---
+
+    /** Makes another profile active. Modules load their data at startup, so the page is reloaded. */
+    function switchProfile(profileId) {
+        if (!profileManager.setActiveProfile(profileId)) return;
+        console.log(`Switching to profile ${profileId}, reloading...`);
+        window.location.reload();
+    }
+
+    function createProfile() {
+        const name = prompt("Name for the new profile:");
+        if (name === null) return;
+        const error = profileManager.validateName(name);
+        if (error) { alert(error); return; }
+        switchProfile(profileManager.createProfile(name).id);
+    }
+
+    function renameProfile() {
+        const active = profileManager.getActiveProfile();
+        const name = prompt("New name for this profile:", active.name);
+        if (name === null) return;
+        const error = profileManager.validateName(name, active.id);
+        if (error) { alert(error); return; }
+        profileManager.renameProfile(active.id, name);
+        uiManager.updateProfileList(profileManager.getProfiles(), active.id);
+    }
+
+    function deleteProfile() {
+        const active = profileManager.getActiveProfile();
+        if (active.id === MorseConfig.DEFAULT_PROFILE_ID) {
+            alert(`The ${MorseConfig.DEFAULT_PROFILE_NAME} profile can't be deleted.`);
+            return;
+        }
+        if (!confirm(`Delete the profile "${active.name}" with all its settings and progress? This cannot be undone.`)) return;
+        profileManager.deleteProfile(active.id);
+        sessionHistory.clear(session => sessionHistory.sessionProfileId(session) === active.id)
+            .then(() => window.location.reload()); // The default profile is active now
     }
 
     function handleShowSettings() {
         console.log("Navigating to Settings...");
-        if (gameState.isPlaying() || gameState.status === GameStatus.READY) {
-            stopGameUpdateTimer();
-        }
-        gameState.status = GameStatus.SETTINGS;
+        gameState.setStatus(GameStatus.SETTINGS);
         gameState.currentMode = AppMode.SETTINGS;
         // Modal opening handled by Modal instance
     }
@@ -200,27 +625,15 @@ document.addEventListener('DOMContentLoaded', () => {
             showMainMenu(); return;
         }
 
-        gameState.startLevelSentence(levelId, sentenceIndex, sentenceText);
         applyCurrentSettingsToModules(); // Apply WPM, Freq, Volume, Keys
-        uiManager.showGameUI();
-        uiManager.renderSentence(sentenceText);
-        uiManager.resetStatsDisplay();
+        gameState.startLevelSentence(levelId, sentenceIndex, sentenceText);
+        characterStats.startSession();
 
-        const firstCharIndex = gameState.currentCharIndex;
-        const firstChar = gameState.getTargetCharacterRaw();
-        if (firstChar !== null) {
-            uiManager.highlightCharacter(firstCharIndex, firstChar);
-        } else if (sentenceText.trim().length === 0){
+        if (gameState.getTargetCharacterRaw() === null) {
             console.warn("Starting level with empty or whitespace-only sentence.");
-            gameState.status = GameStatus.FINISHED;
-            handleSentenceFinished();
+            gameEngine.finish();
             return;
-        } else {
-             console.error("Could not get first character even though sentence is not empty.");
-             uiManager.updateTargetPatternDisplay("");
         }
-
-        stopGameUpdateTimer();
         console.log("Game ready.");
     }
 
@@ -229,24 +642,53 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!sentenceText || !sentenceText.trim()) { alert("Please enter a sentence."); return; }
         console.log(`Attempting to start Sandbox with: "${sentenceText}"`);
 
-        gameState.startSandboxSentence(sentenceText);
         applyCurrentSettingsToModules(); // Apply WPM, Freq, Volume, Keys
+        gameState.startSandboxSentence(sentenceText);
+        characterStats.startSession();
+
+        if (gameState.getTargetCharacterRaw() === null) {
+             console.warn("Starting sandbox with whitespace-only sentence.");
+             gameEngine.finish();
+             return;
+        }
+        console.log("Sandbox ready.");
+    }
+
+    /** Shows the sentence about to be keyed, with its first character highlighted (entry action of READY). */
+    function showSendingScreen() {
         uiManager.showGameUI();
-        uiManager.renderSentence(sentenceText);
+        uiManager.renderSentence(gameState.currentSentence);
         uiManager.resetStatsDisplay();
+        startKeyingTimeline();
 
-        const firstCharIndex = gameState.currentCharIndex;
         const firstChar = gameState.getTargetCharacterRaw();
         if (firstChar !== null) {
-            uiManager.highlightCharacter(firstCharIndex, firstChar);
+            uiManager.highlightCharacter(gameState.currentCharIndex, firstChar);
         } else {
-             console.warn("Starting sandbox with whitespace-only sentence.");
-             gameState.status = GameStatus.FINISHED;
-             handleSentenceFinished();
-             return;
+            uiManager.updateTargetPatternDisplay(""); // Whitespace only; the start finishes it at once
         }
-        stopGameUpdateTimer();
-        console.log("Sandbox ready.");
+    }
+
+    /**
+     * Starts a weak-character drill: a generated sentence weighted toward the characters
+     * with the worst stats, keyed like a sandbox sentence.
+     * @param {string} [sentenceText] - Sentence to repeat (retry); a new drill is built when omitted.
+     */
+    function startWeakCharacterDrill(sentenceText) {
+        audioPlayer.stopPlayback();
+        if (typeof sentenceText !== 'string' || !sentenceText) {
+            // Only characters of the current alphabet can be drilled
+            const drill = characterStats.buildDrillSentence(Date.now(), char => decoder.encodeCharacter(char) !== null);
+            if (!drill) { alert("No character stats yet. Key a few levels first, then come back to drill your weak characters."); return; }
+            sentenceText = drill.sentence;
+            drillFocusCharacters = drill.focus;
+        }
+        console.log(`Starting weak-character drill (${drillFocusCharacters.join(' ')}): "${sentenceText}"`);
+
+        applyCurrentSettingsToModules(); // Apply WPM, Freq, Volume, Keys
+        gameState.startDrillSentence(sentenceText);
+        characterStats.startSession();
+        console.log("Drill ready.");
     }
 
     function selectLevel(levelId) {
@@ -255,99 +697,154 @@ document.addEventListener('DOMContentLoaded', () => {
             console.warn(`selectLevel called but status is not LEVEL_SELECT (${gameState.status})`);
             return;
         }
-        if (levelManager.isLevelUnlocked(levelId)) {
-            startGameLevel(levelId, 0);
-        } else {
+        const track = gameState.currentMode === AppMode.RECEIVE ? MorseConfig.LEVEL_TRACKS.RECEIVE : MorseConfig.LEVEL_TRACKS.SEND;
+        if (!levelManager.isLevelUnlocked(levelId, track)) {
             console.warn(`Attempted to select locked level: ${levelId}`);
+        } else if (track === MorseConfig.LEVEL_TRACKS.RECEIVE) {
+            startReceiveLevel(levelId, 0);
+        } else {
+            startGameLevel(levelId, 0);
         }
      }
 
-    // --- Input Handling Callbacks (from InputHandler) ---
-    function handleInputHandlerInput(inputChar) {
-        if (gameState.status === GameStatus.READY && (gameState.currentMode === AppMode.GAME || gameState.currentMode === AppMode.SANDBOX)) {
-            if (gameState.startTimer()) {
-                 startGameUpdateTimer();
-            }
+    // --- Receive Mode Logic ---
+    function startReceiveLevel(levelId, sentenceIndex = 0) {
+        console.log(`Attempting to start Receive Level ${levelId}, Sentence ${sentenceIndex + 1}`);
+        const sentenceText = levelManager.getSpecificSentence(levelId, sentenceIndex);
+        if (sentenceText === null) {
+            console.error(`Cannot start receive: Invalid levelId ${levelId} / sentenceIndex ${sentenceIndex}.`);
+            showMainMenu(); return;
         }
+
+        audioPlayer.stopPlayback();
+        applyCurrentSettingsToModules(); // Apply WPM, Freq, Volume
+        gameState.startReceiveSentence(levelId, sentenceIndex, sentenceText);
+        playReceiveSentence();
     }
 
-    function handleCharacterDecode() {
-        if (gameState.status !== GameStatus.DECODING || !(gameState.currentMode === AppMode.GAME || gameState.currentMode === AppMode.SANDBOX)) {
-            console.warn("handleCharacterDecode called in unexpected state/mode:", gameState.status, gameState.currentMode);
-            if (gameState.status === GameStatus.DECODING) gameState.status = GameStatus.LISTENING;
+    // --- Koch Trainer Logic ---
+    /**
+     * Starts a Koch session of new random groups at the current lesson and plays it.
+     * Groups are never replayed: a set already copied would count toward advancing again.
+     */
+    function startKochSession() {
+        audioPlayer.stopPlayback();
+        if (!kochTrainer.getCharacters().every(char => decoder.encodeCharacter(char) !== null)) {
+            alert("The Koch trainer uses the Latin alphabet. Choose a Latin alphabet in Settings to use it.");
             return;
         }
+        const text = kochTrainer.generateSession();
+        console.log(`Starting Koch lesson ${kochTrainer.currentLesson}: "${text}"`);
 
-        const sequence = gameState.currentInputSequence;
-        const targetChar = gameState.getTargetCharacter();
+        applyCurrentSettingsToModules(); // Apply WPM, Freq, Volume
+        gameState.startKochSession(text);
+        playReceiveSentence();
+    }
 
-        gameState.currentInputSequence = "";
-        gameState.inputTimestamps = [];
-        uiManager.updateUserPatternDisplay("");
+    function selectKochLesson(lesson) {
+        if (gameState.currentMode !== AppMode.KOCH) return;
+        if (kochTrainer.setLesson(lesson)) startKochSession();
+    }
 
-        if (!sequence) {
-            gameState.status = GameStatus.LISTENING;
-            if (targetChar !== null) {
-                const targetMorse = decoder.encodeCharacter(targetChar);
-                uiManager.updateTargetPatternDisplay(targetMorse ?? "");
-            }
-            uiManager.setPatternDisplayState('default');
+    /** Plays the receive sentence, or stops it if it is already playing. */
+    function playReceiveSentence() {
+        if (!gameState.isReceiveMode()) return;
+        if (gameState.isAudioPlayingBack()) {
+            audioPlayer.stopPlayback();
+            uiManager.setReceiveReplayEnabled(true, 'Play Again');
             return;
         }
+        if (gameState.status !== GameStatus.RECEIVE_INPUT) return;
+        if (!audioPlayer.isSoundEnabled) { alert("Sound is turned off. Enable it in Settings to hear the sentence."); return; }
 
-        const decodedChar = decoder.decodeSequence(sequence);
-
-        if (decodedChar && targetChar && decodedChar === targetChar) {
-            // --- CORRECT ---
-            uiManager.updateCharacterState(gameState.currentCharIndex, 'completed');
-            uiManager.setPatternDisplayState('correct'); // GREEN flash
+        const morseSequence = decoder.encodeSentence(gameState.currentSentence);
+        if (!morseSequence) { alert("Could not generate Morse code."); return; }
 
-            const moreChars = gameState.moveToNextCharacter(); // Advances index, sets state
+        gameState.startReceiveTimer();
+        uiManager.setReceiveReplayEnabled(true, 'Stop');
+        audioPlayer.playMorseSequence(morseSequence, () => {
+            uiManager.setReceiveReplayEnabled(true, 'Play Again');
+            console.log("Receive playback complete.");
+        });
+    }
 
-            if (moreChars) {
-                const nextCharIndex = gameState.currentCharIndex;
-                const nextCharRaw = gameState.getTargetCharacterRaw();
-                if (nextCharRaw !== null) {
-                    uiManager.highlightCharacter(nextCharIndex, nextCharRaw);
-                }
-            } else {
-                // --- SENTENCE FINISHED ---
-                handleSentenceFinished();
-            }
-        } else {
-            // --- INCORRECT ---
-            gameState.registerIncorrectAttempt();
-            uiManager.updateCharacterState(gameState.currentCharIndex, 'incorrect'); // RED flash char
-            audioPlayer.playIncorrectSound();
-            uiManager.setPatternDisplayState('incorrect'); // RED flash pattern
+    function handleReceiveSubmit() {
+        if (!gameState.isReceiveMode() ||
+            !(gameState.status === GameStatus.RECEIVE_INPUT || gameState.status === GameStatus.PLAYING_BACK)) return;
 
-            gameState.status = GameStatus.LISTENING;
+        const answer = uiManager.getReceiveAnswer();
+        if (!answer || !answer.trim()) { alert("Please type what you heard."); return; }
 
-            if (targetChar !== null) {
-                const targetMorse = decoder.encodeCharacter(targetChar);
-                uiManager.updateTargetPatternDisplay(targetMorse ?? "");
+        audioPlayer.stopPlayback();
+        uiManager.blurReceiveInput(); // Paddle keys drive the results screen from here
+        gameState.finishReceive();
+
+        const scores = scoreCalculator.calculateReceiveScores(decoder.foldText(gameState.currentSentence), decoder.foldText(answer),
+            gameState.elapsedTime, gameState.receivePlayCount);
+        eventBus.emit(AppEvent.SENTENCE_FINISHED, { mode: gameState.currentMode, scores });
+
+        if (gameState.currentMode === AppMode.KOCH) {
+            const lessonResult = kochTrainer.recordSession(scores.accuracy);
+            let message;
+            if (lessonResult.advanced) {
+                message = `Over ${MorseConfig.KOCH_ADVANCE_ACCURACY}%! Lesson ${lessonResult.lesson} adds "${lessonResult.newCharacter}".`;
+            } else if (scores.accuracy > MorseConfig.KOCH_ADVANCE_ACCURACY) {
+                message = "Final lesson passed. All Koch characters learned!"; // Only reached on the last lesson
             } else {
-                uiManager.updateTargetPatternDisplay("");
+                message = `Copy over ${MorseConfig.KOCH_ADVANCE_ACCURACY}% to add the next character.`;
             }
+            showResults(scores, null, true, message);
+            console.log(`Koch session checked: ${scores.accuracy}%.`);
+            return;
         }
+
+        const unlockResult = levelManager.recordScoreAndCheckUnlocks(gameState.currentLevelId, scores, MorseConfig.LEVEL_TRACKS.RECEIVE);
+        const hasNextLevelOption = levelManager.getNextSentence(gameState, MorseConfig.LEVEL_TRACKS.RECEIVE) !== null;
+
+        showResults(scores, unlockResult.unlockedNextLevelId, hasNextLevelOption);
+        console.log(`Receive sentence checked: ${scores.accuracy}% (${scores.substitutions} sub, ${scores.deletions} missed, ${scores.insertions} extra).`);
     }
 
+    // --- Sending Callbacks (from GameEngine) ---
+
+    /** Shows a keyed element in the user pattern; keyer elements also get their tone here. */
+    function handleKeyedElement(event) {
+        if (event.automatic) audioPlayer.playInputTone(event.type);
+        uiManager.updateUserPatternDisplay(event.sequence);
+    }
 
-    function handleSentenceFinished() {
-        if (gameState.status === GameStatus.SHOWING_RESULTS || gameState.status === GameStatus.MENU) return;
+    /** Flashes the decoded character's result (its stats are recorded from the event bus). */
+    function handleCharacterDecode(event) {
+        uiManager.updateUserPatternDisplay("");
 
-        if (gameState.status !== GameStatus.FINISHED) {
-            gameState.stopTimer();
+        if (event.correct) {
+            uiManager.updateCharacterState(event.charIndex, 'completed');
+            uiManager.setPatternDisplayState('correct'); // GREEN flash
+        } else {
+            uiManager.updateCharacterState(event.charIndex, 'incorrect'); // RED flash char
+            audioPlayer.playIncorrectSound();
+            uiManager.setPatternDisplayState('incorrect'); // RED flash pattern
+            const targetMorse = event.target !== null ? decoder.encodeCharacter(event.target) : null;
+            uiManager.updateTargetPatternDisplay(targetMorse ?? "");
         }
-        if (gameState.status !== GameStatus.FINISHED) {
-             gameState.status = GameStatus.FINISHED;
+    }
+
+    /** Highlights the next character to key. */
+    function handleCharacterProgress(event) {
+        if (event.target !== null) {
+            uiManager.highlightCharacter(event.charIndex, event.target);
         }
-        stopGameUpdateTimer();
+    }
 
-        const scores = scoreCalculator.calculateScores(gameState);
+    /**
+     * Shows the results of a sent sentence and records its progress.
+     * @param {object} scores - From GameEngine (ScoreCalculator scores plus timing).
+     */
+    function handleSentenceFinished(scores) {
 
         let unlockedNextLevelId = null;
         let hasNextLevelOption = false;
+        let progressMessage = null;
 
         if (gameState.currentMode === AppMode.GAME && gameState.currentLevelId !== null) {
             const unlockResult = levelManager.recordScoreAndCheckUnlocks(gameState.currentLevelId, scores);
@@ -355,18 +852,130 @@ document.addEventListener('DOMContentLoaded', () => {
 
             const nextSentenceDetails = levelManager.getNextSentence(gameState);
             hasNextLevelOption = nextSentenceDetails !== null && levelManager.isLevelUnlocked(nextSentenceDetails.levelId);
+        } else if (gameState.currentMode === AppMode.DRILL) {
+            hasNextLevelOption = true; // Next builds a fresh drill from the updated stats
+            progressMessage = `Drilled: ${drillFocusCharacters.join(' ')}`;
         } else {
             hasNextLevelOption = false;
         }
 
-        uiManager.showResultsScreen(scores, unlockedNextLevelId, hasNextLevelOption, gameState.currentMode);
-        gameState.status = GameStatus.SHOWING_RESULTS;
+        showResults(scores, unlockedNextLevelId, hasNextLevelOption, progressMessage, getKeyingTimelineData());
         console.log(`${gameState.currentMode} sentence finished, showing results.`);
     }
 
+    /**
+     * Moves to the results screen of the finished sentence (entering SHOWING_RESULTS shows them).
+     * @param {object} scores - From ScoreCalculator.
+     * @param {number|null} unlockedLevelId - Level unlocked by this result, if any.
+     * @param {boolean} hasNextLevelOption - Enables the Next paddle.
+     * @param {string|null} [progressMessage=null] - Replaces the level unlock message.
+     * @param {object|null} [keyingReplay=null] - Keying timeline data to replay (sent sentences).
+     */
+    function showResults(scores, unlockedLevelId, hasNextLevelOption, progressMessage = null, keyingReplay = null) {
+        results = { scores, unlockedLevelId, hasNextLevelOption, mode: gameState.currentMode, progressMessage, keyingReplay };
+        gameState.setStatus(GameStatus.SHOWING_RESULTS);
+    }
+
+    /**
+     * Logs the finished sentence (sent or copied) to the session history.
+     * @param {{mode: string, scores: object}} event - SENTENCE_FINISHED payload.
+     */
+    function recordSessionHistory({ mode, scores }) {
+        sessionHistory.record({
+            timestamp: Date.now(),
+            profileId: profileManager.getActiveProfile().id,
+            mode,
+            levelId: gameState.currentLevelId,
+            sentence: gameState.currentSentence,
+            wpm: uiManager.getInitialWpm(),
+            effectiveWpm: uiManager.getInitialEffectiveWpm(),
+            netWpm: scores.netWpm,
+            grossWpm: scores.grossWpm,
+            accuracy: scores.accuracy,
+            durationSeconds: scores.elapsedTimeSeconds,
+            fistQuality: scores.timing ? scores.timing.fistQuality : null
+        });
+    }
+
+    // --- Keying Timeline ---
+
+    /** Ideal sending timings: standard (non-Farnsworth) spacing at the character speed, with the keying weights. */
+    function getSendingTimings() {
+        return gameEngine.getSendingTimings();
+    }
+
+    /** The current sentence's recorded keying, in the form KeyingTimeline draws. */
+    function getKeyingTimelineData() {
+        return {
+            timeline: gameState.keyTimeline,
+            groups: gameState.keyedCharacters,
+            sentence: gameState.currentSentence,
+            timings: getSendingTimings(),
+            encode: (char) => char ? decoder.encodeCharacter(char) : null
+        };
+    }
+
+    /** Draws the keying timeline under the user pattern while the sentence is keyed. */
+    function startKeyingTimeline() {
+        const timings = getSendingTimings();
+        uiManager.startLiveKeyingTimeline(() => ({
+            ...getKeyingTimelineData(),
+            timings,
+            target: gameState.getTargetCharacter(), // Null once the sentence is over
+            keyDownSince: gameEngine.getHeldKeyDownTime(),
+            now: gameState.clock.now() // Same clock as the key timeline
+        }));
+    }
+
+    /**
+     * Plays back the sentence the user just keyed with their own timing. With "Alternate with ideal",
+     * each word is followed by the same word at ideal timing. A second press stops playback.
+     */
+    function hearMySending() {
+        if (audioPlayer.isCurrentlyPlayingBack) {
+            audioPlayer.stopPlayback();
+            uiManager.setHearSendingPlaying(false);
+            return;
+        }
+        const timeline = gameState.keyTimeline;
+        if (timeline.length === 0) return;
+
+        let schedule;
+        if (uiManager.isHearSendingCompareEnabled()) {
+            // Word index of every character of the sentence
+            const wordOf = [];
+            let word = -1;
+            let previousIsSpace = true;
+            for (let i = 0; i < gameState.currentSentence.length; i++) {
+                const isSpace = /\s/.test(gameState.currentSentence[i]);
+                if (!isSpace && previousIsSpace) word++;
+                wordOf.push(word);
+                previousIsSpace = isSpace;
+            }
+            const words = gameState.currentSentence.trim().split(/\s+/);
+            const keyedByWord = words.map(() => []);
+            timeline.forEach(entry => keyedByWord[wordOf[entry.charIndex]]?.push(entry));
+
+            const wordGapSec = audioPlayer.wordGapSec;
+            const parts = [];
+            words.forEach((text, i) => {
+                if (keyedByWord[i].length === 0) return;
+                parts.push(audioPlayer.buildRecordedSchedule(keyedByWord[i]));
+                parts.push(audioPlayer.buildToneSchedule(decoder.encodeSentence(text)));
+            });
+            schedule = audioPlayer.joinSchedules(parts, wordGapSec);
+        } else {
+            schedule = audioPlayer.buildRecordedSchedule(timeline);
+        }
+
+        uiManager.setHearSendingPlaying(true);
+        audioPlayer.playToneSchedule(schedule, () => uiManager.setHearSendingPlaying(false));
+    }
+
     // --- Results Screen Input Handling ---
     function handleResultsInput(type) {
         if (gameState.status !== GameStatus.SHOWING_RESULTS) return;
+        audioPlayer.stopPlayback(); // "Hear My Sending" may still be playing
 
         // SWAPPED: Dah = Next, Dit = Retry
         if (type === 'dah') {
@@ -397,12 +1006,38 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // --- Settings Handlers ---
+
+    /**
+     * Announces an applied setting to anything following SETTINGS_CHANGED. Settings are re-applied
+     * whenever a sentence starts, so a value equal to the last one published is skipped.
+     * @param {string} key - The setting's name (e.g. 'wpm').
+     * @param {*} value - Its new value.
+     */
+    function publishSettingChange(key, value) {
+        const serialized = JSON.stringify(value);
+        if (publishedSettings[key] === serialized) return;
+        publishedSettings[key] = serialized;
+        eventBus.emit(AppEvent.SETTINGS_CHANGED, { key, value });
+    }
+
     function applyWpmSetting(wpm) {
         if (wpm > 0) {
             decoder.updateWpm(wpm);
             audioPlayer.updateWpm(wpm);
-            if (inputHandler) inputHandler.updateWpm(wpm);
+            gameEngine.updateWpm(wpm);
+            scoreCalculator.updateSpeeds(wpm, null);
             console.log(`WPM setting applied: ${wpm}`);
+            publishSettingChange('wpm', wpm);
+        }
+    }
+
+    function applyEffectiveWpmSetting(effectiveWpm) {
+        if (effectiveWpm > 0) {
+            decoder.updateEffectiveWpm(effectiveWpm);
+            audioPlayer.updateEffectiveWpm(effectiveWpm);
+            scoreCalculator.updateSpeeds(null, effectiveWpm);
+            console.log(`Effective WPM (Farnsworth) setting applied: ${effectiveWpm}`);
+            publishSettingChange('effectiveWpm', effectiveWpm);
         }
     }
 
@@ -410,12 +1045,14 @@ document.addEventListener('DOMContentLoaded', () => {
         if (freq >= MorseConfig.AUDIO_MIN_FREQUENCY && freq <= MorseConfig.AUDIO_MAX_FREQUENCY) {
             audioPlayer.updateFrequency(freq);
             console.log(`Frequency setting applied: ${freq} Hz`);
+            publishSettingChange('frequency', freq);
         }
     }
 
     function applySoundSetting(isEnabled) {
         audioPlayer.setSoundEnabled(isEnabled);
         console.log(`Sound setting applied: ${isEnabled}`);
+        publishSettingChange('soundEnabled', isEnabled);
     }
 
     function applyVolumeSetting(level) {
@@ -423,17 +1060,63 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!isNaN(volumeLevel) && volumeLevel >= 0 && volumeLevel <= 1) {
             audioPlayer.setVolume(volumeLevel);
             console.log(`Volume setting applied: ${volumeLevel.toFixed(2)}`);
+            publishSettingChange('volume', volumeLevel);
         }
     }
 
     function applyDarkModeSetting(isEnabled) {
         console.log(`Dark Mode setting applied: ${isEnabled}`);
         // UI handled by UIManager directly
+        publishSettingChange('darkMode', isEnabled);
     }
 
     function applyHintSetting(isVisible) {
         console.log(`Hint Visibility setting applied: ${isVisible}`);
         // UI handled by UIManager directly
+        publishSettingChange('hintVisible', isVisible);
+    }
+
+    function applyInputModeSetting(mode) {
+        if (gameEngine.setInputMode(mode)) {
+            console.log(`Input mode setting applied: ${mode}`);
+            publishSettingChange('inputMode', mode);
+        }
+    }
+
+    function applyKeyerModeSetting(mode) {
+        if (gameEngine.setKeyerMode(mode)) {
+            console.log(`Keyer mode setting applied: ${mode}`);
+            publishSettingChange('keyerMode', mode);
+        }
+    }
+
+    /** Switches the letter table and the level pack to the chosen alphabet. */
+    function applyAlphabetSetting(alphabetId) {
+        const alphabet = decoder.setAlphabet(alphabetId);
+        levelManager.setLevelPack(alphabet.id);
+        console.log(`Alphabet setting applied: ${alphabet.name}`);
+        publishSettingChange('alphabet', alphabet.id);
+    }
+
+    /** Sets the simulated band conditions used when sequences are played. */
+    function applyBandConditionsSetting(bandConditions) {
+        audioPlayer.setBandConditions(bandConditions.presetId, bandConditions.snrDb);
+        publishSettingChange('bandConditions', bandConditions);
+    }
+
+    /** Applies keying weighting and dah ratio to every module that times elements. */
+    function applyKeyingWeightsSetting(keying) {
+        decoder.updateKeyingWeights(keying);
+        audioPlayer.updateKeyingWeights(keying);
+        gameEngine.updateKeyingWeights(keying);
+        console.log(`Keying weights applied: weighting ${keying.weighting}%, dah ratio ${keying.dahRatio}`);
+        publishSettingChange('keyingWeights', keying);
+    }
+
+    function applyPaddleMemorySetting(ditMemory, dahMemory) {
+        gameEngine.setPaddleMemory(ditMemory, dahMemory);
+        console.log(`Paddle memory applied: dit ${ditMemory}, dah ${dahMemory}`);
+        publishSettingChange('paddleMemory', { dit: ditMemory, dah: dahMemory });
     }
 
     /** Handles changes to key mappings from the UIManager settings inputs. */
@@ -443,20 +1126,13 @@ document.addEventListener('DOMContentLoaded', () => {
         } else {
             console.error("Cannot update key mappings: InputHandler not initialized.");
         }
-        // Update results screen instructions if currently visible
-        if (gameState.status === GameStatus.SHOWING_RESULTS) {
-             const keyDisplayDit = MorseConfig.getKeyDisplay(newMappings.dit);
-             const keyDisplayDah = MorseConfig.getKeyDisplay(newMappings.dah);
-             const instructionEl = uiManager.resultsScreen?.querySelector('.results-instructions');
-             if (instructionEl) {
-                 instructionEl.innerHTML = `Press <span class="key-hint">${keyDisplayDit}</span> (Retry) or <span class="key-hint">${keyDisplayDah}</span> (Next)`;
-             }
-        }
+        publishSettingChange('keyMappings', newMappings); // UIManager refreshes the results instructions
     }
 
     /** Ensures modules have the latest settings from UI/Storage. */
     function applyCurrentSettingsToModules() {
         const currentWpm = uiManager.getInitialWpm(); // Using 'getInitial' as it holds current state
+        const currentEffectiveWpm = uiManager.getInitialEffectiveWpm();
         const currentFreq = uiManager.getInitialFrequency();
         const soundEnabled = uiManager.getInitialSoundState();
         const currentVolume = uiManager.getInitialVolume();
@@ -469,9 +1145,15 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!inputHandler) initializeInputHandler(currentKeys);
 
         applyWpmSetting(currentWpm);
+        applyEffectiveWpmSetting(currentEffectiveWpm);
         applyFrequencySetting(currentFreq);
         applySoundSetting(soundEnabled);
         applyVolumeSetting(currentVolume);
+        applyInputModeSetting(uiManager.getInitialInputMode());
+        applyKeyerModeSetting(uiManager.getInitialKeyerMode());
+        applyKeyingWeightsSetting(uiManager.getKeyingWeights());
+        const paddleMemory = uiManager.getPaddleMemory();
+        applyPaddleMemorySetting(paddleMemory.dit, paddleMemory.dah);
         if (inputHandler) inputHandler.updateKeyMappings(currentKeys); // Update keys
 
         if (soundEnabled) {
@@ -484,6 +1166,15 @@ document.addEventListener('DOMContentLoaded', () => {
         if (gameState.currentMode === AppMode.GAME && gameState.currentLevelId !== null && gameState.currentSentenceIndex !== null) {
             console.log(`Retrying Level ${gameState.currentLevelId}, Sentence ${gameState.currentSentenceIndex + 1}`);
             startGameLevel(gameState.currentLevelId, gameState.currentSentenceIndex);
+        } else if (gameState.currentMode === AppMode.RECEIVE && gameState.currentLevelId !== null && gameState.currentSentenceIndex !== null) {
+            console.log(`Retrying Receive Level ${gameState.currentLevelId}, Sentence ${gameState.currentSentenceIndex + 1}`);
+            startReceiveLevel(gameState.currentLevelId, gameState.currentSentenceIndex);
+        } else if (gameState.currentMode === AppMode.DRILL && gameState.currentSentence) {
+            console.log("Retrying drill sentence.");
+            startWeakCharacterDrill(gameState.currentSentence);
+        } else if (gameState.currentMode === AppMode.KOCH) {
+            console.log("Retrying Koch lesson with new groups.");
+            startKochSession(); // At the lesson now current, which a passing session has advanced
         } else if (gameState.currentMode === AppMode.SANDBOX && gameState.currentSentence) {
             console.log("Retrying Sandbox sentence.");
             startSandboxPractice(); // Uses gameState.currentSentence
@@ -494,26 +1185,95 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     function nextLevel() {
-        if (gameState.currentMode !== AppMode.GAME || gameState.currentLevelId === null) {
-            console.warn("Next Level called outside Game mode or without level ID, returning to main menu.");
+        if (gameState.currentMode === AppMode.KOCH) {
+            startKochSession(); // New groups at the (possibly advanced) lesson
+            return;
+        }
+        if (gameState.currentMode === AppMode.DRILL) {
+            startWeakCharacterDrill();
+            return;
+        }
+        const isReceive = gameState.currentMode === AppMode.RECEIVE;
+        if (!(gameState.currentMode === AppMode.GAME || isReceive) || gameState.currentLevelId === null) {
+            console.warn("Next Level called outside Game/Receive mode or without level ID, returning to main menu.");
             showMainMenu();
             return;
         }
 
-        const next = levelManager.getNextSentence(gameState);
+        const track = isReceive ? MorseConfig.LEVEL_TRACKS.RECEIVE : MorseConfig.LEVEL_TRACKS.SEND;
+        const next = levelManager.getNextSentence(gameState, track);
 
-        if (next && levelManager.isLevelUnlocked(next.levelId)) {
+        if (next && levelManager.isLevelUnlocked(next.levelId, track)) {
             console.log(`Moving to next: Level ${next.levelId}, Sentence ${next.sentenceIndex + 1}`);
-            startGameLevel(next.levelId, next.sentenceIndex);
+            if (isReceive) startReceiveLevel(next.levelId, next.sentenceIndex);
+            else startGameLevel(next.levelId, next.sentenceIndex);
         } else {
             console.log("No next level/sentence available or unlocked, returning to level select.");
-            handleShowLevelSelect();
+            if (isReceive) handleShowReceiveLevelSelect();
+            else handleShowLevelSelect();
+        }
+    }
+
+    // --- Backup ---
+    let pendingBackup = null; // Parsed backup waiting for merge/replace
+
+    function exportBackup() {
+        backupManager.exportBackup().catch(e => {
+            console.error("Backup export failed:", e);
+            alert("Could not export the backup.");
+        });
+    }
+
+    /** Reads and validates a backup file, then shows what importing it would change. */
+    function previewBackupImport(file) {
+        pendingBackup = null;
+        uiManager.hideBackupPreview();
+        file.text()
+            .then(text => {
+                const backup = backupManager.parseBackup(text);
+                return backupManager.previewImport(backup).then(rows => {
+                    pendingBackup = backup;
+                    uiManager.showBackupPreview(backup, rows, profileManager.getActiveProfile().name);
+                });
+            })
+            .catch(e => {
+                console.error("Backup import failed:", e);
+                alert(`Could not import the backup: ${e.message}`);
+            });
+    }
+
+    /**
+     * Imports the previewed backup.
+     * @param {'merge'|'replace'|null} mode - Null cancels.
+     */
+    function applyBackupImport(mode) {
+        const backup = pendingBackup;
+        if (!backup || !mode) {
+            pendingBackup = null;
+            uiManager.hideBackupPreview();
+            return;
         }
+        if (mode === 'replace' && !confirm("Replace this profile's settings, progress and history with the backup? This cannot be undone.")) return;
+        pendingBackup = null;
+        uiManager.hideBackupPreview();
+        backupManager.importBackup(backup, mode)
+            .then(() => {
+                alert("Backup imported.");
+                window.location.reload(); // Modules load their data at startup
+            })
+            .catch(e => {
+                console.error("Backup import failed:", e);
+                alert(`Could not import the backup: ${e.message}`);
+            });
     }
 
     function resetProgress() {
-        if (confirm("Reset all high scores and level progress? This cannot be undone.")) {
+        if (confirm("Reset all high scores, level progress and practice history? This cannot be undone.")) {
             levelManager.resetProgress();
+            kochTrainer.resetProgress();
+            characterStats.resetStats();
+            const profileId = profileManager.getActiveProfile().id;
+            sessionHistory.clear(session => sessionHistory.sessionProfileId(session) === profileId);
 
             // Reset settings in UI Manager and apply them
             uiManager._loadSettings(); // Reloads defaults/cleared state
@@ -521,12 +1281,14 @@ document.addEventListener('DOMContentLoaded', () => {
 
             // Explicitly update UI elements in settings modal
             uiManager._updateWpmDisplay(uiManager.getInitialWpm());
+            uiManager._updateEffectiveWpmDisplay(uiManager.getInitialEffectiveWpm());
             uiManager._updateFrequencyDisplay(uiManager.getInitialFrequency());
             uiManager._updateVolumeSliderUI(uiManager.getInitialVolume());
             uiManager._updateSpeakerIcon(uiManager.getInitialVolume());
             uiManager.resetKeyMappingInputs(); // Reset key mapping UI & update InputHandler via callback
 
             if (uiManager.wpmSlider) uiManager.wpmSlider.value = uiManager.getInitialWpm();
+            if (uiManager.effectiveWpmSlider) uiManager.effectiveWpmSlider.value = uiManager.getInitialEffectiveWpm();
             if (uiManager.frequencySlider) uiManager.frequencySlider.value = uiManager.getInitialFrequency();
             if (uiManager.volumeSlider) uiManager.volumeSlider.value = uiManager.getInitialVolume();
             if (uiManager.soundToggle) uiManager.soundToggle.checked = uiManager.getInitialSoundState();
@@ -537,7 +1299,7 @@ document.addEventListener('DOMContentLoaded', () => {
             // Close settings modal if open and navigate
             if (settingsModal && !settingsModal.modalElement.classList.contains('hidden')) {
                 settingsModal.close(); // Will trigger onClose -> showMainMenu
-                 setTimeout(handleShowLevelSelect, 50); // Navigate after modal close animation
+                 gameState.clock.setTimeout(handleShowLevelSelect, 50); // Navigate after modal close animation
             } else {
                  handleShowLevelSelect();
             }
@@ -546,10 +1308,10 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // --- Playback Mode Logic ---
+    /** Play/Stop on the Playback screen: plays the typed text from the start, or stops it (also when paused). */
     function playSentenceFromInput() {
-        if (gameState.isAudioPlayingBack()) {
-            audioPlayer.stopPlayback();
-            uiManager.setPlaybackButtonEnabled(true, 'Play Morse');
+        if (playbackTransport.getState() !== TransportState.STOPPED) {
+            playbackTransport.stop();
             return;
         }
 
@@ -557,21 +1319,80 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!sentence || !sentence.trim()) { alert("Please enter a sentence."); return; }
 
         applyCurrentSettingsToModules(); // Ensure WPM is current
+        if (!loadPlaybackText()) { alert("Could not generate Morse code."); return; }
+        playbackTransport.play();
+    }
 
-        const morseSequence = decoder.encodeSentence(sentence);
-        const displayMorse = morseSequence.replace(/\|/g, ' / ').replace(/\//g,' ');
-        uiManager.updatePlaybackMorseDisplay(displayMorse);
+    /**
+     * Loads the typed text into the playback transport (stopping it) and shows it character by character.
+     * @returns {boolean} True if the text has something to play.
+     */
+    function loadPlaybackText() {
+        const hasMorse = playbackTransport.load(uiManager.getPlaybackSentence());
+        uiManager.renderPlaybackCharacters(playbackTransport.getCharacters());
+        updatePlaybackTransportUI(playbackTransport.getState());
+        return hasMorse;
+    }
 
-        if (!morseSequence) { alert("Could not generate Morse code."); return; }
+    function togglePlaybackPause() {
+        if (playbackTransport.getState() === TransportState.PLAYING) {
+            playbackTransport.pause();
+        } else {
+            applyCurrentSettingsToModules();
+            playbackTransport.resume();
+        }
+    }
 
-        uiManager.setPlaybackButtonEnabled(false, 'Stop Playback');
+    function replayPlaybackWord() {
+        applyCurrentSettingsToModules();
+        playbackTransport.replayLastWord();
+    }
 
-        audioPlayer.playMorseSequence(morseSequence, () => {
-            uiManager.setPlaybackButtonEnabled(true, 'Play Morse');
-            console.log("Playback complete.");
-        });
+    /** Plays from a clicked character (or moves a paused playback to it). */
+    function seekPlayback(index) {
+        applyCurrentSettingsToModules();
+        playbackTransport.seek(index);
     }
+
+    function updatePlaybackTransportUI(state) {
+        uiManager.updatePlaybackTransport(state, playbackTransport.canReplayWord());
+    }
+
     // --- Sandbox Mode Logic ---
+    /** Renders the playback sentence to a WAV file with the current speed and sound settings and downloads it. */
+    function exportSentenceAsWav() {
+        const sentence = uiManager.getPlaybackSentence();
+        if (!sentence || !sentence.trim()) { alert("Please enter a sentence."); return; }
+
+        applyCurrentSettingsToModules(); // Ensure WPM, Farnsworth, frequency and volume are current
+
+        const morseSequence = decoder.encodeSentence(sentence);
+        if (!morseSequence) { alert("Could not generate Morse code."); return; }
+
+        const wavBuffer = wavExporter.renderMorse(morseSequence, audioPlayer);
+        const slug = sentence.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 32) || 'morse';
+        wavExporter.download(wavBuffer, `${slug}-${uiManager.getInitialWpm()}wpm.wav`);
+        console.log(`Exported "${sentence}" as WAV.`);
+    }
+
+    /** Decodes Morse from a recording chosen on the Decode Audio screen. */
+    function decodeAudioFile(file) {
+        if (gameState.currentMode !== AppMode.DECODE_AUDIO) return;
+        uiManager.updateDecodeAudioResult(`Decoding ${file.name}...`, "");
+        audioDecoder.decodeFile(file)
+            .then(result => {
+                if (!result.text) {
+                    uiManager.updateDecodeAudioResult("No Morse tone found in this recording.", "");
+                    return;
+                }
+                uiManager.updateDecodeAudioResult(`About ${result.wpm} WPM at ${result.frequency} Hz`, result.text);
+            })
+            .catch(error => {
+                console.error("Audio decoding failed:", error);
+                uiManager.updateDecodeAudioResult("Could not read this file as audio.", "");
+            });
+    }
+
     function updateSandboxPreview() {
         const sentence = uiManager.getSandboxSentence();
         if (sentence && sentence.trim()) {
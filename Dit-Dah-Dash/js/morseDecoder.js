@@ -3,22 +3,60 @@
  * ------------------
  * Handles decoding Morse sequences to characters and encoding sentences
  * into playable Morse sequences with timing markers. Uses mappings from config.js.
+ * Prosigns ("<AR>", "<SK>", ...) are handled as single tokens.
+ * Sentences can also be encoded character by character (the playback screen maps each
+ * played character back to the text).
+ * The letter table can be switched at runtime to any alphabet in alphabets.js.
+ * Has no DOM or timer dependencies; GameEngine waits for the inter-character gap
+ * (interCharGapThreshold) before asking for a decode.
  */
 
 class MorseDecoder {
     constructor() {
-        this.morseMap = MorseConfig.MORSE_MAP;
-        this.reverseMorseMap = Object.fromEntries(
-            Object.entries(this.morseMap).map(([key, value]) => [value, key])
+        this.alphabet = null;
+        this.morseMap = {};
+        this.reverseMorseMap = {};
+        this.setAlphabet(MorseAlphabets.DEFAULT_ALPHABET_ID);
+        this.prosignMap = MorseConfig.PROSIGN_MAP;
+        this.reverseProsignMap = Object.fromEntries(
+            Object.entries(this.prosignMap).map(([key, value]) => [value, key])
         );
         this.currentWpm = MorseConfig.DEFAULT_WPM;
+        this.effectiveWpm = MorseConfig.DEFAULT_EFFECTIVE_WPM;
+        this.keying = { weighting: MorseConfig.DEFAULT_WEIGHTING, dahRatio: MorseConfig.DEFAULT_DAH_RATIO };
         this.ditDuration = 0; // Calculated in updateWpm
         this.interCharGapThreshold = 0; // Calculated in updateWpm
+        this.farnsworthWait = 0; // Part of interCharGapThreshold added by Farnsworth spacing (0 without it)
 
-        this.decodeTimeoutId = null;
         this.updateWpm(this.currentWpm); // Initial calculation
     }
 
+    /**
+     * Switches the letter table used for decoding and encoding.
+     * @param {string} alphabetId - One of the ids in MorseAlphabets.ALPHABETS (unknown ids fall back to Latin).
+     * @returns {object} The alphabet now in use.
+     */
+    setAlphabet(alphabetId) {
+        this.alphabet = MorseAlphabets.getAlphabet(alphabetId);
+        this.morseMap = this.alphabet.map;
+        this.reverseMorseMap = Object.fromEntries(
+            Object.entries(this.morseMap).map(([key, value]) => [value, key])
+        );
+        console.log(`Decoder alphabet set to ${this.alphabet.name}`);
+        return this.alphabet;
+    }
+
+    /**
+     * Folds text onto the current alphabet's letters (locale-aware upper-casing, final forms
+     * and accents mapped as the alphabet sends them). Use it before comparing typed or level text
+     * with decoded characters.
+     * @param {string} text - Text to fold.
+     * @returns {string} The folded text.
+     */
+    foldText(text) {
+        return MorseAlphabets.foldText(text, this.alphabet);
+    }
+
     /**
      * Updates the WPM and recalculates timing thresholds.
      * @param {number} wpm - The new Words Per Minute setting.
@@ -26,126 +64,135 @@ class MorseDecoder {
     updateWpm(wpm) {
         if (wpm <= 0) return;
         this.currentWpm = wpm;
-        this.ditDuration = 1200 / wpm; // ms per dit
-        // Inter-character gap for input detection timeout
-        this.interCharGapThreshold = this.ditDuration * MorseConfig.INTER_CHARACTER_GAP_UNITS * MorseConfig.CHARACTER_INPUT_TIMEOUT_MULTIPLIER;
-        console.log(`Decoder timings updated for ${wpm} WPM: Dit=${this.ditDuration.toFixed(0)}ms, Decode Timeout >= ${this.interCharGapThreshold.toFixed(0)}ms`);
+        this._calculateThresholds();
     }
 
     /**
-     * Decodes a given Morse code sequence.
-     * @param {string} sequence - The sequence of '.' and '-' (e.g., '.-').
-     * @returns {string | null} The decoded character (uppercase) or null if invalid.
+     * Updates the Farnsworth effective speed, which stretches the inter-character gap
+     * the decoder waits for before deciding a character.
+     * @param {number} effectiveWpm - The new effective WPM setting.
      */
-    decodeSequence(sequence) {
-        if (!sequence) return null;
-        const decodedChar = this.morseMap[sequence];
-        return decodedChar !== undefined ? decodedChar : null;
+    updateEffectiveWpm(effectiveWpm) {
+        if (effectiveWpm <= 0) return;
+        this.effectiveWpm = effectiveWpm;
+        this._calculateThresholds();
     }
 
     /**
-     * Starts a timer to trigger the decoding process after a pause (GAME mode).
-     * @param {function} decodeCallback - The function to call when the timer expires.
+     * Updates the keying weighting and dah ratio; weighting shortens or lengthens the
+     * gap the decoder waits for.
+     * @param {{weighting: number, dahRatio: number}} keying - New keying weights.
      */
-    scheduleDecode(decodeCallback) {
-        this.cancelScheduledDecode();
-        this.decodeTimeoutId = setTimeout(() => {
-             // console.log("Inter-character gap detected. Triggering decode."); // Debug
-             if (window.morseGameState && window.morseGameState.currentMode === AppMode.GAME) {
-                 const previousState = window.morseGameState.status;
-                 if(window.morseGameState.isPlaying()) {
-                     window.morseGameState.status = GameStatus.DECODING;
-                 }
-                 decodeCallback();
-                 this.decodeTimeoutId = null;
-                 if (window.morseGameState.status === GameStatus.DECODING && previousState !== GameStatus.FINISHED) {
-                     window.morseGameState.status = GameStatus.LISTENING;
-                 }
-             } else {
-                decodeCallback(); // Execute anyway? Or guard further?
-                this.decodeTimeoutId = null;
-             }
-        }, this.interCharGapThreshold);
-
-         if (window.morseGameState) {
-             window.morseGameState.setCharacterTimeout(this.decodeTimeoutId);
-         }
+    updateKeyingWeights(keying) {
+        this.keying = { ...this.keying, ...keying };
+        this._calculateThresholds();
     }
 
-    /** Cancels any pending scheduled decode timer. */
-    cancelScheduledDecode() {
-        if (this.decodeTimeoutId) {
-            clearTimeout(this.decodeTimeoutId);
-            this.decodeTimeoutId = null;
-             if (window.morseGameState) {
-                 window.morseGameState.setCharacterTimeout(null);
-             }
-        }
+    /**
+     * Recalculates dit duration and decode timeout from the character/effective WPM and keying weights.
+     * @private
+     */
+    _calculateThresholds() {
+        const timings = MorseConfig.calculateTimings(this.currentWpm, this.effectiveWpm, this.keying);
+        this.ditDuration = timings.ditMs; // ms per dit
+        // Inter-character gap for input detection timeout
+        this.interCharGapThreshold = timings.interCharGapMs * MorseConfig.CHARACTER_INPUT_TIMEOUT_MULTIPLIER;
+        const standardGapMs = MorseConfig.calculateTimings(this.currentWpm, this.currentWpm, this.keying).interCharGapMs;
+        this.farnsworthWait = Math.max(0, this.interCharGapThreshold - standardGapMs * MorseConfig.CHARACTER_INPUT_TIMEOUT_MULTIPLIER);
+        console.log(`Decoder timings updated for ${this.currentWpm}/${this.effectiveWpm} WPM: Dit=${this.ditDuration.toFixed(0)}ms, Decode Timeout >= ${this.interCharGapThreshold.toFixed(0)}ms`);
     }
 
     /**
-     * Gets the Morse code sequence for a single character.
+     * Decodes a given Morse code sequence.
+     * A few prosigns share their sequence with a punctuation mark (e.g. '.-.-.' is both '+' and '<AR>');
+     * when the expected token is one of the two, that one is returned.
+     * @param {string} sequence - The sequence of '.' and '-' (e.g., '.-').
+     * @param {string | null} [expected=null] - The token the user is meant to key, if known.
+     * @returns {string | null} The decoded character or prosign token (uppercase) or null if invalid.
+     */
+    decodeSequence(sequence, expected = null) {
+        if (!sequence) return null;
+        const decodedChar = this.morseMap[sequence];
+        const decodedProsign = this.prosignMap[sequence];
+        if (expected && (decodedChar === expected || decodedProsign === expected)) return expected;
+        if (decodedChar !== undefined) return decodedChar;
+        return decodedProsign !== undefined ? decodedProsign : null;
+    }
+
+    /**
+     * Gets the Morse code sequence for a single character or prosign token.
      * Returns null for unmappable characters, "" for space (handled by encodeSentence).
-     * @param {string} character - The character to encode (case-insensitive).
+     * Case folding follows the current alphabet's locale (e.g. "ς" -> "Σ", "ё" -> "Е").
+     * @param {string} character - The character or prosign token (e.g. "<AR>") to encode (case-insensitive).
      * @returns {string | null} The Morse sequence (e.g., ".-") or null.
      */
      encodeCharacter(character) {
         if (character === ' ') return ""; // Space is handled as a gap in encodeSentence
-        const upperChar = character.toUpperCase();
-        const sequence = this.reverseMorseMap[upperChar];
+        const foldedChar = this.foldText(character);
+        const sequence = this.reverseMorseMap[foldedChar] ?? this.reverseProsignMap[foldedChar];
         return sequence !== undefined ? sequence : null; // Return null if character not in map
     }
 
+    /**
+     * Splits a sentence into the characters (and prosign tokens) it is played as, with each one's sequence.
+     * The sentence is folded onto the current alphabet first; unknown characters keep a null sequence
+     * so they can still be shown, but are not played.
+     * @param {string} sentence - The sentence to encode.
+     * @returns {Array<{token: string, sequence: string|null, wordIndex: number}>} In sentence order.
+     */
+    encodeSentenceCharacters(sentence) {
+        if (!sentence || typeof sentence !== 'string' || !sentence.trim()) return [];
+
+        const characters = [];
+        const words = this.foldText(sentence.trim()).split(/\s+/); // Split into words
+        words.forEach((word, wordIndex) => {
+            MorseConfig.tokenizeMorseText(word).forEach(({ token }) => {
+                const sequence = this.encodeCharacter(token); // Gets sequence like ".-." or null
+                if (sequence === null) console.warn(`Skipping unknown character during encoding: ${token}`);
+                characters.push({ token, sequence, wordIndex });
+            });
+        });
+        return characters;
+    }
+
+    /**
+     * Joins characters from encodeSentenceCharacters into a Morse string with timing markers
+     * (see encodeSentence), leaving out those without a sequence.
+     * @param {Array<{sequence: string|null, wordIndex: number}>} characters - Encoded characters.
+     * @returns {string} The encoded Morse string, or empty string if nothing can be played.
+     */
+    joinEncodedCharacters(characters) {
+        const words = [];
+        characters.forEach(({ sequence, wordIndex }) => {
+            if (sequence === null) return; // Only play known characters
+            if (!words[wordIndex]) words[wordIndex] = [];
+            words[wordIndex].push(sequence.split('').join(' ')); // Add space between elements (e.g., ".-." -> ". - .")
+        });
+        return words.filter(Boolean) // Drop words without a known character
+            .map(word => word.join(' / ')) // Inter-character gap marker
+            .join(' | '); // Word gap marker
+    }
+
     /**
      * Encodes a full sentence into a Morse sequence string with timing markers.
      * '.'/' ' = Dit/Dah elements
      * ' ' = Gap between elements (intra-character)
      * '/' = Gap between characters (inter-character)
      * '|' = Gap between words (word gap) - Using '|' instead of '//' for simplicity
-     * Unknown characters are skipped.
+     * Prosign tokens are sent as one run of elements, without inter-character gaps.
+     * Unknown characters are skipped (and words made only of them).
      * @param {string} sentence - The sentence to encode.
      * @returns {string} The encoded Morse string with timing markers, or empty string if input is empty/invalid.
      */
     encodeSentence(sentence) {
         if (!sentence || typeof sentence !== 'string') return "";
 
-        let morseString = "";
-        const words = sentence.trim().toUpperCase().split(/\s+/); // Split into words
-
-        for (let i = 0; i < words.length; i++) {
-            const word = words[i];
-            for (let j = 0; j < word.length; j++) {
-                const char = word[j];
-                const sequence = this.encodeCharacter(char); // Gets sequence like ".-." or null
-
-                if (sequence !== null) { // Only process known characters
-                     morseString += sequence.split('').join(' '); // Add space between elements (e.g., ".-." -> ". - .")
-                     if (j < word.length - 1) {
-                         morseString += " / "; // Add inter-character gap marker
-                     }
-                } else {
-                     console.warn(`Skipping unknown character during encoding: ${char}`);
-                 }
-            }
-            // Add word gap marker if not the last word
-            if (i < words.length - 1) {
-                morseString += " | "; // Add word gap marker
-            }
-        }
-        // Trim any trailing separators that might occur
-        morseString = morseString.replace(/(\s*[\/\|]\s*)+$/, '').trim();
-
+        const morseString = this.joinEncodedCharacters(this.encodeSentenceCharacters(sentence));
         console.log(`Encoded "${sentence}" to: "${morseString}"`); // Debug
         return morseString;
     }
 
 }
 
-// Create a single instance for the game
+// Create a single instance for the game (main.js applies the WPM settings)
 window.morseDecoder = new MorseDecoder();
-// Initialize WPM after UIManager instance exists (if possible)
-document.addEventListener('DOMContentLoaded', () => {
-    if (window.morseUIManager) {
-        window.morseDecoder.updateWpm(window.morseUIManager.getInitialWpm());
-    }
-});
\ No newline at end of file
@@ -0,0 +1,301 @@
+/* Dit-Dah-Dash/js/playbackTransport.js */
+/* In file: js/playbackTransport.js */
+/**
+ * js/playbackTransport.js
+ * -----------------------
+ * Transport controls for the Playback screen: play/stop, pause/resume, seek to a character,
+ * replay of the last word and loop mode, and which character is sounding.
+ * The loaded text is kept as a character map: every character of the text (unknown ones too,
+ * so it can be shown as typed) with its Morse sequence and, for the played ones, when it starts
+ * and stops sounding in the tone schedule (see AudioPlayer.buildToneSchedule). Times are worked
+ * out again on every start, so speed changes between plays are picked up.
+ * Playing from a character plays the schedule cut at that character (AudioPlayer.sliceSchedule),
+ * so pausing simply stops the audio and resuming starts again at the paused character.
+ * The sounding character is followed with the injectable clock (see clock.js), like the end of
+ * playback. Playback stopped from elsewhere (e.g. leaving the screen) is noticed through
+ * PLAYBACK_ENDED on the event bus.
+ */
+
+const TransportState = {
+    STOPPED: 'stopped',
+    PLAYING: 'playing', // Also while waiting to start the next loop
+    PAUSED: 'paused'
+};
+
+class PlaybackTransport {
+    /**
+     * @constructor
+     * @param {object} callbacks - Transport output events.
+     * @param {function(string)} [callbacks.onStateChange] - The TransportState changed.
+     * @param {function(number)} [callbacks.onCharacterChange] - Index (in getCharacters) of the character
+     * sounding or paused on, or -1 for none.
+     * @param {object} [options] - Collaborators; each defaults to the global instance.
+     * @param {AudioPlayer} [options.audioPlayer] - Plays the tone schedule.
+     * @param {MorseDecoder} [options.decoder] - Encodes the text.
+     * @param {object} [options.clock] - Time source { now(), setTimeout(fn, ms), clearTimeout(id) }. Defaults to window.morseClock.
+     * @param {EventBus} [options.eventBus] - Source of PLAYBACK_ENDED.
+     */
+    constructor(callbacks = {}, options = {}) {
+        this.callbacks = callbacks;
+        this.audioPlayer = options.audioPlayer || window.morseAudioPlayer;
+        this.decoder = options.decoder || window.morseDecoder;
+        this.clock = options.clock || window.morseClock;
+        this.eventBus = options.eventBus || window.morseEventBus;
+
+        this.characters = []; // { token, sequence, wordIndex, start, end } - start/end in seconds, null if not played
+        this.morse = "";
+        this.state = TransportState.STOPPED;
+        this.currentIndex = -1; // Character sounding, or paused on
+        this.lastIndex = -1;    // Last character that sounded (for replayLastWord once stopped)
+        this.loop = false;
+
+        this.playFromSec = 0;       // Schedule time the current play started at
+        this.playStartedAt = 0;     // clock.now() when it started
+        this.highlightTimerId = null;
+        this.loopTimerId = null;
+        this.isSwitching = false;   // True while the transport itself stops or starts the audio
+
+        this.eventBus?.on(AppEvent.PLAYBACK_ENDED, (event) => this._handlePlaybackEnded(event));
+    }
+
+    /**
+     * Stops playback and loads a new text.
+     * @param {string} text - The text to play.
+     * @returns {boolean} True if the text has at least one character that can be played.
+     */
+    load(text) {
+        this.stop();
+        this.characters = this.decoder.encodeSentenceCharacters(text)
+            .map(character => ({ ...character, start: null, end: null }));
+        this.morse = this.decoder.joinEncodedCharacters(this.characters);
+        this.lastIndex = -1;
+        this._updateTimes();
+        return this.morse !== "";
+    }
+
+    /** @returns {Array<{token: string, sequence: string|null, wordIndex: number, start: number|null, end: number|null}>} */
+    getCharacters() {
+        return this.characters;
+    }
+
+    /** @returns {string} The loaded text as a Morse string with timing markers (see MorseDecoder.encodeSentence). */
+    getMorse() {
+        return this.morse;
+    }
+
+    /** @returns {string} The TransportState. */
+    getState() {
+        return this.state;
+    }
+
+    /** @returns {number} Index of the character sounding or paused on, or -1. */
+    getCurrentIndex() {
+        return this.currentIndex;
+    }
+
+    /** @returns {boolean} True if replayLastWord has a word to play. */
+    canReplayWord() {
+        return this.currentIndex !== -1 || this.lastIndex !== -1;
+    }
+
+    /**
+     * Plays the loaded text from the start, or resumes it when paused.
+     * @returns {boolean} True if playback started.
+     */
+    play() {
+        if (this.state === TransportState.PAUSED) return this.resume();
+        const first = this._nextPlayable(0);
+        return first !== -1 && this._playFrom(first);
+    }
+
+    /** Pauses playback on the character sounding. */
+    pause() {
+        if (this.state !== TransportState.PLAYING) return;
+        const pausedIndex = this.loopTimerId !== null ? this._nextPlayable(0) : this.currentIndex;
+        this._halt();
+        this._setState(TransportState.PAUSED);
+        this._setCurrent(pausedIndex);
+    }
+
+    /**
+     * Continues a paused playback from the start of the character it was paused on.
+     * @returns {boolean} True if playback started.
+     */
+    resume() {
+        if (this.state !== TransportState.PAUSED) return false;
+        return this._playFrom(this.currentIndex !== -1 ? this.currentIndex : this._nextPlayable(0));
+    }
+
+    /** Stops playback; the next play starts from the beginning. */
+    stop() {
+        this._halt();
+        this._setState(TransportState.STOPPED);
+        this._setCurrent(-1);
+    }
+
+    /**
+     * Moves to a character. Playing continues from it, a paused playback will resume from it,
+     * and a stopped one starts playing from it.
+     * Characters that are not played (unknown ones) move to the next one that is.
+     * @param {number} index - Index in getCharacters().
+     * @returns {boolean} True if the position changed.
+     */
+    seek(index) {
+        const target = this._nextPlayable(index);
+        if (target === -1) return false;
+        if (this.state === TransportState.PAUSED) {
+            this._setCurrent(target);
+            return true;
+        }
+        return this._playFrom(target);
+    }
+
+    /**
+     * Plays again from the start of the word sounding (or paused on), or of the last word played.
+     * @returns {boolean} True if playback started.
+     */
+    replayLastWord() {
+        if (!this.canReplayWord()) return false;
+        const index = this.currentIndex !== -1 ? this.currentIndex : this.lastIndex;
+        const wordIndex = this.characters[index].wordIndex;
+        return this._playFrom(this.characters.findIndex(character =>
+            character.wordIndex === wordIndex && character.sequence !== null));
+    }
+
+    /**
+     * Turns loop mode on or off. While on, playback starts over after a word gap instead of ending.
+     * @param {boolean} enabled
+     */
+    setLoop(enabled) {
+        this.loop = !!enabled;
+        if (!this.loop && this.loopTimerId !== null) this.stop(); // Was only waiting for the next loop
+    }
+
+    /** @returns {boolean} True while loop mode is on. */
+    isLooping() {
+        return this.loop;
+    }
+
+    /**
+     * Starts playing the loaded text at a character.
+     * @param {number} index - A played character's index.
+     * @returns {boolean} True if playback started (false e.g. with sound off).
+     * @private
+     */
+    _playFrom(index) {
+        this._halt();
+        const schedule = this._updateTimes();
+        this.playFromSec = this.characters[index].start;
+
+        this.isSwitching = true;
+        this.audioPlayer.playToneSchedule(this.audioPlayer.sliceSchedule(schedule, this.playFromSec),
+            () => this._handleComplete(), true, 'sequence');
+        this.isSwitching = false;
+
+        if (!this.audioPlayer.isCurrentlyPlayingBack) {
+            console.warn("PlaybackTransport: Playback did not start (sound off or audio not ready).");
+            this.stop();
+            return false;
+        }
+        this.playStartedAt = this.clock.now();
+        this._followCharacter(index); // Before the state change, so listeners see the character already
+        this._setState(TransportState.PLAYING);
+        return true;
+    }
+
+    /** Stops the audio and the transport's timers, keeping the state. @private */
+    _halt() {
+        if (this.highlightTimerId !== null) {
+            this.clock.clearTimeout(this.highlightTimerId);
+            this.highlightTimerId = null;
+        }
+        if (this.loopTimerId !== null) {
+            this.clock.clearTimeout(this.loopTimerId);
+            this.loopTimerId = null;
+        }
+        if (this.state === TransportState.PLAYING) {
+            this.isSwitching = true;
+            this.audioPlayer.stopPlayback();
+            this.isSwitching = false;
+        }
+    }
+
+    /**
+     * Builds the tone schedule at the current speed and copies each played character's times into the map.
+     * @returns {{tones: Array<{offset: number, duration: number}>, totalDuration: number, characters: Array<{start: number, end: number}>}}
+     * @private
+     */
+    _updateTimes() {
+        const schedule = this.audioPlayer.buildToneSchedule(this.morse);
+        let scheduleIndex = 0;
+        this.characters.forEach(character => {
+            if (character.sequence === null) return;
+            const times = schedule.characters[scheduleIndex++];
+            character.start = times ? times.start : null;
+            character.end = times ? times.end : null;
+        });
+        return schedule;
+    }
+
+    /** Marks a character as sounding and waits for the next one to start. @private */
+    _followCharacter(index) {
+        this._setCurrent(index);
+        const next = this._nextPlayable(index + 1);
+        if (next === -1) return; // Stays on the last character until playback completes
+
+        const elapsedMs = this.clock.now() - this.playStartedAt;
+        const delayMs = (this.characters[next].start - this.playFromSec) * 1000 - elapsedMs;
+        this.highlightTimerId = this.clock.setTimeout(() => {
+            this.highlightTimerId = null;
+            this._followCharacter(next);
+        }, delayMs);
+    }
+
+    /** The played part of the text finished: start over in loop mode, stop otherwise. @private */
+    _handleComplete() {
+        if (this.isSwitching || this.state !== TransportState.PLAYING) return;
+        if (!this.loop) {
+            this.stop();
+            return;
+        }
+        this._setCurrent(-1);
+        this.loopTimerId = this.clock.setTimeout(() => {
+            this.loopTimerId = null;
+            this.play();
+        }, this.audioPlayer.wordGapSec * 1000);
+    }
+
+    /** Playback stopped by someone else (another sequence, leaving the screen): the transport stops too. @private */
+    _handlePlaybackEnded(event) {
+        if (this.isSwitching || event.completed || this.state !== TransportState.PLAYING || this.loopTimerId !== null) return;
+        console.log("PlaybackTransport: Playback was stopped elsewhere.");
+        this.stop();
+    }
+
+    /** @returns {number} The first played character at or after index, or -1. @private */
+    _nextPlayable(index) {
+        for (let i = Math.max(0, index); i < this.characters.length; i++) {
+            if (this.characters[i].sequence !== null) return i;
+        }
+        return -1;
+    }
+
+    /** @private */
+    _setState(state) {
+        if (state === this.state) return;
+        this.state = state;
+        if (this.callbacks.onStateChange) this.callbacks.onStateChange(state);
+    }
+
+    /** @private */
+    _setCurrent(index) {
+        if (index !== -1) this.lastIndex = index;
+        if (index === this.currentIndex) return;
+        this.currentIndex = index;
+        if (this.callbacks.onCharacterChange) this.callbacks.onCharacterChange(index);
+    }
+}
+
+// Expose the states and the class (main.js creates the instance)
+window.TransportState = TransportState;
+window.PlaybackTransport = PlaybackTransport;
@@ -0,0 +1,169 @@
+/* Dit-Dah-Dash/js/profileManager.js */
+/* In file: js/profileManager.js */
+/**
+ * js/profileManager.js
+ * --------------------
+ * User profiles, so several people can share one device (e.g. a club tablet).
+ * Every profile has its own namespace in localStorage for settings, level and Koch
+ * progress, character stats and paddle textures: the manager installs its key mapping
+ * in StorageManager, so modules keep using the plain MorseConfig.STORAGE_KEY_* keys.
+ * The default profile uses the original keys unchanged, so existing progress becomes
+ * the default profile's. Other profiles insert `profile_<id>_` after the key prefix.
+ * The profile list and the active profile are stored globally.
+ * Modules load their state once at startup, so switching profiles reloads the page.
+ */
+
+class ProfileManager {
+    /**
+     * @constructor
+     * @param {StorageManager} [storage] - Storage access. Defaults to the global instance.
+     */
+    constructor(storage = null) {
+        this.storage = storage || window.morseStorage;
+        this.profiles = this._loadProfiles(); // [{ id, name }], default profile first
+        const activeId = this.storage.getItem(MorseConfig.STORAGE_KEY_ACTIVE_PROFILE);
+        this.activeProfileId = this.profiles.some(p => p.id === activeId) ? activeId : MorseConfig.DEFAULT_PROFILE_ID;
+        this.storage.setKeyMapper(key => this.key(key));
+        console.log(`Active profile: ${this.getActiveProfile().name}`);
+    }
+
+    /**
+     * Loads the profile list, making sure the default profile exists.
+     * @returns {Array<{id: string, name: string}>}
+     * @private
+     */
+    _loadProfiles() {
+        const stored = this.storage.getJSON(MorseConfig.STORAGE_KEY_PROFILES, []);
+        const profiles = Array.isArray(stored) ? stored.filter(p => p && typeof p.id === 'string' && typeof p.name === 'string') : [];
+        if (!profiles.some(p => p.id === MorseConfig.DEFAULT_PROFILE_ID)) {
+            profiles.unshift({ id: MorseConfig.DEFAULT_PROFILE_ID, name: MorseConfig.DEFAULT_PROFILE_NAME });
+        }
+        return profiles;
+    }
+
+    /** Saves the profile list and the active profile. @private */
+    _saveProfiles() {
+        this.storage.setJSON(MorseConfig.STORAGE_KEY_PROFILES, this.profiles);
+        this.storage.setItem(MorseConfig.STORAGE_KEY_ACTIVE_PROFILE, this.activeProfileId);
+    }
+
+    /** @returns {Array<{id: string, name: string}>} All profiles, default first. */
+    getProfiles() {
+        return this.profiles.map(p => ({ ...p }));
+    }
+
+    /** @returns {{id: string, name: string}} The active profile. */
+    getActiveProfile() {
+        return { ...this.profiles.find(p => p.id === this.activeProfileId) };
+    }
+
+    /**
+     * Checks a profile name.
+     * @param {string} name - Proposed name.
+     * @param {string|null} [exceptId] - Profile being renamed (may keep its own name).
+     * @returns {string|null} Why the name can't be used, or null if it can.
+     */
+    validateName(name, exceptId = null) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) return "Please enter a profile name.";
+        if (trimmed.length > MorseConfig.PROFILE_NAME_MAX_LENGTH) return `Profile names can be at most ${MorseConfig.PROFILE_NAME_MAX_LENGTH} characters.`;
+        if (this.profiles.some(p => p.id !== exceptId && p.name.toLowerCase() === trimmed.toLowerCase())) {
+            return `A profile called "${trimmed}" already exists.`;
+        }
+        return null;
+    }
+
+    /**
+     * Creates a profile (it starts with default settings and no progress).
+     * @param {string} name - Profile name (see validateName).
+     * @returns {{id: string, name: string}|null} The new profile, or null if the name is invalid.
+     */
+    createProfile(name) {
+        if (this.validateName(name) !== null) return null;
+        let id;
+        do {
+            id = Date.now().toString(36) + Math.floor(Math.random() * 1296).toString(36);
+        } while (this.profiles.some(p => p.id === id));
+        const profile = { id, name: name.trim() };
+        this.profiles.push(profile);
+        this._saveProfiles();
+        console.log(`Profile created: ${profile.name}`);
+        return { ...profile };
+    }
+
+    /**
+     * @param {string} id - Profile id.
+     * @param {string} name - New name (see validateName).
+     * @returns {boolean} True if renamed.
+     */
+    renameProfile(id, name) {
+        const profile = this.profiles.find(p => p.id === id);
+        if (!profile || this.validateName(name, id) !== null) return false;
+        profile.name = name.trim();
+        this._saveProfiles();
+        console.log(`Profile renamed: ${profile.name}`);
+        return true;
+    }
+
+    /**
+     * Deletes a profile and everything stored in its namespace. The default profile can't be deleted;
+     * deleting the active profile makes the default profile active.
+     * @param {string} id - Profile id.
+     * @returns {boolean} True if deleted.
+     */
+    deleteProfile(id) {
+        if (id === MorseConfig.DEFAULT_PROFILE_ID || !this.profiles.some(p => p.id === id)) return false;
+        const prefix = this._namespacePrefix(id);
+        this.storage.listBackendKeys()
+            .filter(key => key.startsWith(prefix))
+            .forEach(key => this.storage.removeBackendItem(key));
+        this.profiles = this.profiles.filter(p => p.id !== id);
+        if (this.activeProfileId === id) this.activeProfileId = MorseConfig.DEFAULT_PROFILE_ID;
+        this._saveProfiles();
+        console.log(`Profile deleted: ${id}`);
+        return true;
+    }
+
+    /**
+     * Makes a profile active. The page must be reloaded for modules to pick up its data.
+     * @param {string} id - Profile id.
+     * @returns {boolean} True if the active profile changed.
+     */
+    setActiveProfile(id) {
+        if (id === this.activeProfileId || !this.profiles.some(p => p.id === id)) return false;
+        this.activeProfileId = id;
+        this._saveProfiles();
+        return true;
+    }
+
+    /**
+     * Maps a MorseConfig storage key into the active profile's namespace.
+     * @param {string} baseKey - A key starting with MorseConfig.STORAGE_KEY_PREFIX.
+     * @returns {string}
+     */
+    key(baseKey) {
+        if (this.activeProfileId === MorseConfig.DEFAULT_PROFILE_ID) return baseKey;
+        return this._namespacePrefix(this.activeProfileId) + baseKey.slice(MorseConfig.STORAGE_KEY_PREFIX.length);
+    }
+
+    /**
+     * Lists what the active profile has stored.
+     * @returns {string[]} Key names without the key prefix or profile namespace (e.g. 'settingsWpm').
+     */
+    listKeys() {
+        const isDefault = this.activeProfileId === MorseConfig.DEFAULT_PROFILE_ID;
+        const prefix = isDefault ? MorseConfig.STORAGE_KEY_PREFIX : this._namespacePrefix(this.activeProfileId);
+        return this.storage.listBackendKeys()
+            .filter(key => key.startsWith(prefix) && !this.storage.globalKeys.has(key))
+            .filter(key => !isDefault || !key.startsWith(`${MorseConfig.STORAGE_KEY_PREFIX}profile_`)) // Another profile's
+            .map(key => key.slice(prefix.length));
+    }
+
+    /** @private */
+    _namespacePrefix(id) {
+        return `${MorseConfig.STORAGE_KEY_PREFIX}profile_${id}_`;
+    }
+}
+
+// Create a single instance for the game
+window.morseProfileManager = new ProfileManager();
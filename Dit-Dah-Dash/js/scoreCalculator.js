@@ -2,6 +2,8 @@
  * js/scoreCalculator.js
  * ---------------------
  * Calculates scoring metrics like WPM and Accuracy based on game state data.
+ * Sent sentences are scored against the Farnsworth spacing when it is on.
+ * Also scores receive (copy) answers with a character-level alignment diff and the real copy speed.
  */
 
 class ScoreCalculator {
@@ -9,30 +11,54 @@ class ScoreCalculator {
         // Constants can be defined here or pulled from config
         this.parisWordLength = MorseConfig.PARIS_STANDARD_WORD_LENGTH;
         this.penalty = MorseConfig.INCORRECT_ATTEMPT_PENALTY;
+        this.characterWpm = MorseConfig.DEFAULT_WPM;
+        this.effectiveWpm = MorseConfig.DEFAULT_EFFECTIVE_WPM;
+    }
+
+    /**
+     * Updates the configured character and effective (Farnsworth) speeds reported with the scores.
+     * @param {number} characterWpm - Speed at which characters are sent.
+     * @param {number} effectiveWpm - Overall speed including stretched gaps.
+     */
+    updateSpeeds(characterWpm, effectiveWpm) {
+        if (characterWpm > 0) this.characterWpm = characterWpm;
+        if (effectiveWpm > 0) this.effectiveWpm = effectiveWpm;
     }
 
     /**
      * Calculates all relevant scores based on the finished game state.
+     * With Farnsworth on (effective below character speed) the decoder waits the stretched
+     * inter-character gap before deciding a character (see MorseConfig.calculateTimings).
+     * The stretched part of every wait that ran out (GameState.farnsworthWaitTime, recorded by
+     * GameEngine) is taken out of the time before WPM is worked out, so waiting for the decoder
+     * doesn't cost speed; characters the sender ended sooner (straight key) waited nothing.
      * @param {GameState} gameState - The completed game state object.
      * @returns {object} An object containing calculated scores:
-     * { netWpm, grossWpm, accuracy, elapsedTimeSeconds, totalChars }
+     * { netWpm, grossWpm, accuracy, elapsedTimeSeconds, totalChars, characterWpm, effectiveWpm,
+     *   farnsworthSeconds } (farnsworthSeconds: the waiting taken out, 0 without Farnsworth)
      */
     calculateScores(gameState) {
+        // Farnsworth: effective speed can never exceed the character speed
+        const characterWpm = this.characterWpm;
+        const effectiveWpm = Math.min(this.effectiveWpm, this.characterWpm);
+
         if (gameState.status !== GameStatus.FINISHED) {
             console.warn("Attempted to calculate scores before game finished.");
-            return { netWpm: 0, grossWpm: 0, accuracy: 0, elapsedTimeSeconds: 0, totalChars: 0 };
+            return { netWpm: 0, grossWpm: 0, accuracy: 0, elapsedTimeSeconds: 0, totalChars: 0, characterWpm, effectiveWpm, farnsworthSeconds: 0 };
         }
 
         const elapsedTimeSeconds = gameState.elapsedTime / 1000;
         const totalNonSpaceChars = gameState.totalCharsInSentence; // Use pre-calculated non-space chars
+        const farnsworthSeconds = (gameState.farnsworthWaitTime || 0) / 1000;
+        const keyingSeconds = elapsedTimeSeconds - farnsworthSeconds;
 
-        if (elapsedTimeSeconds <= 0 || totalNonSpaceChars === 0) {
-            return { netWpm: 0, grossWpm: 0, accuracy: 100, elapsedTimeSeconds: 0, totalChars: totalNonSpaceChars };
+        if (keyingSeconds <= 0 || totalNonSpaceChars === 0) {
+            return { netWpm: 0, grossWpm: 0, accuracy: 100, elapsedTimeSeconds: 0, totalChars: totalNonSpaceChars, characterWpm, effectiveWpm, farnsworthSeconds: 0 };
         }
 
         // --- Gross WPM ---
-        // (Number of characters / Standard word length) / (Time in minutes)
-        const grossWpm = (totalNonSpaceChars / this.parisWordLength) / (elapsedTimeSeconds / 60);
+        // (Number of characters / Standard word length) / (Time in minutes), without the Farnsworth waiting
+        const grossWpm = (totalNonSpaceChars / this.parisWordLength) / (keyingSeconds / 60);
 
         // --- Accuracy ---
         // (Correct Characters / (Correct Characters + Incorrect Attempts * Penalty)) * 100
@@ -61,9 +87,119 @@ class ScoreCalculator {
             accuracy: parseFloat(accuracy.toFixed(1)),
             elapsedTimeSeconds: parseFloat(elapsedTimeSeconds.toFixed(1)),
             totalChars: totalNonSpaceChars,
-            incorrectAttempts: gameState.incorrectAttempts
+            incorrectAttempts: gameState.incorrectAttempts,
+            characterWpm,
+            effectiveWpm,
+            farnsworthSeconds: parseFloat(farnsworthSeconds.toFixed(1))
         };
     }
+
+    /**
+     * Scores a receive (copy) answer against the sentence that was played.
+     * Both texts are upper-cased with whitespace collapsed, then aligned token by token
+     * (Levenshtein; a prosign such as <AR> is one token) so a dropped or extra character only
+     * costs one error instead of shifting everything after it.
+     * Spaces count like characters when they are copied wrong: a character copied as a space, a
+     * space copied as a character and an extra space are errors. Only a missed space (two words
+     * run together) is shown without counting.
+     * The copy speed is the sentence's characters over the real time from first playback to
+     * submission, so replays and slow typing lower it.
+     * @param {string} expectedText - The sentence that was played.
+     * @param {string} answerText - What the user typed.
+     * @param {number} elapsedMs - Time from first playback to submission.
+     * @param {number} [playCount=1] - Times the sentence was played (reported with the scores).
+     * @returns {object} { netWpm, grossWpm, accuracy, elapsedTimeSeconds, totalChars, correctChars,
+     * substitutions, deletions, insertions, diff, characterWpm, effectiveWpm, playCount }.
+     * `diff` is an array of { op: 'match'|'sub'|'del'|'ins', expected, actual }.
+     */
+    calculateReceiveScores(expectedText, answerText, elapsedMs, playCount = 1) {
+        const characterWpm = this.characterWpm;
+        const effectiveWpm = Math.min(this.effectiveWpm, this.characterWpm);
+        const normalize = (text) => (text || '').toUpperCase().replace(/\s+/g, ' ').trim();
+        const toTokens = (text) => MorseConfig.tokenizeMorseText(normalize(text)).map(({ token }) => token);
+        const expected = toTokens(expectedText);
+        const actual = toTokens(answerText);
+
+        const diff = this._alignTexts(expected, actual);
+        const counts = { match: 0, sub: 0, del: 0, ins: 0 };
+        diff.forEach(entry => {
+            if (entry.op === 'match' && entry.expected === ' ') return; // Accuracy is over characters
+            if (entry.op === 'del' && entry.expected === ' ') return;   // Missed word breaks are shown but not counted
+            counts[entry.op]++;
+        });
+
+        const totalChars = expected.filter(token => token !== ' ').length;
+        const scoredTotal = counts.match + counts.sub + counts.del + counts.ins;
+        const accuracy = scoredTotal > 0 ? (counts.match / scoredTotal) * 100 : (totalChars === 0 ? 100 : 0);
+        const elapsedTimeSeconds = Math.max(0, elapsedMs || 0) / 1000;
+
+        const grossWpm = elapsedTimeSeconds > 0 ? (totalChars / this.parisWordLength) / (elapsedTimeSeconds / 60) : 0;
+        const netWpm = grossWpm * (accuracy / 100);
+
+        return {
+            netWpm: Math.max(0, parseFloat(netWpm.toFixed(1))),
+            grossWpm: Math.max(0, parseFloat(grossWpm.toFixed(1))),
+            accuracy: parseFloat(accuracy.toFixed(1)),
+            elapsedTimeSeconds: parseFloat(elapsedTimeSeconds.toFixed(1)),
+            totalChars,
+            correctChars: counts.match,
+            substitutions: counts.sub,
+            deletions: counts.del,
+            insertions: counts.ins,
+            diff,
+            characterWpm,
+            effectiveWpm,
+            playCount
+        };
+    }
+
+    /**
+     * Aligns two token sequences with minimum edit distance and returns the edit script.
+     * @param {string[]} expected - Reference tokens.
+     * @param {string[]} actual - Tokens to compare.
+     * @returns {Array<{op: string, expected: string|null, actual: string|null}>}
+     * @private
+     */
+    _alignTexts(expected, actual) {
+        const rows = expected.length + 1;
+        const cols = actual.length + 1;
+        const dist = Array.from({ length: rows }, (_, i) => {
+            const row = new Array(cols).fill(0);
+            row[0] = i;
+            return row;
+        });
+        for (let j = 0; j < cols; j++) dist[0][j] = j;
+
+        for (let i = 1; i < rows; i++) {
+            for (let j = 1; j < cols; j++) {
+                const cost = expected[i - 1] === actual[j - 1] ? 0 : 1;
+                dist[i][j] = Math.min(
+                    dist[i - 1][j - 1] + cost, // Match / substitution
+                    dist[i - 1][j] + 1,        // Deletion (missed character)
+                    dist[i][j - 1] + 1         // Insertion (extra character)
+                );
+            }
+        }
+
+        // Walk back from the end to recover the operations
+        const ops = [];
+        let i = expected.length;
+        let j = actual.length;
+        while (i > 0 || j > 0) {
+            if (i > 0 && j > 0 && dist[i][j] === dist[i - 1][j - 1] + (expected[i - 1] === actual[j - 1] ? 0 : 1)) {
+                const op = expected[i - 1] === actual[j - 1] ? 'match' : 'sub';
+                ops.push({ op, expected: expected[i - 1], actual: actual[j - 1] });
+                i--; j--;
+            } else if (i > 0 && dist[i][j] === dist[i - 1][j] + 1) {
+                ops.push({ op: 'del', expected: expected[i - 1], actual: null });
+                i--;
+            } else {
+                ops.push({ op: 'ins', expected: null, actual: actual[j - 1] });
+                j--;
+            }
+        }
+        return ops.reverse();
+    }
 }
 
 // Create a single instance for the game
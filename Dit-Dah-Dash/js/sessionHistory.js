@@ -0,0 +1,228 @@
+/* Dit-Dah-Dash/js/sessionHistory.js */
+/* In file: js/sessionHistory.js */
+/**
+ * js/sessionHistory.js
+ * --------------------
+ * Logs every completed sentence (sent or copied) with its scores, mode, level, speed
+ * settings and timestamp, so progress can be followed over time. LevelManager only
+ * keeps the best score per level.
+ * Each session carries the id of the profile that completed it (older sessions without
+ * one belong to the default profile; see sessionProfileId).
+ * Sessions are stored in IndexedDB; if it can't be opened (private browsing, very old
+ * browsers) they are kept in memory for the current visit only.
+ * Also summarises a list of sessions for the stats screen: totals, time practiced per
+ * day and practice streaks (days in the user's local time zone).
+ */
+
+class SessionHistory {
+    /**
+     * @constructor
+     * @param {IDBFactory} [indexedDb] - IndexedDB factory. Defaults to window.indexedDB.
+     */
+    constructor(indexedDb = null) {
+        this.indexedDb = indexedDb || window.indexedDB || null;
+        this.dbPromise = null;     // Resolves to the open database, or null when falling back to memory
+        this.memorySessions = [];  // Fallback store
+    }
+
+    /**
+     * Opens (and on first use creates) the database.
+     * @returns {Promise<IDBDatabase|null>} Never rejects; null means IndexedDB is unavailable.
+     * @private
+     */
+    _open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!this.indexedDb) {
+                    reject(new Error("IndexedDB not supported."));
+                    return;
+                }
+                const request = this.indexedDb.open(MorseConfig.SESSION_HISTORY_DB_NAME, MorseConfig.SESSION_HISTORY_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(MorseConfig.SESSION_HISTORY_STORE)) {
+                        const store = db.createObjectStore(MorseConfig.SESSION_HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+                        store.createIndex('timestamp', 'timestamp');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(e => {
+                console.warn("Session history unavailable, keeping sessions in memory:", e);
+                return null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Runs one request against the sessions store.
+     * @param {IDBDatabase} db - Open database.
+     * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+     * @param {function(IDBObjectStore): IDBRequest} makeRequest - Issues the request.
+     * @returns {Promise<*>} The request's result, once the transaction completes.
+     * @private
+     */
+    _run(db, mode, makeRequest) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(MorseConfig.SESSION_HISTORY_STORE, mode);
+            const request = makeRequest(transaction.objectStore(MorseConfig.SESSION_HISTORY_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Stores one completed sentence. Failures are logged, never thrown.
+     * @param {object} session - { timestamp, profileId, mode, levelId, sentence, wpm, effectiveWpm, netWpm, grossWpm,
+     * accuracy, durationSeconds, fistQuality }. timestamp defaults to now.
+     * @returns {Promise<void>}
+     */
+    record(session) {
+        const entry = { timestamp: Date.now(), ...session };
+        return this._open()
+            .then(db => {
+                if (!db) {
+                    this.memorySessions.push(entry);
+                    return;
+                }
+                return this._run(db, 'readwrite', store => store.add(entry));
+            })
+            .catch(e => console.error("Error saving session to history:", e));
+    }
+
+    /**
+     * Loads every stored session.
+     * @returns {Promise<Array<object>>} Sessions, oldest first (empty on error).
+     */
+    getSessions() {
+        return this._open()
+            .then(db => db ? this._run(db, 'readonly', store => store.index('timestamp').getAll()) : this.memorySessions.slice())
+            .catch(e => {
+                console.error("Error loading session history:", e);
+                return [];
+            });
+    }
+
+    /**
+     * Deletes stored sessions.
+     * @param {function(object): boolean} [predicate] - Deletes only the sessions it returns true for (all if omitted).
+     * @returns {Promise<void>}
+     */
+    clear(predicate = null) {
+        const matches = predicate || (() => true);
+        this.memorySessions = this.memorySessions.filter(session => !matches(session));
+        return this._open()
+            .then(db => {
+                if (!db) return;
+                if (!predicate) return this._run(db, 'readwrite', store => store.clear());
+                return this._run(db, 'readwrite', store => {
+                    const request = store.openCursor();
+                    request.onsuccess = () => {
+                        const cursor = request.result;
+                        if (!cursor) return;
+                        if (matches(cursor.value)) cursor.delete();
+                        cursor.continue();
+                    };
+                    return request;
+                });
+            })
+            .then(() => console.log("Session history cleared."))
+            .catch(e => console.error("Error clearing session history:", e));
+    }
+
+    /**
+     * @param {object} session - A stored session.
+     * @returns {string} The profile it belongs to (sessions from before profiles belong to the default profile).
+     */
+    sessionProfileId(session) {
+        return session.profileId || MorseConfig.DEFAULT_PROFILE_ID;
+    }
+
+    /**
+     * Summarises sessions for the stats screen.
+     * @param {Array<object>} sessions - Sessions, oldest first.
+     * @param {number} [now] - Current time (ms). Defaults to Date.now().
+     * @returns {{totalSessions: number, totalSeconds: number, currentStreak: number, longestStreak: number,
+     * days: Array<{date: string, seconds: number, sessions: number}>, recent: Array<object>}}
+     * days covers the last STATS_PRACTICE_DAYS days up to today (oldest first); recent holds the last
+     * STATS_TREND_SESSIONS sessions. The current streak still counts if today hasn't been practiced yet.
+     */
+    summarize(sessions, now = Date.now()) {
+        const perDay = new Map(); // 'YYYY-MM-DD' -> { seconds, sessions }
+        let totalSeconds = 0;
+        sessions.forEach(session => {
+            const key = this.dayKey(session.timestamp);
+            const day = perDay.get(key) || { seconds: 0, sessions: 0 };
+            day.seconds += session.durationSeconds || 0;
+            day.sessions++;
+            perDay.set(key, day);
+            totalSeconds += session.durationSeconds || 0;
+        });
+
+        const days = [];
+        for (let i = MorseConfig.STATS_PRACTICE_DAYS - 1; i >= 0; i--) {
+            const key = this.dayKey(this._shiftDays(now, -i));
+            const day = perDay.get(key) || { seconds: 0, sessions: 0 };
+            days.push({ date: key, seconds: Math.round(day.seconds), sessions: day.sessions });
+        }
+
+        return {
+            totalSessions: sessions.length,
+            totalSeconds: Math.round(totalSeconds),
+            currentStreak: this._currentStreak(perDay, now),
+            longestStreak: this._longestStreak(perDay),
+            days,
+            recent: sessions.slice(-MorseConfig.STATS_TREND_SESSIONS)
+        };
+    }
+
+    /**
+     * @param {number} timestamp - Time in ms.
+     * @returns {string} Local calendar day as 'YYYY-MM-DD'.
+     */
+    dayKey(timestamp) {
+        const date = new Date(timestamp);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /** Same local time of day, a number of calendar days away (safe across DST changes). @private */
+    _shiftDays(timestamp, days) {
+        const date = new Date(timestamp);
+        date.setDate(date.getDate() + days);
+        return date.getTime();
+    }
+
+    /** Consecutive practiced days ending today, or yesterday if today has no sessions yet. @private */
+    _currentStreak(perDay, now) {
+        let time = perDay.has(this.dayKey(now)) ? now : this._shiftDays(now, -1);
+        let streak = 0;
+        while (perDay.has(this.dayKey(time))) {
+            streak++;
+            time = this._shiftDays(time, -1);
+        }
+        return streak;
+    }
+
+    /** @private */
+    _longestStreak(perDay) {
+        const keys = Array.from(perDay.keys()).sort();
+        let longest = 0;
+        let streak = 0;
+        let previous = null;
+        keys.forEach(key => {
+            const [year, month, day] = key.split('-').map(Number);
+            const time = new Date(year, month - 1, day).getTime();
+            const isNextDay = previous !== null && this.dayKey(this._shiftDays(previous, 1)) === key;
+            streak = isNextDay ? streak + 1 : 1;
+            longest = Math.max(longest, streak);
+            previous = time;
+        });
+        return longest;
+    }
+}
+
+// Create a single instance for the game
+window.morseSessionHistory = new SessionHistory();
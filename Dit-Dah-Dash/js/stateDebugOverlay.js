@@ -0,0 +1,85 @@
+/* Dit-Dah-Dash/js/stateDebugOverlay.js */
+/* In file: js/stateDebugOverlay.js */
+/**
+ * js/stateDebugOverlay.js
+ * -----------------------
+ * Developer overlay showing the current game status and mode, and the recent status
+ * transitions from GameState's state machine (rejected ones marked with the reason).
+ * Hidden by default: open it with "?debug" in the page URL or toggle it with Ctrl+Shift+D.
+ * Does not take pointer events, so the game stays playable under it.
+ */
+
+class StateDebugOverlay {
+    /**
+     * @constructor
+     * @param {GameState} gameState - Its machine is shown.
+     */
+    constructor(gameState) {
+        this.gameState = gameState;
+        this.element = null;
+        this.currentElement = null;
+        this.historyElement = null;
+        this.unsubscribe = null; // Set while visible
+    }
+
+    /** Finds the overlay elements, binds the shortcut and opens the overlay if the URL asks for it. */
+    init() {
+        this.element = document.getElementById('state-debug-overlay');
+        this.currentElement = document.getElementById('state-debug-current');
+        this.historyElement = document.getElementById('state-debug-history');
+        if (!this.element) return;
+
+        document.addEventListener('keydown', (event) => {
+            if (event.ctrlKey && event.shiftKey && event.code === MorseConfig.STATE_DEBUG_TOGGLE_KEY) {
+                event.preventDefault();
+                this.toggle();
+            }
+        });
+        if (new URLSearchParams(window.location.search).has(MorseConfig.STATE_DEBUG_QUERY_PARAM)) {
+            this.show();
+        }
+    }
+
+    /** Shows the overlay if hidden, hides it otherwise. */
+    toggle() {
+        if (this.isVisible()) this.hide();
+        else this.show();
+    }
+
+    /** @returns {boolean} True while the overlay is shown. */
+    isVisible() {
+        return this.unsubscribe !== null;
+    }
+
+    /** Shows the overlay and keeps it updated on every transition. */
+    show() {
+        if (!this.element || this.isVisible()) return;
+        this.unsubscribe = this.gameState.machine.subscribe(() => this._render());
+        this.element.classList.remove('hidden');
+        this._render();
+    }
+
+    /** Hides the overlay and stops following transitions. */
+    hide() {
+        if (!this.isVisible()) return;
+        this.unsubscribe();
+        this.unsubscribe = null;
+        this.element.classList.add('hidden');
+    }
+
+    /** Redraws the current status and the history (newest first). @private */
+    _render() {
+        this.currentElement.textContent = `${this.gameState.status} (mode: ${this.gameState.currentMode})`;
+        this.historyElement.innerHTML = '';
+        this.gameState.machine.getHistory().reverse().forEach(entry => {
+            const item = document.createElement('li');
+            const time = (entry.time / 1000).toFixed(2);
+            item.textContent = `${time}s ${entry.from} → ${entry.to}` + (entry.accepted ? '' : ` ✗ ${entry.reason}`);
+            if (!entry.accepted) item.classList.add('rejected');
+            this.historyElement.appendChild(item);
+        });
+    }
+}
+
+// Create a single instance for the game (main.js calls init)
+window.morseStateDebugOverlay = new StateDebugOverlay(window.morseGameState);
@@ -0,0 +1,154 @@
+/* Dit-Dah-Dash/js/stateMachine.js */
+/* In file: js/stateMachine.js */
+/**
+ * js/stateMachine.js
+ * ------------------
+ * Small finite-state machine: a table of allowed transitions, optional guards on the
+ * target state, entry/exit actions and a bounded transition history.
+ * - A transition to the current state is a no-op and always allowed.
+ * - A transition missing from the table, or whose guard fails, is rejected: the state
+ *   stays as it is, a warning is logged and the attempt is kept in the history.
+ * - Exit actions of the old state run before the state changes, entry actions of the new
+ *   state after it; both get (from, to). A failing action is logged and skipped.
+ * GameState uses it for GameStatus (see GAME_STATUS_TRANSITIONS in gameState.js).
+ */
+
+class StateMachine {
+    /**
+     * @constructor
+     * @param {object} definition - The machine.
+     * @param {string} definition.name - Used in log messages.
+     * @param {string} definition.initial - Starting state.
+     * @param {Object<string, string[]>} definition.transitions - State -> states it may move to.
+     * @param {string[]} [definition.anyStateTargets=[]] - States that can be entered from every state.
+     * @param {Object<string, function(string): boolean>} [definition.guards={}] - State -> check run
+     * (with the current state) before entering it; returning false rejects the transition.
+     * @param {function(): number} [definition.now] - Time source for the history. Defaults to Date.now.
+     * @param {number} [definition.historyLimit=MorseConfig.STATE_HISTORY_LIMIT] - Transitions kept.
+     */
+    constructor(definition) {
+        this.name = definition.name;
+        this.state = definition.initial;
+        this.transitions = definition.transitions;
+        this.anyStateTargets = definition.anyStateTargets || [];
+        this.guards = definition.guards || {};
+        this.now = definition.now || (() => Date.now());
+        this.historyLimit = definition.historyLimit || MorseConfig.STATE_HISTORY_LIMIT;
+
+        this.history = [];            // { from, to, time, accepted, reason }
+        this.entryActions = new Map(); // State -> Set of functions
+        this.exitActions = new Map();
+        this.listeners = new Set();    // Called with every history entry
+    }
+
+    /**
+     * Checks whether a transition from the current state would be accepted.
+     * @param {string} to - Target state.
+     * @returns {boolean}
+     */
+    can(to) {
+        return this._rejectReason(to) === null;
+    }
+
+    /**
+     * Moves to a state if the table and its guard allow it.
+     * @param {string} to - Target state.
+     * @returns {boolean} True if the machine is now in that state.
+     */
+    transition(to) {
+        const from = this.state;
+        if (to === from) return true;
+
+        const reason = this._rejectReason(to);
+        if (reason !== null) {
+            console.warn(`${this.name}: Rejected transition ${from} -> ${to} (${reason}).`);
+            this._record(from, to, false, reason);
+            return false;
+        }
+
+        this._runActions(this.exitActions, from, from, to);
+        this.state = to;
+        this._runActions(this.entryActions, to, from, to);
+        this._record(from, to, true, null);
+        return true;
+    }
+
+    /**
+     * Adds an action run whenever a state is entered.
+     * @param {string} state - The state.
+     * @param {function(string, string)} action - Called with (from, to).
+     * @returns {function} Removes the action.
+     */
+    onEnter(state, action) {
+        return this._addAction(this.entryActions, state, action);
+    }
+
+    /**
+     * Adds an action run whenever a state is left.
+     * @param {string} state - The state.
+     * @param {function(string, string)} action - Called with (from, to).
+     * @returns {function} Removes the action.
+     */
+    onExit(state, action) {
+        return this._addAction(this.exitActions, state, action);
+    }
+
+    /**
+     * Follows every transition attempt (accepted or rejected), e.g. for a debug view.
+     * @param {function(object)} listener - Called with the history entry.
+     * @returns {function} Removes the listener.
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /** @returns {Array<{from: string, to: string, time: number, accepted: boolean, reason: string|null}>} Oldest first. */
+    getHistory() {
+        return [...this.history];
+    }
+
+    /** Gets why a transition would be rejected, or null if it is allowed. @private */
+    _rejectReason(to) {
+        const allowed = this.anyStateTargets.includes(to) || (this.transitions[this.state] || []).includes(to);
+        if (!allowed) return 'not allowed';
+        const guard = this.guards[to];
+        if (guard && !guard(this.state)) return 'guard failed';
+        return null;
+    }
+
+    /** @private */
+    _addAction(actions, state, action) {
+        if (!actions.has(state)) actions.set(state, new Set());
+        actions.get(state).add(action);
+        return () => actions.get(state).delete(action);
+    }
+
+    /** @private */
+    _runActions(actions, state, from, to) {
+        actions.get(state)?.forEach(action => {
+            try {
+                action(from, to);
+            } catch (e) {
+                console.error(`${this.name}: Action for ${from} -> ${to} failed:`, e);
+            }
+        });
+    }
+
+    /** @private */
+    _record(from, to, accepted, reason) {
+        const entry = { from, to, time: this.now(), accepted, reason };
+        this.history.push(entry);
+        if (this.history.length > this.historyLimit) this.history.shift();
+        this.listeners.forEach(listener => {
+            try {
+                listener(entry);
+            } catch (e) {
+                console.error(`${this.name}: Listener failed:`, e);
+            }
+        });
+    }
+}
+
+// Expose the class (GameState creates its machine)
+window.StateMachine = StateMachine;
@@ -0,0 +1,184 @@
+/* Dit-Dah-Dash/js/statsDashboard.js */
+/* In file: js/statsDashboard.js */
+/**
+ * js/statsDashboard.js
+ * --------------------
+ * Draws the stats screen charts on plain canvases (no chart library):
+ * - net and gross WPM of the most recent sentences (line chart)
+ * - accuracy of the same sentences (line chart)
+ * - minutes practiced per day (bar chart)
+ * Input is a summary from SessionHistory.summarize. Colours come from the --stats-*
+ * CSS variables, so dark mode applies.
+ */
+
+class StatsDashboard {
+    /**
+     * @constructor
+     * @param {{wpm: HTMLCanvasElement|null, accuracy: HTMLCanvasElement|null, time: HTMLCanvasElement|null}} canvases
+     */
+    constructor(canvases) {
+        this.canvases = canvases;
+    }
+
+    /**
+     * Draws all charts.
+     * @param {object} summary - From SessionHistory.summarize.
+     */
+    render(summary) {
+        const colors = this._readColors();
+        const recent = summary.recent;
+        this._drawLineChart(this.canvases.wpm, [
+            { values: recent.map(s => s.grossWpm), color: colors.gross },
+            { values: recent.map(s => s.netWpm), color: colors.net }
+        ], 'WPM', colors);
+        this._drawLineChart(this.canvases.accuracy, [
+            { values: recent.map(s => s.accuracy), color: colors.accuracy }
+        ], '%', colors, 100);
+        this._drawBarChart(this.canvases.time, summary.days, colors);
+    }
+
+    /**
+     * One point per sentence, oldest on the left. The y axis starts at 0.
+     * @param {HTMLCanvasElement|null} canvas
+     * @param {Array<{values: number[], color: string}>} seriesList - Drawn in order (last on top).
+     * @param {string} unit - Axis label suffix.
+     * @param {object} colors - From _readColors.
+     * @param {number} [fixedMax] - Fixed top of the axis (otherwise rounded up from the data).
+     * @private
+     */
+    _drawLineChart(canvas, seriesList, unit, colors, fixedMax = null) {
+        const chart = this._begin(canvas, colors);
+        if (!chart) return;
+        const count = seriesList[0].values.length;
+        if (count === 0) {
+            this._drawEmpty(chart, colors);
+            return;
+        }
+        const dataMax = Math.max(...seriesList.flatMap(series => series.values.filter(v => typeof v === 'number')), 0);
+        const max = fixedMax || this._niceMax(dataMax);
+        this._drawGrid(chart, max, unit, colors);
+
+        const { ctx, plot } = chart;
+        const toX = (i) => plot.left + (count > 1 ? i * plot.width / (count - 1) : plot.width / 2);
+        const toY = (value) => plot.top + plot.height * (1 - Math.min(value, max) / max);
+        seriesList.forEach(series => {
+            ctx.strokeStyle = series.color;
+            ctx.fillStyle = series.color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            series.values.forEach((value, i) => {
+                if (i === 0) ctx.moveTo(toX(i), toY(value));
+                else ctx.lineTo(toX(i), toY(value));
+            });
+            ctx.stroke();
+            series.values.forEach((value, i) => {
+                ctx.beginPath();
+                ctx.arc(toX(i), toY(value), 2.5, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        });
+    }
+
+    /**
+     * One bar per day (minutes practiced), oldest on the left, with the first and last dates labelled.
+     * @private
+     */
+    _drawBarChart(canvas, days, colors) {
+        const chart = this._begin(canvas, colors);
+        if (!chart) return;
+        const minutes = days.map(day => day.seconds / 60);
+        if (minutes.every(m => m === 0)) {
+            this._drawEmpty(chart, colors);
+            return;
+        }
+        const max = this._niceMax(Math.max(...minutes));
+        this._drawGrid(chart, max, 'min', colors);
+
+        const { ctx, plot } = chart;
+        const slot = plot.width / days.length;
+        ctx.fillStyle = colors.time;
+        minutes.forEach((value, i) => {
+            const barHeight = plot.height * value / max;
+            if (barHeight > 0) ctx.fillRect(plot.left + i * slot + slot * 0.15, plot.top + plot.height - barHeight, Math.max(1, slot * 0.7), barHeight);
+        });
+
+        ctx.fillStyle = colors.text;
+        ctx.textBaseline = 'top';
+        const label = (day) => day.date.slice(5).replace('-', '/');
+        ctx.textAlign = 'left';
+        ctx.fillText(label(days[0]), plot.left, plot.top + plot.height + 3);
+        ctx.textAlign = 'right';
+        ctx.fillText(label(days[days.length - 1]), plot.left + plot.width, plot.top + plot.height + 3);
+    }
+
+    /**
+     * Prepares a canvas for drawing: matches its resolution to its displayed size and clears it.
+     * @returns {{ctx: CanvasRenderingContext2D, width: number, height: number, plot: {left: number, top: number, width: number, height: number}}|null}
+     * @private
+     */
+    _begin(canvas, colors) {
+        if (!canvas) return null;
+        const ctx = canvas.getContext('2d');
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+        }
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '10px sans-serif';
+        const plot = { left: 40, top: 8, width: Math.max(1, width - 50), height: Math.max(1, height - 24) };
+        return { ctx, width, height, plot };
+    }
+
+    /** Horizontal grid lines at 0, 1/2 and the top of the axis, labelled on the left. @private */
+    _drawGrid(chart, max, unit, colors) {
+        const { ctx, plot } = chart;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        [0, 0.5, 1].forEach(fraction => {
+            const y = Math.round(plot.top + plot.height * (1 - fraction)) + 0.5;
+            ctx.strokeStyle = colors.grid;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(plot.left, y);
+            ctx.lineTo(plot.left + plot.width, y);
+            ctx.stroke();
+            ctx.fillStyle = colors.text;
+            ctx.fillText(`${Math.round(max * fraction)} ${unit}`, plot.left - 4, y);
+        });
+    }
+
+    /** @private */
+    _drawEmpty(chart, colors) {
+        const { ctx, width, height } = chart;
+        ctx.fillStyle = colors.text;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText("No sessions yet", width / 2, height / 2);
+    }
+
+    /** Rounds an axis maximum up to 1, 2 or 5 times a power of ten (at least 10). @private */
+    _niceMax(value) {
+        if (value <= 10) return 10;
+        const power = Math.pow(10, Math.floor(Math.log10(value)));
+        const step = [1, 2, 5, 10].find(m => value <= m * power);
+        return step * power;
+    }
+
+    /** @private */
+    _readColors() {
+        const style = getComputedStyle(this.canvases.wpm || document.documentElement);
+        const read = (name) => style.getPropertyValue(name).trim();
+        return {
+            net: read('--stats-net-color'),
+            gross: read('--stats-gross-color'),
+            accuracy: read('--stats-accuracy-color'),
+            time: read('--stats-time-color'),
+            grid: read('--stats-grid-color'),
+            text: read('--stats-text-color')
+        };
+    }
+}
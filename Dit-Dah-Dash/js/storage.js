@@ -0,0 +1,218 @@
+/* Dit-Dah-Dash/js/storage.js */
+/* In file: js/storage.js */
+/**
+ * js/storage.js
+ * -------------
+ * Single access point for everything persisted in localStorage.
+ * - Keys are the MorseConfig.STORAGE_KEY_* constants. Per-profile keys are mapped into
+ *   the active profile's namespace by ProfileManager (setKeyMapper); the schema version
+ *   and the profile list are global.
+ * - Typed getters (string, number, boolean, JSON) return the given fallback for missing
+ *   or unreadable values, so callers don't each need their own parsing and error handling.
+ * - The stored data has a schema version. Migrations run in order at startup (before any
+ *   module reads its data) for every version newer than the stored one; each bumps the
+ *   version only once it has succeeded. Add new migrations to the end of STORAGE_MIGRATIONS.
+ * The session history lives in IndexedDB and upgrades through its own database version.
+ */
+
+/**
+ * Ordered schema migrations. Each receives the raw backend (no profile mapping).
+ * @type {Array<{version: number, description: string, migrate: function(Storage): void}>}
+ */
+const STORAGE_MIGRATIONS = [
+    {
+        version: 1,
+        description: "Import keys saved under the project's earlier names",
+        migrate: (backend) => {
+            // Newest name first; a key that already exists under the current name is never overwritten.
+            // A legacy key whose value conflicts with the current one is kept (and logged) so nothing is lost.
+            MorseConfig.STORAGE_LEGACY_KEY_PREFIXES.forEach(legacyPrefix => {
+                const legacyKeys = [];
+                for (let i = 0; i < backend.length; i++) {
+                    const key = backend.key(i);
+                    if (key && key.startsWith(legacyPrefix)) legacyKeys.push(key);
+                }
+                let imported = 0;
+                legacyKeys.forEach(legacyKey => {
+                    const key = MorseConfig.STORAGE_KEY_PREFIX + legacyKey.slice(legacyPrefix.length);
+                    const legacyValue = backend.getItem(legacyKey);
+                    const currentValue = backend.getItem(key);
+                    if (currentValue === null) {
+                        backend.setItem(key, legacyValue);
+                        imported++;
+                    } else if (currentValue !== legacyValue) {
+                        console.warn(`Storage: kept "${legacyKey}"; "${key}" already holds a different value.`);
+                        return;
+                    }
+                    backend.removeItem(legacyKey);
+                });
+                if (legacyKeys.length > 0) console.log(`Storage: imported ${imported} of ${legacyKeys.length} keys from "${legacyPrefix}".`);
+            });
+        }
+    }
+];
+
+class StorageManager {
+    /**
+     * @constructor
+     * @param {Storage} [backend] - Where data is kept. Defaults to window.localStorage.
+     */
+    constructor(backend = null) {
+        this.backend = backend || window.localStorage;
+        this.keyMapper = (key) => key; // Replaced by ProfileManager
+        this.globalKeys = new Set([
+            MorseConfig.STORAGE_KEY_SCHEMA_VERSION,
+            MorseConfig.STORAGE_KEY_PROFILES,
+            MorseConfig.STORAGE_KEY_ACTIVE_PROFILE
+        ]);
+    }
+
+    /**
+     * Sets how per-profile keys are mapped to backend keys.
+     * @param {function(string): string} keyMapper
+     */
+    setKeyMapper(keyMapper) {
+        this.keyMapper = keyMapper;
+    }
+
+    /** @private */
+    _resolve(key) {
+        return this.globalKeys.has(key) ? key : this.keyMapper(key);
+    }
+
+    // --- Raw Values ---
+
+    /**
+     * @param {string} key - A MorseConfig.STORAGE_KEY_* key.
+     * @returns {string|null} The stored text, or null if missing or storage is unavailable.
+     */
+    getItem(key) {
+        try {
+            return this.backend.getItem(this._resolve(key));
+        } catch (e) {
+            console.error(`Error reading ${key} from localStorage:`, e);
+            return null;
+        }
+    }
+
+    /**
+     * @param {string} key - A MorseConfig.STORAGE_KEY_* key.
+     * @param {*} value - Stored as text.
+     * @returns {boolean} True if saved (false when storage is full or unavailable).
+     */
+    setItem(key, value) {
+        try {
+            this.backend.setItem(this._resolve(key), String(value));
+            return true;
+        } catch (e) {
+            console.error(`Error saving ${key} to localStorage:`, e);
+            return false;
+        }
+    }
+
+    /** @param {string} key - A MorseConfig.STORAGE_KEY_* key. */
+    removeItem(key) {
+        try {
+            this.backend.removeItem(this._resolve(key));
+        } catch (e) {
+            console.error(`Error removing ${key} from localStorage:`, e);
+        }
+    }
+
+    // --- Typed Values ---
+
+    /** @returns {string} The stored text, or the fallback if missing or empty. */
+    getString(key, fallback) {
+        const value = this.getItem(key);
+        return value !== null && value.trim() !== '' ? value : fallback;
+    }
+
+    /** @returns {number} The stored number, or the fallback if missing or not a number. */
+    getNumber(key, fallback) {
+        const value = parseFloat(this.getItem(key));
+        return isNaN(value) ? fallback : value;
+    }
+
+    /** @returns {boolean} The stored boolean ('true'/'false'), or the fallback otherwise. */
+    getBoolean(key, fallback) {
+        const value = this.getItem(key);
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+        return fallback;
+    }
+
+    /** @returns {*} The stored JSON value, or the fallback if missing or unreadable. */
+    getJSON(key, fallback) {
+        const value = this.getItem(key);
+        if (value === null) return fallback;
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            console.error(`Stored ${key} is not valid JSON, using the default:`, e);
+            return fallback;
+        }
+    }
+
+    /** Saves a value as JSON. @returns {boolean} True if saved. */
+    setJSON(key, value) {
+        return this.setItem(key, JSON.stringify(value));
+    }
+
+    // --- Backend Keys (no profile mapping; for profile management) ---
+
+    /** @returns {string[]} Every key in the backend. */
+    listBackendKeys() {
+        const keys = [];
+        try {
+            for (let i = 0; i < this.backend.length; i++) {
+                const key = this.backend.key(i);
+                if (key !== null) keys.push(key);
+            }
+        } catch (e) {
+            console.error("Error listing localStorage keys:", e);
+        }
+        return keys;
+    }
+
+    /** Removes a backend key as is. */
+    removeBackendItem(backendKey) {
+        try {
+            this.backend.removeItem(backendKey);
+        } catch (e) {
+            console.error(`Error removing ${backendKey} from localStorage:`, e);
+        }
+    }
+
+    // --- Schema ---
+
+    /** @returns {number} The stored schema version (0 before the first migration ran). */
+    getSchemaVersion() {
+        return this.getNumber(MorseConfig.STORAGE_KEY_SCHEMA_VERSION, 0);
+    }
+
+    /**
+     * Runs every migration newer than the stored schema version, in order.
+     * Stops at the first failure so it is retried on the next start.
+     * @returns {number} The schema version afterwards.
+     */
+    migrate() {
+        let version = this.getSchemaVersion();
+        for (const migration of STORAGE_MIGRATIONS) {
+            if (migration.version <= version) continue;
+            try {
+                migration.migrate(this.backend);
+            } catch (e) {
+                console.error(`Storage migration ${migration.version} (${migration.description}) failed:`, e);
+                break;
+            }
+            version = migration.version;
+            this.setItem(MorseConfig.STORAGE_KEY_SCHEMA_VERSION, version);
+            console.log(`Storage migrated to version ${version}: ${migration.description}`);
+        }
+        return version;
+    }
+}
+
+// Create a single instance and bring stored data up to date before anything reads it
+window.morseStorage = new StorageManager();
+window.morseStorage.migrate();
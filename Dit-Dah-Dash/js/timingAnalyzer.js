@@ -0,0 +1,129 @@
+/* Dit-Dah-Dash/js/timingAnalyzer.js */
+/* In file: js/timingAnalyzer.js */
+/**
+ * js/timingAnalyzer.js
+ * --------------------
+ * Measures the timing quality ("fist") of a keyed sentence from its press/release timeline
+ * (GameState.keyTimeline and GameState.keyedCharacters).
+ * Ideal lengths are the standard element and gap lengths scaled to the user's own speed
+ * (their average dit), so a clean fist at a slower or faster speed than the setting still
+ * scores well: the score is about proportions and consistency, not about the WPM.
+ * Each element or gap is scored by its relative error against the ideal (capped at 100%).
+ */
+
+class TimingAnalyzer {
+    /**
+     * Analyses one sentence.
+     * @param {Array<{element: string, down: number, up: number, charIndex: number}>} timeline - Key-down periods in ms.
+     * @param {Array<{charIndex: number, target: string|null, decoded: string|null, start: number, end: number}>} keyedCharacters -
+     * Decoded groups of the timeline (start/end are timeline indices, end exclusive).
+     * @param {string} sentence - The sentence that was keyed (word breaks are not scored as letter gaps).
+     * @param {{ditMs: number, dahMs: number, intraCharGapMs: number, interCharGapMs: number}} timings - Ideal
+     * lengths at the configured speed (MorseConfig.calculateTimings).
+     * @returns {object|null} { averageDitMs, idealDitMs, dahDitRatio, idealDahDitRatio, elementAccuracy,
+     * intraCharGap: {averageMs, idealMs, accuracy, count}, interCharGap: {averageMs, idealMs, accuracy, count},
+     * characters: [{character, deviation, count}] (worst first), fistQuality } or null without any keyed elements.
+     * Accuracies, deviations and fistQuality are percentages; accuracy is null when nothing was measured.
+     */
+    analyze(timeline, keyedCharacters, sentence, timings) {
+        if (!timeline || timeline.length === 0) return null;
+
+        const lengths = (element) => timeline.filter(e => e.element === element).map(e => e.up - e.down);
+        const dits = lengths('.');
+        const dahs = lengths('-');
+        const idealRatio = timings.dahMs / timings.ditMs;
+
+        // The user's own dit: measured, or derived from their dahs if they sent none
+        const averageDitMs = dits.length > 0 ? this._mean(dits) : this._mean(dahs) / idealRatio;
+        const scale = averageDitMs / timings.ditMs;
+        const ideal = {
+            '.': timings.ditMs * scale,
+            '-': timings.dahMs * scale,
+            intra: timings.intraCharGapMs * scale,
+            inter: timings.interCharGapMs * scale
+        };
+
+        const elementErrors = timeline.map(e => this._error(e.up - e.down, ideal[e.element]));
+        const intraGaps = [];
+        const interGaps = [];
+        const perCharacter = new Map(); // character -> [deviation per correctly keyed occurrence]
+
+        (keyedCharacters || []).forEach((group, i) => {
+            const elements = timeline.slice(group.start, group.end);
+            const gaps = [];
+            for (let j = 1; j < elements.length; j++) gaps.push(elements[j].down - elements[j - 1].up);
+            intraGaps.push(...gaps);
+
+            const correct = group.target !== null && group.decoded === group.target;
+            if (correct) {
+                const errors = elements.map(e => this._error(e.up - e.down, ideal[e.element]))
+                    .concat(gaps.map(gap => this._error(gap, ideal.intra)));
+                if (!perCharacter.has(group.target)) perCharacter.set(group.target, []);
+                perCharacter.get(group.target).push(this._mean(errors));
+            }
+
+            // Letter gap to the next character of the same word; retries after a miss don't count
+            const next = keyedCharacters[i + 1];
+            if (correct && next && next.charIndex > group.charIndex && next.start < next.end && elements.length > 0
+                && !/\s/.test(sentence.slice(group.charIndex, next.charIndex))) {
+                interGaps.push(timeline[next.start].down - elements[elements.length - 1].up);
+            }
+        });
+
+        const gapSummary = (gaps, idealMs) => ({
+            averageMs: gaps.length > 0 ? Math.round(this._mean(gaps)) : null,
+            idealMs: Math.round(idealMs),
+            accuracy: this._accuracy(gaps.map(gap => this._error(gap, idealMs))),
+            count: gaps.length
+        });
+        const intraCharGap = gapSummary(intraGaps, ideal.intra);
+        const interCharGap = gapSummary(interGaps, ideal.inter);
+        const elementAccuracy = this._accuracy(elementErrors);
+
+        const characters = Array.from(perCharacter.entries())
+            .map(([character, deviations]) => ({ character, deviation: Math.round(this._mean(deviations) * 100), count: deviations.length }))
+            .sort((a, b) => b.deviation - a.deviation);
+
+        return {
+            averageDitMs: Math.round(averageDitMs),
+            idealDitMs: Math.round(timings.ditMs),
+            dahDitRatio: dits.length > 0 && dahs.length > 0 ? parseFloat((this._mean(dahs) / averageDitMs).toFixed(2)) : null,
+            idealDahDitRatio: parseFloat(idealRatio.toFixed(2)),
+            elementAccuracy,
+            intraCharGap,
+            interCharGap,
+            characters,
+            fistQuality: this._fistQuality(elementAccuracy, intraCharGap.accuracy, interCharGap.accuracy)
+        };
+    }
+
+    /**
+     * Combines the component accuracies (elements 40%, element gaps 30%, letter gaps 30%).
+     * Components with nothing measured are left out and the rest re-weighted.
+     * @private
+     */
+    _fistQuality(elementAccuracy, intraAccuracy, interAccuracy) {
+        const parts = [[elementAccuracy, 0.4], [intraAccuracy, 0.3], [interAccuracy, 0.3]].filter(([accuracy]) => accuracy !== null);
+        const totalWeight = parts.reduce((sum, [, weight]) => sum + weight, 0);
+        if (totalWeight === 0) return null;
+        return Math.round(parts.reduce((sum, [accuracy, weight]) => sum + accuracy * weight, 0) / totalWeight);
+    }
+
+    /** Relative error of a measured length, capped at 1. @private */
+    _error(actualMs, idealMs) {
+        return idealMs > 0 ? Math.min(1, Math.abs(actualMs - idealMs) / idealMs) : 0;
+    }
+
+    /** Percentage accuracy from relative errors, or null if there are none. @private */
+    _accuracy(errors) {
+        return errors.length > 0 ? Math.round((1 - this._mean(errors)) * 100) : null;
+    }
+
+    /** @private */
+    _mean(values) {
+        return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+    }
+}
+
+// Create a single instance for the game
+window.morseTimingAnalyzer = new TimingAnalyzer();
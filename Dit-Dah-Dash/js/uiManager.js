@@ -27,6 +27,30 @@ Updates hint pulse animation to target SVGs.
 - Ensured feedback timeouts are consistently cleared and managed.
 **v7 Changes:**
 - Modified setPatternDisplayState for 'correct' feedback: Uses 'correct-flash' class for a brief background change on containers, instead of 'correct-pattern'.
+**v8 Changes:**
+- Added receive training view, per-track level selection and the copy diff on the results screen.
+- Added Koch trainer view (receive area with a lesson picker).
+- Added the weak-character drill button; results show a progress message for drills.
+- Prosigns render as one overlined unit (e.g. <AR> shows as AR) and highlight as a single character.
+- Added the alphabet setting; right-to-left alphabets flip the text display and text inputs.
+- Added the Export WAV button to the playback view.
+- Added the Decode Audio view (file picker, status and decoded text).
+- Added the band conditions setting (preset and signal-to-noise ratio).
+- Results show a fist quality score and the keying timing breakdown for sent sentences.
+- Added the keying timeline canvas: live while sending, replayed on the results screen.
+- Added "Hear My Sending" (with an alternate-with-ideal option) to the results screen.
+- Added the Progress view: session totals, streaks and charts of the session history.
+- Added the profile bar to the main menu (switch, new, rename, delete); settings and paddle
+  textures are stored in the active profile's namespace.
+- Added backup export/import to the settings, with a preview of the import and merge/replace.
+- Settings and paddle textures are read and written through the storage module (typed getters).
+- Added the Level Editor view (user level packs: levels, import/export) and the level pack picker
+  on the level selection screen.
+- No longer reads the game state: the character flash returns to the character it last highlighted,
+  and key mapping changes reach the results instructions through the event bus (SETTINGS_CHANGED).
+- Added the playback transport controls (pause/resume, replay last word, loop); the playback text and its
+  Morse are rendered per character, highlight the character sounding and can be clicked to seek.
+- Feedback, hint pulse and resize timers (and the keying timeline replay) run on the shared clock (clock.js).
 """
 
 class UIManager {
@@ -35,6 +59,8 @@ class UIManager {
      * Loads textures, settings, and binds drag/drop events.
      */
     constructor() {
+        this.clock = window.morseClock; // Feedback, hint pulse and resize timers
+
         // Core Containers / Wrappers
         this.bodyElement = document.body;
         this.gameContainer = document.getElementById('game-container');
@@ -42,6 +68,10 @@ class UIManager {
         this.gameUiWrapper = document.getElementById('game-ui-wrapper');
         this.playbackArea = document.getElementById('playback-area');
         this.sandboxArea = document.getElementById('sandbox-area');
+        this.receiveArea = document.getElementById('receive-area');
+        this.decodeAudioArea = document.getElementById('decode-audio-area');
+        this.statsArea = document.getElementById('stats-area');
+        this.levelEditorArea = document.getElementById('level-editor-area');
         this.inputArea = document.getElementById('input-area');
 
         // Main Menu Elements
@@ -49,7 +79,17 @@ class UIManager {
         this.startGameButton = document.getElementById('start-game-button');
         this.showSandboxButton = document.getElementById('show-sandbox-button');
         this.showPlaybackButton = document.getElementById('show-playback-button');
+        this.showDecodeAudioButton = document.getElementById('show-decode-audio-button');
+        this.showStatsButton = document.getElementById('show-stats-button');
+        this.showLevelEditorButton = document.getElementById('show-level-editor-button');
+        this.showReceiveButton = document.getElementById('show-receive-button');
+        this.showKochButton = document.getElementById('show-koch-button');
+        this.startDrillButton = document.getElementById('start-drill-button');
         this.showSettingsButton = document.getElementById('show-settings-button');
+        this.profileSelect = document.getElementById('profile-select');
+        this.profileNewButton = document.getElementById('profile-new-button');
+        this.profileRenameButton = document.getElementById('profile-rename-button');
+        this.profileDeleteButton = document.getElementById('profile-delete-button');
 
         // Game Mode Elements
         this.textDisplayWrapper = document.getElementById('text-display-wrapper');
@@ -83,23 +123,96 @@ class UIManager {
         // Playback Mode Elements
         this.playbackInput = document.getElementById('playback-input');
         this.playSentenceButton = document.getElementById('play-sentence-button');
+        this.exportWavButton = document.getElementById('export-wav-button');
         this.playbackMorseDisplay = document.getElementById('playback-morse-display');
+        this.playbackPauseButton = document.getElementById('playback-pause-button');
+        this.playbackReplayWordButton = document.getElementById('playback-replay-word-button');
+        this.playbackLoopToggle = document.getElementById('playback-loop-toggle');
+        this.playbackTextDisplay = document.getElementById('playback-text-display');
+
+        // Decode Audio Elements
+        this.decodeAudioInput = document.getElementById('decode-audio-input');
+        this.decodeAudioStatus = document.getElementById('decode-audio-status');
+        this.decodeAudioOutput = document.getElementById('decode-audio-output');
+
+        // Stats Elements
+        this.statsModeSelect = document.getElementById('stats-mode-select');
+        this.statsSummary = document.getElementById('stats-summary');
+        this.statsDashboard = new StatsDashboard({
+            wpm: document.getElementById('stats-wpm-chart'),
+            accuracy: document.getElementById('stats-accuracy-chart'),
+            time: document.getElementById('stats-time-chart')
+        });
+
+        // Level Editor Elements
+        this.levelEditorPackSelect = document.getElementById('level-editor-pack-select');
+        this.levelEditorNewPackButton = document.getElementById('level-editor-new-pack-button');
+        this.levelEditorRenamePackButton = document.getElementById('level-editor-rename-pack-button');
+        this.levelEditorDeletePackButton = document.getElementById('level-editor-delete-pack-button');
+        this.levelEditorImportPackButton = document.getElementById('level-editor-import-pack-button');
+        this.levelEditorExportPackButton = document.getElementById('level-editor-export-pack-button');
+        this.levelEditorImportInput = document.getElementById('level-editor-import-input');
+        this.levelEditorEmpty = document.getElementById('level-editor-empty');
+        this.levelEditorLevelList = document.getElementById('level-editor-level-list');
+        this.levelEditorAddLevelButton = document.getElementById('level-editor-add-level-button');
+        this.levelEditorForm = document.getElementById('level-editor-form');
+        this.levelEditorFormTitle = document.getElementById('level-editor-form-title');
+        this.levelEditorNameInput = document.getElementById('level-editor-name-input');
+        this.levelEditorSentencesInput = document.getElementById('level-editor-sentences-input');
+        this.levelEditorMinWpmInput = document.getElementById('level-editor-min-wpm-input');
+        this.levelEditorMinAccuracyInput = document.getElementById('level-editor-min-accuracy-input');
+        this.levelEditorErrors = document.getElementById('level-editor-errors');
+        this.levelEditorSaveLevelButton = document.getElementById('level-editor-save-level-button');
+        this.levelEditorCancelLevelButton = document.getElementById('level-editor-cancel-level-button');
+        this.levelEditorMenuButton = document.getElementById('level-editor-menu-button');
 
         // Sandbox Mode Elements
         this.sandboxInput = document.getElementById('sandbox-input');
         this.startSandboxButton = document.getElementById('start-sandbox-button');
         this.sandboxMorsePreview = document.getElementById('sandbox-morse-preview');
 
+        // Receive Mode Elements (shared by the Koch trainer)
+        this.receiveTitle = document.getElementById('receive-title');
+        this.kochLessonControls = document.getElementById('koch-lesson-controls');
+        this.kochLessonSelect = document.getElementById('koch-lesson-select');
+        this.receiveLevelInfo = document.getElementById('receive-level-info');
+        this.receiveReplayButton = document.getElementById('receive-replay-button');
+        this.receiveInput = document.getElementById('receive-input');
+        this.receiveSubmitButton = document.getElementById('receive-submit-button');
+
         // Settings Modal Elements
         this.settingsModal = document.getElementById('settings-modal');
         this.settingsCloseButton = document.getElementById('settings-close-button');
         this.wpmSlider = document.getElementById('wpm-slider');
         this.wpmValueDisplay = document.getElementById('wpm-value-display');
+        this.effectiveWpmSlider = document.getElementById('effective-wpm-slider');
+        this.effectiveWpmValueDisplay = document.getElementById('effective-wpm-value-display');
         this.frequencySlider = document.getElementById('frequency-slider');
         this.frequencyValueDisplay = document.getElementById('frequency-value-display');
         this.soundToggle = document.getElementById('sound-toggle');
+        this.inputModeSelect = document.getElementById('input-mode-select');
+        this.keyerModeSelect = document.getElementById('keyer-mode-select');
+        this.alphabetSelect = document.getElementById('alphabet-select');
+        this.bandConditionsSelect = document.getElementById('band-conditions-select');
+        this.bandSnrSlider = document.getElementById('band-snr-slider');
+        this.bandSnrValueDisplay = document.getElementById('band-snr-value-display');
+        this.weightingSlider = document.getElementById('weighting-slider');
+        this.weightingValueDisplay = document.getElementById('weighting-value-display');
+        this.dahRatioSlider = document.getElementById('dah-ratio-slider');
+        this.dahRatioValueDisplay = document.getElementById('dah-ratio-value-display');
+        this.ditMemoryToggle = document.getElementById('dit-memory-toggle');
+        this.dahMemoryToggle = document.getElementById('dah-memory-toggle');
         this.darkModeToggle = document.getElementById('dark-mode-toggle');
         this.resetProgressButton = document.getElementById('reset-progress-button');
+        this.exportBackupButton = document.getElementById('export-backup-button');
+        this.importBackupButton = document.getElementById('import-backup-button');
+        this.importBackupInput = document.getElementById('import-backup-input');
+        this.backupImportPreview = document.getElementById('backup-import-preview');
+        this.backupImportSummary = document.getElementById('backup-import-summary');
+        this.backupImportTable = document.getElementById('backup-import-table');
+        this.backupMergeButton = document.getElementById('backup-merge-button');
+        this.backupReplaceButton = document.getElementById('backup-replace-button');
+        this.backupCancelButton = document.getElementById('backup-cancel-button');
         // Key Mapping Inputs
         this.ditKeyInput = document.getElementById('dit-key-input');
         this.dahKeyInput = document.getElementById('dah-key-input');
@@ -112,27 +225,52 @@ class UIManager {
         this.resultsRatingContainer = document.getElementById('results-rating');
         this.resultsStatsContainer = document.getElementById('results-stats');
         this.resultsTime = document.getElementById('results-time');
+        this.resultsSpeed = document.getElementById('results-speed');
         this.resultsNetWpm = document.getElementById('results-net-wpm');
         this.resultsGrossWpm = document.getElementById('results-gross-wpm');
         this.resultsAccuracy = document.getElementById('results-accuracy');
+        this.resultsFist = document.getElementById('results-fist');
+        this.resultsTiming = document.getElementById('results-timing');
+        this.resultsDiff = document.getElementById('results-diff');
+        this.keyingTimeline = new KeyingTimeline(document.getElementById('keying-timeline'), this.clock);
+        this.resultsKeyingTimelineCanvas = document.getElementById('results-keying-timeline');
+        this.resultsKeyingTimeline = new KeyingTimeline(this.resultsKeyingTimelineCanvas, this.clock);
+        this.hearSendingControls = document.getElementById('hear-sending-controls');
+        this.hearSendingButton = document.getElementById('hear-sending-button');
+        this.hearSendingCompareToggle = document.getElementById('hear-sending-compare-toggle');
         this.levelUnlockMessage = document.getElementById('level-unlock-message');
 
         // Level Selection Screen Elements
         this.levelListContainer = document.getElementById('level-list');
+        this.levelPackSelect = document.getElementById('level-pack-select');
+        this.editLevelsButton = document.getElementById('edit-levels-button');
 
         // Menu Navigation Buttons
         this.gameMenuButton = document.getElementById('game-menu-button');
         this.playbackMenuButton = document.getElementById('playback-menu-button');
         this.sandboxMenuButton = document.getElementById('sandbox-menu-button');
+        this.receiveMenuButton = document.getElementById('receive-menu-button');
+        this.decodeAudioMenuButton = document.getElementById('decode-audio-menu-button');
+        this.statsMenuButton = document.getElementById('stats-menu-button');
         this.resultsMenuButton = document.getElementById('results-menu-button');
         this.levelSelectMenuButton = document.getElementById('level-select-menu-button');
 
         // Internal State & Constants
         this.currentWpm = MorseConfig.DEFAULT_WPM;
+        this.currentEffectiveWpm = MorseConfig.DEFAULT_EFFECTIVE_WPM;
         this.currentFrequency = MorseConfig.AUDIO_DEFAULT_TONE_FREQUENCY;
         this.currentVolume = MorseConfig.AUDIO_DEFAULT_VOLUME;
         this.currentDitKey = MorseConfig.KEYBINDING_DEFAULTS.dit;
         this.currentDahKey = MorseConfig.KEYBINDING_DEFAULTS.dah;
+        this.currentInputMode = MorseConfig.DEFAULT_INPUT_MODE;
+        this.currentKeyerMode = MorseConfig.DEFAULT_KEYER_MODE;
+        this.currentAlphabet = MorseAlphabets.DEFAULT_ALPHABET_ID;
+        this.currentBandConditions = MorseConfig.DEFAULT_BAND_CONDITIONS;
+        this.currentBandSnr = MorseConfig.DEFAULT_BAND_SNR_DB;
+        this.currentWeighting = MorseConfig.DEFAULT_WEIGHTING;
+        this.currentDahRatio = MorseConfig.DEFAULT_DAH_RATIO;
+        this.isDitMemoryEnabled = MorseConfig.DEFAULT_DIT_MEMORY;
+        this.isDahMemoryEnabled = MorseConfig.DEFAULT_DAH_MEMORY;
         this.isSoundEnabled = true;
         this.isDarkModeEnabled = false;
         this.isHintVisible = MorseConfig.HINT_DEFAULT_VISIBLE;
@@ -146,6 +284,7 @@ class UIManager {
         this._correctFlashTimeout = null; // Pattern bg/fill flash (correct)
         this._hintPulseTimer = null; // Hint SVG pulse start delay
         // --- End Separate Timeouts ---
+        this.highlightedCharIndex = null; // Character marked 'current' by highlightCharacter
 
         // SVG Strings
         this.ditSvgString = `<svg class="pattern-dit" viewBox="0 0 50 50" xmlns="http://www.w3.org/2000/svg"><circle cx="25" cy="25" r="15" /></svg>`;
@@ -159,12 +298,31 @@ class UIManager {
         this._loadSettings();
         this._loadPaddleTextures();
         this._updateWpmDisplay(this.currentWpm);
+        this._updateEffectiveWpmDisplay(this.currentEffectiveWpm);
         this._updateFrequencyDisplay(this.currentFrequency);
         this._updateVolumeSliderUI(this.currentVolume);
         this._updateSpeakerIcon(this.currentVolume);
         this._updateKeyMappingDisplay();
         this._applyDarkMode(this.isDarkModeEnabled);
+        this._applyInputMode(this.currentInputMode);
         this._applyHintVisibility(this.isHintVisible, false);
+        if (this.inputModeSelect) this.inputModeSelect.value = this.currentInputMode;
+        if (this.keyerModeSelect) this.keyerModeSelect.value = this.currentKeyerMode;
+        if (this.alphabetSelect) this.alphabetSelect.value = this.currentAlphabet;
+        this._applyTextDirection(MorseAlphabets.getAlphabet(this.currentAlphabet).direction);
+        if (this.bandConditionsSelect) this.bandConditionsSelect.value = this.currentBandConditions;
+        if (this.bandSnrSlider) {
+            this.bandSnrSlider.min = MorseConfig.MIN_BAND_SNR_DB;
+            this.bandSnrSlider.max = MorseConfig.MAX_BAND_SNR_DB;
+            this.bandSnrSlider.value = this.currentBandSnr;
+        }
+        this._updateBandSnrDisplay(this.currentBandSnr);
+        if (this.weightingSlider) this.weightingSlider.value = this.currentWeighting;
+        if (this.dahRatioSlider) this.dahRatioSlider.value = this.currentDahRatio;
+        this._updateWeightingDisplay(this.currentWeighting);
+        this._updateDahRatioDisplay(this.currentDahRatio);
+        if (this.ditMemoryToggle) this.ditMemoryToggle.checked = this.isDitMemoryEnabled;
+        if (this.dahMemoryToggle) this.dahMemoryToggle.checked = this.isDahMemoryEnabled;
         if (this.soundToggle) this.soundToggle.checked = this.isSoundEnabled;
         if (this.darkModeToggle) this.darkModeToggle.checked = this.isDarkModeEnabled;
         if (this.frequencySlider) {
@@ -175,23 +333,42 @@ class UIManager {
         if (this.wpmSlider) {
             this.wpmSlider.value = this.currentWpm;
         }
+        if (this.effectiveWpmSlider) {
+            this.effectiveWpmSlider.value = this.currentEffectiveWpm;
+        }
         if (this.volumeSlider) {
             this.volumeSlider.value = this.currentVolume;
         }
         this._addGlobalEventListeners();
         this._addDragDropListeners();
+        this._subscribeToAppEvents();
         console.log("UIManager Initialized");
     }
 
+    /** Follows the app events the UI reacts to on its own. @private */
+    _subscribeToAppEvents() {
+        const eventBus = window.morseEventBus;
+        if (!eventBus) return;
+        eventBus.on(AppEvent.SETTINGS_CHANGED, (event) => {
+            if (event.key === 'keyMappings') this._updateResultsInstructions();
+        });
+    }
+
     // --- UI View Management ---
     _hideAllViews() {
         this.gameUiWrapper?.classList.add('hidden');
         this.inputArea?.classList.add('hidden');
         this.playbackArea?.classList.add('hidden');
         this.sandboxArea?.classList.add('hidden');
+        this.receiveArea?.classList.add('hidden');
+        this.decodeAudioArea?.classList.add('hidden');
+        this.statsArea?.classList.add('hidden');
+        this.levelEditorArea?.classList.add('hidden');
         this.mainMenuOverlay?.classList.add('hidden');
         this.resultsScreen?.classList.add('hidden');
         this.levelSelectionScreen?.classList.add('hidden');
+        this.keyingTimeline.stop();
+        this.resultsKeyingTimeline.stop();
         this._stopHintPulse("View Change");
         this._updateDisplayAreaSizing(); // Update size after hiding/showing views
     }
@@ -215,12 +392,235 @@ class UIManager {
     showPlaybackUI() {
         this._hideAllViews();
         this.playbackArea?.classList.remove('hidden');
-        this.setPlaybackButtonEnabled(true, 'Play Morse');
-        this.updatePlaybackMorseDisplay("");
+        this.updatePlaybackTransport(TransportState.STOPPED, false);
+        this.renderPlaybackCharacters([]);
         if (this.playbackInput) this.playbackInput.value = '';
         console.log("UI: Showing Playback Interface");
     }
 
+    showDecodeAudioUI() {
+        this._hideAllViews();
+        this.decodeAudioArea?.classList.remove('hidden');
+        if (this.decodeAudioInput) this.decodeAudioInput.value = '';
+        this.updateDecodeAudioResult("Choose a recording to decode.", "");
+        console.log("UI: Showing Decode Audio Interface");
+    }
+
+    /**
+     * Fills the main menu's profile picker.
+     * @param {Array<{id: string, name: string}>} profiles - All profiles.
+     * @param {string} activeId - Id of the active profile.
+     */
+    updateProfileList(profiles, activeId) {
+        if (!this.profileSelect) return;
+        this.profileSelect.innerHTML = '';
+        profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            this.profileSelect.appendChild(option);
+        });
+        this.profileSelect.value = activeId;
+        if (this.profileDeleteButton) this.profileDeleteButton.disabled = activeId === MorseConfig.DEFAULT_PROFILE_ID;
+    }
+
+    /**
+     * Shows what importing a backup would change, with the merge/replace/cancel buttons.
+     * @param {object} backup - The parsed backup.
+     * @param {Array<{label: string, added: number, changed: number, unchanged: number}>} rows - From BackupManager.previewImport.
+     * @param {string} profileName - Profile the backup will be imported into.
+     */
+    showBackupPreview(backup, rows, profileName) {
+        if (!this.backupImportPreview) return;
+        const exported = new Date(backup.exportedAt);
+        const exportedText = isNaN(exported.getTime()) ? "an unknown date" : exported.toLocaleString();
+        this.backupImportSummary.textContent = `Backup of "${backup.profileName || '?'}" from ${exportedText}, into profile "${profileName}":`;
+        this.backupImportTable.innerHTML = '';
+        const addRow = (cells, tag) => {
+            const tr = document.createElement('tr');
+            cells.forEach(text => {
+                const cell = document.createElement(tag);
+                cell.textContent = text;
+                tr.appendChild(cell);
+            });
+            this.backupImportTable.appendChild(tr);
+        };
+        addRow(['', 'New', 'Changed', 'Same'], 'th');
+        rows.forEach(row => addRow([row.label, row.added, row.changed, row.unchanged], 'td'));
+        if (rows.length === 0) addRow(['The backup is empty.', '', '', ''], 'td');
+        this.backupImportPreview.classList.remove('hidden');
+    }
+
+    hideBackupPreview() {
+        this.backupImportPreview?.classList.add('hidden');
+    }
+
+    showLevelEditorUI() {
+        this._hideAllViews();
+        this.levelEditorArea?.classList.remove('hidden');
+        this.hideLevelEditorForm();
+        console.log("UI: Showing Level Editor");
+    }
+
+    /**
+     * Fills the level editor: the pack picker and the level list of the pack being edited.
+     * @param {Array<object>} packs - From LevelPackManager.getPacks().
+     * @param {object|null} pack - The pack being edited (null when there are no packs).
+     */
+    updateLevelEditor(packs, pack) {
+        if (this.levelEditorPackSelect) {
+            this.levelEditorPackSelect.innerHTML = '';
+            packs.forEach(p => {
+                const option = document.createElement('option');
+                option.value = p.id;
+                option.textContent = p.name;
+                this.levelEditorPackSelect.appendChild(option);
+            });
+            this.levelEditorPackSelect.value = pack ? pack.id : '';
+            this.levelEditorPackSelect.disabled = packs.length === 0;
+        }
+        [this.levelEditorRenamePackButton, this.levelEditorDeletePackButton, this.levelEditorExportPackButton, this.levelEditorAddLevelButton]
+            .forEach(button => { if (button) button.disabled = !pack; });
+        this.levelEditorEmpty?.classList.toggle('hidden', packs.length > 0);
+        if (!this.levelEditorLevelList) return;
+        this.levelEditorLevelList.innerHTML = '';
+        const levels = pack ? pack.levels : [];
+        levels.forEach((level, index) => {
+            const item = document.createElement('li');
+            item.dataset.index = index;
+            const label = document.createElement('span');
+            label.className = 'level-editor-level-name';
+            label.textContent = `${level.name} (${level.sentences.length} sentence${level.sentences.length === 1 ? '' : 's'})`;
+            label.title = level.sentences.join('\n');
+            item.appendChild(label);
+            [
+                ['edit', '✎', "Edit level"],
+                ['up', '↑', "Move up"],
+                ['down', '↓', "Move down"],
+                ['delete', '✕', "Delete level"]
+            ].forEach(([action, text, title]) => {
+                const button = document.createElement('button');
+                button.dataset.action = action;
+                button.textContent = text;
+                button.title = title;
+                button.disabled = (action === 'up' && index === 0) || (action === 'down' && index === levels.length - 1);
+                item.appendChild(button);
+            });
+            this.levelEditorLevelList.appendChild(item);
+        });
+    }
+
+    /**
+     * Opens the level form.
+     * @param {object} level - Level to edit (or the defaults of a new one).
+     * @param {boolean} isNew - Titles the form "New Level".
+     */
+    showLevelEditorForm(level, isNew) {
+        if (!this.levelEditorForm) return;
+        this.levelEditorFormTitle.textContent = isNew ? "New Level" : `Edit Level: ${level.name}`;
+        this.levelEditorNameInput.value = level.name;
+        this.levelEditorSentencesInput.value = level.sentences.join('\n');
+        this.levelEditorMinWpmInput.max = MorseConfig.LEVEL_MAX_UNLOCK_WPM;
+        this.levelEditorMinWpmInput.value = level.unlock_criteria.min_wpm;
+        this.levelEditorMinAccuracyInput.value = level.unlock_criteria.min_accuracy;
+        this.showLevelEditorErrors([]);
+        this.levelEditorForm.classList.remove('hidden');
+        this.levelEditorNameInput.focus();
+    }
+
+    hideLevelEditorForm() {
+        this.levelEditorForm?.classList.add('hidden');
+    }
+
+    /** @returns {{name: string, sentences: string[], unlock_criteria: {min_wpm: number, min_accuracy: number}}} The form's level. */
+    getLevelEditorFormValues() {
+        return {
+            name: this.levelEditorNameInput ? this.levelEditorNameInput.value : '',
+            sentences: this.levelEditorSentencesInput ? this.levelEditorSentencesInput.value.split('\n') : [],
+            unlock_criteria: {
+                min_wpm: this.levelEditorMinWpmInput ? parseFloat(this.levelEditorMinWpmInput.value) : 0,
+                min_accuracy: this.levelEditorMinAccuracyInput ? parseFloat(this.levelEditorMinAccuracyInput.value) : 0
+            }
+        };
+    }
+
+    /** @param {string[]} errors - Validation problems to list under the form (none hides the list). */
+    showLevelEditorErrors(errors) {
+        if (!this.levelEditorErrors) return;
+        this.levelEditorErrors.innerHTML = '';
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = error;
+            this.levelEditorErrors.appendChild(item);
+        });
+        this.levelEditorErrors.classList.toggle('hidden', errors.length === 0);
+    }
+
+    /**
+     * Fills the level selection screen's pack picker.
+     * @param {Array<{id: string|null, name: string}>} packs - From LevelManager.getAvailablePacks().
+     * @param {string|null} selectedId - The user pack in play, or null for the built-in pack.
+     */
+    updateLevelPackSelect(packs, selectedId) {
+        if (!this.levelPackSelect) return;
+        this.levelPackSelect.innerHTML = '';
+        packs.forEach(pack => {
+            const option = document.createElement('option');
+            option.value = pack.id || '';
+            option.textContent = pack.name;
+            this.levelPackSelect.appendChild(option);
+        });
+        this.levelPackSelect.value = selectedId || '';
+    }
+
+    showStatsUI() {
+        this._hideAllViews();
+        this.statsArea?.classList.remove('hidden');
+        console.log("UI: Showing Stats Interface");
+    }
+
+    /** @returns {string} Selected stats filter: 'all', 'send' or 'receive'. */
+    getStatsFilter() { return this.statsModeSelect ? this.statsModeSelect.value : 'all'; }
+
+    /**
+     * Fills the stats view: totals and streaks as text, trends and daily practice as charts.
+     * @param {object} summary - From SessionHistory.summarize.
+     */
+    updateStatsDisplay(summary) {
+        if (this.statsSummary) {
+            const hours = Math.floor(summary.totalSeconds / 3600);
+            const minutes = Math.floor((summary.totalSeconds % 3600) / 60);
+            const days = (n) => `${n} day${n === 1 ? '' : 's'}`;
+            this.statsSummary.innerHTML = '';
+            [
+                ['Sentences', summary.totalSessions],
+                ['Time practiced', hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`],
+                ['Current streak', days(summary.currentStreak)],
+                ['Longest streak', days(summary.longestStreak)]
+            ].forEach(([label, value]) => {
+                const tile = document.createElement('div');
+                tile.className = 'stats-tile';
+                const valueElement = document.createElement('strong');
+                valueElement.textContent = value;
+                const labelElement = document.createElement('span');
+                labelElement.textContent = label;
+                tile.append(valueElement, labelElement);
+                this.statsSummary.appendChild(tile);
+            });
+        }
+        this.statsDashboard.render(summary);
+    }
+
+    /**
+     * Shows the decode status and decoded text.
+     * @param {string} status - Status line (progress, detected speed/pitch or an error).
+     * @param {string} text - Decoded text.
+     */
+    updateDecodeAudioResult(status, text) {
+        if (this.decodeAudioStatus) this.decodeAudioStatus.textContent = status;
+        if (this.decodeAudioOutput) this.decodeAudioOutput.textContent = text || '\u00A0';
+    }
+
     showSandboxUI() {
         this._hideAllViews();
         this.sandboxArea?.classList.remove('hidden');
@@ -232,7 +632,59 @@ class UIManager {
         console.log("UI: Showing Sandbox Setup Interface");
     }
 
-    showLevelSelectionScreen(levelsWithStatus) {
+    /**
+     * Shows the receive (copy) view for a level sentence. The sentence itself is never displayed.
+     * @param {object} levelData - Level being practised (from the current level pack).
+     * @param {number} sentenceIndex - Index of the sentence within the level.
+     */
+    showReceiveUI(levelData, sentenceIndex) {
+        this._showReceiveArea('Receive Training',
+            `Level ${levelData.id}: ${levelData.name} (Sentence ${sentenceIndex + 1}/${levelData.sentences.length})`);
+        this.kochLessonControls?.classList.add('hidden');
+        console.log("UI: Showing Receive Interface");
+    }
+
+    /**
+     * Shows the Koch trainer: the receive view plus a picker for every lesson reached.
+     * @param {Array<{lesson: number, newCharacter: string}>} lessons - From KochTrainer.getAvailableLessons().
+     * @param {number} currentLesson - The selected lesson.
+     * @param {string[]} characters - Characters in the current lesson.
+     */
+    showKochUI(lessons, currentLesson, characters) {
+        this._showReceiveArea('Koch Trainer', `Characters: ${characters.join(' ')}`);
+        if (this.kochLessonSelect) {
+            this.kochLessonSelect.innerHTML = '';
+            lessons.forEach(({ lesson, newCharacter }) => {
+                const option = document.createElement('option');
+                option.value = lesson;
+                option.textContent = `Lesson ${lesson} (+${newCharacter})`;
+                this.kochLessonSelect.appendChild(option);
+            });
+            this.kochLessonSelect.value = currentLesson;
+        }
+        this.kochLessonControls?.classList.remove('hidden');
+        console.log("UI: Showing Koch Interface");
+    }
+
+    /** Shows the receive area with a fresh answer field. @private */
+    _showReceiveArea(title, infoText) {
+        this._hideAllViews();
+        this.receiveArea?.classList.remove('hidden');
+        if (this.receiveTitle) this.receiveTitle.textContent = title;
+        if (this.receiveLevelInfo) this.receiveLevelInfo.textContent = infoText;
+        this.setReceiveReplayEnabled(true, 'Play Again');
+        if (this.receiveInput) {
+            this.receiveInput.value = '';
+            this.receiveInput.focus();
+        }
+    }
+
+    /**
+     * Builds the level list.
+     * @param {Array<object>} levelsWithStatus - From LevelManager.getAllLevelsWithStatus().
+     * @param {string} [track='send'] - Which progress track the list shows (see MorseConfig.LEVEL_TRACKS).
+     */
+    showLevelSelectionScreen(levelsWithStatus, track = MorseConfig.LEVEL_TRACKS.SEND) {
         console.log("UI: Attempting to show Level Selection Screen...");
         this._hideAllViews();
         this.levelSelectionScreen?.classList.remove('hidden');
@@ -242,6 +694,8 @@ class UIManager {
             return;
         }
         console.log("UI: Level Selection Screen element found, populating list...");
+        const title = this.levelSelectionScreen.querySelector('h2');
+        if (title) title.textContent = track === MorseConfig.LEVEL_TRACKS.RECEIVE ? 'Select Receive Level' : 'Select Level';
 
         this.levelListContainer.innerHTML = '';
         levelsWithStatus.forEach(level => {
@@ -259,8 +713,9 @@ class UIManager {
              } else {
                  button.disabled = true;
                  button.classList.add('locked');
-                 button.title = level.unlock_criteria
-                     ? `Requires ${level.unlock_criteria.min_wpm} WPM & ${level.unlock_criteria.min_accuracy}% Accuracy on Level ${level.id - 1}`
+                 const criteria = level.unlockCriteria || level.unlock_criteria;
+                 button.title = criteria
+                     ? `Requires ${criteria.min_wpm} WPM & ${criteria.min_accuracy}% Accuracy on Level ${level.id - 1}`
                      : 'Locked';
              }
              this.levelListContainer.appendChild(button);
@@ -274,21 +729,40 @@ class UIManager {
         console.log("UI: Hiding Level Selection Screen.");
     }
 
-    /** Shows the results overlay and configures UI elements for results mode. */
-    showResultsScreen(scores, unlockedLevelId, hasNextLevelOption, mode) {
+    /**
+     * Shows the results overlay and configures UI elements for results mode.
+     * @param {object} scores - From ScoreCalculator.
+     * @param {number|null} unlockedLevelId - Level unlocked by this result, if any.
+     * @param {boolean} hasNextLevelOption - Enables the Next paddle.
+     * @param {string} mode - The AppMode the result belongs to.
+     * @param {string|null} [progressMessage=null] - Replaces the level unlock message (Koch lessons).
+     */
+    showResultsScreen(scores, unlockedLevelId, hasNextLevelOption, mode, progressMessage = null) {
         this._hideAllViews();
         this.resultsScreen?.classList.remove('hidden');
         this.inputArea?.classList.remove('hidden');
 
         if (!this.resultsScreen) return;
         this.resultsTime.textContent = `Time: ${scores.elapsedTimeSeconds.toFixed(1)}s`;
+        if (this.resultsSpeed) {
+            this.resultsSpeed.textContent = scores.effectiveWpm < scores.characterWpm
+                ? `Speed: ${scores.characterWpm} WPM char / ${scores.effectiveWpm} WPM effective`
+                : `Speed: ${scores.characterWpm} WPM`;
+        }
         this.resultsNetWpm.textContent = `Net WPM: ${scores.netWpm.toFixed(1)}`;
         this.resultsGrossWpm.textContent = `Gross WPM: ${scores.grossWpm.toFixed(1)}`;
         this.resultsAccuracy.textContent = `Accuracy: ${scores.accuracy.toFixed(1)}%`;
 
         this.updateStarRating(scores.accuracy);
 
-        if (mode === AppMode.GAME) {
+        this._renderResultsTiming(scores.timing || null);
+
+        this._renderResultsDiff(mode === AppMode.RECEIVE || mode === AppMode.KOCH ? scores.diff : null);
+
+        if (progressMessage) {
+            this.levelUnlockMessage.textContent = progressMessage;
+            this.levelUnlockMessage.style.display = 'block';
+        } else if (mode === AppMode.GAME || mode === AppMode.RECEIVE) {
             this.levelUnlockMessage.textContent = unlockedLevelId ? `Congratulations! Level ${unlockedLevelId} unlocked!` : '';
             this.levelUnlockMessage.style.display = unlockedLevelId ? 'block' : 'block';
         } else { // Sandbox
@@ -296,18 +770,116 @@ class UIManager {
             this.levelUnlockMessage.style.display = 'none';
         }
 
-        const keyDisplayDit = MorseConfig.getKeyDisplay(this.currentDitKey);
-        const keyDisplayDah = MorseConfig.getKeyDisplay(this.currentDahKey);
-        const instructionEl = this.resultsScreen.querySelector('.results-instructions');
-        if (instructionEl) {
-            instructionEl.innerHTML = `Press <span class="key-hint">${keyDisplayDit}</span> (Retry) or <span class="key-hint">${keyDisplayDah}</span> (Next)`;
-        }
+        this._updateResultsInstructions();
 
         this.updatePaddleLabels('results', hasNextLevelOption, mode);
         console.log(`UI: Showing Results (Mode: ${mode})`);
         this._updateDisplayAreaSizing();
     }
 
+    /**
+     * Renders the receive copy diff: matches, substitutions (typed char shown), missed chars
+     * (expected char, underlined) and extra chars (struck through). Hidden when no diff is given.
+     * @param {Array<object>|null} diff - Alignment from ScoreCalculator.calculateReceiveScores.
+     * @private
+     */
+    /** Shows the current dit/dah keys in the results screen's Retry/Next instructions. @private */
+    _updateResultsInstructions() {
+        const instructionEl = this.resultsScreen?.querySelector('.results-instructions');
+        if (!instructionEl) return;
+        const keyDisplayDit = MorseConfig.getKeyDisplay(this.currentDitKey);
+        const keyDisplayDah = MorseConfig.getKeyDisplay(this.currentDahKey);
+        instructionEl.innerHTML = `Press <span class="key-hint">${keyDisplayDit}</span> (Retry) or <span class="key-hint">${keyDisplayDah}</span> (Next)`;
+    }
+
+    _renderResultsDiff(diff) {
+        if (!this.resultsDiff) return;
+        this.resultsDiff.innerHTML = '';
+        if (!diff || diff.length === 0) {
+            this.resultsDiff.classList.add('hidden');
+            return;
+        }
+        const titles = { match: 'Correct', sub: 'Sent', del: 'Missed', ins: 'Extra' };
+        diff.forEach(entry => {
+            const span = document.createElement('span');
+            span.classList.add('diff-char', `diff-${entry.op}`);
+            const shown = entry.op === 'del' ? entry.expected : entry.actual;
+            span.textContent = shown === ' ' ? '\u00A0' : shown;
+            span.title = entry.op === 'sub' ? `${titles.sub}: ${entry.expected}` : titles[entry.op];
+            this.resultsDiff.appendChild(span);
+        });
+        this.resultsDiff.classList.remove('hidden');
+    }
+
+    /**
+     * Shows the fist quality score and the timing breakdown of a keyed sentence.
+     * Both are hidden when no timing is given (receive modes).
+     * @param {object|null} timing - From TimingAnalyzer.analyze.
+     * @private
+     */
+    _renderResultsTiming(timing) {
+        if (this.resultsFist) {
+            this.resultsFist.textContent = timing && timing.fistQuality !== null ? `Fist Quality: ${timing.fistQuality}/100` : '';
+            this.resultsFist.style.display = timing && timing.fistQuality !== null ? 'block' : 'none';
+        }
+        if (!this.resultsTiming) return;
+        this.resultsTiming.innerHTML = '';
+        if (!timing) {
+            this.resultsTiming.classList.add('hidden');
+            return;
+        }
+        const percent = (accuracy) => accuracy === null ? '–' : `${accuracy}%`;
+        const gapLine = (label, gap) => gap.count > 0
+            ? `${label}: ${gap.averageMs} ms avg (ideal ${gap.idealMs} ms), ${percent(gap.accuracy)} accurate`
+            : `${label}: –`;
+        const lines = [
+            `Dit: ${timing.averageDitMs} ms avg (${timing.idealDitMs} ms at your WPM setting)`,
+            `Dah:Dit ratio: ${timing.dahDitRatio ?? '–'} (ideal ${timing.idealDahDitRatio})`,
+            `Element lengths: ${percent(timing.elementAccuracy)} accurate`,
+            gapLine('Element gaps', timing.intraCharGap),
+            gapLine('Letter gaps', timing.interCharGap)
+        ];
+        const uneven = timing.characters.filter(c => c.deviation > 0).slice(0, 5);
+        if (uneven.length > 0) {
+            lines.push(`Least even: ${uneven.map(c => `${c.character} ±${c.deviation}%`).join(', ')}`);
+        }
+        lines.forEach(text => {
+            const line = document.createElement('p');
+            line.textContent = text;
+            this.resultsTiming.appendChild(line);
+        });
+        this.resultsTiming.classList.remove('hidden');
+    }
+
+    /**
+     * Starts drawing the live keying timeline (until the view changes).
+     * @param {function(): object} getData - Frame data for KeyingTimeline.draw.
+     */
+    startLiveKeyingTimeline(getData) {
+        this.keyingTimeline.startLive(getData);
+    }
+
+    /**
+     * Replays a keyed sentence on the results screen and shows "Hear My Sending", or hides both
+     * when there is nothing to show.
+     * @param {object|null} data - Replay data for KeyingTimeline.replay, or null (receive modes).
+     */
+    showKeyingReplay(data) {
+        const hasKeying = !!(data && data.timeline.length > 0);
+        this.resultsKeyingTimelineCanvas?.classList.toggle('hidden', !hasKeying);
+        this.hearSendingControls?.classList.toggle('hidden', !hasKeying);
+        this.setHearSendingPlaying(false);
+        if (hasKeying) this.resultsKeyingTimeline.replay(data);
+    }
+
+    /** Switches the "Hear My Sending" button between play and stop. */
+    setHearSendingPlaying(isPlaying) {
+        if (this.hearSendingButton) this.hearSendingButton.textContent = isPlaying ? '■ Stop' : '🔊 Hear My Sending';
+    }
+
+    /** @returns {boolean} True if the user's keying should alternate with the ideal rendering, word by word. */
+    isHearSendingCompareEnabled() { return !!this.hearSendingCompareToggle?.checked; }
+
     /** Updates the star display based on score/accuracy. */
     updateStarRating(accuracy) {
         if (!this.resultsRatingContainer) return;
@@ -360,7 +932,72 @@ class UIManager {
         }
     }
 
-    updatePlaybackMorseDisplay(formattedMorse) { if (this.playbackMorseDisplay) this.playbackMorseDisplay.textContent = formattedMorse || '\u00A0'; }
+    /**
+     * Renders the playback text and its Morse, one span per character (keyed by its index in the
+     * transport's character map) so the sounding character can be highlighted and clicked.
+     * Characters that are not played are shown in the text only, dimmed.
+     * @param {Array<{token: string, sequence: string|null, wordIndex: number}>} characters - PlaybackTransport.getCharacters().
+     */
+    renderPlaybackCharacters(characters) {
+        if (!this.playbackTextDisplay || !this.playbackMorseDisplay) return;
+        this.playbackTextDisplay.innerHTML = '';
+        this.playbackMorseDisplay.innerHTML = '';
+
+        let lastTextWord = 0;
+        let lastMorseWord = null;
+        characters.forEach((character, index) => {
+            const isProsign = character.token.length > 1;
+            const textSpan = document.createElement('span');
+            textSpan.textContent = isProsign ? character.token.slice(1, -1) : character.token;
+            textSpan.classList.add('playback-char');
+            if (isProsign) textSpan.classList.add('prosign');
+            if (character.wordIndex !== lastTextWord) this.playbackTextDisplay.appendChild(document.createTextNode(' '));
+            lastTextWord = character.wordIndex;
+            this.playbackTextDisplay.appendChild(textSpan);
+
+            if (character.sequence === null) {
+                textSpan.classList.add('unplayed');
+                textSpan.title = 'Not in the current alphabet';
+                return;
+            }
+            textSpan.dataset.charIndex = index;
+            const morseSpan = document.createElement('span');
+            morseSpan.textContent = character.sequence;
+            morseSpan.classList.add('playback-char');
+            morseSpan.dataset.charIndex = index;
+            if (lastMorseWord !== null) {
+                this.playbackMorseDisplay.appendChild(document.createTextNode(character.wordIndex !== lastMorseWord ? ' / ' : ' '));
+            }
+            lastMorseWord = character.wordIndex;
+            this.playbackMorseDisplay.appendChild(morseSpan);
+        });
+        if (lastMorseWord === null) this.playbackMorseDisplay.textContent = '\u00A0';
+    }
+
+    /** Marks the character sounding (or paused on) in the playback text and Morse. @param {number} index - Character index, or -1 for none. */
+    highlightPlaybackCharacter(index) {
+        [this.playbackTextDisplay, this.playbackMorseDisplay].forEach(container => {
+            if (!container) return;
+            container.querySelectorAll('.playback-char.sounding').forEach(span => span.classList.remove('sounding'));
+            if (index !== -1) container.querySelector(`.playback-char[data-char-index="${index}"]`)?.classList.add('sounding');
+        });
+    }
+
+    /**
+     * Updates the playback buttons for the transport state.
+     * @param {string} state - TransportState value.
+     * @param {boolean} canReplayWord - A word has been played (or is playing).
+     */
+    updatePlaybackTransport(state, canReplayWord) {
+        if (this.playSentenceButton) this.playSentenceButton.textContent = state === TransportState.STOPPED ? 'Play Morse' : 'Stop Playback';
+        if (this.playbackPauseButton) {
+            this.playbackPauseButton.disabled = state === TransportState.STOPPED;
+            this.playbackPauseButton.textContent = state === TransportState.PAUSED ? '▶ Resume' : '⏸ Pause';
+        }
+        if (this.playbackReplayWordButton) this.playbackReplayWordButton.disabled = !canReplayWord;
+    }
+
+    isPlaybackLoopEnabled() { return !!this.playbackLoopToggle?.checked; }
     updateSandboxMorsePreview(formattedMorse) { if (this.sandboxMorsePreview) this.sandboxMorsePreview.textContent = formattedMorse || '\u00A0'; }
 
     /** Sets the visual state (default, correct-flash, incorrect-pattern) for the pattern containers. */
@@ -375,12 +1012,12 @@ class UIManager {
         // --- Clear conflicting timeouts ---
         if (state !== 'correct' && this._correctFlashTimeout) {
             console.log("[Feedback DBG] Clearing existing CORRECT timeout.");
-            clearTimeout(this._correctFlashTimeout);
+            this.clock.clearTimeout(this._correctFlashTimeout);
             this._correctFlashTimeout = null;
         }
         if (state !== 'incorrect' && this._incorrectPatternTimeout) {
             console.log("[Feedback DBG] Clearing existing INCORRECT timeout.");
-            clearTimeout(this._incorrectPatternTimeout);
+            this.clock.clearTimeout(this._incorrectPatternTimeout);
             this._incorrectPatternTimeout = null;
         }
 
@@ -402,7 +1039,7 @@ class UIManager {
             // Use a slightly shorter duration maybe than incorrect?
             const correctFlashDuration = MorseConfig.INCORRECT_FLASH_DURATION * 0.8;
 
-            this._correctFlashTimeout = setTimeout(() => {
+            this._correctFlashTimeout = this.clock.setTimeout(() => {
                  console.log("[Feedback DBG] CORRECT timeout fired. Removing 'correct-flash'.");
                  userContainer.classList.remove('correct-flash');
                  if (targetContainer) targetContainer.classList.remove('correct-flash');
@@ -414,7 +1051,7 @@ class UIManager {
             userContainer.classList.add('incorrect-pattern');
             if (targetContainer) targetContainer.classList.add('incorrect-pattern');
 
-            this._incorrectPatternTimeout = setTimeout(() => {
+            this._incorrectPatternTimeout = this.clock.setTimeout(() => {
                 console.log("[Feedback DBG] INCORRECT timeout fired. Removing 'incorrect-pattern'.");
                 userContainer.classList.remove('incorrect-pattern');
                 if (targetContainer) targetContainer.classList.remove('incorrect-pattern');
@@ -426,8 +1063,9 @@ class UIManager {
     }
 
 
-    /** Renders the sentence text into the display area. */
+    /** Renders the sentence text into the display area. Each prosign token becomes one span keyed by its start index. */
     renderSentence(sentence) {
+        this.highlightedCharIndex = null;
         if (!this.textDisplay || !this.textDisplayWrapper) return;
         this.textDisplay.innerHTML = '';
         this.textDisplay.style.fontSize = '';
@@ -435,12 +1073,18 @@ class UIManager {
         this.textDisplayWrapper.scrollLeft = 0;
 
         if (sentence) {
-            sentence.split('').forEach((char, index) => {
+            MorseConfig.tokenizeMorseText(sentence).forEach(({ token, index }) => {
                 const span = document.createElement('span');
-                span.textContent = char;
+                const isProsign = token.length > 1;
+                span.textContent = isProsign ? token.slice(1, -1) : token;
                 span.classList.add('char', 'pending');
                 span.dataset.index = index;
-                if (char === ' ') span.classList.add('space');
+                if (token === ' ') span.classList.add('space');
+                if (isProsign) {
+                    span.classList.add('prosign');
+                    span.dataset.prosign = token;
+                    span.title = `Prosign ${token}`;
+                }
                 this.textDisplay.appendChild(span);
             });
         }
@@ -479,6 +1123,7 @@ class UIManager {
         this.textDisplay?.querySelectorAll('.char').forEach(span => {
             span.className = 'char pending'; // Base classes
             if (span.textContent === ' ') span.classList.add('space');
+            if (span.dataset.prosign) span.classList.add('prosign');
         });
     }
 
@@ -491,13 +1136,11 @@ class UIManager {
 
             if (state === 'incorrect') {
                 this._stopHintPulse("Character Incorrect");
-                if (this._incorrectFlashTimeout) clearTimeout(this._incorrectFlashTimeout);
-                this._incorrectFlashTimeout = setTimeout(() => {
+                if (this._incorrectFlashTimeout) this.clock.clearTimeout(this._incorrectFlashTimeout);
+                this._incorrectFlashTimeout = this.clock.setTimeout(() => {
                     if (charSpan.classList.contains('incorrect')) {
                         charSpan.classList.remove('incorrect');
-                        const currentGameState = window.morseGameState;
-                        if (currentGameState && currentGameState.currentCharIndex === charIndex &&
-                            (currentGameState.isPlaying() || currentGameState.status === GameStatus.READY || currentGameState.status === GameStatus.LISTENING)) {
+                        if (this.highlightedCharIndex === charIndex) { // Still the character to key
                             charSpan.classList.add('current');
                         } else {
                             charSpan.classList.add('pending');
@@ -506,7 +1149,7 @@ class UIManager {
                     this._incorrectFlashTimeout = null;
                 }, MorseConfig.INCORRECT_FLASH_DURATION);
             } else if (this._incorrectFlashTimeout && charSpan.classList.contains('incorrect')) {
-                clearTimeout(this._incorrectFlashTimeout);
+                this.clock.clearTimeout(this._incorrectFlashTimeout);
                 this._incorrectFlashTimeout = null;
             }
 
@@ -531,6 +1174,7 @@ class UIManager {
             }
         }
 
+        this.highlightedCharIndex = currentIdx;
         this.updateCharacterState(currentIdx, 'current');
 
         let morseSequence = null;
@@ -587,7 +1231,18 @@ class UIManager {
 
     // --- Settings ---
     _updateWpmDisplay(wpm) { if(this.wpmValueDisplay) this.wpmValueDisplay.textContent = wpm; }
+    _updateEffectiveWpmDisplay(wpm) { if(this.effectiveWpmValueDisplay) this.effectiveWpmValueDisplay.textContent = wpm; }
     _updateFrequencyDisplay(freq) { if(this.frequencyValueDisplay) this.frequencyValueDisplay.textContent = freq; }
+    _updateBandSnrDisplay(snrDb) { if(this.bandSnrValueDisplay) this.bandSnrValueDisplay.textContent = snrDb; }
+    _updateWeightingDisplay(weighting) { if(this.weightingValueDisplay) this.weightingValueDisplay.textContent = weighting; }
+    _updateDahRatioDisplay(ratio) { if(this.dahRatioValueDisplay) this.dahRatioValueDisplay.textContent = ratio.toFixed(1); }
+
+    /** Sets the effective WPM and syncs its slider/label (slider may need snapping back after clamping). */
+    _setEffectiveWpm(wpm) {
+        this.currentEffectiveWpm = wpm;
+        if (this.effectiveWpmSlider) this.effectiveWpmSlider.value = wpm;
+        this._updateEffectiveWpmDisplay(wpm);
+    }
 
     // --- Volume UI Updates ---
     _updateVolumeSliderUI(volume) { if (this.volumeSlider) this.volumeSlider.value = volume; }
@@ -618,15 +1273,26 @@ class UIManager {
 
     _saveSettings() {
          try {
-             localStorage.setItem(MorseConfig.STORAGE_KEY_SETTINGS_WPM, this.currentWpm);
-             localStorage.setItem(MorseConfig.STORAGE_KEY_SETTINGS_SOUND, this.isSoundEnabled);
-             localStorage.setItem(MorseConfig.STORAGE_KEY_SETTINGS_DARK_MODE, this.isDarkModeEnabled);
-             localStorage.setItem(MorseConfig.STORAGE_KEY_SETTINGS_FREQUENCY, this.currentFrequency);
-             localStorage.setItem(MorseConfig.STORAGE_KEY_SETTINGS_HINT_VISIBLE, this.isHintVisible);
-             localStorage.setItem(MorseConfig.STORAGE_KEY_SETTINGS_VOLUME, this.currentVolume);
-             localStorage.setItem(MorseConfig.STORAGE_KEY_SETTINGS_DIT_KEY, this.currentDitKey); // Save Dit key
-             localStorage.setItem(MorseConfig.STORAGE_KEY_SETTINGS_DAH_KEY, this.currentDahKey); // Save Dah key
-             console.log("Settings Saved:", { wpm: this.currentWpm, sound: this.isSoundEnabled, dark: this.isDarkModeEnabled, freq: this.currentFrequency, hint: this.isHintVisible, volume: this.currentVolume, ditKey: this.currentDitKey, dahKey: this.currentDahKey });
+             const storage = window.morseStorage; // Settings are kept per profile
+             storage.setItem(MorseConfig.STORAGE_KEY_SETTINGS_WPM, this.currentWpm);
+             storage.setItem(MorseConfig.STORAGE_KEY_SETTINGS_EFFECTIVE_WPM, this.currentEffectiveWpm);
+             storage.setItem(MorseConfig.STORAGE_KEY_SETTINGS_SOUND, this.isSoundEnabled);
+             storage.setItem(MorseConfig.STORAGE_KEY_SETTINGS_DARK_MODE, this.isDarkModeEnabled);
+             storage.setItem(MorseConfig.STORAGE_KEY_SETTINGS_FREQUENCY, this.currentFrequency);
+             storage.setItem(MorseConfig.STORAGE_KEY_SETTINGS_HINT_VISIBLE, this.isHintVisible);
+             storage.setItem(MorseConfig.STORAGE_KEY_SETTINGS_VOLUME, this.currentVolume);
+             storage.setItem(MorseConfig.STORAGE_KEY_SETTINGS_DIT_KEY, this.currentDitKey); // Save Dit key
+             storage.setItem(MorseConfig.STORAGE_KEY_SETTINGS_DAH_KEY, this.currentDahKey); // Save Dah key
+             storage.setItem(MorseConfig.STORAGE_KEY_SETTINGS_INPUT_MODE, this.currentInputMode);
+             storage.setItem(MorseConfig.STORAGE_KEY_SETTINGS_KEYER_MODE, this.currentKeyerMode);
+             storage.setItem(MorseConfig.STORAGE_KEY_SETTINGS_ALPHABET, this.currentAlphabet);
+             storage.setItem(MorseConfig.STORAGE_KEY_SETTINGS_BAND_CONDITIONS, this.currentBandConditions);
+             storage.setItem(MorseConfig.STORAGE_KEY_SETTINGS_BAND_SNR, this.currentBandSnr);
+             storage.setItem(MorseConfig.STORAGE_KEY_SETTINGS_WEIGHTING, this.currentWeighting);
+             storage.setItem(MorseConfig.STORAGE_KEY_SETTINGS_DAH_RATIO, this.currentDahRatio);
+             storage.setItem(MorseConfig.STORAGE_KEY_SETTINGS_DIT_MEMORY, this.isDitMemoryEnabled);
+             storage.setItem(MorseConfig.STORAGE_KEY_SETTINGS_DAH_MEMORY, this.isDahMemoryEnabled);
+             console.log("Settings Saved:", { wpm: this.currentWpm, effectiveWpm: this.currentEffectiveWpm, sound: this.isSoundEnabled, dark: this.isDarkModeEnabled, freq: this.currentFrequency, hint: this.isHintVisible, volume: this.currentVolume, ditKey: this.currentDitKey, dahKey: this.currentDahKey, inputMode: this.currentInputMode, keyerMode: this.currentKeyerMode, alphabet: this.currentAlphabet, bandConditions: this.currentBandConditions, bandSnr: this.currentBandSnr, weighting: this.currentWeighting, dahRatio: this.currentDahRatio, ditMemory: this.isDitMemoryEnabled, dahMemory: this.isDahMemoryEnabled });
          } catch (e) {
              console.error("Error saving settings:", e);
          }
@@ -634,24 +1300,30 @@ class UIManager {
 
     _loadSettings() {
         try {
-            const savedWpm = localStorage.getItem(MorseConfig.STORAGE_KEY_SETTINGS_WPM);
-            const savedSound = localStorage.getItem(MorseConfig.STORAGE_KEY_SETTINGS_SOUND);
-            const savedDarkMode = localStorage.getItem(MorseConfig.STORAGE_KEY_SETTINGS_DARK_MODE);
-            const savedFrequency = localStorage.getItem(MorseConfig.STORAGE_KEY_SETTINGS_FREQUENCY);
-            const savedHintVisible = localStorage.getItem(MorseConfig.STORAGE_KEY_SETTINGS_HINT_VISIBLE);
-            const savedVolume = localStorage.getItem(MorseConfig.STORAGE_KEY_SETTINGS_VOLUME);
-            const savedDitKey = localStorage.getItem(MorseConfig.STORAGE_KEY_SETTINGS_DIT_KEY); // Load Dit key
-            const savedDahKey = localStorage.getItem(MorseConfig.STORAGE_KEY_SETTINGS_DAH_KEY); // Load Dah key
-
-            this.currentWpm = savedWpm !== null ? parseInt(savedWpm, 10) : MorseConfig.DEFAULT_WPM;
-            this.isSoundEnabled = savedSound !== null ? JSON.parse(savedSound) : true;
-            this.isDarkModeEnabled = savedDarkMode !== null ? JSON.parse(savedDarkMode) : false;
-            this.currentFrequency = savedFrequency !== null ? parseInt(savedFrequency, 10) : MorseConfig.AUDIO_DEFAULT_TONE_FREQUENCY;
-            this.isHintVisible = savedHintVisible !== null ? JSON.parse(savedHintVisible) : MorseConfig.HINT_DEFAULT_VISIBLE;
-            this.currentVolume = savedVolume !== null ? parseFloat(savedVolume) : MorseConfig.AUDIO_DEFAULT_VOLUME;
-            // Load keys, using defaults if not found or invalid
-            this.currentDitKey = (savedDitKey && savedDitKey.trim() !== '') ? savedDitKey : MorseConfig.KEYBINDING_DEFAULTS.dit;
-            this.currentDahKey = (savedDahKey && savedDahKey.trim() !== '') ? savedDahKey : MorseConfig.KEYBINDING_DEFAULTS.dah;
+            const storage = window.morseStorage; // Settings are kept per profile; missing or corrupt values fall back to the defaults
+            this.currentWpm = storage.getNumber(MorseConfig.STORAGE_KEY_SETTINGS_WPM, MorseConfig.DEFAULT_WPM);
+            // Effective speed defaults to the character speed (standard timing) for existing users
+            this.currentEffectiveWpm = storage.getNumber(MorseConfig.STORAGE_KEY_SETTINGS_EFFECTIVE_WPM, this.currentWpm);
+            this.isSoundEnabled = storage.getBoolean(MorseConfig.STORAGE_KEY_SETTINGS_SOUND, true);
+            this.isDarkModeEnabled = storage.getBoolean(MorseConfig.STORAGE_KEY_SETTINGS_DARK_MODE, false);
+            this.currentFrequency = storage.getNumber(MorseConfig.STORAGE_KEY_SETTINGS_FREQUENCY, MorseConfig.AUDIO_DEFAULT_TONE_FREQUENCY);
+            this.isHintVisible = storage.getBoolean(MorseConfig.STORAGE_KEY_SETTINGS_HINT_VISIBLE, MorseConfig.HINT_DEFAULT_VISIBLE);
+            this.currentVolume = storage.getNumber(MorseConfig.STORAGE_KEY_SETTINGS_VOLUME, MorseConfig.AUDIO_DEFAULT_VOLUME);
+            this.currentDitKey = storage.getString(MorseConfig.STORAGE_KEY_SETTINGS_DIT_KEY, MorseConfig.KEYBINDING_DEFAULTS.dit);
+            this.currentDahKey = storage.getString(MorseConfig.STORAGE_KEY_SETTINGS_DAH_KEY, MorseConfig.KEYBINDING_DEFAULTS.dah);
+            const savedInputMode = storage.getItem(MorseConfig.STORAGE_KEY_SETTINGS_INPUT_MODE);
+            const savedKeyerMode = storage.getItem(MorseConfig.STORAGE_KEY_SETTINGS_KEYER_MODE);
+            const savedAlphabet = storage.getItem(MorseConfig.STORAGE_KEY_SETTINGS_ALPHABET);
+            const savedBandConditions = storage.getItem(MorseConfig.STORAGE_KEY_SETTINGS_BAND_CONDITIONS);
+            this.currentInputMode = Object.values(MorseConfig.INPUT_MODES).includes(savedInputMode) ? savedInputMode : MorseConfig.DEFAULT_INPUT_MODE;
+            this.currentKeyerMode = Object.values(KeyerMode).includes(savedKeyerMode) ? savedKeyerMode : MorseConfig.DEFAULT_KEYER_MODE;
+            this.currentAlphabet = MorseAlphabets.ALPHABETS[savedAlphabet] ? savedAlphabet : MorseAlphabets.DEFAULT_ALPHABET_ID;
+            this.currentBandConditions = MorseConfig.BAND_CONDITION_PRESETS[savedBandConditions] ? savedBandConditions : MorseConfig.DEFAULT_BAND_CONDITIONS;
+            this.currentBandSnr = storage.getNumber(MorseConfig.STORAGE_KEY_SETTINGS_BAND_SNR, MorseConfig.DEFAULT_BAND_SNR_DB);
+            this.currentWeighting = storage.getNumber(MorseConfig.STORAGE_KEY_SETTINGS_WEIGHTING, MorseConfig.DEFAULT_WEIGHTING);
+            this.currentDahRatio = storage.getNumber(MorseConfig.STORAGE_KEY_SETTINGS_DAH_RATIO, MorseConfig.DEFAULT_DAH_RATIO);
+            this.isDitMemoryEnabled = storage.getBoolean(MorseConfig.STORAGE_KEY_SETTINGS_DIT_MEMORY, MorseConfig.DEFAULT_DIT_MEMORY);
+            this.isDahMemoryEnabled = storage.getBoolean(MorseConfig.STORAGE_KEY_SETTINGS_DAH_MEMORY, MorseConfig.DEFAULT_DAH_MEMORY);
 
             // Basic validation to prevent assigning same key to both
             if (this.currentDitKey === this.currentDahKey) {
@@ -665,14 +1337,25 @@ class UIManager {
             }
 
 
+            // Farnsworth effective speed can't exceed the character speed
+            this.currentEffectiveWpm = Math.min(this.currentEffectiveWpm, this.currentWpm);
+
+            // Clamp keying weights
+            this.currentWeighting = Math.max(MorseConfig.MIN_WEIGHTING, Math.min(MorseConfig.MAX_WEIGHTING, this.currentWeighting));
+            this.currentDahRatio = Math.max(MorseConfig.MIN_DAH_RATIO, Math.min(MorseConfig.MAX_DAH_RATIO, this.currentDahRatio));
+
+            // Clamp band SNR
+            this.currentBandSnr = Math.max(MorseConfig.MIN_BAND_SNR_DB, Math.min(MorseConfig.MAX_BAND_SNR_DB, this.currentBandSnr));
+
             // Clamp frequency and volume
             this.currentFrequency = Math.max(MorseConfig.AUDIO_MIN_FREQUENCY, Math.min(MorseConfig.AUDIO_MAX_FREQUENCY, this.currentFrequency));
             this.currentVolume = Math.max(0.0, Math.min(1.0, this.currentVolume));
 
-            console.log("Settings Loaded:", { wpm: this.currentWpm, sound: this.isSoundEnabled, dark: this.isDarkModeEnabled, freq: this.currentFrequency, hint: this.isHintVisible, volume: this.currentVolume, ditKey: this.currentDitKey, dahKey: this.currentDahKey });
+            console.log("Settings Loaded:", { wpm: this.currentWpm, effectiveWpm: this.currentEffectiveWpm, sound: this.isSoundEnabled, dark: this.isDarkModeEnabled, freq: this.currentFrequency, hint: this.isHintVisible, volume: this.currentVolume, ditKey: this.currentDitKey, dahKey: this.currentDahKey, inputMode: this.currentInputMode, keyerMode: this.currentKeyerMode, alphabet: this.currentAlphabet, bandConditions: this.currentBandConditions, bandSnr: this.currentBandSnr, weighting: this.currentWeighting, dahRatio: this.currentDahRatio, ditMemory: this.isDitMemoryEnabled, dahMemory: this.isDahMemoryEnabled });
         } catch (e) {
             console.error("Error loading settings:", e);
             this.currentWpm = MorseConfig.DEFAULT_WPM;
+            this.currentEffectiveWpm = MorseConfig.DEFAULT_EFFECTIVE_WPM;
             this.isSoundEnabled = true;
             this.isDarkModeEnabled = false;
             this.currentFrequency = MorseConfig.AUDIO_DEFAULT_TONE_FREQUENCY;
@@ -680,6 +1363,15 @@ class UIManager {
             this.currentVolume = MorseConfig.AUDIO_DEFAULT_VOLUME;
             this.currentDitKey = MorseConfig.KEYBINDING_DEFAULTS.dit; // Default key on error
             this.currentDahKey = MorseConfig.KEYBINDING_DEFAULTS.dah; // Default key on error
+            this.currentInputMode = MorseConfig.DEFAULT_INPUT_MODE;
+            this.currentKeyerMode = MorseConfig.DEFAULT_KEYER_MODE;
+            this.currentAlphabet = MorseAlphabets.DEFAULT_ALPHABET_ID;
+            this.currentBandConditions = MorseConfig.DEFAULT_BAND_CONDITIONS;
+            this.currentBandSnr = MorseConfig.DEFAULT_BAND_SNR_DB;
+            this.currentWeighting = MorseConfig.DEFAULT_WEIGHTING;
+            this.currentDahRatio = MorseConfig.DEFAULT_DAH_RATIO;
+            this.isDitMemoryEnabled = MorseConfig.DEFAULT_DIT_MEMORY;
+            this.isDahMemoryEnabled = MorseConfig.DEFAULT_DAH_MEMORY;
         }
         // Update UI elements to reflect loaded state (done in constructor)
     }
@@ -721,8 +1413,12 @@ class UIManager {
         }
     }
 
-    setPlaybackButtonEnabled(enabled, text = 'Play Morse') { if (this.playSentenceButton) { this.playSentenceButton.disabled = !enabled; this.playSentenceButton.textContent = text; } }
+    setReceiveReplayEnabled(enabled, text = 'Play Again') { if (this.receiveReplayButton) { this.receiveReplayButton.disabled = !enabled; this.receiveReplayButton.textContent = text; } }
     _applyDarkMode(enable) { this.bodyElement.classList.toggle('dark-mode', enable); }
+    /** Straight-key mode uses a single paddle; CSS hides the dah paddle outside the results screen. */
+    _applyInputMode(mode) { this.bodyElement.classList.toggle('straight-key-mode', mode === MorseConfig.INPUT_MODES.STRAIGHT_KEY); }
+    /** Right-to-left alphabets (Hebrew, Arabic) flip the text display and text inputs via CSS. */
+    _applyTextDirection(direction) { this.bodyElement.classList.toggle('rtl-alphabet', direction === 'rtl'); }
 
     /** Applies the visual hint visibility state, respecting the peek state. */
     _applyHintVisibility(visible, startPulse = true) {
@@ -762,7 +1458,7 @@ class UIManager {
 
         const pulseDelayMs = 2000;
         console.log(`[Hint Pulse DBG] Scheduling pulse for ${svgs.length} SVGs in ${pulseDelayMs}ms`);
-        this._hintPulseTimer = setTimeout(() => {
+        this._hintPulseTimer = this.clock.setTimeout(() => {
             // Check conditions *again* when timer fires
             const currentSvgs = this.targetPatternContainer?.querySelectorAll('svg');
             if (currentSvgs && currentSvgs.length > 0 && !this.targetPatternOuterWrapper?.classList.contains('hint-hidden')) {
@@ -780,7 +1476,7 @@ class UIManager {
         let stoppedTimer = false;
         let removedClassCount = 0;
         if (this._hintPulseTimer) {
-            clearTimeout(this._hintPulseTimer);
+            this.clock.clearTimeout(this._hintPulseTimer);
             this._hintPulseTimer = null;
             stoppedTimer = true;
         }
@@ -866,9 +1562,8 @@ class UIManager {
     // --- Paddle Texture Drag and Drop ---
     _loadPaddleTextures() {
         try {
-            const savedTextures = localStorage.getItem(MorseConfig.STORAGE_KEY_PADDLE_TEXTURES);
-            if (savedTextures) {
-                const parsedTextures = JSON.parse(savedTextures);
+            const parsedTextures = window.morseStorage.getJSON(MorseConfig.STORAGE_KEY_PADDLE_TEXTURES, null);
+            if (parsedTextures) {
                 if (parsedTextures.dit) {
                     this._applyTexture(this.ditButton, parsedTextures.dit);
                     this.paddleTextures.dit = parsedTextures.dit;
@@ -885,12 +1580,8 @@ class UIManager {
         }
     }
     _savePaddleTextures() {
-        try {
-            localStorage.setItem(MorseConfig.STORAGE_KEY_PADDLE_TEXTURES, JSON.stringify(this.paddleTextures));
-            // console.log("Paddle textures saved:", this.paddleTextures);
-        } catch (e) {
-            console.error("Error saving paddle textures:", e);
-        }
+        // Large images can exceed the storage quota; the texture then only lasts for this visit
+        window.morseStorage.setJSON(MorseConfig.STORAGE_KEY_PADDLE_TEXTURES, this.paddleTextures);
     }
     _addDragDropListeners() {
         [this.ditButton, this.dahButton].forEach(paddle => {
@@ -1053,16 +1744,59 @@ class UIManager {
         this.startGameButton?.addEventListener('click', callbacks.onShowLevelSelect);
         this.showSandboxButton?.addEventListener('click', callbacks.onShowSandbox);
         this.showPlaybackButton?.addEventListener('click', callbacks.onShowPlayback);
+        this.showDecodeAudioButton?.addEventListener('click', callbacks.onShowDecodeAudio);
+        this.showStatsButton?.addEventListener('click', () => callbacks.onShowStats());
+        this.showLevelEditorButton?.addEventListener('click', () => callbacks.onShowLevelEditor());
+        this.profileSelect?.addEventListener('change', (e) => callbacks.onProfileSwitch(e.target.value));
+        this.profileNewButton?.addEventListener('click', () => callbacks.onProfileCreate());
+        this.profileRenameButton?.addEventListener('click', () => callbacks.onProfileRename());
+        this.profileDeleteButton?.addEventListener('click', () => callbacks.onProfileDelete());
+        this.showReceiveButton?.addEventListener('click', callbacks.onShowReceive);
+        this.showKochButton?.addEventListener('click', () => callbacks.onShowKoch());
+        this.startDrillButton?.addEventListener('click', () => callbacks.onStartDrill());
 
         // Playback
         this.playSentenceButton?.addEventListener('click', callbacks.onPlaySentence);
+        this.exportWavButton?.addEventListener('click', () => { if (callbacks.onExportWav) callbacks.onExportWav(); });
+        this.playbackInput?.addEventListener('input', () => { if (callbacks.onPlaybackInputChange) callbacks.onPlaybackInputChange(); });
+        this.playbackPauseButton?.addEventListener('click', () => { if (callbacks.onPlaybackPause) callbacks.onPlaybackPause(); });
+        this.playbackReplayWordButton?.addEventListener('click', () => { if (callbacks.onPlaybackReplayWord) callbacks.onPlaybackReplayWord(); });
+        this.playbackLoopToggle?.addEventListener('change', (e) => { if (callbacks.onPlaybackLoopChange) callbacks.onPlaybackLoopChange(e.target.checked); });
+        [this.playbackTextDisplay, this.playbackMorseDisplay].forEach(container => container?.addEventListener('click', (e) => {
+            const span = e.target.closest('.playback-char[data-char-index]');
+            if (span && callbacks.onPlaybackSeek) callbacks.onPlaybackSeek(Number(span.dataset.charIndex));
+        }));
+        this.hearSendingButton?.addEventListener('click', () => { this.hearSendingButton.blur(); if (callbacks.onHearSending) callbacks.onHearSending(); });
         this.playbackMenuButton?.addEventListener('click', callbacks.onShowMainMenu);
+        this.decodeAudioMenuButton?.addEventListener('click', callbacks.onShowMainMenu);
+        this.statsMenuButton?.addEventListener('click', callbacks.onShowMainMenu);
+        this.statsModeSelect?.addEventListener('change', () => callbacks.onShowStats());
+        this.decodeAudioInput?.addEventListener('change', (e) => {
+            const file = e.target.files && e.target.files[0];
+            if (file && callbacks.onDecodeAudioFile) callbacks.onDecodeAudioFile(file);
+        });
 
         // Sandbox
         this.startSandboxButton?.addEventListener('click', callbacks.onStartSandbox);
         this.sandboxInput?.addEventListener('input', callbacks.onSandboxInputChange);
         this.sandboxMenuButton?.addEventListener('click', callbacks.onShowMainMenu);
 
+        // Receive
+        this.receiveReplayButton?.addEventListener('click', callbacks.onReceiveReplay);
+        this.receiveSubmitButton?.addEventListener('click', callbacks.onReceiveSubmit);
+        this.receiveInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                if (callbacks.onReceiveSubmit) callbacks.onReceiveSubmit();
+            }
+        });
+        this.receiveMenuButton?.addEventListener('click', callbacks.onShowMainMenu);
+        this.kochLessonSelect?.addEventListener('change', (e) => {
+            const lesson = parseInt(e.target.value, 10);
+            if (callbacks.onKochLessonChange) callbacks.onKochLessonChange(lesson);
+            e.target.blur();
+        });
+
         // Level Selection
         this.levelListContainer?.addEventListener('click', (e) => {
             if (e.target.tagName === 'BUTTON' && e.target.classList.contains('level-button') && !e.target.disabled) {
@@ -1071,18 +1805,87 @@ class UIManager {
             }
         });
         this.levelSelectMenuButton?.addEventListener('click', callbacks.onShowMainMenu);
+        this.levelPackSelect?.addEventListener('change', (e) => {
+            e.target.blur();
+            callbacks.onLevelPackChange(e.target.value || null);
+        });
+        this.editLevelsButton?.addEventListener('click', () => callbacks.onShowLevelEditor());
+
+        // Level Editor
+        this.levelEditorMenuButton?.addEventListener('click', callbacks.onShowMainMenu);
+        this.levelEditorPackSelect?.addEventListener('change', (e) => callbacks.onLevelEditorPackSelect(e.target.value));
+        this.levelEditorNewPackButton?.addEventListener('click', () => callbacks.onLevelEditorPackCreate());
+        this.levelEditorRenamePackButton?.addEventListener('click', () => callbacks.onLevelEditorPackRename());
+        this.levelEditorDeletePackButton?.addEventListener('click', () => callbacks.onLevelEditorPackDelete());
+        this.levelEditorExportPackButton?.addEventListener('click', () => callbacks.onLevelEditorPackExport());
+        this.levelEditorImportPackButton?.addEventListener('click', () => this.levelEditorImportInput?.click());
+        this.levelEditorImportInput?.addEventListener('change', (e) => {
+            const file = e.target.files && e.target.files[0];
+            e.target.value = ''; // Choosing the same file again still fires 'change'
+            if (file) callbacks.onLevelEditorPackImportFile(file);
+        });
+        this.levelEditorLevelList?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button || button.disabled) return;
+            const index = parseInt(button.closest('li').dataset.index, 10);
+            callbacks.onLevelEditorLevelAction(button.dataset.action, index);
+        });
+        this.levelEditorAddLevelButton?.addEventListener('click', () => callbacks.onLevelEditorLevelAdd());
+        this.levelEditorSaveLevelButton?.addEventListener('click', () => callbacks.onLevelEditorLevelSave());
+        this.levelEditorCancelLevelButton?.addEventListener('click', () => this.hideLevelEditorForm());
 
         // Results Screen Navigation
         this.resultsMenuButton?.addEventListener('click', callbacks.onShowMainMenu);
 
         // Settings Modal Content
         this.wpmSlider?.addEventListener('input', (e) => this._updateWpmDisplay(parseInt(e.target.value, 10)));
-        this.wpmSlider?.addEventListener('change', (e) => { this.currentWpm = parseInt(e.target.value, 10); this._saveSettings(); if (callbacks.onWpmChange) callbacks.onWpmChange(this.currentWpm); });
+        this.wpmSlider?.addEventListener('change', (e) => {
+            this.currentWpm = parseInt(e.target.value, 10);
+            // Keep the Farnsworth effective speed at or below the character speed
+            const effectiveClamped = this.currentEffectiveWpm > this.currentWpm;
+            if (effectiveClamped) this._setEffectiveWpm(this.currentWpm);
+            this._saveSettings();
+            if (callbacks.onWpmChange) callbacks.onWpmChange(this.currentWpm);
+            if (effectiveClamped && callbacks.onEffectiveWpmChange) callbacks.onEffectiveWpmChange(this.currentEffectiveWpm);
+        });
+        this.effectiveWpmSlider?.addEventListener('input', (e) => this._updateEffectiveWpmDisplay(Math.min(parseInt(e.target.value, 10), this.currentWpm)));
+        this.effectiveWpmSlider?.addEventListener('change', (e) => {
+            this._setEffectiveWpm(Math.min(parseInt(e.target.value, 10), this.currentWpm));
+            this._saveSettings();
+            if (callbacks.onEffectiveWpmChange) callbacks.onEffectiveWpmChange(this.currentEffectiveWpm);
+        });
         this.frequencySlider?.addEventListener('input', (e) => this._updateFrequencyDisplay(parseInt(e.target.value, 10)));
         this.frequencySlider?.addEventListener('change', (e) => { this.currentFrequency = parseInt(e.target.value, 10); this._saveSettings(); if (callbacks.onFrequencyChange) callbacks.onFrequencyChange(this.currentFrequency); });
         this.soundToggle?.addEventListener('change', (e) => { this.isSoundEnabled = e.target.checked; this._saveSettings(); if (callbacks.onSoundToggle) callbacks.onSoundToggle(this.isSoundEnabled); });
+        this.inputModeSelect?.addEventListener('change', (e) => { this.currentInputMode = e.target.value; this._applyInputMode(this.currentInputMode); this._saveSettings(); if (callbacks.onInputModeChange) callbacks.onInputModeChange(this.currentInputMode); });
+        this.keyerModeSelect?.addEventListener('change', (e) => { this.currentKeyerMode = e.target.value; this._saveSettings(); if (callbacks.onKeyerModeChange) callbacks.onKeyerModeChange(this.currentKeyerMode); });
+        this.alphabetSelect?.addEventListener('change', (e) => {
+            this.currentAlphabet = e.target.value;
+            this._applyTextDirection(MorseAlphabets.getAlphabet(this.currentAlphabet).direction);
+            this._saveSettings();
+            if (callbacks.onAlphabetChange) callbacks.onAlphabetChange(this.currentAlphabet);
+        });
+        this.bandConditionsSelect?.addEventListener('change', (e) => { this.currentBandConditions = e.target.value; this._saveSettings(); if (callbacks.onBandConditionsChange) callbacks.onBandConditionsChange(this.getBandConditions()); });
+        this.bandSnrSlider?.addEventListener('input', (e) => this._updateBandSnrDisplay(parseInt(e.target.value, 10)));
+        this.bandSnrSlider?.addEventListener('change', (e) => { this.currentBandSnr = parseInt(e.target.value, 10); this._saveSettings(); if (callbacks.onBandConditionsChange) callbacks.onBandConditionsChange(this.getBandConditions()); });
+        this.weightingSlider?.addEventListener('input', (e) => this._updateWeightingDisplay(parseInt(e.target.value, 10)));
+        this.weightingSlider?.addEventListener('change', (e) => { this.currentWeighting = parseInt(e.target.value, 10); this._saveSettings(); if (callbacks.onKeyingWeightsChange) callbacks.onKeyingWeightsChange(this.getKeyingWeights()); });
+        this.dahRatioSlider?.addEventListener('input', (e) => this._updateDahRatioDisplay(parseFloat(e.target.value)));
+        this.dahRatioSlider?.addEventListener('change', (e) => { this.currentDahRatio = parseFloat(e.target.value); this._saveSettings(); if (callbacks.onKeyingWeightsChange) callbacks.onKeyingWeightsChange(this.getKeyingWeights()); });
+        this.ditMemoryToggle?.addEventListener('change', (e) => { this.isDitMemoryEnabled = e.target.checked; this._saveSettings(); if (callbacks.onPaddleMemoryChange) callbacks.onPaddleMemoryChange(this.isDitMemoryEnabled, this.isDahMemoryEnabled); });
+        this.dahMemoryToggle?.addEventListener('change', (e) => { this.isDahMemoryEnabled = e.target.checked; this._saveSettings(); if (callbacks.onPaddleMemoryChange) callbacks.onPaddleMemoryChange(this.isDitMemoryEnabled, this.isDahMemoryEnabled); });
         this.darkModeToggle?.addEventListener('change', (e) => { this.isDarkModeEnabled = e.target.checked; this._applyDarkMode(this.isDarkModeEnabled); this._saveSettings(); if (callbacks.onDarkModeToggle) callbacks.onDarkModeToggle(this.isDarkModeEnabled); });
         this.resetProgressButton?.addEventListener('click', () => { if (callbacks.onResetProgress) callbacks.onResetProgress(); });
+        this.exportBackupButton?.addEventListener('click', () => callbacks.onExportBackup());
+        this.importBackupButton?.addEventListener('click', () => this.importBackupInput?.click());
+        this.importBackupInput?.addEventListener('change', (e) => {
+            const file = e.target.files && e.target.files[0];
+            e.target.value = ''; // Choosing the same file again still fires 'change'
+            if (file) callbacks.onImportBackupFile(file);
+        });
+        this.backupMergeButton?.addEventListener('click', () => callbacks.onApplyBackupImport('merge'));
+        this.backupReplaceButton?.addEventListener('click', () => callbacks.onApplyBackupImport('replace'));
+        this.backupCancelButton?.addEventListener('click', () => callbacks.onApplyBackupImport(null));
 
         // Key Mapping Inputs (in Modal)
         this.ditKeyInput?.addEventListener('click', this._handleKeyMappingInputFocus.bind(this));
@@ -1117,8 +1920,8 @@ class UIManager {
         // Resize handler
         let resizeTimeout;
         window.addEventListener('resize', () => {
-            clearTimeout(resizeTimeout);
-            resizeTimeout = setTimeout(() => {
+            this.clock.clearTimeout(resizeTimeout);
+            resizeTimeout = this.clock.setTimeout(() => {
                 const currentSpan = this.textDisplay?.querySelector('.char.current');
                 this._adjustTextDisplayFontSize();
                 if (currentSpan) {
@@ -1133,15 +1936,24 @@ class UIManager {
 
     // --- Getters for Initial/Current State ---
     getInitialWpm() { return this.currentWpm; }
+    getInitialEffectiveWpm() { return this.currentEffectiveWpm; }
     getInitialSoundState() { return this.isSoundEnabled; }
     getInitialDarkModeState() { return this.isDarkModeEnabled; }
     getInitialFrequency() { return this.currentFrequency; }
     getInitialHintState() { return this.isHintVisible; }
     getInitialVolume() { return this.currentVolume; }
+    getInitialInputMode() { return this.currentInputMode; }
+    getInitialKeyerMode() { return this.currentKeyerMode; }
+    getInitialAlphabet() { return this.currentAlphabet; }
+    getBandConditions() { return { presetId: this.currentBandConditions, snrDb: this.currentBandSnr }; }
+    getKeyingWeights() { return { weighting: this.currentWeighting, dahRatio: this.currentDahRatio }; }
+    getPaddleMemory() { return { dit: this.isDitMemoryEnabled, dah: this.isDahMemoryEnabled }; }
     getCurrentDitKey() { return this.currentDitKey; }
     getCurrentDahKey() { return this.currentDahKey; }
     getPlaybackSentence() { return this.playbackInput ? this.playbackInput.value : ""; }
     getSandboxSentence() { return this.sandboxInput ? this.sandboxInput.value : ""; }
+    getReceiveAnswer() { return this.receiveInput ? this.receiveInput.value : ""; }
+    blurReceiveInput() { this.receiveInput?.blur(); }
 }
 
 // Ensure this runs after config.js
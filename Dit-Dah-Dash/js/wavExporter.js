@@ -0,0 +1,120 @@
+/* Dit-Dah-Dash/js/wavExporter.js */
+/* In file: js/wavExporter.js */
+/**
+ * js/wavExporter.js
+ * -----------------
+ * Renders a Morse sequence to a 16-bit mono WAV file with a pure-JS PCM generator,
+ * so practice audio can be saved and played away from the app. Uses the same tone
+ * schedule as live playback (AudioPlayer.buildToneSchedule), so WPM, Farnsworth
+ * spacing and keying weights match, and the same frequency, volume and ramp envelope.
+ */
+
+class WavExporter {
+    /**
+     * @constructor
+     * @param {number} [sampleRate] - Output sample rate in Hz.
+     */
+    constructor(sampleRate = MorseConfig.WAV_SAMPLE_RATE) {
+        this.sampleRate = sampleRate;
+    }
+
+    /**
+     * Renders a tone schedule into PCM samples.
+     * Each tone ramps linearly up and down over rampTime, like the live oscillator envelope.
+     * @param {{tones: Array<{offset: number, duration: number}>, totalDuration: number}} schedule - From AudioPlayer.buildToneSchedule.
+     * @param {object} tone - Sound settings.
+     * @param {number} tone.frequency - Tone frequency in Hz.
+     * @param {number} tone.volume - Master volume (0.0 to 1.0).
+     * @param {number} tone.rampTime - Fade in/out time in seconds.
+     * @param {number} [tone.padding] - Silence before and after, in seconds.
+     * @returns {Float32Array} Samples in [-1, 1].
+     */
+    renderSamples(schedule, { frequency, volume, rampTime, padding = MorseConfig.WAV_PADDING_SECONDS }) {
+        const rate = this.sampleRate;
+        const lastToneEnd = schedule.tones.reduce((end, t) => Math.max(end, t.offset + t.duration), 0);
+        const totalSeconds = padding * 2 + lastToneEnd; // Trailing gap is replaced by the padding
+        const samples = new Float32Array(Math.ceil(totalSeconds * rate));
+        const peak = MorseConfig.AUDIO_TONE_PEAK_GAIN * volume;
+        const angularStep = 2 * Math.PI * frequency / rate;
+
+        schedule.tones.forEach(({ offset, duration }) => {
+            if (duration <= 0) return;
+            const first = Math.round((padding + offset) * rate);
+            const count = Math.round(duration * rate);
+            const ramp = Math.min(rampTime, duration / 2);
+            for (let i = 0; i < count && first + i < samples.length; i++) {
+                const t = i / rate;
+                let envelope = 1;
+                if (ramp > 0 && t < ramp) envelope = t / ramp;
+                else if (ramp > 0 && t > duration - ramp) envelope = (duration - t) / ramp;
+                samples[first + i] = Math.sin(angularStep * i) * peak * envelope;
+            }
+        });
+        return samples;
+    }
+
+    /**
+     * Wraps PCM samples in a 16-bit mono WAV container.
+     * @param {Float32Array} samples - Samples in [-1, 1].
+     * @returns {ArrayBuffer} The complete WAV file.
+     */
+    encodeWav(samples) {
+        const bytesPerSample = 2;
+        const dataSize = samples.length * bytesPerSample;
+        const buffer = new ArrayBuffer(44 + dataSize);
+        const view = new DataView(buffer);
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);                              // fmt chunk size
+        view.setUint16(20, 1, true);                               // PCM
+        view.setUint16(22, 1, true);                               // Mono
+        view.setUint32(24, this.sampleRate, true);
+        view.setUint32(28, this.sampleRate * bytesPerSample, true); // Byte rate
+        view.setUint16(32, bytesPerSample, true);                  // Block align
+        view.setUint16(34, 16, true);                              // Bits per sample
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        let offset = 44;
+        for (let i = 0; i < samples.length; i++, offset += bytesPerSample) {
+            const sample = Math.max(-1, Math.min(1, samples[i]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+        }
+        return buffer;
+    }
+
+    /**
+     * Renders a Morse string with an audio player's current timing and sound settings.
+     * @param {string} morseString - Formatted Morse sequence from MorseDecoder.encodeSentence.
+     * @param {AudioPlayer} audioPlayer - Source of the schedule, frequency, volume and ramp time.
+     * @returns {ArrayBuffer} The WAV file.
+     */
+    renderMorse(morseString, audioPlayer) {
+        const schedule = audioPlayer.buildToneSchedule(morseString);
+        const samples = this.renderSamples(schedule, {
+            frequency: audioPlayer.toneFrequency,
+            volume: audioPlayer.currentVolume,
+            rampTime: audioPlayer.rampTime
+        });
+        console.log(`WAV rendered: ${schedule.tones.length} tones, ${(samples.length / this.sampleRate).toFixed(1)}s`);
+        return this.encodeWav(samples);
+    }
+
+    /**
+     * Offers a WAV file to the user as a download.
+     * @param {ArrayBuffer} wavBuffer - The WAV file.
+     * @param {string} filename - Suggested file name.
+     */
+    download(wavBuffer, filename) {
+        window.downloadFile(wavBuffer, filename, 'audio/wav');
+    }
+}
+
+// Create a single instance for the game
+window.morseWavExporter = new WavExporter();
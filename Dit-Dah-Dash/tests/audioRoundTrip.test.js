@@ -0,0 +1,76 @@
+/* Dit-Dah-Dash/tests/audioRoundTrip.test.js */
+/* In file: tests/audioRoundTrip.test.js */
+/**
+ * tests/audioRoundTrip.test.js
+ * ----------------------------
+ * Sentences rendered to WAV by WavExporter decode back to the same text with AudioDecoder,
+ * across character speeds, Farnsworth spacing and tone frequencies. The WAV bytes are read
+ * back into samples, so the 16-bit encoding is part of the trip.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/loadScripts');
+
+loadScripts(['config.js', 'clock.js', 'eventBus.js', 'alphabets.js', 'morseDecoder.js', 'audioPlayer.js',
+    'wavExporter.js', 'audioDecoder.js']);
+
+const SAMPLE_RATE = 8000; // Well above the highest tone; keeps the Goertzel scans quick
+
+/** Reads the samples back out of a 16-bit mono WAV from WavExporter.encodeWav. */
+function readWav(buffer) {
+    const view = new DataView(buffer);
+    const sampleRate = view.getUint32(24, true);
+    const count = view.getUint32(40, true) / 2;
+    const samples = new Float32Array(count);
+    for (let i = 0; i < count; i++) samples[i] = view.getInt16(44 + i * 2, true) / 0x8000;
+    return { samples, sampleRate };
+}
+
+/** Renders text at the given settings and decodes the resulting WAV. */
+function roundTrip(text, { wpm, effectiveWpm = wpm, frequency }) {
+    const player = new AudioPlayer(new VirtualClock(), new EventBus());
+    player.updateWpm(wpm);
+    player.updateEffectiveWpm(effectiveWpm);
+    player.updateFrequency(frequency);
+    const exporter = new WavExporter(SAMPLE_RATE);
+    const wav = exporter.renderMorse(window.morseDecoder.encodeSentence(text), player);
+    const { samples, sampleRate } = readWav(wav);
+    assert.equal(sampleRate, SAMPLE_RATE);
+    return new AudioDecoder().decodeSamples(samples, sampleRate);
+}
+
+const CASES = [
+    { text: 'PARIS PARIS', wpm: 5, frequency: 600 },
+    { text: 'CQ DE K1ABC', wpm: 12, frequency: 500 },
+    { text: 'THE QUICK BROWN FOX', wpm: 20, frequency: 700 },
+    { text: 'HELLO WORLD 73', wpm: 30, frequency: 900 },
+    { text: 'SOS 123', wpm: 40, frequency: 450 },
+    { text: 'FARNSWORTH TEST', wpm: 18, effectiveWpm: 8, frequency: 650 },
+    { text: 'KOCH 5 GROUPS', wpm: 25, effectiveWpm: 12, frequency: 800 },
+    { text: 'RST 599, QTH?', wpm: 15, frequency: 1000 }
+];
+
+CASES.forEach(({ text, ...settings }) => {
+    const speed = settings.effectiveWpm ? `${settings.wpm}/${settings.effectiveWpm} WPM` : `${settings.wpm} WPM`;
+    test(`"${text}" at ${speed}, ${settings.frequency} Hz decodes back to the same text`, () => {
+        const result = roundTrip(text, settings);
+        assert.equal(result.text, text);
+        assert.ok(Math.abs(result.frequency - settings.frequency) <= MorseConfig.AUDIO_DECODE_PITCH_STEP_HZ,
+            `pitch ${result.frequency} Hz`);
+        assert.ok(Math.abs(result.wpm - settings.wpm) <= settings.wpm * 0.15, `speed ${result.wpm} WPM`);
+    });
+});
+
+test('a WAV at the export sample rate decodes too', () => {
+    const player = new AudioPlayer(new VirtualClock(), new EventBus());
+    const wav = window.morseWavExporter.renderMorse(window.morseDecoder.encodeSentence('73 ES GL'), player);
+    const { samples, sampleRate } = readWav(wav);
+    assert.equal(sampleRate, MorseConfig.WAV_SAMPLE_RATE);
+    assert.equal(new AudioDecoder().decodeSamples(samples, sampleRate).text, '73 ES GL');
+});
+
+test('silence decodes to no text', () => {
+    const result = new AudioDecoder().decodeSamples(new Float32Array(SAMPLE_RATE), SAMPLE_RATE);
+    assert.equal(result.text, '');
+});
@@ -0,0 +1,136 @@
+/* Dit-Dah-Dash/tests/backupManager.test.js */
+/* In file: tests/backupManager.test.js */
+/**
+ * tests/backupManager.test.js
+ * ---------------------------
+ * Backup import on an in-memory backend: merging, validation of every entry's contents
+ * (including level packs) and that a bad backup is rejected without writing anything.
+ * The profile and session history are small stand-ins (one profile, no stored sessions).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createMemoryStorage } = require('./helpers/loadScripts');
+
+loadScripts(['config.js', 'storage.js', 'alphabets.js', 'morseDecoder.js', 'keyer.js', 'levelPackManager.js', 'backupManager.js']);
+
+const PREFIX = MorseConfig.STORAGE_KEY_PREFIX;
+
+const PACK = {
+    id: 'club',
+    name: 'Club',
+    levels: [{ id: 1, name: 'Calling', sentences: ['CQ CQ DE K1ABC'], unlock_criteria: { min_wpm: 5, min_accuracy: 80 } }]
+};
+
+/** A BackupManager over a fresh in-memory profile seeded with storage names (without the prefix). */
+function createManager(items = {}) {
+    const backend = createMemoryStorage();
+    Object.entries(items).forEach(([name, value]) => backend.setItem(PREFIX + name, value));
+    const storage = new StorageManager(backend);
+    const profileManager = {
+        getActiveProfile: () => ({ id: MorseConfig.DEFAULT_PROFILE_ID, name: 'Test' }),
+        listKeys: () => storage.listBackendKeys().filter(key => key.startsWith(PREFIX)).map(key => key.slice(PREFIX.length))
+    };
+    const recorded = [];
+    const sessionHistory = {
+        getSessions: () => Promise.resolve([]),
+        sessionProfileId: (session) => session.profileId,
+        clear: () => Promise.resolve(),
+        record: (session) => { recorded.push(session); return Promise.resolve(); }
+    };
+    const manager = new BackupManager(profileManager, sessionHistory, storage, new LevelPackManager(storage));
+    return { manager, backend, recorded };
+}
+
+/** A backup file's text with the given storage entries. */
+function backupText(storage, sessions = []) {
+    return JSON.stringify({
+        format: MorseConfig.BACKUP_FORMAT,
+        version: MorseConfig.BACKUP_VERSION,
+        exportedAt: '2026-01-01T00:00:00.000Z',
+        profileName: 'Test',
+        storage,
+        sessions
+    });
+}
+
+/** Every backend item, to check nothing was written. */
+const snapshot = (backend) => Object.fromEntries(Array.from({ length: backend.length }, (_, i) => backend.key(i)).map(key => [key, backend.getItem(key)]));
+
+test('merge keeps the better high score, unions levels, keeps the furthest Koch lesson and adds new packs', async () => {
+    const { manager, backend, recorded } = createManager({
+        highScores: '{"1":{"score":12,"accuracy":90,"time":30},"2":{"score":8,"accuracy":70,"time":40}}',
+        unlockedLevels: '[1,2]',
+        kochProgress: '{"currentLesson":3,"highestLesson":4}',
+        settingsWpm: '25'
+    });
+    const backup = manager.parseBackup(backupText({
+        highScores: '{"1":{"score":10,"accuracy":95,"time":20},"2":{"score":9,"accuracy":60,"time":50}}',
+        unlockedLevels: '[1,3]',
+        kochProgress: '{"currentLesson":6,"highestLesson":6}',
+        levelPacks: JSON.stringify([PACK]),
+        settingsWpm: '18'
+    }, [{ timestamp: 1, mode: 'game', sentence: 'CQ' }]));
+
+    await manager.importBackup(backup, 'merge');
+    const stored = (name) => JSON.parse(backend.getItem(PREFIX + name));
+    assert.deepEqual(stored('highScores'), { 1: { score: 12, accuracy: 90, time: 30 }, 2: { score: 9, accuracy: 60, time: 50 } });
+    assert.deepEqual(stored('unlockedLevels'), [1, 2, 3]);
+    assert.deepEqual(stored('kochProgress'), { currentLesson: 3, highestLesson: 6 });
+    assert.deepEqual(stored('levelPacks'), [PACK]);
+    assert.equal(backend.getItem(PREFIX + 'settingsWpm'), '25');
+    assert.equal(recorded.length, 1);
+});
+
+test('parseBackup rejects entries whose contents have the wrong shape', () => {
+    const { manager } = createManager();
+    const damaged = {
+        highScores: '{"1":null}',
+        receiveHighScores_cyrillic: '{"1":{"score":"fast"}}',
+        unlockedLevels: '["one"]',
+        kochProgress: 'null',
+        characterStats: '{"A":{"attempts":-1,"misses":0}}',
+        paddleTextures: '[]',
+        levelPacks: '{}',
+        settingsWpm: 'fast',
+        settingsSound: 'yes',
+        settingsKeyerMode: 'cootie',
+        settingsAlphabet: 'klingon'
+    };
+    Object.entries(damaged).forEach(([name, value]) => {
+        assert.throws(() => manager.parseBackup(backupText({ [name]: value })), new RegExp(`"${name}" is damaged`), name);
+    });
+});
+
+test('parseBackup runs level packs through the level checks', () => {
+    const { manager } = createManager();
+    const packWith = (levels) => backupText({ levelPacks: JSON.stringify([{ ...PACK, levels }]) });
+    assert.throws(() => manager.parseBackup(packWith([])), /no levels/);
+    assert.throws(() => manager.parseBackup(packWith([{ ...PACK.levels[0], sentences: ['CQ ☃'] }])), /can't be sent/);
+    assert.throws(() => manager.parseBackup(packWith([{ ...PACK.levels[0], unlock_criteria: { min_wpm: -5, min_accuracy: 80 } }])), /unlock speed/);
+    assert.doesNotThrow(() => manager.parseBackup(packWith(PACK.levels)));
+});
+
+test('importBackup rejects a bad backup without writing anything, in both modes', async () => {
+    const items = { highScores: '{"1":{"score":12,"accuracy":90,"time":30}}', settingsWpm: '25' };
+    for (const mode of ['merge', 'replace']) {
+        const { manager, backend } = createManager(items);
+        const before = snapshot(backend);
+        const backup = JSON.parse(backupText({ unlockedLevels: '[1,2]', highScores: '{"1":null}' })); // Not through parseBackup
+
+        const result = manager.importBackup(backup, mode);
+        assert.ok(result instanceof Promise);
+        await assert.rejects(result, /"highScores" is damaged/);
+        assert.deepEqual(snapshot(backend), before, mode);
+    }
+    const { manager } = createManager(items);
+    await assert.rejects(manager.importBackup(manager.parseBackup(backupText({})), 'overwrite'), /Unknown import mode/);
+});
+
+test('merge replaces a damaged stored value with the backup\'s', async (t) => {
+    const { manager, backend } = createManager({ kochProgress: 'null' });
+    const warn = t.mock.method(console, 'warn', () => {});
+    await manager.importBackup(manager.parseBackup(backupText({ kochProgress: '{"currentLesson":2,"highestLesson":5}' })), 'merge');
+    assert.deepEqual(JSON.parse(backend.getItem(PREFIX + 'kochProgress')), { currentLesson: 2, highestLesson: 5 });
+    assert.equal(warn.mock.callCount(), 1);
+});
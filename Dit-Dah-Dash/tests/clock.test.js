@@ -0,0 +1,149 @@
+/* Dit-Dah-Dash/tests/clock.test.js */
+/* In file: tests/clock.test.js */
+/**
+ * tests/clock.test.js
+ * -------------------
+ * VirtualClock ordering and advancing, SystemClock against real time, and the modules that
+ * time things with the injected clock instead of the window timers.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/loadScripts');
+
+loadScripts(['config.js', 'clock.js', 'eventBus.js', 'bandConditions.js', 'audioPlayer.js', 'keyingTimeline.js']);
+
+test('VirtualClock starts at the given time and only moves when advanced', () => {
+    const clock = new VirtualClock();
+    assert.equal(clock.now(), 1000);
+    assert.equal(new VirtualClock(0).now(), 0);
+    assert.equal(clock.advance(250), 1250);
+    assert.equal(clock.now(), 1250);
+    assert.equal(clock.advance(-10), 1250);
+});
+
+test('VirtualClock runs due timers in time order, equal times in the order they were set', () => {
+    const clock = new VirtualClock(0);
+    const ran = [];
+    clock.setTimeout(() => ran.push(`c@${clock.now()}`), 30);
+    clock.setTimeout(() => ran.push(`a@${clock.now()}`), 10);
+    clock.setTimeout(() => ran.push(`b1@${clock.now()}`), 20);
+    clock.setTimeout(() => ran.push(`b2@${clock.now()}`), 20);
+    clock.advance(25);
+    assert.deepEqual(ran, ['a@10', 'b1@20', 'b2@20']);
+    assert.equal(clock.now(), 25);
+    assert.equal(clock.getPendingCount(), 1);
+    clock.advance(5);
+    assert.deepEqual(ran, ['a@10', 'b1@20', 'b2@20', 'c@30']);
+});
+
+test('VirtualClock treats negative and missing delays as 0', () => {
+    const clock = new VirtualClock(0);
+    const ran = [];
+    clock.setTimeout(() => ran.push('negative'), -50);
+    clock.setTimeout(() => ran.push('missing'));
+    clock.advance(0);
+    assert.deepEqual(ran, ['negative', 'missing']);
+});
+
+test('VirtualClock runs timers scheduled by timers if they fall due within the advance', () => {
+    const clock = new VirtualClock(0);
+    const ran = [];
+    const tick = () => {
+        ran.push(clock.now());
+        clock.setTimeout(tick, 40);
+    };
+    clock.setTimeout(tick, 40);
+    clock.advance(130);
+    assert.deepEqual(ran, [40, 80, 120]);
+    assert.equal(clock.getPendingCount(), 1);
+});
+
+test('VirtualClock.clearTimeout cancels only that timer', () => {
+    const clock = new VirtualClock(0);
+    const ran = [];
+    const first = clock.setTimeout(() => ran.push('first'), 10);
+    clock.setTimeout(() => ran.push('second'), 10);
+    clock.clearTimeout(first);
+    clock.clearTimeout(999);
+    clock.advance(10);
+    assert.deepEqual(ran, ['second']);
+});
+
+test('VirtualClock.runAll runs everything pending and stops at the limit', (t) => {
+    const clock = new VirtualClock(0);
+    clock.setTimeout(() => {}, 500);
+    clock.setTimeout(() => {}, 100);
+    assert.equal(clock.runAll(), 2);
+    assert.equal(clock.now(), 500);
+
+    const forever = () => clock.setTimeout(forever, 10);
+    forever();
+    const warn = t.mock.method(console, 'warn', () => {});
+    assert.equal(clock.runAll(5), 5);
+    assert.equal(warn.mock.callCount(), 1);
+    assert.equal(clock.getPendingCount(), 1);
+    assert.equal(clock.now(), 550);
+});
+
+test('VirtualClock keeps running timers after one throws', (t) => {
+    const clock = new VirtualClock(0);
+    const ran = [];
+    t.mock.method(console, 'error', () => {});
+    clock.setTimeout(() => { throw new Error('boom'); }, 10);
+    clock.setTimeout(() => ran.push(clock.now()), 20);
+    clock.advance(20);
+    assert.deepEqual(ran, [20]);
+});
+
+test('SystemClock follows real time and runs and cancels real timers', async () => {
+    const clock = new SystemClock();
+    const start = clock.now();
+    const ran = [];
+    const cancelled = clock.setTimeout(() => ran.push('cancelled'), 5);
+    clock.clearTimeout(cancelled);
+    await new Promise(resolve => clock.setTimeout(() => { ran.push('ran'); resolve(); }, 20));
+    assert.deepEqual(ran, ['ran']);
+    assert.ok(clock.now() - start >= 15, `${clock.now() - start} ms passed`);
+});
+
+test('AudioPlayer disconnects stopped playback nodes on its clock', () => {
+    const clock = new VirtualClock(0);
+    const player = new AudioPlayer(clock, new EventBus());
+    const disconnected = [];
+    const param = { value: 1, cancelScheduledValues() {}, setValueAtTime() {}, linearRampToValueAtTime() {} };
+    player.audioContext = { state: 'running', currentTime: 0 };
+    player.playbackNodes = [{
+        osc: { stop() {}, disconnect: () => disconnected.push('osc') },
+        gain: { gain: param, disconnect: () => disconnected.push('gain') }
+    }];
+
+    player.stopPlayback();
+    const disconnectAfterMs = player.rampTime * 1000 + 20;
+    clock.advance(disconnectAfterMs - 1);
+    assert.deepEqual(disconnected, []);
+    clock.advance(1);
+    assert.deepEqual(disconnected, ['osc', 'gain']);
+});
+
+test('KeyingTimeline replays in clock time', () => {
+    const clock = new VirtualClock(0);
+    const frames = [];
+    globalThis.requestAnimationFrame = (fn) => frames.push(fn);
+    globalThis.cancelAnimationFrame = () => {};
+    const timeline = new KeyingTimeline(null, clock);
+    const drawn = [];
+    timeline.draw = (data) => drawn.push(data.now);
+
+    const timings = { ditMs: 60 };
+    timeline.replay({ timeline: [{ element: '.', down: 5000, up: 5060, charIndex: 0 }], timings });
+    const runFrame = () => frames.shift()();
+    runFrame();
+    clock.advance(100);
+    runFrame();
+    clock.advance(1000);
+    runFrame();
+    // Starts a lead of four dits before the first key-down and stops the same lead after the last key-up
+    assert.deepEqual(drawn, [5000 - 240, 5000 - 240 + 100, 5060 + 240]);
+    assert.equal(frames.length, 0);
+});
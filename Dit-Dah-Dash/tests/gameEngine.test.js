@@ -0,0 +1,193 @@
+/* Dit-Dah-Dash/tests/gameEngine.test.js */
+/* In file: tests/gameEngine.test.js */
+/**
+ * tests/gameEngine.test.js
+ * ------------------------
+ * Whole sentences keyed through GameEngine.press/release on a VirtualClock, with the keyer
+ * (Iambic B paddles) and with a straight key: the decoded characters, wrong characters,
+ * straight-key gap classification, the finish and the scores.
+ * Timings at 20 WPM: dit 60 ms, dah 180 ms, element gap 60 ms; the decoder waits 144 ms
+ * (0.8 of the 180 ms character gap) after the last element.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/loadScripts');
+
+loadScripts(['config.js', 'clock.js', 'eventBus.js', 'stateMachine.js', 'alphabets.js', 'morseDecoder.js',
+    'keyer.js', 'gameState.js', 'scoreCalculator.js', 'timingAnalyzer.js', 'gameEngine.js']);
+
+const DIT_MS = 60;
+const DAH_MS = 180;
+const PAUSE_MS = 400; // Between characters: well past the decode
+
+/**
+ * Creates an engine and game state on their own clock and event bus, with a sandbox sentence ready.
+ * Every engine callback is recorded in `events` as [name, payload].
+ */
+function createEngine(sentence, inputMode = MorseConfig.INPUT_MODES.PADDLES) {
+    const clock = new VirtualClock(1000);
+    const eventBus = new EventBus();
+    const gameState = new GameState(clock);
+    const events = [];
+    const record = (name) => (payload) => events.push([name, payload]);
+    const engine = new GameEngine({
+        onStart: record('start'),
+        onDecode: record('decode'),
+        onProgress: record('progress'),
+        onFinish: record('finish')
+    }, {
+        gameState, clock, eventBus,
+        decoder: new MorseDecoder(),
+        scoreCalculator: new ScoreCalculator(),
+        timingAnalyzer: new TimingAnalyzer()
+    });
+    engine.setInputMode(inputMode);
+    engine.setKeyerMode(KeyerMode.IAMBIC_B);
+    gameState.startSandboxSentence(sentence);
+
+    const decodes = () => events.filter(([name]) => name === 'decode').map(([, event]) => event);
+    const finished = () => events.filter(([name]) => name === 'finish').map(([, scores]) => scores);
+    return { engine, gameState, clock, eventBus, events, decodes, finished };
+}
+
+/** Keys one character's elements (e.g. ".-") with taps on the paddles, then pauses for the decode. */
+function keyWithPaddles({ engine, clock }, sequence) {
+    [...sequence].forEach(element => {
+        const paddle = element === '.' ? 'dit' : 'dah';
+        engine.press(paddle);
+        clock.advance(1);
+        engine.release(paddle);
+        clock.advance((element === '.' ? DIT_MS : DAH_MS) + DIT_MS - 1); // Element and its gap
+    });
+    clock.advance(PAUSE_MS);
+}
+
+/** Keys one character with a straight key held for each element's length, then waits `pauseMs`. */
+function keyStraight({ engine, clock }, sequence, pauseMs = PAUSE_MS) {
+    [...sequence].forEach((element, index) => {
+        engine.press('dit');
+        clock.advance(element === '.' ? DIT_MS : DAH_MS);
+        engine.release('dit');
+        if (index < sequence.length - 1) clock.advance(DIT_MS);
+    });
+    clock.advance(pauseMs);
+}
+
+test('paddles: a sentence keyed element by element decodes every character and finishes', () => {
+    const game = createEngine('HI ME');
+    ['....', '..', '--', '.'].forEach(sequence => keyWithPaddles(game, sequence));
+
+    assert.deepEqual(game.decodes().map(({ target, decoded, correct }) => [target, decoded, correct]),
+        [['H', 'H', true], ['I', 'I', true], ['M', 'M', true], ['E', 'E', true]]);
+    assert.deepEqual(game.decodes().map(event => event.charIndex), [0, 1, 3, 4]); // The space is skipped
+    assert.equal(game.events[0][0], 'start');
+    assert.equal(game.gameState.status, GameStatus.FINISHED);
+
+    const [scores] = game.finished();
+    assert.equal(game.finished().length, 1);
+    assert.equal(scores.accuracy, 100);
+    assert.equal(scores.totalChars, 4);
+    // H, I and M with their pauses, then the final dit and the 144 ms decode wait after it
+    assert.equal(game.gameState.elapsedTime, (4 * 120 + 400) + (2 * 120 + 400) + (2 * 240 + 400) + DIT_MS + 144);
+    assert.equal(scores.grossWpm, parseFloat(((4 / 5) / (game.gameState.elapsedTime / 60000)).toFixed(1)));
+    assert.equal(scores.netWpm, scores.grossWpm);
+    assert.equal(scores.timing.intraCharGap.count, 3 + 1 + 1);  // Gaps inside H, I and M
+    assert.equal(scores.timing.interCharGap.count, 2);          // H-I and M-E (not across the space)
+});
+
+test('paddles: a wrong character is reported, not advanced past, and costs accuracy', () => {
+    const game = createEngine('TE');
+    keyWithPaddles(game, '.');  // E instead of T
+    keyWithPaddles(game, '-');
+    keyWithPaddles(game, '.');
+
+    assert.deepEqual(game.decodes().map(({ charIndex, target, decoded, correct }) => [charIndex, target, decoded, correct]),
+        [[0, 'T', 'E', false], [0, 'T', 'T', true], [1, 'E', 'E', true]]);
+    assert.equal(game.gameState.incorrectAttempts, 1);
+
+    const [scores] = game.finished();
+    const expectedAccuracy = 2 / (2 + MorseConfig.INCORRECT_ATTEMPT_PENALTY) * 100;
+    assert.equal(scores.accuracy, parseFloat(expectedAccuracy.toFixed(1)));
+    assert.ok(scores.netWpm < scores.grossWpm);
+});
+
+test('paddles: decoded characters are published on the event bus before the callback', () => {
+    const game = createEngine('A');
+    const published = [];
+    game.eventBus.on(AppEvent.CHAR_DECODED, (event) => published.push(['bus', event.decoded]));
+    game.eventBus.on(AppEvent.SENTENCE_FINISHED, ({ scores }) => published.push(['finished', scores.accuracy]));
+    game.eventBus.on(AppEvent.CHAR_DECODED, () => assert.equal(game.decodes().length, 0));
+    keyWithPaddles(game, '.-');
+    assert.deepEqual(published, [['bus', 'A'], ['finished', 100]]);
+});
+
+test('paddles: nothing is decoded until the character gap has passed', () => {
+    const game = createEngine('S');
+    game.engine.press('dit');
+    game.clock.advance(250); // Three dits: at 0, 120 and 240
+    game.engine.release('dit');
+    game.clock.advance(193); // The last dit ends at 300; the decode is due 144 ms later, at 444
+    assert.equal(game.decodes().length, 0);
+    assert.equal(game.gameState.status, GameStatus.DECODING);
+    game.clock.advance(1);
+    assert.deepEqual(game.decodes().map(event => event.decoded), ['S']);
+    assert.equal(game.finished().length, 1);
+});
+
+test('straight key: press lengths become dits and dahs and the sentence finishes', () => {
+    const game = createEngine('PARIS', MorseConfig.INPUT_MODES.STRAIGHT_KEY);
+    ['.--.', '.-', '.-.', '..', '...'].forEach(sequence => keyStraight(game, sequence));
+
+    assert.deepEqual(game.decodes().map(({ decoded, sequence, correct }) => [decoded, sequence, correct]),
+        [['P', '.--.', true], ['A', '.-', true], ['R', '.-.', true], ['I', '..', true], ['S', '...', true]]);
+    const [scores] = game.finished();
+    assert.equal(scores.accuracy, 100);
+    assert.equal(scores.totalChars, 5);
+    assert.equal(game.engine.isToneOn, false);
+});
+
+test('straight key: pressing again after a character gap decodes the character before the timer does', () => {
+    const game = createEngine('TT', MorseConfig.INPUT_MODES.STRAIGHT_KEY);
+    keyStraight(game, '-', 130); // Past the 120 ms character gap, before the 144 ms decode timer
+    assert.equal(game.decodes().length, 0);
+    keyStraight(game, '-');
+    assert.deepEqual(game.decodes().map(event => event.decoded), ['T', 'T']);
+    assert.equal(game.finished().length, 1);
+});
+
+test('straight key: gaps are classified as element, character and word breaks', () => {
+    const game = createEngine('HI ME', MorseConfig.INPUT_MODES.STRAIGHT_KEY);
+    const gaps = [];
+    game.eventBus.on(AppEvent.ELEMENT_KEYED, ({ element, gap }) => gaps.push(`${element}${gap ? ':' + gap : ''}`));
+    keyStraight(game, '....', 180); // A three-unit letter gap, decoded at the next key-down
+    keyStraight(game, '..', 500);   // The decode timer ends I long before the word break is measured
+    keyStraight(game, '--', 180);
+    keyStraight(game, '.');
+
+    assert.deepEqual(gaps, [
+        '.', '.:element', '.:element', '.:element',
+        '.:character', '.:element',
+        '-:word', '-:element',
+        '.:character'
+    ]);
+    assert.deepEqual(game.decodes().map(event => event.decoded), ['H', 'I', 'M', 'E']);
+});
+
+test('straight key: a wrong character is counted and the target is keyed again', () => {
+    const game = createEngine('N', MorseConfig.INPUT_MODES.STRAIGHT_KEY);
+    keyStraight(game, '.-');  // A
+    keyStraight(game, '-.');  // N
+    assert.deepEqual(game.decodes().map(({ decoded, correct }) => [decoded, correct]), [['A', false], ['N', true]]);
+    assert.equal(game.gameState.incorrectAttempts, 1);
+    assert.ok(game.finished()[0].accuracy < 100);
+});
+
+test('input after the sentence finished is ignored', () => {
+    const game = createEngine('E');
+    keyWithPaddles(game, '.');
+    keyWithPaddles(game, '.');
+    assert.equal(game.decodes().length, 1);
+    assert.equal(game.finished().length, 1);
+    assert.equal(game.clock.getPendingCount(), 0);
+});
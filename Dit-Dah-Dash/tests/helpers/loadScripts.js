@@ -0,0 +1,47 @@
+/* Dit-Dah-Dash/tests/helpers/loadScripts.js */
+/* In file: tests/helpers/loadScripts.js */
+/**
+ * tests/helpers/loadScripts.js
+ * ----------------------------
+ * Loads the game's browser scripts (js/*.js) into Node's global scope in the order given,
+ * the way index.html does: `window` is the global object, so the classes and `window.morse*`
+ * instances the scripts create are globals afterwards. Only DOM-free scripts can be loaded.
+ * localStorage is an in-memory stand-in, and console.log is silenced (the modules log a lot).
+ * Each test file runs in its own process under `node --test`, so loading is done once per file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', '..', 'js');
+
+/** @returns {object} A Storage-like object kept in memory (getItem, setItem, removeItem, key, length, clear). */
+function createMemoryStorage() {
+    const items = new Map();
+    return {
+        get length() { return items.size; },
+        key: (index) => [...items.keys()][index] ?? null,
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => { items.set(key, String(value)); },
+        removeItem: (key) => { items.delete(key); },
+        clear: () => items.clear()
+    };
+}
+
+/**
+ * Runs scripts from js/ in the global scope.
+ * @param {string[]} files - File names in js/, in load order (e.g. ['config.js', 'keyer.js']).
+ * @param {object} [options]
+ * @param {boolean} [options.quiet=true] - Silence console.log while the tests run.
+ */
+function loadScripts(files, { quiet = true } = {}) {
+    globalThis.window = globalThis;
+    if (!globalThis.localStorage) globalThis.localStorage = createMemoryStorage();
+    if (quiet) console.log = () => {};
+    files.forEach(file => {
+        vm.runInThisContext(fs.readFileSync(path.join(JS_DIR, file), 'utf8'), { filename: file });
+    });
+}
+
+module.exports = { loadScripts, createMemoryStorage };
@@ -0,0 +1,224 @@
+/* Dit-Dah-Dash/tests/keyer.test.js */
+/* In file: tests/keyer.test.js */
+/**
+ * tests/keyer.test.js
+ * -------------------
+ * Keyer modes driven on a VirtualClock: the exact elements (and when they start) for single
+ * paddles, squeezes, releases during an element and paddle memory.
+ * Timings: dit 60 ms, dah 180 ms, gap 60 ms, so a dit starts the next element 120 ms later
+ * and a dah 240 ms later.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/loadScripts');
+
+loadScripts(['config.js', 'clock.js', 'keyer.js']);
+
+const DIT_MS = 60;
+const DAH_MS = 180;
+const GAP_MS = 60;
+
+/**
+ * Creates a keyer in a mode on its own clock, recording every element as "type@time".
+ * `at(ms, fn)` runs fn at an absolute virtual time; `run(ms)` plays everything up to it.
+ */
+function createKeyer(mode) {
+    const clock = new VirtualClock(0);
+    const elements = [];
+    const keyer = new Keyer({
+        onElement: (type) => { elements.push(`${type}@${clock.now()}`); },
+        onManualStart: () => elements.push(`manual-start@${clock.now()}`),
+        onManualEnd: (heldMs) => elements.push(`manual-end@${clock.now()}:${heldMs}`),
+        onIdle: () => elements.push(`idle@${clock.now()}`)
+    }, clock);
+    keyer.setMode(mode);
+    keyer.setTimings(DIT_MS, DAH_MS, GAP_MS);
+    const at = (ms, fn) => clock.setTimeout(fn, ms - clock.now());
+    const run = (ms) => clock.advance(ms - clock.now());
+    return { keyer, clock, elements, at, run };
+}
+
+/** Squeeze: dit at 0, dah 10 ms later, both released at releaseMs. */
+function squeeze(k, releaseMs) {
+    k.keyer.paddleDown('dit');
+    k.at(10, () => k.keyer.paddleDown('dah'));
+    k.at(releaseMs, () => { k.keyer.paddleUp('dit'); k.keyer.paddleUp('dah'); });
+    k.run(2000);
+    return k.elements;
+}
+
+test('a held dit paddle repeats dits until released, then goes idle', () => {
+    const k = createKeyer(KeyerMode.IAMBIC_B);
+    k.keyer.paddleDown('dit');
+    k.at(250, () => k.keyer.paddleUp('dit'));
+    k.run(1000);
+    assert.deepEqual(k.elements, ['dit@0', 'dit@120', 'dit@240', 'idle@360']);
+});
+
+test('a held dah paddle repeats dahs', () => {
+    const k = createKeyer(KeyerMode.IAMBIC_A);
+    k.keyer.paddleDown('dah');
+    k.at(300, () => k.keyer.paddleUp('dah'));
+    k.run(1000);
+    assert.deepEqual(k.elements, ['dah@0', 'dah@240', 'idle@480']);
+});
+
+test('Iambic A: a held squeeze alternates and stops after the element in progress', () => {
+    assert.deepEqual(squeeze(createKeyer(KeyerMode.IAMBIC_A), 500),
+        ['dit@0', 'dah@120', 'dit@360', 'dah@480', 'idle@720']);
+});
+
+test('Iambic B: a held squeeze alternates and adds one opposite element after release', () => {
+    assert.deepEqual(squeeze(createKeyer(KeyerMode.IAMBIC_B), 500),
+        ['dit@0', 'dah@120', 'dit@360', 'dah@480', 'dit@720', 'idle@840']);
+});
+
+test('Iambic A and B differ when the squeeze is released during the second element', () => {
+    const iambicA = squeeze(createKeyer(KeyerMode.IAMBIC_A), 200);
+    const iambicB = squeeze(createKeyer(KeyerMode.IAMBIC_B), 200);
+    assert.deepEqual(iambicA, ['dit@0', 'dah@120', 'idle@360']);
+    assert.deepEqual(iambicB, ['dit@0', 'dah@120', 'dit@360', 'idle@480']);
+    assert.notDeepEqual(iambicA, iambicB);
+});
+
+test('Iambic A: squeezing with dah first starts with a dah', () => {
+    const k = createKeyer(KeyerMode.IAMBIC_A);
+    k.keyer.paddleDown('dah');
+    k.at(10, () => k.keyer.paddleDown('dit'));
+    k.at(300, () => { k.keyer.paddleUp('dit'); k.keyer.paddleUp('dah'); });
+    k.run(2000);
+    assert.deepEqual(k.elements, ['dah@0', 'dit@240', 'idle@360']);
+});
+
+test('paddle memory: a dah tapped during a dit is sent after it', () => {
+    const k = createKeyer(KeyerMode.IAMBIC_A);
+    k.keyer.paddleDown('dit');
+    k.at(20, () => k.keyer.paddleUp('dit'));
+    k.at(30, () => k.keyer.paddleDown('dah'));
+    k.at(40, () => k.keyer.paddleUp('dah'));
+    k.run(1000);
+    assert.deepEqual(k.elements, ['dit@0', 'dah@120', 'idle@360']);
+});
+
+test('paddle memory: a dit tapped during a dah is sent after it', () => {
+    const k = createKeyer(KeyerMode.IAMBIC_B);
+    k.keyer.paddleDown('dah');
+    k.at(20, () => k.keyer.paddleUp('dah'));
+    k.at(100, () => k.keyer.paddleDown('dit'));
+    k.at(110, () => k.keyer.paddleUp('dit'));
+    k.run(1000);
+    assert.deepEqual(k.elements, ['dah@0', 'dit@240', 'idle@360']);
+});
+
+test('paddle memory off: a tap during an element is forgotten', () => {
+    const k = createKeyer(KeyerMode.IAMBIC_A);
+    k.keyer.setMemory(false, false);
+    k.keyer.paddleDown('dit');
+    k.at(20, () => k.keyer.paddleUp('dit'));
+    k.at(30, () => k.keyer.paddleDown('dah'));
+    k.at(40, () => k.keyer.paddleUp('dah'));
+    k.run(1000);
+    assert.deepEqual(k.elements, ['dit@0', 'idle@120']);
+});
+
+test('Iambic B keeps its squeeze-release element with memory off', () => {
+    const k = createKeyer(KeyerMode.IAMBIC_B);
+    k.keyer.setMemory(false, false);
+    assert.deepEqual(squeeze(k, 200), ['dit@0', 'dah@120', 'dit@360', 'idle@480']);
+});
+
+test('Ultimatic: the last-pressed paddle wins a squeeze and repeats', () => {
+    const k = createKeyer(KeyerMode.ULTIMATIC);
+    k.keyer.paddleDown('dit');
+    k.at(100, () => k.keyer.paddleDown('dah'));
+    k.at(500, () => k.keyer.paddleUp('dah'));
+    k.at(650, () => k.keyer.paddleUp('dit'));
+    k.run(2000);
+    assert.deepEqual(k.elements, ['dit@0', 'dah@120', 'dah@360', 'dit@600', 'idle@720']);
+});
+
+test('Ultimatic: releasing the winning paddle hands control back to the held one', () => {
+    const k = createKeyer(KeyerMode.ULTIMATIC);
+    k.keyer.paddleDown('dah');
+    k.at(50, () => k.keyer.paddleDown('dit'));
+    k.at(300, () => k.keyer.paddleUp('dit'));
+    k.at(700, () => k.keyer.paddleUp('dah'));
+    k.run(2000);
+    assert.deepEqual(k.elements, ['dah@0', 'dit@240', 'dah@360', 'dah@600', 'idle@840']);
+});
+
+test('single lever: the first-pressed side keeps control of a squeeze', () => {
+    const k = createKeyer(KeyerMode.SINGLE_LEVER);
+    k.keyer.paddleDown('dit');
+    k.at(100, () => k.keyer.paddleDown('dah'));
+    k.at(250, () => k.keyer.paddleUp('dit'));
+    k.at(400, () => k.keyer.paddleUp('dah'));
+    k.run(2000);
+    assert.deepEqual(k.elements, ['dit@0', 'dit@120', 'dit@240', 'dah@360', 'idle@600']);
+});
+
+test('single lever: a side closed after the other opened is remembered', () => {
+    const k = createKeyer(KeyerMode.SINGLE_LEVER);
+    k.keyer.paddleDown('dit');
+    k.at(20, () => k.keyer.paddleUp('dit'));
+    k.at(30, () => k.keyer.paddleDown('dah'));
+    k.at(40, () => k.keyer.paddleUp('dah'));
+    k.run(1000);
+    assert.deepEqual(k.elements, ['dit@0', 'dah@120', 'idle@360']);
+});
+
+test('Bug: the dit paddle sends automatic dits', () => {
+    const k = createKeyer(KeyerMode.BUG);
+    k.keyer.paddleDown('dit');
+    k.at(130, () => k.keyer.paddleUp('dit'));
+    k.run(1000);
+    assert.deepEqual(k.elements, ['dit@0', 'dit@120', 'idle@240']);
+});
+
+test('Bug: the dah paddle is a manual key held as long as the hand holds it', () => {
+    const k = createKeyer(KeyerMode.BUG);
+    k.keyer.paddleDown('dah');
+    k.at(250, () => k.keyer.paddleUp('dah'));
+    k.run(1000);
+    assert.deepEqual(k.elements, ['manual-start@0', 'manual-end@250:250', 'idle@310']);
+});
+
+test('Bug: a manual dah pressed during a dit waits for it and keeps its length', () => {
+    const k = createKeyer(KeyerMode.BUG);
+    k.keyer.paddleDown('dit');
+    k.at(20, () => k.keyer.paddleUp('dit'));
+    k.at(30, () => k.keyer.paddleDown('dah'));
+    k.at(80, () => k.keyer.paddleUp('dah'));
+    k.run(1000);
+    assert.deepEqual(k.elements, ['dit@0', 'manual-start@120', 'manual-end@170:50', 'idle@230']);
+});
+
+test('Bug: dits held during a manual dah resume after it', () => {
+    const k = createKeyer(KeyerMode.BUG);
+    k.keyer.paddleDown('dah');
+    k.at(50, () => k.keyer.paddleDown('dit'));
+    k.at(200, () => k.keyer.paddleUp('dah'));
+    k.at(300, () => k.keyer.paddleUp('dit'));
+    k.run(1000);
+    assert.deepEqual(k.elements, ['manual-start@0', 'manual-end@200:200', 'dit@260', 'idle@380']);
+});
+
+test('returning false from onElement stops the keyer', () => {
+    const clock = new VirtualClock(0);
+    const elements = [];
+    const keyer = new Keyer({ onElement: (type) => { elements.push(type); return elements.length < 2; } }, clock);
+    keyer.setTimings(DIT_MS, DAH_MS, GAP_MS);
+    keyer.paddleDown('dit');
+    clock.advance(1000);
+    assert.deepEqual(elements, ['dit', 'dit']);
+    assert.equal(keyer.isBusy(), false);
+    assert.equal(clock.getPendingCount(), 0);
+});
+
+test('setMode rejects unknown modes', (t) => {
+    const { keyer } = createKeyer(KeyerMode.IAMBIC_A);
+    t.mock.method(console, 'warn', () => {});
+    assert.equal(keyer.setMode('cootie'), false);
+    assert.equal(keyer.mode, KeyerMode.IAMBIC_A);
+});
@@ -0,0 +1,185 @@
+/* Dit-Dah-Dash/tests/scoreCalculator.test.js */
+/* In file: tests/scoreCalculator.test.js */
+/**
+ * tests/scoreCalculator.test.js
+ * -----------------------------
+ * Send scoring (WPM, accuracy, Farnsworth) and receive scoring (alignment, spacing errors, copy speed).
+ * The straight-key cases key a sentence through GameEngine on a VirtualClock at 20 WPM
+ * (dit 60 ms, dah 180 ms, element gap 60 ms), so the Farnsworth waits are the ones the engine enforced.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/loadScripts');
+
+loadScripts(['config.js', 'clock.js', 'eventBus.js', 'stateMachine.js', 'alphabets.js', 'morseDecoder.js',
+    'keyer.js', 'gameState.js', 'scoreCalculator.js', 'gameEngine.js']);
+
+/** A finished sentence as calculateScores reads it. */
+const finishedSentence = (elapsedMs, totalChars, incorrectAttempts = 0, farnsworthWaitMs = 0) => ({
+    status: GameStatus.FINISHED,
+    elapsedTime: elapsedMs,
+    farnsworthWaitTime: farnsworthWaitMs,
+    totalCharsInSentence: totalChars,
+    incorrectAttempts
+});
+
+test('send: gross WPM is PARIS words per minute over the elapsed time', () => {
+    const calculator = new ScoreCalculator();
+    calculator.updateSpeeds(20, 20);
+    const scores = calculator.calculateScores(finishedSentence(6000, 5));
+    assert.equal(scores.grossWpm, 10);
+    assert.equal(scores.netWpm, 10);
+    assert.equal(scores.accuracy, 100);
+    assert.equal(scores.farnsworthSeconds, 0);
+});
+
+test('send: incorrect attempts lower accuracy and net WPM', () => {
+    const calculator = new ScoreCalculator();
+    calculator.updateSpeeds(20, 20);
+    const scores = calculator.calculateScores(finishedSentence(6000, 5, 1));
+    const expectedAccuracy = 5 / (5 + MorseConfig.INCORRECT_ATTEMPT_PENALTY) * 100;
+    assert.equal(scores.accuracy, parseFloat(expectedAccuracy.toFixed(1)));
+    assert.equal(scores.netWpm, parseFloat((10 * expectedAccuracy / 100).toFixed(1)));
+});
+
+test('send with Farnsworth: the stretched decoder wait is not counted against the sender', () => {
+    const standard = new ScoreCalculator();
+    standard.updateSpeeds(20, 20);
+    const farnsworth = new ScoreCalculator();
+    farnsworth.updateSpeeds(20, 8);
+
+    const chars = 10;
+    const waitMs = 4321;
+    const keyedAtStandard = standard.calculateScores(finishedSentence(12000, chars));
+    const keyedAtFarnsworth = farnsworth.calculateScores(finishedSentence(12000 + waitMs, chars, 0, waitMs));
+    assert.equal(keyedAtFarnsworth.grossWpm, keyedAtStandard.grossWpm);
+    assert.equal(keyedAtFarnsworth.farnsworthSeconds, parseFloat((waitMs / 1000).toFixed(1)));
+    assert.equal(keyedAtFarnsworth.elapsedTimeSeconds, parseFloat(((12000 + waitMs) / 1000).toFixed(1)));
+    assert.equal(keyedAtFarnsworth.effectiveWpm, 8);
+    assert.equal(keyedAtFarnsworth.characterWpm, 20);
+});
+
+/**
+ * Keys `sequences` (one per character, e.g. ['-', '.']) with a straight key at 20 WPM character
+ * speed and the given effective speed, and returns the scores of the finished sentence.
+ * @param {number|null} letterGapMs - Pause before the next character, or null to wait for its decode.
+ */
+function scoreStraightKeySentence(effectiveWpm, sentence, sequences, letterGapMs) {
+    const clock = new VirtualClock(1000);
+    const gameState = new GameState(clock);
+    const decoder = new MorseDecoder();
+    decoder.updateWpm(20);
+    decoder.updateEffectiveWpm(effectiveWpm);
+    const scoreCalculator = new ScoreCalculator();
+    scoreCalculator.updateSpeeds(20, effectiveWpm);
+    let scores = null;
+    const engine = new GameEngine({ onFinish: (result) => { scores = result; } }, {
+        gameState, clock, decoder, scoreCalculator, eventBus: new EventBus(), timingAnalyzer: null
+    });
+    engine.updateWpm(20);
+    engine.setInputMode(MorseConfig.INPUT_MODES.STRAIGHT_KEY);
+    gameState.startSandboxSentence(sentence);
+
+    sequences.forEach((sequence, charIndex) => {
+        [...sequence].forEach((element, index) => {
+            engine.press('dit');
+            clock.advance(element === '.' ? 60 : 180);
+            engine.release('dit');
+            if (index < sequence.length - 1) clock.advance(60);
+        });
+        if (letterGapMs === null || charIndex === sequences.length - 1) clock.runAll();
+        else clock.advance(letterGapMs);
+    });
+    assert.ok(scores, 'the sentence finished');
+    return scores;
+}
+
+const TEST_SEQUENCES = ['-', '.', '...', '-'];
+
+test('send with a straight key: letters keyed before the decode wait runs out score the same at any effective speed', () => {
+    // A three-unit letter gap ends each character at the next key-down, before the decoder's wait
+    const [standard, mild, strong] = [20, 15, 8].map(effectiveWpm =>
+        scoreStraightKeySentence(effectiveWpm, 'TEST', TEST_SEQUENCES, 180));
+    assert.equal(standard.farnsworthSeconds, 0);
+    assert.equal(mild.grossWpm, standard.grossWpm);
+    assert.equal(strong.grossWpm, standard.grossWpm);
+    assert.ok(strong.elapsedTimeSeconds > standard.elapsedTimeSeconds); // Only the last character's wait is longer
+});
+
+test('send with a straight key: waiting out the stretched decode after each letter is not counted', () => {
+    const standard = scoreStraightKeySentence(20, 'TEST', TEST_SEQUENCES, null);
+    const farnsworth = scoreStraightKeySentence(8, 'TEST', TEST_SEQUENCES, null);
+    assert.ok(farnsworth.farnsworthSeconds > 0);
+    assert.ok(farnsworth.elapsedTimeSeconds > standard.elapsedTimeSeconds);
+    assert.equal(farnsworth.grossWpm, standard.grossWpm);
+});
+
+test('send with Farnsworth: the effective speed is capped at the character speed', () => {
+    const calculator = new ScoreCalculator();
+    calculator.updateSpeeds(15, 25);
+    const scores = calculator.calculateScores(finishedSentence(6000, 5));
+    assert.equal(scores.effectiveWpm, 15);
+    assert.equal(scores.farnsworthSeconds, 0);
+});
+
+test('send: scores are zero before the sentence is finished', (t) => {
+    const calculator = new ScoreCalculator();
+    t.mock.method(console, 'warn', () => {});
+    const scores = calculator.calculateScores({ ...finishedSentence(6000, 5), status: GameStatus.TYPING });
+    assert.equal(scores.grossWpm, 0);
+    assert.equal(scores.accuracy, 0);
+});
+
+test('receive: a perfect copy scores 100% at the speed it was copied in', () => {
+    const calculator = new ScoreCalculator();
+    calculator.updateSpeeds(20, 20);
+    const scores = calculator.calculateReceiveScores('HELLO WORLD', 'hello  world', 12000);
+    assert.equal(scores.accuracy, 100);
+    assert.equal(scores.totalChars, 10);
+    assert.equal(scores.correctChars, 10);
+    assert.equal(scores.grossWpm, 10);
+    assert.equal(scores.netWpm, 10);
+});
+
+test('receive: replays and slow typing lower the copy speed', () => {
+    const calculator = new ScoreCalculator();
+    calculator.updateSpeeds(20, 20);
+    const once = calculator.calculateReceiveScores('HELLO WORLD', 'HELLO WORLD', 12000, 1);
+    const twice = calculator.calculateReceiveScores('HELLO WORLD', 'HELLO WORLD', 24000, 2);
+    assert.equal(twice.grossWpm, once.grossWpm / 2);
+    assert.equal(twice.playCount, 2);
+    assert.equal(calculator.calculateReceiveScores('HELLO', 'HELLO', 0).grossWpm, 0);
+});
+
+test('receive: a dropped or extra character costs one error, not the rest of the text', () => {
+    const calculator = new ScoreCalculator();
+    const dropped = calculator.calculateReceiveScores('ABCDE', 'ABDE', 6000);
+    assert.equal(dropped.deletions, 1);
+    assert.equal(dropped.correctChars, 4);
+    assert.equal(dropped.accuracy, 80);
+    const extra = calculator.calculateReceiveScores('ABCD', 'ABXCD', 6000);
+    assert.equal(extra.insertions, 1);
+    assert.equal(extra.accuracy, 80);
+});
+
+test('receive: characters copied as spaces and spaces copied as characters are substitutions', () => {
+    const calculator = new ScoreCalculator();
+    const charAsSpace = calculator.calculateReceiveScores('ABCD', 'AB D', 6000);
+    assert.equal(charAsSpace.substitutions, 1);
+    assert.equal(charAsSpace.accuracy, 75);
+    const spaceAsChar = calculator.calculateReceiveScores('AB CD', 'ABXCD', 6000);
+    assert.equal(spaceAsChar.substitutions, 1);
+    assert.equal(spaceAsChar.accuracy, 80);
+});
+
+test('receive: an extra space is an insertion, a missed space is not counted', () => {
+    const calculator = new ScoreCalculator();
+    const extraSpace = calculator.calculateReceiveScores('ABCD', 'AB CD', 6000);
+    assert.equal(extraSpace.insertions, 1);
+    assert.equal(extraSpace.accuracy, 80);
+    const missedSpace = calculator.calculateReceiveScores('AB CD', 'ABCD', 6000);
+    assert.equal(missedSpace.deletions, 0);
+    assert.equal(missedSpace.accuracy, 100);
+    assert.ok(missedSpace.diff.some(entry => entry.op === 'del' && entry.expected === ' '));
+});
@@ -0,0 +1,76 @@
+/* Dit-Dah-Dash/tests/storage.test.js */
+/* In file: tests/storage.test.js */
+/**
+ * tests/storage.test.js
+ * ---------------------
+ * Schema migrations on an in-memory backend: keys saved under the project's earlier names
+ * are imported, conflicting ones are kept, and the schema version is bumped once.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createMemoryStorage } = require('./helpers/loadScripts');
+
+loadScripts(['config.js', 'storage.js']);
+
+const LATEST_VERSION = STORAGE_MIGRATIONS[STORAGE_MIGRATIONS.length - 1].version;
+
+/** A StorageManager over a fresh in-memory backend seeded with raw backend keys. */
+function createStorage(items = {}) {
+    const backend = createMemoryStorage();
+    Object.entries(items).forEach(([key, value]) => backend.setItem(key, value));
+    return { storage: new StorageManager(backend), backend };
+}
+
+test('morse_master_ keys are imported under the current prefix and the schema version is bumped', () => {
+    const { storage, backend } = createStorage({
+        morse_master_settingsWpm: '18',
+        morse_master_highScores: '{"1":{"score":12}}',
+        unrelatedKey: 'left alone'
+    });
+    assert.equal(storage.getSchemaVersion(), 0);
+
+    assert.equal(storage.migrate(), LATEST_VERSION);
+    assert.equal(storage.getSchemaVersion(), LATEST_VERSION);
+    assert.equal(storage.getNumber(MorseConfig.STORAGE_KEY_SETTINGS_WPM, 0), 18);
+    assert.deepEqual(storage.getJSON(MorseConfig.STORAGE_KEY_HIGH_SCORES, null), { 1: { score: 12 } });
+    assert.equal(backend.getItem('morse_master_settingsWpm'), null);
+    assert.equal(backend.getItem('morse_master_highScores'), null);
+    assert.equal(backend.getItem('unrelatedKey'), 'left alone');
+});
+
+test('the newer legacy name wins when a key was saved under both', () => {
+    const { storage } = createStorage({ 'Dit-Dah-Dash_settingsWpm': '22', morse_master_settingsWpm: '15' });
+    storage.migrate();
+    assert.equal(storage.getNumber(MorseConfig.STORAGE_KEY_SETTINGS_WPM, 0), 22);
+});
+
+test('a legacy value that conflicts with the current key is kept, not overwritten or deleted', (t) => {
+    const { storage, backend } = createStorage({
+        [MorseConfig.STORAGE_KEY_SETTINGS_WPM]: '25',
+        morse_master_settingsWpm: '18'
+    });
+    const warn = t.mock.method(console, 'warn', () => {});
+    storage.migrate();
+    assert.equal(storage.getNumber(MorseConfig.STORAGE_KEY_SETTINGS_WPM, 0), 25);
+    assert.equal(backend.getItem('morse_master_settingsWpm'), '18');
+    assert.equal(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /morse_master_settingsWpm/);
+});
+
+test('a legacy copy of the current value is removed', () => {
+    const { storage, backend } = createStorage({
+        [MorseConfig.STORAGE_KEY_SETTINGS_WPM]: '25',
+        morse_master_settingsWpm: '25'
+    });
+    storage.migrate();
+    assert.equal(backend.getItem('morse_master_settingsWpm'), null);
+});
+
+test('migrations already applied are not run again', () => {
+    const { storage, backend } = createStorage({ morse_master_settingsWpm: '18' });
+    storage.setItem(MorseConfig.STORAGE_KEY_SCHEMA_VERSION, LATEST_VERSION);
+    assert.equal(storage.migrate(), LATEST_VERSION);
+    assert.equal(backend.getItem('morse_master_settingsWpm'), '18');
+    assert.equal(storage.getItem(MorseConfig.STORAGE_KEY_SETTINGS_WPM), null);
+});